@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Numeric Specs Backfill Script
+ *
+ * This script fills the numeric columns (mileage_km, power_hp, power_kw, engine_cc,
+ * weight_kg, co2_g_km, consumption_l_100km) of existing adverts by parsing their
+ * free-text fields (mileage, power, engine_size, empty_weight, co_2_emissions, fuel_consumption).
+ *
+ * Usage:
+ *   node backfillNumericSpecs.js [options]
+ *
+ * Options:
+ *   --limit <number>       Maximum number of adverts to process (optional, no limit if not specified)
+ *   --active-only          Only process active adverts (default: all adverts)
+ *   --ids <id1,id2>        Process specific advert IDs (comma-separated)
+ *   --force                Recompute adverts that already have numeric values
+ *   --batch-size <number>  Number of adverts loaded per query (default: 500)
+ *   --help                 Show this help message
+ *
+ * Examples:
+ *   node backfillNumericSpecs.js --limit 1000
+ *   node backfillNumericSpecs.js --ids 12345,67890
+ *   node backfillNumericSpecs.js --force --active-only
+ *   node backfillNumericSpecs.js (processes all adverts without numeric values)
+ */
+
+require('dotenv').config();
+const { backfillNumericSpecs } = require('./src/services/numericSpecsService');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    limit: null, // No limit by default
+    onlyActive: false,
+    specificIds: null,
+    force: false,
+    batchSize: 500,
+    showHelp: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--limit':
+        const limitValue = parseInt(args[++i]);
+        if (limitValue && limitValue > 0) {
+          options.limit = limitValue;
+        } else {
+          console.error(`Invalid limit value. Must be a positive number.`);
+          process.exit(1);
+        }
+        break;
+      case '--active-only':
+        options.onlyActive = true;
+        break;
+      case '--ids':
+        const ids = args[++i];
+        if (ids) {
+          options.specificIds = ids.split(',').map(id => id.trim()).filter(id => id);
+        }
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--batch-size':
+        const batchSize = parseInt(args[++i]);
+        if (batchSize && batchSize > 0) {
+          options.batchSize = batchSize;
+        } else {
+          console.error(`Invalid batch size. Must be a positive number.`);
+          process.exit(1);
+        }
+        break;
+      case '--help':
+      case '-h':
+        options.showHelp = true;
+        break;
+      default:
+        console.error(`Unknown option: ${arg}`);
+        console.log('Use --help for usage information');
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Numeric Specs Backfill Script
+
+This script fills the numeric columns (mileage_km, power_hp, power_kw, engine_cc,
+weight_kg, co2_g_km, consumption_l_100km) of existing adverts by parsing their free-text fields.
+
+Usage:
+  node backfillNumericSpecs.js [options]
+
+Options:
+  --limit <number>       Maximum number of adverts to process (optional, no limit if not specified)
+  --active-only          Only process active adverts (default: all adverts)
+  --ids <id1,id2>        Process specific advert IDs (comma-separated)
+  --force                Recompute adverts that already have numeric values
+  --batch-size <number>  Number of adverts loaded per query (default: 500)
+  --help                 Show this help message
+
+Examples:
+  node backfillNumericSpecs.js --limit 1000
+  node backfillNumericSpecs.js --ids 12345,67890
+  node backfillNumericSpecs.js --force --active-only
+  node backfillNumericSpecs.js (processes all adverts without numeric values)
+`);
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    if (options.showHelp) {
+      showHelp();
+      return;
+    }
+
+    console.log('🚀 Starting numeric specs backfill...');
+    console.log('📊 Configuration:', {
+      limit: options.limit || 'no limit',
+      onlyActive: options.onlyActive,
+      specificIds: options.specificIds ? `${options.specificIds.length} IDs` : 'none',
+      force: options.force,
+      batchSize: options.batchSize
+    });
+
+    const stats = await backfillNumericSpecs(options);
+
+    console.log('\n✅ Backfill completed successfully!');
+    console.log('📊 Final Results:');
+    console.log(`   Total processed: ${stats.total}`);
+    console.log(`   Updated: ${stats.updated}`);
+    console.log(`   Nothing parseable: ${stats.unparseable}`);
+    console.log(`   Failed: ${stats.failed}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs, showHelp };
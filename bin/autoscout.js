@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+
+/**
+ * AutoScout CLI
+ *
+ * One entry point for the operational tasks that used to live in separate
+ * root scripts (fetchImagesBelgium.js, fetchImagesSwiss.js, testQuery.js,
+ * test-specific-listing.js, ...). Every subcommand calls the existing service
+ * functions and accepts the same flags.
+ *
+ * Usage:
+ *   node bin/autoscout.js <command> [options]
+ *   npm run cli -- <command> [options]
+ *
+ * Commands:
+ *   scrape              Scrape every dealer, or the ones selected with --user / --region / --limit
+ *   check               Check every dealer's adverts, the selected dealers, or one advert (--advert)
+ *   images backfill     Upload missing images to MinIO (--region ch for Swiss adverts)
+ *   inspect listing     Fetch one listing live and show how it would be stored
+ *   db stats            Advert, dealer and run counts, or one dealer's summary (--user)
+ *   runs list           Latest scraper, checker and on-demand runs
+ *
+ * Examples:
+ *   node bin/autoscout.js scrape --user 42
+ *   node bin/autoscout.js check --region ch --limit 5 --dry-run
+ *   node bin/autoscout.js scrape --user 42 --dry-run --json
+ *   node bin/autoscout.js check --advert 12345
+ *   node bin/autoscout.js images backfill --region be --limit 100
+ *   node bin/autoscout.js inspect listing https://www.autoscout24.ch/de/d/12699536
+ *   node bin/autoscout.js runs list --type scraper --json
+ */
+
+require('dotenv').config({ quiet: true }); // keep stdout clean for --json
+const { REGIONS, getRegion, getRegionByUrl, getDefaultRegion } = require('../src/services/regionRegistry');
+const { isDryRun, setDryRun, getDryRunReport, formatDryRunReport } = require('../src/utils/dryRun');
+// Services are required inside the commands, so --help and usage errors don't load the models
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const RUN_TYPES = ['scraper', 'checker', 'on_demand'];
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+const DEFAULT_RUNS_LIMIT = 20;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_USAGE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Flags
+// ---------------------------------------------------------------------------
+
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new CliError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function parseNonNegativeInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new CliError(`--${name} must be an integer >= 0`);
+  }
+  return number;
+}
+
+function parseChoice(allowed) {
+  return (value, name) => {
+    if (!allowed.includes(value)) {
+      throw new CliError(`--${name} must be one of ${allowed.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+function parseIdList(value, name) {
+  const ids = String(value).split(',').map(id => id.trim()).filter(id => id);
+  if (ids.length === 0) {
+    throw new CliError(`--${name} needs at least one id`);
+  }
+  return ids.map(id => parsePositiveInt(id, name));
+}
+
+// Flags shared by every command; each command lists the ones it accepts
+const FLAGS = {
+  user: { value: '<id>', parse: parsePositiveInt, help: 'Dealer (user) id' },
+  advert: { value: '<id>', parse: parsePositiveInt, help: 'Advert id (autoscout_adverts.id)' },
+  region: { value: '<code>', parse: parseChoice(Object.keys(REGIONS)), help: `Region code: ${Object.keys(REGIONS).join(', ')}` },
+  limit: { value: '<n>', parse: parsePositiveInt, help: 'Maximum number of dealers, adverts or rows' },
+  offset: { value: '<n>', parse: parseNonNegativeInt, help: 'Rows to skip' },
+  ids: { value: '<id1,id2>', parse: parseIdList, help: 'Advert ids (comma-separated)' },
+  inactive: { help: 'Include inactive adverts (default: active only)' },
+  type: { value: '<type>', parse: parseChoice(RUN_TYPES), help: `Run type: ${RUN_TYPES.join(', ')}` },
+  status: { value: '<status>', parse: parseChoice(RUN_STATUSES), help: `Run status: ${RUN_STATUSES.join(', ')}` },
+  'dry-run': { help: 'Scrape/check for real but write nothing; report what would be created, updated, deactivated or uploaded' },
+  json: { help: 'Print the result as JSON on stdout (logs go to stderr)' },
+  help: { help: 'Show help' }
+};
+
+function toOptionName(flag) {
+  return flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function regionOfUser(user) {
+  return getRegionByUrl(user.autoscout_url) || getDefaultRegion();
+}
+
+/**
+ * Dealers selected by --user, --region and --limit
+ * @param {Object} options
+ * @returns {Promise<Array<Object>>}
+ */
+async function selectUsers(options) {
+  const { getUsersToScrape } = require('../src/services/userService');
+  let users = await getUsersToScrape('CLI') || [];
+
+  if (options.user) {
+    users = users.filter(user => user.id === options.user);
+    if (users.length === 0) {
+      throw new CliError(`User ${options.user} is not in the scraper user list`, EXIT_FAILED);
+    }
+  }
+  if (options.region) {
+    users = users.filter(user => regionOfUser(user).code === options.region);
+  }
+  if (options.limit) {
+    users = users.slice(0, options.limit);
+  }
+  return users;
+}
+
+/**
+ * Run an on-demand job per dealer, one after the other
+ * @param {string} type - 'scrape_user' or 'check_user'
+ * @param {Array<Object>} users
+ * @returns {Promise<Object>}
+ */
+async function runForUsers(type, users) {
+  const { runOnDemandJob } = require('../src/services/jobQueueService');
+  const results = [];
+
+  for (const user of users) {
+    try {
+      const { control, result } = await runOnDemandJob(type, user.id, { users });
+      results.push({ user_id: user.id, status: 'completed', control_id: control.id, result });
+    } catch (error) {
+      results.push({ user_id: user.id, status: 'failed', error: error.message });
+    }
+  }
+
+  const failed = results.filter(entry => entry.status === 'failed').length;
+  return { type, completed: results.length - failed, failed, results };
+}
+
+/**
+ * Run a scheduled job once, guarded by its job lock like in main.js
+ * A dry run writes nothing, so it neither takes nor waits for the lock.
+ * @param {string} name - JOB_DEFINITIONS name
+ * @returns {Promise<Object>}
+ */
+async function runRegisteredJob(name) {
+  const { JOB_DEFINITIONS } = require('../src/services/jobRegistry');
+  const { withJobLock } = require('../src/services/jobLockService');
+  const job = JOB_DEFINITIONS.find(definition => definition.name === name);
+
+  if (isDryRun()) {
+    await job.run();
+    return { job: job.name, status: 'completed' };
+  }
+  const { acquired } = await withJobLock(job.name, context => job.run(context));
+  if (!acquired) {
+    throw new CliError(`${job.label} is already running elsewhere`, EXIT_FAILED);
+  }
+  return { job: job.name, status: 'completed' };
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+async function scrapeCommand(options) {
+  const selective = Boolean(options.user || options.region || options.limit);
+  if (!selective) {
+    return runRegisteredJob('scraper');
+  }
+  return runForUsers('scrape_user', await selectUsers(options));
+}
+
+async function checkCommand(options) {
+  if (options.advert) {
+    if (options.user || options.region || options.limit) {
+      throw new CliError('--advert cannot be combined with --user, --region or --limit');
+    }
+    const { runOnDemandJob } = require('../src/services/jobQueueService');
+    const { control, result } = await runOnDemandJob('check_advert', options.advert);
+    return { type: 'check_advert', control_id: control.id, result };
+  }
+
+  const selective = Boolean(options.user || options.region || options.limit);
+  if (!selective) {
+    return runRegisteredJob('checker');
+  }
+  return runForUsers('check_user', await selectUsers(options));
+}
+
+async function imagesBackfillCommand(options) {
+  // Swiss adverts (CHF) and the others are handled by different fetchers
+  const fetchers = options.region === 'ch'
+    ? ['swiss']
+    : options.region ? ['normal'] : ['normal', 'swiss'];
+  const fetchOptions = { limit: options.limit || null, onlyActive: !options.inactive };
+
+  const { fetchAllMissingImages, fetchImagesForSpecificAdverts } = require('../src/services/imageFetcher');
+  const { fetchSwissImages, fetchImagesForSpecificSwissAdverts } = require('../src/services/swissImageFetcher');
+  const results = {};
+  for (const fetcher of fetchers) {
+    if (fetcher === 'swiss') {
+      results.swiss = options.ids
+        ? await fetchImagesForSpecificSwissAdverts(options.ids)
+        : await fetchSwissImages(fetchOptions);
+    } else {
+      results.normal = options.ids
+        ? await fetchImagesForSpecificAdverts(options.ids)
+        : await fetchAllMissingImages(fetchOptions);
+    }
+  }
+  return results;
+}
+
+/**
+ * Listing id and region from a listing URL or a bare id
+ * @param {string} reference - e.g. https://www.autoscout24.ch/de/d/12699536 or an EU advert UUID
+ * @param {string} regionCode - --region
+ * @returns {Object} - { id, region }
+ */
+function parseListingReference(reference, regionCode) {
+  let id = reference;
+  let region = getRegion(regionCode);
+
+  if (/^https?:\/\//i.test(reference)) {
+    region = region || getRegionByUrl(reference);
+    const uuid = reference.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+    const numeric = reference.match(/(\d+)\/?(?:[?#].*)?$/);
+    id = uuid ? uuid[0] : numeric ? numeric[1] : null;
+    if (!id) throw new CliError(`Could not find a listing id in ${reference}`);
+  }
+
+  // Swiss listing ids are numeric, EU ones are UUIDs
+  if (!region) {
+    region = /^\d+$/.test(id) ? REGIONS.ch : getDefaultRegion();
+  }
+  return { id, region };
+}
+
+async function inspectListingCommand(options, args) {
+  if (args.length !== 1) {
+    throw new CliError('inspect listing needs one listing id or URL');
+  }
+  const { id, region } = parseListingReference(args[0], options.region);
+
+  let live;
+  if (region.code === 'ch') {
+    const { fetchSwissListingById } = require('../src/services/autoscoutChApi');
+    const { mapSwissListingToAdvert } = require('../src/services/swissListingMapper');
+    const listing = await fetchSwissListingById(id);
+    live = listing ? mapSwissListingToAdvert(listing) : null;
+  } else {
+    const { getListingInfos } = require('../src/services/extractNewAdvert');
+    const { images, ...fields } = await getListingInfos(`${region.detailBaseUrl}${id}`, id, { id: null }, false, region);
+    live = { ...fields, image_count: images.length };
+  }
+
+  const { Advert } = require('../models');
+  const stored = await Advert.findAll({
+    where: { autoscout_id: String(id) },
+    attributes: ['id', 'seller_id', 'make', 'model', 'price', 'price_currency', 'is_active', 'created_at', 'last_seen']
+  });
+
+  return { id, region: region.code, found: Boolean(live), live, stored };
+}
+
+async function dbStatsCommand(options) {
+  const { getDatabaseStats, getSellerSummary } = require('../src/services/advertQueryService');
+  if (options.user) {
+    const summary = await getSellerSummary(options.user);
+    if (!summary) throw new CliError(`No adverts for seller ${options.user}`, EXIT_FAILED);
+    return summary;
+  }
+  return getDatabaseStats();
+}
+
+async function runsListCommand(options) {
+  const { listRuns } = require('../src/services/advertQueryService');
+  return listRuns(
+    { type: options.type, status: options.status },
+    { limit: options.limit || DEFAULT_RUNS_LIMIT, offset: options.offset || 0 }
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Human-readable output
+// ---------------------------------------------------------------------------
+
+function printJobResults(result) {
+  if (result.job) {
+    console.log(`✅ ${result.job} run completed`);
+    return;
+  }
+  if (result.results) {
+    for (const entry of result.results) {
+      const detail = entry.status === 'completed' ? `control ${entry.control_id} ${JSON.stringify(entry.result)}` : entry.error;
+      console.log(`${entry.status === 'completed' ? '✅' : '❌'} User ${entry.user_id}: ${detail}`);
+    }
+    console.log(`📊 ${result.completed} completed, ${result.failed} failed`);
+    return;
+  }
+  console.log(`✅ ${result.type} completed (control ${result.control_id}): ${JSON.stringify(result.result)}`);
+}
+
+function printImageResults(result) {
+  for (const [fetcher, stats] of Object.entries(result)) {
+    console.log(`🖼️ ${fetcher}: ${stats.total} found, ${stats.successful} uploaded, ${stats.failed} failed`);
+  }
+}
+
+function printListing(result) {
+  console.log(`🔎 Listing ${result.id} [${result.region}]: ${result.found ? 'online' : 'not found'}`);
+  if (result.live) {
+    for (const [field, value] of Object.entries(result.live)) {
+      if (value !== null && value !== undefined && value !== '') {
+        console.log(`   ${field}: ${value instanceof Date ? value.toISOString() : value}`);
+      }
+    }
+  }
+  console.log(`💾 Stored rows: ${result.stored.length}`);
+  for (const advert of result.stored) {
+    console.log(`   id ${advert.id}, seller ${advert.seller_id}, ${advert.make} ${advert.model}, ${advert.price} ${advert.price_currency || ''}, ${advert.is_active ? 'active' : 'inactive'}`);
+  }
+}
+
+function printStats(result) {
+  if (result.seller_id) {
+    console.log(`🏢 Seller ${result.seller_id} (${result.seller_name || 'Unknown'})`);
+    console.log(`   Adverts: ${result.adverts.total} (${result.adverts.active} active, ${result.adverts.inactive} inactive)`);
+    console.log(`   Active price: avg ${result.active_price.avg}, min ${result.active_price.min}, max ${result.active_price.max}`);
+    console.log(`   Avg sell time: ${result.avg_sell_time ?? '-'} days, avg completeness: ${result.avg_completeness ?? '-'}`);
+    console.log(`   Top makes: ${result.top_makes.map(entry => `${entry.make} (${entry.count})`).join(', ') || '-'}`);
+    return;
+  }
+  const { adverts } = result;
+  console.log(`📊 Adverts: ${adverts.total} (${adverts.active} active, ${adverts.inactive} inactive, ${adverts.swiss} Swiss)`);
+  console.log(`🖼️ Active adverts without image: ${adverts.active_without_image}`);
+  console.log(`🏢 Sellers: ${result.sellers}`);
+  for (const [type, counts] of Object.entries(result.runs)) {
+    console.log(`🏃 ${type} runs: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  }
+}
+
+function printRuns(result) {
+  console.log(`🏃 ${result.items.length} of ${result.total} run(s)`);
+  for (const control of result.items) {
+    const date = control.date ? new Date(control.date).toISOString() : '-';
+    console.log(`   #${control.id} ${control.type} ${control.status || '-'} started ${date}${control.completed_at ? `, finished ${new Date(control.completed_at).toISOString()}` : ''}`);
+  }
+}
+
+const COMMANDS = [
+  {
+    name: 'scrape',
+    summary: 'Scrape every dealer, or the dealers selected with --user / --region / --limit',
+    flags: ['user', 'region', 'limit', 'dry-run', 'json'],
+    run: scrapeCommand,
+    print: printJobResults
+  },
+  {
+    name: 'check',
+    summary: "Check every dealer's adverts, the selected dealers, or one advert (--advert)",
+    flags: ['user', 'advert', 'region', 'limit', 'dry-run', 'json'],
+    run: checkCommand,
+    print: printJobResults
+  },
+  {
+    name: 'images backfill',
+    summary: 'Upload missing images to MinIO (--region ch: Swiss adverts, other regions: the rest)',
+    flags: ['region', 'limit', 'ids', 'inactive', 'dry-run', 'json'],
+    run: imagesBackfillCommand,
+    print: printImageResults
+  },
+  {
+    name: 'inspect listing',
+    usage: '<id|url>',
+    summary: 'Fetch one listing live, show the fields that would be stored and the stored rows',
+    flags: ['region', 'json'],
+    run: inspectListingCommand,
+    print: printListing
+  },
+  {
+    name: 'db stats',
+    summary: "Advert, dealer and run counts, or one dealer's summary (--user)",
+    flags: ['user', 'json'],
+    run: dbStatsCommand,
+    print: printStats
+  },
+  {
+    name: 'runs list',
+    summary: 'Latest runs, newest first',
+    flags: ['type', 'status', 'limit', 'offset', 'json'],
+    run: runsListCommand,
+    print: printRuns
+  }
+];
+
+// ---------------------------------------------------------------------------
+// Arguments and help
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { command, args, options }
+ * @throws {CliError} - On unknown commands or flags and invalid values
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    const flag = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const definition = FLAGS[flag];
+    if (!definition) {
+      throw new CliError(`Unknown option --${flag}`);
+    }
+
+    if (definition.value) {
+      const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+      if (value === undefined || value.startsWith('--')) {
+        throw new CliError(`--${flag} needs a value ${definition.value}`);
+      }
+      options[toOptionName(flag)] = definition.parse(value, flag);
+    } else {
+      options[toOptionName(flag)] = true;
+    }
+  }
+
+  const command = COMMANDS.find(candidate => {
+    const words = candidate.name.split(' ');
+    return words.every((word, index) => positionals[index] === word);
+  });
+  if (!command) {
+    if (positionals.length === 0) return { command: null, args: [], options };
+    throw new CliError(`Unknown command "${positionals.join(' ')}"`);
+  }
+
+  for (const name of Object.keys(options)) {
+    const flag = Object.keys(FLAGS).find(candidate => toOptionName(candidate) === name);
+    if (flag !== 'help' && !command.flags.includes(flag)) {
+      throw new CliError(`--${flag} is not an option of "${command.name}"`);
+    }
+  }
+
+  return { command, args: positionals.slice(command.name.split(' ').length), options };
+}
+
+function showHelp(command = null) {
+  if (command) {
+    console.log(`
+Usage: autoscout ${command.name}${command.usage ? ` ${command.usage}` : ''} [options]
+
+${command.summary}
+
+Options:
+${command.flags.map(flag => `  --${`${flag} ${FLAGS[flag].value || ''}`.padEnd(20)} ${FLAGS[flag].help}`).join('\n')}
+`);
+    return;
+  }
+
+  console.log(`
+Usage: autoscout <command> [options]
+
+Commands:
+${COMMANDS.map(entry => `  ${entry.name.padEnd(18)} ${entry.summary}`).join('\n')}
+
+Run "autoscout <command> --help" for the options of a command.
+`);
+}
+
+// Service logs go to stderr so --json output on stdout stays parseable
+function routeLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Use --help for usage information');
+    return EXIT_USAGE;
+  }
+
+  const { command, args, options } = parsed;
+  if (!command || options.help) {
+    showHelp(command);
+    return command || options.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const writeJson = process.stdout.write.bind(process.stdout);
+  if (options.json) routeLogsToStderr();
+  if (options.dryRun) setDryRun(true);
+
+  try {
+    const result = await command.run(options, args);
+    if (options.json) {
+      const output = options.dryRun ? { ...result, dry_run: getDryRunReport() } : result;
+      writeJson(`${JSON.stringify(output, null, 2)}\n`);
+    } else {
+      command.print(result);
+      if (options.dryRun) console.log(formatDryRunReport());
+    }
+    return result?.failed > 0 ? EXIT_FAILED : EXIT_OK;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof CliError ? error.exitCode : EXIT_FAILED;
+  }
+}
+
+// Run the CLI
+if (require.main === module) {
+  main().then((exitCode) => {
+    process.exit(exitCode);
+  });
+}
+
+module.exports = { main, parseArgs, parseListingReference, showHelp };
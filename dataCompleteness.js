@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Data Completeness Script
+ *
+ * This script migrates the "Unknown X" placeholder strings older runs stored to NULL,
+ * (re)computes data_completeness / missing_fields for adverts, and reports the dealers
+ * whose pages are extracted the worst.
+ *
+ * Usage:
+ *   node dataCompleteness.js [options]
+ *
+ * Options:
+ *   --migrate              Replace "Unknown X" placeholders with NULL, then rescore every advert
+ *   --recompute            Rescore every advert (default: only adverts without a score)
+ *   --report               Print the dealers with the lowest average completeness
+ *   --limit <number>       Number of dealers in the report (default: 20)
+ *   --min-adverts <number> Ignore dealers with fewer scored adverts (default: 5)
+ *   --inactive             Include inactive adverts in the report (default: only active)
+ *   --help                 Show this help message
+ *
+ * Examples:
+ *   node dataCompleteness.js --migrate --report
+ *   node dataCompleteness.js --report --limit 50 --min-adverts 10
+ *   node dataCompleteness.js (scores adverts without a score)
+ */
+
+require('dotenv').config();
+const {
+  migratePlaceholderValues,
+  recomputeCompleteness,
+  getCompletenessReportBySeller
+} = require('./src/services/completenessService');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    migrate: false,
+    recompute: false,
+    report: false,
+    limit: 20,
+    minAdverts: 5,
+    onlyActive: true,
+    showHelp: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--migrate':
+        options.migrate = true;
+        break;
+      case '--recompute':
+        options.recompute = true;
+        break;
+      case '--report':
+        options.report = true;
+        break;
+      case '--limit':
+        const limitValue = parseInt(args[++i]);
+        if (limitValue && limitValue > 0) {
+          options.limit = limitValue;
+        } else {
+          console.error(`Invalid limit value. Must be a positive number.`);
+          process.exit(1);
+        }
+        break;
+      case '--min-adverts':
+        const minAdverts = parseInt(args[++i]);
+        if (minAdverts && minAdverts > 0) {
+          options.minAdverts = minAdverts;
+        } else {
+          console.error(`Invalid min-adverts value. Must be a positive number.`);
+          process.exit(1);
+        }
+        break;
+      case '--inactive':
+        options.onlyActive = false;
+        break;
+      case '--help':
+      case '-h':
+        options.showHelp = true;
+        break;
+      default:
+        console.error(`Unknown option: ${arg}`);
+        console.log('Use --help for usage information');
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Data Completeness Script
+
+This script migrates the "Unknown X" placeholder strings older runs stored to NULL,
+(re)computes data_completeness / missing_fields for adverts, and reports the dealers
+whose pages are extracted the worst.
+
+Usage:
+  node dataCompleteness.js [options]
+
+Options:
+  --migrate              Replace "Unknown X" placeholders with NULL, then rescore every advert
+  --recompute            Rescore every advert (default: only adverts without a score)
+  --report               Print the dealers with the lowest average completeness
+  --limit <number>       Number of dealers in the report (default: 20)
+  --min-adverts <number> Ignore dealers with fewer scored adverts (default: 5)
+  --inactive             Include inactive adverts in the report (default: only active)
+  --help                 Show this help message
+
+Examples:
+  node dataCompleteness.js --migrate --report
+  node dataCompleteness.js --report --limit 50 --min-adverts 10
+  node dataCompleteness.js (scores adverts without a score)
+`);
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    if (options.showHelp) {
+      showHelp();
+      return;
+    }
+
+    console.log('🚀 Starting data completeness script...');
+
+    if (options.migrate) {
+      console.log('🧹 Replacing "Unknown X" placeholders with NULL...');
+      const updatedPerColumn = await migratePlaceholderValues();
+      const totalUpdated = Object.values(updatedPerColumn).reduce((sum, count) => sum + count, 0);
+      console.log(`✅ ${totalUpdated} placeholder values set to NULL`);
+    }
+
+    // Scores are stale after a migration, so everything is rescored
+    const stats = await recomputeCompleteness({ force: options.migrate || options.recompute });
+    console.log(`✅ Scored ${stats.total} adverts (${stats.failed} failed)`);
+
+    if (options.report) {
+      const sellers = await getCompletenessReportBySeller({
+        limit: options.limit,
+        minAdverts: options.minAdverts,
+        onlyActive: options.onlyActive
+      });
+
+      console.log(`\n📊 Dealers with the lowest average completeness (min ${options.minAdverts} adverts):`);
+      if (sellers.length === 0) {
+        console.log('   No scored adverts found');
+      }
+      sellers.forEach(seller => {
+        console.log(`   ${seller.seller_id} (${seller.seller_name || 'no name'}): ${Math.round(seller.avg_completeness * 100)}% over ${seller.advert_count} adverts`);
+        console.log(`      Most missing: ${seller.top_missing_fields.join(', ') || 'none'}`);
+      });
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs, showHelp };
@@ -0,0 +1,152 @@
+-- PostgreSQL migration for existing AutoScout Scraper CarClick databases
+-- Brings a database created from an older docs/database_schema.sql up to the
+-- current models without dropping data. Every statement is idempotent, so the
+-- script can be run again after each deploy:
+--   psql "$DATABASE_URL" -f docs/database_migration.sql
+
+BEGIN;
+
+-- autoscout_advert_price_history: price, mileage and currency snapshots per advert
+CREATE TABLE IF NOT EXISTS autoscout_advert_price_history (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    price FLOAT,
+    price_currency VARCHAR(10),
+    mileage_km INTEGER,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_price_history_advert_id ON autoscout_advert_price_history(advert_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_price_history_control_id ON autoscout_advert_price_history(control_id);
+
+-- autoscout_controls: which job opened the session
+ALTER TABLE autoscout_controls ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'scraper';
+
+-- autoscout_advert_observations: every advert a session saw, with its status
+CREATE TABLE IF NOT EXISTS autoscout_advert_observations (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER NOT NULL REFERENCES autoscout_controls(id) ON DELETE CASCADE,
+    seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('new', 'existing', 'reactivated', 'deactivated'))
+);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_observations_control_id ON autoscout_advert_observations(control_id, status);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_observations_advert_id ON autoscout_advert_observations(advert_id);
+
+-- autoscout_normalization_cache: memoized GPT normalization results
+CREATE TABLE IF NOT EXISTS autoscout_normalization_cache (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(50) NOT NULL,
+    input_key VARCHAR(255) NOT NULL,
+    result VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (kind, input_key)
+);
+
+-- autoscout_adverts: numeric companions of the free-text fields (fill them with backfillNumericSpecs.js)
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS mileage_km INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS power_hp INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS power_kw INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS engine_cc INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS weight_kg INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS co2_g_km INTEGER;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS consumption_l_100km FLOAT;
+CREATE INDEX IF NOT EXISTS idx_autoscout_adverts_mileage_km ON autoscout_adverts(mileage_km);
+CREATE INDEX IF NOT EXISTS idx_autoscout_adverts_power_hp ON autoscout_adverts(power_hp);
+
+-- autoscout_adverts: fields that could not be extracted are stored as NULL
+ALTER TABLE autoscout_adverts ALTER COLUMN make DROP NOT NULL;
+ALTER TABLE autoscout_adverts ALTER COLUMN model DROP NOT NULL;
+
+-- autoscout_adverts: data completeness (score existing rows with dataCompleteness.js --migrate)
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS data_completeness FLOAT;
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS missing_fields TEXT[];
+CREATE INDEX IF NOT EXISTS idx_autoscout_adverts_seller_completeness ON autoscout_adverts(seller_id, data_completeness);
+
+-- autoscout_adverts: how the Belgian detail page was read
+ALTER TABLE autoscout_adverts ADD COLUMN IF NOT EXISTS extraction_strategy VARCHAR(20);
+
+-- autoscout_advert_images: ordered image gallery per advert
+CREATE TABLE IF NOT EXISTS autoscout_advert_images (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    original_url VARCHAR(1000) NOT NULL,
+    stored_url VARCHAR(1000),
+    width INTEGER,
+    height INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (advert_id, position)
+);
+
+-- autoscout_advert_changes: field changes on existing listings
+CREATE TABLE IF NOT EXISTS autoscout_advert_changes (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    field VARCHAR(255) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_changes_advert_id ON autoscout_advert_changes(advert_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_autoscout_advert_changes_control_id ON autoscout_advert_changes(control_id);
+
+-- autoscout_controls: how the session ended
+ALTER TABLE autoscout_controls ADD COLUMN IF NOT EXISTS status VARCHAR(20);
+ALTER TABLE autoscout_controls ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_autoscout_controls_type_status ON autoscout_controls(type, status, date);
+
+-- autoscout_run_checkpoints: progress of each dealer within a scraper session
+CREATE TABLE IF NOT EXISTS autoscout_run_checkpoints (
+    id SERIAL PRIMARY KEY,
+    control_id INTEGER NOT NULL REFERENCES autoscout_controls(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed')),
+    last_make VARCHAR(255),
+    last_page INTEGER,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (control_id, user_id)
+);
+
+-- autoscout_job_locks: one row per running job
+CREATE TABLE IF NOT EXISTS autoscout_job_locks (
+    job_name VARCHAR(50) PRIMARY KEY,
+    owner_id VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- autoscout_proxies: proxy pool with per-proxy health
+CREATE TABLE IF NOT EXISTS autoscout_proxies (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(500) NOT NULL UNIQUE,
+    label VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    success_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    ban_count INTEGER DEFAULT 0,
+    benched_until TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_autoscout_proxies_active ON autoscout_proxies(is_active, benched_until);
+
+-- autoscout_job_requests: on-demand jobs queued through the API
+CREATE TABLE IF NOT EXISTS autoscout_job_requests (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('scrape_user', 'check_user', 'check_advert')),
+    target_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    claimed_by VARCHAR(255),
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_autoscout_job_requests_status ON autoscout_job_requests(status, created_at);
+
+COMMIT;
@@ -1,9 +1,20 @@
 -- PostgreSQL Schema for AutoScout Scraper CarClick
 -- Generated from Sequelize models
+-- Drops every table: use it for a new database only. Upgrade an existing one
+-- with docs/database_migration.sql.
 
+drop table if exists autoscout_job_requests;
+drop table if exists autoscout_proxies;
+drop table if exists autoscout_job_locks;
+drop table if exists autoscout_run_checkpoints;
+drop table if exists autoscout_advert_changes;
+drop table if exists autoscout_advert_images;
+drop table if exists autoscout_advert_observations;
+drop table if exists autoscout_advert_price_history;
 drop table if exists autoscout_adverts;
 drop table if exists autoscout_controls;
 drop table if exists autoscout_inventory;
+drop table if exists autoscout_normalization_cache;
 
 -- Create autoscout_adverts table
 CREATE TABLE IF NOT EXISTS autoscout_adverts (
@@ -15,8 +26,8 @@ CREATE TABLE IF NOT EXISTS autoscout_adverts (
     first_registration DATE,
     is_active BOOLEAN DEFAULT true,
     last_seen TIMESTAMP,
-    make VARCHAR(255) NOT NULL,
-    model VARCHAR(255) NOT NULL,
+    make VARCHAR(255),
+    model VARCHAR(255),
     model_version VARCHAR(255),
     location VARCHAR(255),
     price FLOAT,
@@ -53,14 +64,148 @@ CREATE TABLE IF NOT EXISTS autoscout_adverts (
     sell_time INTEGER,
     image_url VARCHAR(500),
     is_initial_run_listing BOOLEAN DEFAULT false,
-    original_image_url VARCHAR(500)
+    original_image_url VARCHAR(500),
+    -- Numeric companions of the free-text fields (filled by the scraper and backfillNumericSpecs.js)
+    mileage_km INTEGER,
+    power_hp INTEGER,
+    power_kw INTEGER,
+    engine_cc INTEGER,
+    weight_kg INTEGER,
+    co2_g_km INTEGER,
+    consumption_l_100km FLOAT,
+    -- Share (0..1) of expected fields that were extracted, and the missing ones
+    data_completeness FLOAT,
+    missing_fields TEXT[],
+    -- 'next_data' (__NEXT_DATA__ JSON) or 'css' (selector fallback) for Belgian detail pages
+    extraction_strategy VARCHAR(20)
 );
 
 
 -- Create autoscout_controls table
 CREATE TABLE autoscout_controls (
     id SERIAL PRIMARY KEY,
-    date TIMESTAMP
+    date TIMESTAMP,
+    type VARCHAR(20) DEFAULT 'scraper',
+    status VARCHAR(20),
+    completed_at TIMESTAMP
+);
+
+
+
+-- Create autoscout_advert_price_history table
+-- One row per advert whenever price, mileage or currency changes between runs
+CREATE TABLE IF NOT EXISTS autoscout_advert_price_history (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    price FLOAT,
+    price_currency VARCHAR(10),
+    mileage_km INTEGER,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+
+-- Create autoscout_advert_observations table
+-- One row per advert seen (or deactivated) by a scraper/checker session
+CREATE TABLE IF NOT EXISTS autoscout_advert_observations (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER NOT NULL REFERENCES autoscout_controls(id) ON DELETE CASCADE,
+    seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('new', 'existing', 'reactivated', 'deactivated'))
+);
+
+
+
+-- Create autoscout_advert_images table
+-- Ordered gallery per advert; stored_url is set for the first IMAGE_MIRROR_LIMIT images mirrored into MinIO
+CREATE TABLE IF NOT EXISTS autoscout_advert_images (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    original_url VARCHAR(1000) NOT NULL,
+    stored_url VARCHAR(1000),
+    width INTEGER,
+    height INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (advert_id, position)
+);
+
+
+
+-- Create autoscout_advert_changes table
+-- One row per advert column whose value changed between scraper runs
+CREATE TABLE IF NOT EXISTS autoscout_advert_changes (
+    id SERIAL PRIMARY KEY,
+    advert_id INTEGER NOT NULL REFERENCES autoscout_adverts(id) ON DELETE CASCADE,
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    field VARCHAR(255) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+
+-- Create autoscout_run_checkpoints table
+-- Progress of each dealer within a scraper session, used to resume an interrupted session
+CREATE TABLE IF NOT EXISTS autoscout_run_checkpoints (
+    id SERIAL PRIMARY KEY,
+    control_id INTEGER NOT NULL REFERENCES autoscout_controls(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed')),
+    last_make VARCHAR(255),
+    last_page INTEGER,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (control_id, user_id)
+);
+
+
+
+-- Create autoscout_job_locks table
+-- One row per running job (scraper, checker); a row whose heartbeat is stale can be taken over
+CREATE TABLE IF NOT EXISTS autoscout_job_locks (
+    job_name VARCHAR(50) PRIMARY KEY,
+    owner_id VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+
+-- Create autoscout_proxies table
+-- Proxy pool of the HTTP client with per-proxy health; benched proxies are skipped until benched_until
+CREATE TABLE IF NOT EXISTS autoscout_proxies (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(500) NOT NULL UNIQUE,
+    label VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    success_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    ban_count INTEGER DEFAULT 0,
+    benched_until TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+
+-- Create autoscout_job_requests table
+-- On-demand jobs (scrape/check one dealer, check one advert) queued through the API and run by the scheduler process
+CREATE TABLE IF NOT EXISTS autoscout_job_requests (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('scrape_user', 'check_user', 'check_advert')),
+    target_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    control_id INTEGER REFERENCES autoscout_controls(id) ON DELETE SET NULL,
+    claimed_by VARCHAR(255),
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
 );
 
 
@@ -74,11 +219,40 @@ CREATE TABLE autoscout_inventory (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create autoscout_normalization_cache table
+-- Memoized GPT normalization results, keyed on normalizer + normalized input
+CREATE TABLE IF NOT EXISTS autoscout_normalization_cache (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(50) NOT NULL,
+    input_key VARCHAR(255) NOT NULL,
+    result VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (kind, input_key)
+);
+
 -- Add indexes for better performance
 CREATE INDEX idx_autoscout_adverts_make_model ON autoscout_adverts(make, model);
 CREATE INDEX idx_autoscout_adverts_price ON autoscout_adverts(price);
 CREATE INDEX idx_autoscout_adverts_is_active ON autoscout_adverts(is_active);
 CREATE INDEX idx_autoscout_adverts_created_at ON autoscout_adverts(created_at);
+CREATE INDEX idx_autoscout_adverts_mileage_km ON autoscout_adverts(mileage_km);
+CREATE INDEX idx_autoscout_adverts_power_hp ON autoscout_adverts(power_hp);
+CREATE INDEX idx_autoscout_adverts_seller_completeness ON autoscout_adverts(seller_id, data_completeness);
+
+CREATE INDEX idx_autoscout_advert_price_history_advert_id ON autoscout_advert_price_history(advert_id, recorded_at);
+CREATE INDEX idx_autoscout_advert_price_history_control_id ON autoscout_advert_price_history(control_id);
+
+CREATE INDEX idx_autoscout_advert_observations_control_id ON autoscout_advert_observations(control_id, status);
+CREATE INDEX idx_autoscout_advert_observations_advert_id ON autoscout_advert_observations(advert_id);
+
+CREATE INDEX idx_autoscout_advert_changes_advert_id ON autoscout_advert_changes(advert_id, changed_at);
+CREATE INDEX idx_autoscout_advert_changes_control_id ON autoscout_advert_changes(control_id);
+
+CREATE INDEX idx_autoscout_controls_type_status ON autoscout_controls(type, status, date);
+
+CREATE INDEX idx_autoscout_proxies_active ON autoscout_proxies(is_active, benched_until);
+
+CREATE INDEX idx_autoscout_job_requests_status ON autoscout_job_requests(status, created_at);
 
 CREATE INDEX idx_autoscout_inventory_seller_id ON autoscout_inventory(seller_id);
 CREATE INDEX idx_autoscout_inventory_created_at ON autoscout_inventory(created_at);
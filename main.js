@@ -1,15 +1,23 @@
 require('dotenv').config();
 const cron = require('node-cron');
-const { main: scraperMain } = require('./src/scraper/main');
-const { main: checkerMain } = require('./src/checker/main');
 const logger = require('./src/utils/logger');
 const memoryMonitor = require('./src/utils/memoryMonitor');
+const { withJobLock, releaseAllJobLocks } = require('./src/services/jobLockService');
+const { JOB_DEFINITIONS, resolveJobConfig } = require('./src/services/jobRegistry');
+const { startApiServer } = require('./src/api/server');
+const { startJobQueueWorker } = require('./src/services/jobQueueService');
+
+// Resolve job schedules, timezones and flags from the environment
+const jobs = [];
+for (const definition of JOB_DEFINITIONS) {
+    try {
+        jobs.push(resolveJobConfig(definition));
+    } catch (error) {
+        logger.error(`❌ ${error.message} - ${definition.label} will not be scheduled`);
+    }
+}
 
-// Get environment variables with defaults
-const SCRAPER_ON = process.env.SCRAPER_ON !== 'false';
-const CHECKER_ON = process.env.CHECKER_ON !== 'false';
-
-logger.info(`🔧 Configuration: SCRAPER_ON=${SCRAPER_ON}, CHECKER_ON=${CHECKER_ON}`);
+logger.info(`🔧 Configuration: ${jobs.map(job => `${job.envPrefix}_ON=${job.enabled}`).join(', ')}`);
 
 // Start memory monitoring
 memoryMonitor.startMonitoring();
@@ -19,9 +27,11 @@ process.on('uncaughtException', (error) => {
     logger.error('🛑 Uncaught Exception:', error.message);
     logger.error('Stack trace:', error.stack);
     // Perform emergency cleanup
-    performDeepMemoryCleanup('emergency-uncaught-exception').then(() => {
-        process.exit(1);
-    });
+    performDeepMemoryCleanup('emergency-uncaught-exception')
+        .then(() => releaseAllJobLocks())
+        .finally(() => {
+            process.exit(1);
+        });
 });
 
 process.on('unhandledRejection', (reason, promise) => {
@@ -32,12 +42,14 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('SIGTERM', async () => {
     logger.info('🛑 SIGTERM received, performing graceful shutdown...');
+    await releaseAllJobLocks();
     await performDeepMemoryCleanup('graceful-shutdown');
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     logger.info('🛑 SIGINT received, performing graceful shutdown...');
+    await releaseAllJobLocks();
     await performDeepMemoryCleanup('graceful-shutdown');
     process.exit(0);
 });
@@ -79,77 +91,58 @@ async function performDeepMemoryCleanup(context = 'unknown') {
     logger.info(`✅ Deep memory cleanup completed for ${context}`);
 }
 
-// Function to run the scraper with error handling and memory cleanup
-async function runScraper() {
-    logger.info('🌙 Starting daily scraping job at midnight...');
+// Run a registered job with error handling and memory cleanup
+async function runJob(job) {
+    logger.info(`${job.emoji} Starting ${job.label} job...`);
     const startTime = new Date();
     memoryMonitor.logMemoryUsage(true);
     
     try {
-        await scraperMain();
+        // Another replica (or the previous run of this one) may still be running it
+        const { acquired } = await withJobLock(job.name, context => job.run(context));
+        if (!acquired) {
+            logger.warn(`⏭️ ${job.label} job skipped: it is already running elsewhere`);
+            return;
+        }
         const endTime = new Date();
         const duration = Math.round((endTime - startTime) / 1000 / 60); // minutes
-        logger.info(`✅ Daily scraping job completed successfully in ${duration} minutes`);
+        logger.info(`✅ ${job.label} job completed successfully in ${duration} minutes`);
         
     } catch (error) {
-        logger.error('❌ Daily scraping job failed:', error.message);
+        logger.error(`❌ ${job.label} job failed:`, error.message);
         logger.error('Stack trace:', error.stack);
     } finally {
-        // Always perform deep cleanup after scraper
-        await performDeepMemoryCleanup('scraper');
-        logger.info('🌙 Daily scraper cleanup completed');
+        // Always perform deep cleanup after a job
+        await performDeepMemoryCleanup(job.name);
+        logger.info(`${job.emoji} ${job.label} cleanup completed`);
     }
 }
 
-// Function to run the checker with error handling and memory cleanup
-async function runChecker() {
-    logger.info('🌃 Starting daily checker job at 2 AM...');
-    const startTime = new Date();
-    memoryMonitor.logMemoryUsage(true);
-    
-    try {
-        await checkerMain();
-        const endTime = new Date();
-        const duration = Math.round((endTime - startTime) / 1000 / 60); // minutes
-        logger.info(`✅ Daily checker job completed successfully in ${duration} minutes`);
-        
-    } catch (error) {
-        logger.error('❌ Daily checker job failed:', error.message);
-        logger.error('Stack trace:', error.stack);
-    } finally {
-        // Always perform deep cleanup after checker
-        await performDeepMemoryCleanup('checker');
-        logger.info('🌃 Daily checker cleanup completed');
-    }
-}
+const enabledJobs = jobs.filter(job => job.enabled);
 
-// Schedule the scraper to run daily at midnight (if enabled)
-// Cron format: '0 0 * * *' means run at minute 0, hour 0 (midnight) every day
-if (SCRAPER_ON) {
-    cron.schedule('0 0 * * *', async () => {
-        await runScraper();
+// Schedule every enabled job with its cron expression and timezone
+for (const job of enabledJobs) {
+    const task = cron.schedule(job.schedule, async () => {
+        await runJob(job);
     }, {
-        scheduled: true,
-        timezone: "UTC" // You can change this to your preferred timezone
+        name: job.name,
+        timezone: job.timezone
     });
+
+    const nextRun = task.getNextRun();
+    logger.info(`⏰ ${job.label} scheduled with '${job.schedule}' (${job.timezone}) - next run: ${nextRun ? nextRun.toISOString() : 'none'}`);
 }
 
-// Schedule checker to run daily at 2 AM (if enabled)
-// Cron format: '0 2 * * *' means run at minute 0, hour 2 (2 AM) every day
-if (CHECKER_ON) {
-    cron.schedule('0 2 * * *', async () => {
-        await runChecker();
-    }, {
-        scheduled: true,
-        timezone: "UTC" // You can change this to your preferred timezone
+// Serve the read API next to the scheduler
+if (String(process.env.API_ON || '').toLowerCase() === 'true') {
+    startApiServer().catch((error) => {
+        logger.error(`❌ Read API could not start: ${error.message}`);
     });
 }
 
-if (SCRAPER_ON) {
-    logger.info('⏰ AutoScout24 scraper scheduled to run daily at midnight (00:00 UTC)');
-}
-if (CHECKER_ON) {
-    logger.info('📋 Check listings job scheduled to run daily at 2 AM (02:00 UTC)');
+// Run jobs queued through the API (POST /jobs)
+if (String(process.env.JOB_QUEUE_ON || '').toLowerCase() === 'true') {
+    startJobQueueWorker();
 }
 
 // Check if garbage collection is available
@@ -159,54 +152,25 @@ if (global.gc) {
     logger.warn('⚠️ Garbage collection not available. Start Node.js with --expose-gc flag for better memory management');
 }
 
-// Log next scheduled runs
-const now = new Date();
-const nextMidnight = new Date(now);
-nextMidnight.setUTCDate(now.getUTCDate() + 1);
-nextMidnight.setUTCHours(0, 0, 0, 0);
-
-const next2AM = new Date(now);
-if (now.getUTCHours() >= 2) {
-    next2AM.setUTCDate(now.getUTCDate() + 1);
-}
-next2AM.setUTCHours(2, 0, 0, 0);
-
-if (SCRAPER_ON) {
-    logger.info(`🌙 Next scraper run scheduled for: ${nextMidnight.toISOString()}`);
-}
-if (CHECKER_ON) {
-    logger.info(`🌃 Next checker run scheduled for: ${next2AM.toISOString()}`);
-}
-
 logger.info('🚀 Scheduler started - running initial jobs based on environment variables...');
 
-// Run jobs once on startup based on environment variables
+// Run jobs once on startup, 5 seconds apart
+const startupJobs = enabledJobs.filter(job => job.runOnStartup);
 let startupDelay = 5000; // Start with 5 second delay
 
-if (SCRAPER_ON) {
-    logger.info('📝 SCRAPER_ON=true - scheduling initial scraper run...');
+for (const job of startupJobs) {
+    logger.info(`📝 ${job.envPrefix}_RUN_ON_STARTUP=true - scheduling initial ${job.label} run...`);
     setTimeout(async () => {
-        await runScraper();
+        await runJob(job);
     }, startupDelay);
     startupDelay += 5000; // Add 5 seconds delay for next job
 }
 
-if (CHECKER_ON) {
-    logger.info('📝 CHECKER_ON=true - scheduling initial checker run...');
-    setTimeout(async () => {
-        await runChecker();
-    }, startupDelay);
-}
-
-// Show what will run
-const jobsToRun = [];
-if (SCRAPER_ON) jobsToRun.push('Scraper');
-if (CHECKER_ON) jobsToRun.push('Checker');
-
-if (jobsToRun.length > 0) {
-    logger.info(`🎯 Initial jobs to run: ${jobsToRun.join(', ')}`);
-    logger.info('⏳ Jobs will start in 5-10 seconds...');
+if (startupJobs.length > 0) {
+    logger.info(`🎯 Initial jobs to run: ${startupJobs.map(job => job.label).join(', ')}`);
+    logger.info(`⏳ Jobs will start in 5-${startupDelay / 1000 - 5} seconds...`);
+} else if (enabledJobs.length > 0) {
+    logger.info('🕐 No startup runs configured - waiting for scheduled times...');
 } else {
-    logger.info('ℹ️  No jobs enabled - both SCRAPER_ON and CHECKER_ON are false');
-    logger.info('🕐 Waiting for scheduled times (if any jobs were enabled)...');
-}
\ No newline at end of file
+    logger.info('ℹ️  No jobs enabled - set SCRAPER_ON, CHECKER_ON, IMAGES_BELGIUM_ON or IMAGES_SWISS_ON to true');
+}
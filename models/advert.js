@@ -3,6 +3,10 @@ const { Model, DataTypes } = require('sequelize');
 module.exports = (sequelize,DataTypes) => {
   class Advert extends Model {
     static associate(models) {
+      Advert.hasMany(models.AdvertPriceHistory, { foreignKey: 'advert_id', as: 'priceHistory' });
+      Advert.hasMany(models.AdvertObservation, { foreignKey: 'advert_id', as: 'observations' });
+      Advert.hasMany(models.AdvertImage, { foreignKey: 'advert_id', as: 'images' });
+      Advert.hasMany(models.AdvertChange, { foreignKey: 'advert_id', as: 'changes' });
     }
   }
 
@@ -29,14 +33,8 @@ module.exports = (sequelize,DataTypes) => {
         defaultValue: true,
       },
       last_seen: DataTypes.DATE,
-      make: {
-        type: DataTypes.STRING,
-        allowNull: false,
-      },
-      model: {
-        type: DataTypes.STRING,
-        allowNull: false,
-      },
+      make: DataTypes.STRING,
+      model: DataTypes.STRING,
       model_version: DataTypes.STRING,
 
       location: DataTypes.STRING,
@@ -79,6 +77,21 @@ module.exports = (sequelize,DataTypes) => {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
       },
+
+      // Numeric companions of the free-text fields above, for range queries
+      mileage_km: DataTypes.INTEGER,
+      power_hp: DataTypes.INTEGER,
+      power_kw: DataTypes.INTEGER,
+      engine_cc: DataTypes.INTEGER,
+      weight_kg: DataTypes.INTEGER,
+      co2_g_km: DataTypes.INTEGER,
+      consumption_l_100km: DataTypes.FLOAT,
+
+      // Share (0..1) of the fields expected from the source that were extracted, and which ones are missing
+      data_completeness: DataTypes.FLOAT,
+      missing_fields: DataTypes.ARRAY(DataTypes.STRING),
+      // How the detail page was read: 'next_data' (__NEXT_DATA__ JSON) or 'css' (selector fallback)
+      extraction_strategy: DataTypes.STRING,
     },
     {
       sequelize,
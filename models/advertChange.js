@@ -0,0 +1,44 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdvertChange extends Model {
+    static associate(models) {
+      AdvertChange.belongsTo(models.Advert, { foreignKey: 'advert_id', as: 'advert' });
+      AdvertChange.belongsTo(models.Control, { foreignKey: 'control_id', as: 'control' });
+    }
+  }
+
+  AdvertChange.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      advert_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      control_id: DataTypes.INTEGER,
+      // Advert column that changed, e.g. 'price' or 'description'
+      field: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      old_value: DataTypes.TEXT,
+      new_value: DataTypes.TEXT,
+      changed_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AdvertChange',
+      tableName: 'autoscout_advert_changes',
+      timestamps: false,
+    }
+  );
+
+  return AdvertChange;
+};
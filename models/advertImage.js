@@ -0,0 +1,51 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdvertImage extends Model {
+    static associate(models) {
+      AdvertImage.belongsTo(models.Advert, { foreignKey: 'advert_id', as: 'advert' });
+    }
+  }
+
+  AdvertImage.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      advert_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // 0-based order of the image in the listing gallery
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      original_url: {
+        type: DataTypes.STRING(1000),
+        allowNull: false,
+      },
+      // MinIO URL, null when the image was not mirrored (see IMAGE_MIRROR_LIMIT)
+      stored_url: DataTypes.STRING(1000),
+      width: DataTypes.INTEGER,
+      height: DataTypes.INTEGER,
+      created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AdvertImage',
+      tableName: 'autoscout_advert_images',
+      timestamps: false,
+      indexes: [
+        { unique: true, fields: ['advert_id', 'position'] },
+      ],
+    }
+  );
+
+  return AdvertImage;
+};
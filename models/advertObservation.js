@@ -0,0 +1,47 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdvertObservation extends Model {
+    static associate(models) {
+      AdvertObservation.belongsTo(models.Advert, { foreignKey: 'advert_id', as: 'advert' });
+      AdvertObservation.belongsTo(models.Control, { foreignKey: 'control_id', as: 'control' });
+    }
+  }
+
+  AdvertObservation.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      advert_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      control_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      seen_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: [['new', 'existing', 'reactivated', 'deactivated']],
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AdvertObservation',
+      tableName: 'autoscout_advert_observations',
+      timestamps: false,
+    }
+  );
+
+  return AdvertObservation;
+};
@@ -0,0 +1,40 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdvertPriceHistory extends Model {
+    static associate(models) {
+      AdvertPriceHistory.belongsTo(models.Advert, { foreignKey: 'advert_id', as: 'advert' });
+      AdvertPriceHistory.belongsTo(models.Control, { foreignKey: 'control_id', as: 'control' });
+    }
+  }
+
+  AdvertPriceHistory.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      advert_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      control_id: DataTypes.INTEGER,
+      price: DataTypes.FLOAT,
+      price_currency: DataTypes.STRING,
+      mileage_km: DataTypes.INTEGER,
+      recorded_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AdvertPriceHistory',
+      tableName: 'autoscout_advert_price_history',
+      timestamps: false,
+    }
+  );
+
+  return AdvertPriceHistory;
+};
@@ -3,7 +3,10 @@ const { Model, DataTypes } = require('sequelize');
 module.exports = (sequelize,DataTypes) => {
   class Control extends Model {
     static associate(models) {
-      // No associations needed
+      Control.hasMany(models.AdvertPriceHistory, { foreignKey: 'control_id', as: 'priceHistory' });
+      Control.hasMany(models.AdvertObservation, { foreignKey: 'control_id', as: 'observations' });
+      Control.hasMany(models.AdvertChange, { foreignKey: 'control_id', as: 'changes' });
+      Control.hasMany(models.RunCheckpoint, { foreignKey: 'control_id', as: 'checkpoints' });
     }
   }
 
@@ -15,6 +18,14 @@ module.exports = (sequelize,DataTypes) => {
         primaryKey: true,
       },
       date: DataTypes.DATE,
+      // 'scraper', 'checker' or 'on_demand' (a job queued through the API) - which job opened this session
+      type: {
+        type: DataTypes.STRING,
+        defaultValue: 'scraper',
+      },
+      // 'running', 'completed' or 'failed'; a 'running' scraper session left by a crash is resumed
+      status: DataTypes.STRING,
+      completed_at: DataTypes.DATE,
     },
     {
       sequelize,
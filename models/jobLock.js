@@ -0,0 +1,41 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class JobLock extends Model {
+    static associate(models) {
+      // No associations needed
+    }
+  }
+
+  JobLock.init(
+    {
+      // Job guarded by the lock, e.g. 'scraper' or 'checker'
+      job_name: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+      },
+      // hostname:pid:random of the process holding the lock
+      owner_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      acquired_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+      // Refreshed while the job runs; a lock whose heartbeat is too old can be taken over
+      heartbeat_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'JobLock',
+      tableName: 'autoscout_job_locks',
+      timestamps: false,
+    }
+  );
+
+  return JobLock;
+};
@@ -0,0 +1,75 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class JobRequest extends Model {
+    static associate(models) {
+      JobRequest.belongsTo(models.Control, { foreignKey: 'control_id', as: 'control' });
+    }
+  }
+
+  JobRequest.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      // 'scrape_user', 'check_user' or 'check_advert'
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: [['scrape_user', 'check_user', 'check_advert']],
+        },
+      },
+      // Dealer (user) id for the *_user types, advert id for check_advert
+      target_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'queued',
+        validate: {
+          isIn: [['queued', 'running', 'completed', 'failed']],
+        },
+      },
+      // Control (type 'on_demand') the job's observations are linked to
+      control_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Instance that ran the job (see jobLockService OWNER_ID)
+      claimed_by: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+      started_at: DataTypes.DATE,
+      finished_at: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: 'JobRequest',
+      tableName: 'autoscout_job_requests',
+      timestamps: false,
+      indexes: [
+        { fields: ['status', 'created_at'] },
+      ],
+    }
+  );
+
+  return JobRequest;
+};
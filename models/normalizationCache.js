@@ -0,0 +1,44 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class NormalizationCache extends Model {
+    static associate(models) {
+      // No associations needed
+    }
+  }
+
+  NormalizationCache.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      // Normalizer that produced the result, e.g. 'fuel_type', 'power_hp', 'mileage'
+      kind: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      input_key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      result: DataTypes.STRING,
+      created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'NormalizationCache',
+      tableName: 'autoscout_normalization_cache',
+      timestamps: false,
+      indexes: [
+        { unique: true, fields: ['kind', 'input_key'] },
+      ],
+    }
+  );
+
+  return NormalizationCache;
+};
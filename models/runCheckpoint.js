@@ -0,0 +1,54 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RunCheckpoint extends Model {
+    static associate(models) {
+      RunCheckpoint.belongsTo(models.Control, { foreignKey: 'control_id', as: 'control' });
+    }
+  }
+
+  RunCheckpoint.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      control_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Dealer (user) id from the users API
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'in_progress',
+        validate: {
+          isIn: [['in_progress', 'completed', 'failed']],
+        },
+      },
+      // Last inventory page fully processed for this dealer
+      last_make: DataTypes.STRING,
+      last_page: DataTypes.INTEGER,
+      updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'RunCheckpoint',
+      tableName: 'autoscout_run_checkpoints',
+      timestamps: false,
+      indexes: [
+        { unique: true, fields: ['control_id', 'user_id'] },
+      ],
+    }
+  );
+
+  return RunCheckpoint;
+};
@@ -0,0 +1,152 @@
+const { defineAdapter } = require('./marketplaceAdapter');
+const { REGION_APIS, getRegion, getRegionByUrl } = require('../services/regionRegistry');
+const {
+  extractDealerIdFromChUrl,
+  fetchAllSwissDealerListings,
+  fetchSwissListingById,
+  convertSwissListingToStandard,
+} = require('../services/autoscoutChApi');
+const { mergeSwissListing, mapSwissListingToAdvert } = require('../services/swissListingMapper');
+const { buildSwissGallery } = require('../services/advertImageService');
+const { computeCompleteness, SWISS_API_FIELDS } = require('../services/completenessService');
+const { extractSwissListingSnapshot } = require('../services/priceHistoryService');
+const { SWISS_TRACKED_FIELDS } = require('../services/advertChangeService');
+
+/**
+ * AutoScout24.ch adapter
+ * Dealers on autoscout24.ch: inventory from api.autoscout24.ch/v1/listings/search,
+ * adverts mapped from the API data (optionally enriched with /v1/listings/{id}).
+ */
+
+function matchesUrl(url) {
+  const region = getRegionByUrl(url);
+  return region ? region.api === REGION_APIS.SWISS : false;
+}
+
+/**
+ * Resolve the Swiss dealer id from a seller URL
+ * @param {Object} user - User with autoscout_url (.../s/seller-1729890)
+ * @returns {Promise<Object>} - { region, dealerId }
+ * @throws {Error} - When the URL has no seller id
+ */
+async function discoverDealer(user) {
+  const region = getRegion('ch');
+  console.log(`[SCRAPER] ${region.flag} Detected Swiss region URL: ${user.autoscout_url}`);
+  console.log(`[SCRAPER] ${region.flag} Starting Swiss region scraping for user ${user.id}: ${user.autoscout_url}`);
+
+  const dealerId = extractDealerIdFromChUrl(user.autoscout_url);
+  if (!dealerId) {
+    throw new Error(`Could not extract dealer ID from Swiss URL: ${user.autoscout_url}`);
+  }
+  console.log(`[SCRAPER] 🏢 Extracted dealer ID: ${dealerId}`);
+
+  return { region, dealerId };
+}
+
+/**
+ * Fetch every professional listing of the dealer (the search API pages internally)
+ * @param {Object} dealer - Output of discoverDealer
+ * @param {Object} options
+ * @param {Object} options.resumeFrom - Cursor of an interrupted run; the single page is then already done
+ * @returns {AsyncGenerator<Object>} - A single { label, listings, cursor } page
+ */
+async function* listDealerInventory(dealer, { resumeFrom = null } = {}) {
+  if (resumeFrom?.page >= 1) {
+    console.log(`[SCRAPER] ⏭️ Swiss dealer ${dealer.dealerId} was fully processed before restart`);
+    return;
+  }
+
+  const listings = await fetchAllSwissDealerListings(dealer.dealerId);
+
+  // Filter for professional sellers only (as per documentation)
+  const professionalListings = listings.filter(listing => listing.seller?.type === 'professional');
+
+  console.log(`[SCRAPER] 📊 Swiss API Results for dealer ${dealer.dealerId}:`);
+  console.log(`[SCRAPER]    Total listings: ${listings.length}`);
+  console.log(`[SCRAPER]    Professional listings: ${professionalListings.length}`);
+
+  yield { label: 'Swiss API', listings: professionalListings.map(convertSwissListingToStandard), cursor: { make: null, page: 1 } };
+}
+
+function getListingId(listing) {
+  return listing?.id ? String(listing.id) : null;
+}
+
+/**
+ * Map a new Swiss listing to Advert attributes
+ * With SWISS_FETCH_LISTING_DETAILS=true the search result is enriched with /v1/listings/{id}.
+ * @param {Object} listing - Listing from the search API
+ * @param {Object} dealer - Output of discoverDealer
+ * @param {Object} options - { user, isInitialRun }
+ * @returns {Promise<Object>} - { advertData, images }
+ */
+async function fetchListingDetail(listing, dealer, { user, isInitialRun = false } = {}) {
+  // The search result lacks some technical fields; optionally enrich it with /v1/listings/{id}
+  let detailListing = null;
+  if (process.env.SWISS_FETCH_LISTING_DETAILS === 'true') {
+    try {
+      detailListing = await fetchSwissListingById(listing.id);
+    } catch (error) {
+      console.warn(`[SCRAPER] ⚠️ [Swiss] Could not fetch details for listing ${listing.id}, using search data only:`, error.message);
+    }
+  }
+  const fullListing = mergeSwissListing(listing, detailListing);
+
+  // Full gallery; the first IMAGE_MIRROR_LIMIT images are mirrored into MinIO after the advert is created
+  const images = buildSwissGallery(fullListing);
+  const originalImageUrl = images[0]?.url || null;
+
+  const advertData = {
+    ...mapSwissListingToAdvert(fullListing, { user, isInitialRun }),
+    image_url: originalImageUrl, // Replaced by the MinIO URL once the gallery is mirrored
+    original_image_url: originalImageUrl
+  };
+
+  // Missing fields are stored as NULL; score against what the Swiss API provides
+  Object.assign(advertData, computeCompleteness(advertData, SWISS_API_FIELDS));
+
+  return { advertData, images };
+}
+
+/**
+ * Advert attributes of an inventory listing, compared with the stored row
+ * @param {Object} listing - Listing from the search API
+ * @param {Object} options - { user }
+ * @returns {Object}
+ */
+function mapListingFields(listing, { user } = {}) {
+  const observed = mapSwissListingToAdvert(listing, { user });
+  if (!listing.description && process.env.SWISS_FETCH_LISTING_DETAILS === 'true') {
+    // The search teaser is shorter than the detail description stored at creation
+    delete observed.description;
+  }
+  return observed;
+}
+
+/**
+ * Whether the listing is still served by /v1/listings/{id}
+ * Only a 404 reads as unavailable; any other failure throws, like the EU adapter.
+ * @param {Object} advert - Advert (only autoscout_id is used)
+ * @returns {Promise<boolean>}
+ * @throws {Error} - When the API answers anything but 200/404 or cannot be reached
+ */
+async function checkAvailability(advert) {
+  const listingData = await fetchSwissListingById(advert.autoscout_id);
+  return Boolean(listingData);
+}
+
+module.exports = defineAdapter({
+  name: 'autoscout24_ch',
+  label: 'Swiss',
+  matchesUrl,
+  discoverDealer,
+  listDealerInventory,
+  getListingId,
+  fetchListingDetail,
+  checkAvailability,
+  getListingSnapshot: extractSwissListingSnapshot,
+  mapListingFields,
+  trackedFields: SWISS_TRACKED_FIELDS,
+  expectedFields: SWISS_API_FIELDS,
+  matchRelistedAdverts: false
+});
@@ -0,0 +1,267 @@
+const cheerio = require('cheerio');
+const { defineAdapter } = require('./marketplaceAdapter');
+const { REGION_APIS, getRegionByUrl, getDefaultRegion, resolveRegionCultureIso } = require('../services/regionRegistry');
+const {
+  resolveCultureIsoFromUrl,
+  getVisitorCookie,
+  requestWithSessionRefresh,
+  isConsentWall,
+  extractCustomerIdFromHtml,
+  extractMakeOptionsFromHtml,
+  fetchDealerListings,
+  getHttpsAgent,
+} = require('../services/autoscoutApi');
+const { getListingInfos } = require('../services/extractNewAdvert');
+const { extractApiListingSnapshot } = require('../services/priceHistoryService');
+const { isListingPresentInNextData } = require('../services/listingDetailsExtractor');
+const { DETAIL_PAGE_FIELDS } = require('../services/completenessService');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders } = require('../utils/headerProfiles');
+const { readConcurrency, createWorkerPool } = require('../utils/workerPool');
+
+/**
+ * AutoScout24 EU adapter
+ * Dealers on autoscout24.be/.de/.nl/.it/.fr/.at/.lu/.es: inventory from the
+ * dealer-detail fetch-listings API (per make, paginated), details from the
+ * autoscout24.com/offers page.
+ */
+
+const MAX_PAGES_PER_MAKE = 100;
+
+function matchesUrl(url) {
+  const region = getRegionByUrl(url);
+  return region ? region.api === REGION_APIS.DEALER_DETAIL : false;
+}
+
+/**
+ * Load the dealer page to resolve its customerId, culture, visitor cookie and makes
+ * @param {Object} user - User with autoscout_url
+ * @returns {Promise<Object|null>} - Dealer context or null when no customerId was found
+ */
+async function discoverDealer(user) {
+  let region = getRegionByUrl(user.autoscout_url);
+  if (!region) {
+    region = getDefaultRegion();
+    console.warn(`[SCRAPER] ⚠️ Unknown AutoScout24 region for ${user.autoscout_url}, falling back to ${region.name}`);
+  }
+  console.log(`[SCRAPER] ${region.flag} Using ${region.name} region API for: ${user.autoscout_url}`);
+
+  const cultureIso = resolveCultureIsoFromUrl(user.autoscout_url);
+
+  // The homepage visit starts the visitor session; its cookies go out with every following request of the dealer
+  const visitorCookie = await getVisitorCookie(region);
+  console.log(`[SCRAPER] 🍪 Visitor session ${visitorCookie ? 'started' : 'started without as24Visitor cookie'}`);
+
+  const dealerRes = await requestWithSessionRefresh(() => httpClient.get(user.autoscout_url, {
+    httpsAgent: getHttpsAgent(),
+    headers: buildBrowserHeaders({ defaultCultureIso: cultureIso })
+  }, { label: 'dealer page' }), region);
+  const html = dealerRes.data;
+  const customerId = await extractCustomerIdFromHtml(html, region.baseUrl);
+  console.log("[SCRAPER] scraping user", user.id);
+  console.log('[SCRAPER] customerId', customerId);
+  if (!customerId) {
+    console.error('[SCRAPER] ❌ Could not resolve customerId from dealer page:', user.autoscout_url);
+    return null;
+  }
+
+  console.log(`[SCRAPER] 🏷️ Using customerId=${customerId}, cultureIso=${cultureIso}`);
+
+  const makeOptions = extractMakeOptionsFromHtml(html);
+  console.log(`[SCRAPER] 🧭 Found ${makeOptions.length} makes to scrape`);
+
+  return {
+    region,
+    customerId,
+    cultureIso,
+    makeOptions,
+    referer: user.autoscout_url
+  };
+}
+
+/**
+ * Fetch the pages of one make until the API returns an empty page
+ * A failing request ends the make; the pages fetched before it are kept.
+ * @param {Object} dealer - Output of discoverDealer
+ * @param {Object} make - { id, label }
+ * @param {number} firstPage - Page to start from (after a resumed checkpoint)
+ * @returns {Promise<Array<Object>>} - { label, listings, cursor } per non-empty page
+ */
+async function fetchMakePages(dealer, make, firstPage = 1) {
+  const pages = [];
+  console.log(`[SCRAPER] 🔎 Fetching listings for makeId=${make.id} (${make.label})`);
+
+  try {
+    for (let page = firstPage; page <= MAX_PAGES_PER_MAKE; page++) {
+      console.log(`[SCRAPER] 📤 Posting to dealer API page=${page} for customerId=${dealer.customerId} makeId=${make.id}`);
+      const data = await fetchDealerListings({
+        customerId: dealer.customerId,
+        page,
+        cultureIso: dealer.cultureIso,
+        referer: dealer.referer,
+        makeId: make.id,
+        region: dealer.region
+      });
+
+      const items = data?.listings || data?.result?.listings || data?.data || [];
+      const count = Array.isArray(items) ? items.length : 0;
+      console.log(`[SCRAPER] 📥 API page ${page} (${make.label}) returned ${count} listings`);
+      if (count === 0) break;
+
+      pages.push({ label: `page ${page} (${make.label})`, listings: items, cursor: { make: make.label, page } });
+
+      if (page === MAX_PAGES_PER_MAKE) {
+        console.warn(`[SCRAPER] ⚠️ Safety stop reached for make ${make.label}.`);
+      }
+    }
+  } catch (error) {
+    console.error(`[SCRAPER] ❌ Error processing make ${make.label}:`, error.message);
+  }
+
+  return pages;
+}
+
+/**
+ * Page through the dealer's listings make by make
+ * MAKE_PROCESSING_CONCURRENCY makes are fetched ahead at the same time; their
+ * pages are still yielded in make order so checkpoints stay meaningful.
+ * @param {Object} dealer - Output of discoverDealer
+ * @param {Object} options
+ * @param {Object} options.resumeFrom - { make, page } of the last page processed by an interrupted run
+ * @returns {AsyncGenerator<Object>} - { label, listings, cursor } per API page
+ */
+async function* listDealerInventory(dealer, { resumeFrom = null } = {}) {
+  const { makeOptions } = dealer;
+
+  // Makes before the checkpointed one were fully processed by the interrupted run
+  let skipping = Boolean(resumeFrom?.make);
+  if (skipping && !makeOptions.some(make => make.label === resumeFrom.make)) {
+    console.warn(`[SCRAPER] ⚠️ Checkpointed make ${resumeFrom.make} is no longer offered, scraping all makes`);
+    skipping = false;
+  }
+
+  const makesToFetch = [];
+  for (let i = 0; i < makeOptions.length; i++) {
+    const make = makeOptions[i];
+    let firstPage = 1;
+    if (skipping) {
+      if (make.label !== resumeFrom.make) {
+        console.log(`[SCRAPER] ⏭️ Skipping make already processed before restart: ${make.label}`);
+        continue;
+      }
+      skipping = false;
+      firstPage = resumeFrom.page + 1;
+      console.log(`[SCRAPER] 🔄 Resuming make ${make.label} from page ${firstPage}`);
+    }
+    makesToFetch.push({ make, position: i + 1, firstPage });
+  }
+
+  // At most makeConcurrency makes are in flight or waiting to be yielded, which keeps memory bounded
+  const makeConcurrency = readConcurrency('MAKE_PROCESSING_CONCURRENCY');
+  const pool = createWorkerPool(makeConcurrency);
+  const fetches = [];
+  console.log(`[SCRAPER] 🧵 Processing ${makesToFetch.length} makes with concurrency ${makeConcurrency}`);
+
+  for (let i = 0; i < makesToFetch.length; i++) {
+    while (fetches.length < Math.min(i + makeConcurrency, makesToFetch.length)) {
+      const { make, position, firstPage } = makesToFetch[fetches.length];
+      fetches.push(pool.run(() => {
+        console.log(`[SCRAPER] 📋 Processing make ${position}/${makeOptions.length}: ${make.label}`);
+        return fetchMakePages(dealer, make, firstPage);
+      }));
+    }
+
+    const { make } = makesToFetch[i];
+    const pages = await fetches[i];
+    fetches[i] = null;
+
+    for (const page of pages) {
+      yield page;
+
+      // Force garbage collection after each page if available
+      if (global.gc) {
+        global.gc();
+        console.log(`[SCRAPER] 🧹 Garbage collection triggered after ${page.label}`);
+      }
+    }
+    console.log(`[SCRAPER] ✅ Completed make: ${make.label}`);
+  }
+}
+
+function getListingId(listing) {
+  return listing?.id ? String(listing.id) : null;
+}
+
+/**
+ * Read a new listing from its autoscout24.com/offers page
+ * @param {Object} listing - Listing from fetch-listings
+ * @param {Object} dealer - Output of discoverDealer
+ * @param {Object} options - { user, isInitialRun }
+ * @returns {Promise<Object>} - { advertData, images }
+ */
+async function fetchListingDetail(listing, dealer, { user, isInitialRun = false } = {}) {
+  const articleId = getListingId(listing);
+  const advertUrl = `${dealer.region.detailBaseUrl}${articleId}`;
+  const { images, ...advertData } = await getListingInfos(advertUrl, articleId, user, isInitialRun, dealer.region);
+  return { advertData, images };
+}
+
+/**
+ * Whether the advert page of the region's detail site still shows the listing
+ * @param {Object} advert - Advert (autoscout_id, and link when known)
+ * @param {Object} options
+ * @param {Object} options.region - Region of the dealer; defaults to the region of advert.link
+ * @returns {Promise<boolean>}
+ */
+async function checkAvailability(advert, { region = null } = {}) {
+  const advertRegion = region || getRegionByUrl(advert.link) || getDefaultRegion();
+  const advertUrl = `${advertRegion.detailBaseUrl}${advert.autoscout_id}`;
+  const response = await requestWithSessionRefresh(() => httpClient.get(advertUrl, {
+    httpsAgent: getHttpsAgent(),
+    headers: buildBrowserHeaders({ defaultCultureIso: resolveRegionCultureIso(advert.link, advertRegion) }),
+    validateStatus: () => true
+  }, { label: 'advert page' }), advertRegion);
+
+  // A throttled or failing site says nothing about the listing; the caller must not deactivate it
+  if (response.status === 429 || response.status >= 500) {
+    throw new Error(`Advert page answered ${response.status} after retries`);
+  }
+  // Still blocked after a session refresh: the page says nothing about the listing either
+  if (response.status === 401 || response.status === 403 || isConsentWall(response)) {
+    throw new Error(`Advert page blocked (${isConsentWall(response) ? 'consent wall' : response.status}) after session refresh`);
+  }
+
+  const html = response.data || '';
+  const $ = cheerio.load(html);
+
+  // The structured listing JSON survives front-end redeploys, so it is checked first
+  if (isListingPresentInNextData($)) {
+    return true;
+  }
+
+  // Stricter presence checks to avoid false positives on placeholder/error pages
+  const hasMake = $('.StageTitle_makeModelContainer__RyjBP').length > 0;
+  const hasModel = $('.StageTitle_modelVersion__Yof2Z').length > 0;
+  const hasTitleMakeModel = hasMake && hasModel;
+  const hasPrice = $('.PriceInfo_price__XU0aF').length > 0 || $('[data-testid="price-section"]').length > 0;
+  const hasActionBtn = $('#lead-form-lightbox-desktop-button').length > 0 || $('#call-desktop-button').length > 0;
+  const hasStageContainer = $('.StageArea_informationContainer__VRqU6').length > 0;
+
+  const isValidListing = (hasTitleMakeModel && hasPrice) || (hasStageContainer && (hasTitleMakeModel || hasPrice)) || (hasActionBtn && hasTitleMakeModel);
+  return isValidListing;
+}
+
+module.exports = defineAdapter({
+  name: 'autoscout24_eu',
+  label: 'API',
+  matchesUrl,
+  discoverDealer,
+  listDealerInventory,
+  getListingId,
+  fetchListingDetail,
+  checkAvailability,
+  getListingSnapshot: extractApiListingSnapshot,
+  expectedFields: DETAIL_PAGE_FIELDS,
+  // Dealers re-publish cars under a new id; extractNewAdvert matched those to the stored row
+  matchRelistedAdverts: true
+});
@@ -0,0 +1,62 @@
+const { defineAdapter } = require('./marketplaceAdapter');
+const autoscoutChAdapter = require('./autoscoutChAdapter');
+const autoscoutEuAdapter = require('./autoscoutEuAdapter');
+
+/**
+ * Marketplace adapters
+ * The scraper asks this registry which adapter handles a dealer URL. A new
+ * portal (2dehands/2ememain, mobile.de, ...) is added by writing an adapter
+ * that satisfies marketplaceAdapter.js and registering it here.
+ */
+
+const adapters = [autoscoutChAdapter, autoscoutEuAdapter];
+
+// Dealer URLs no adapter claims keep going through the AutoScout24 EU flow (Belgium)
+const fallbackAdapter = autoscoutEuAdapter;
+
+/**
+ * Register an additional adapter; it is tried before the built-in ones
+ * @param {Object} adapter - Object satisfying the marketplace adapter contract
+ * @returns {Object} - The registered adapter
+ */
+function registerAdapter(adapter) {
+  defineAdapter(adapter);
+  if (adapters.some(existing => existing.name === adapter.name)) {
+    throw new Error(`Marketplace adapter "${adapter.name}" is already registered`);
+  }
+  adapters.unshift(adapter);
+  return adapter;
+}
+
+/**
+ * Find the adapter for a dealer URL
+ * @param {string} url - user.autoscout_url
+ * @returns {Object}
+ */
+function getAdapterForUrl(url) {
+  return adapters.find(adapter => adapter.matchesUrl(url)) || fallbackAdapter;
+}
+
+/**
+ * Get a registered adapter by name
+ * @param {string} name - e.g. 'autoscout24_ch'
+ * @returns {Object|null}
+ */
+function getAdapter(name) {
+  return adapters.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * All registered adapters
+ * @returns {Array<Object>}
+ */
+function listAdapters() {
+  return [...adapters];
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapterForUrl,
+  getAdapter,
+  listAdapters
+};
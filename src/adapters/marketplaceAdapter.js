@@ -0,0 +1,71 @@
+/**
+ * Marketplace Adapter contract
+ * Everything the scraper needs from a listing portal. An adapter only talks to
+ * the portal and maps its data to Advert columns; storing adverts, price
+ * history, observations and change events stays in src/services/scraper.js.
+ *
+ * Required members:
+ * - name {string}                               Short identifier used in logs, e.g. 'autoscout24_ch'
+ * - matchesUrl(url) → boolean                   Whether a dealer URL belongs to this portal
+ * - discoverDealer(user) → Promise<Object|null> Resolve the dealer behind user.autoscout_url (ids, cookies, ...);
+ *                                               null when the dealer cannot be found
+ * - listDealerInventory(dealer, { resumeFrom }) → AsyncIterable<{ label, listings, cursor }>
+ *                                               Pages of raw listings currently published by the dealer.
+ *                                               cursor ({ make, page }) is checkpointed after each page;
+ *                                               resumeFrom is the last checkpointed cursor of an interrupted run
+ * - getListingId(listing) → string|null         Portal id stored in Advert.autoscout_id
+ * - fetchListingDetail(listing, dealer, { user, isInitialRun }) → Promise<{ advertData, images }>
+ *                                               Advert attributes and gallery ([{ url, width, height }]) of a new listing
+ * - checkAvailability(advert, { region }) → Promise<boolean>
+ *                                               Whether a stored advert is still online, checked on the
+ *                                               dealer's region when given; throws when the site cannot
+ *                                               tell (throttled, failing, blocked)
+ *
+ * Optional members:
+ * - label {string}                              Tag shown in scraper log lines, e.g. 'Swiss'
+ * - getListingSnapshot(listing) → { price, price_currency, mileage, mileage_km }
+ *                                               Values tracked in autoscout_advert_price_history
+ * - mapListingFields(listing, { user }) → Object
+ *                                               Advert attributes of an inventory listing, compared with
+ *                                               the stored row to record field changes
+ * - trackedFields {Array<string>}               Columns compared by mapListingFields (required with it)
+ * - expectedFields {Array<string>}              Completeness field list (see completenessService)
+ * - matchRelistedAdverts {boolean}              Reuse a stored advert with the same characteristics when a
+ *                                               new listing id appears (the portal re-lists cars under new ids)
+ */
+
+const REQUIRED_MEMBERS = {
+  name: 'string',
+  matchesUrl: 'function',
+  discoverDealer: 'function',
+  listDealerInventory: 'function',
+  getListingId: 'function',
+  fetchListingDetail: 'function',
+  checkAvailability: 'function'
+};
+
+/**
+ * Validate an adapter against the contract
+ * @param {Object} adapter
+ * @returns {Object} - The same adapter
+ * @throws {Error} - When a required member is missing
+ */
+function defineAdapter(adapter) {
+  const missing = Object.entries(REQUIRED_MEMBERS)
+    .filter(([member, type]) => typeof adapter?.[member] !== type)
+    .map(([member]) => member);
+
+  if (missing.length > 0) {
+    throw new Error(`Marketplace adapter "${adapter?.name || 'unnamed'}" is missing: ${missing.join(', ')}`);
+  }
+  if (typeof adapter.mapListingFields === 'function' && !Array.isArray(adapter.trackedFields)) {
+    throw new Error(`Marketplace adapter "${adapter.name}" implements mapListingFields without trackedFields`);
+  }
+
+  return adapter;
+}
+
+module.exports = {
+  REQUIRED_MEMBERS,
+  defineAdapter
+};
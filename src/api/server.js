@@ -0,0 +1,240 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const {
+    listAdverts,
+    getAdvertWithHistory,
+    getSellerSummary,
+    listRuns,
+    getRun
+} = require('../services/advertQueryService');
+const {
+    JOB_REQUEST_TYPES,
+    JOB_REQUEST_STATUSES,
+    enqueueJobRequest,
+    getJobRequest,
+    listJobRequests
+} = require('../services/jobQueueService');
+
+/**
+ * Read API
+ * JSON endpoints over the Sequelize models so dashboards no longer query the
+ * tables directly, plus /jobs to queue a scrape or check of one dealer or
+ * advert (run by the job queue worker, see jobQueueService.js). Started by
+ * main.js when API_ON=true, or on its own with `npm run api`.
+ *
+ * API_PORT    Port to listen on (default 3000, the port the Dockerfile exposes)
+ * API_TOKEN   When set, every endpoint except /health needs "Authorization: Bearer <token>"
+ */
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const RUN_TYPES = ['scraper', 'checker', 'on_demand'];
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Query parameters
+// ---------------------------------------------------------------------------
+
+function parseInteger(value, name, { min = 0 } = {}) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new ApiError(400, `${name} must be an integer >= ${min}`);
+    }
+    return number;
+}
+
+function parseNumber(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new ApiError(400, `${name} must be a number`);
+    }
+    return number;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const normalized = String(value).toLowerCase();
+    if (normalized === 'true' || normalized === '1') return true;
+    if (normalized === 'false' || normalized === '0') return false;
+    throw new ApiError(400, `${name} must be true or false`);
+}
+
+function parseEnum(value, name, allowed) {
+    if (value === undefined || value === '') return undefined;
+    if (!allowed.includes(value)) {
+        throw new ApiError(400, `${name} must be one of ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+function parsePage(query) {
+    const limit = parseInteger(query.limit, 'limit', { min: 1 }) ?? DEFAULT_PAGE_SIZE;
+    const offset = parseInteger(query.offset, 'offset') ?? 0;
+    return { limit: Math.min(limit, MAX_PAGE_SIZE), offset };
+}
+
+function parseId(value, name = 'id') {
+    return parseInteger(value, name, { min: 1 });
+}
+
+// ---------------------------------------------------------------------------
+// App
+// ---------------------------------------------------------------------------
+
+// Lets express forward rejected promises to the error handler
+const asyncHandler = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+function tokensMatch(expected, provided) {
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided || '');
+    return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+function requireToken(req, res, next) {
+    const token = process.env.API_TOKEN;
+    if (!token) return next();
+
+    const [scheme, provided] = String(req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !tokensMatch(token, provided)) {
+        return next(new ApiError(401, 'Missing or invalid API token'));
+    }
+    next();
+}
+
+/**
+ * Build the express app
+ * @returns {Object} - express application
+ */
+function createApiApp() {
+    const app = express();
+    app.disable('x-powered-by');
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+    });
+
+    app.use(requireToken);
+    app.use(express.json());
+
+    app.get('/adverts', asyncHandler(async (req, res) => {
+        const filters = {
+            sellerId: parseInteger(req.query.seller_id, 'seller_id'),
+            make: req.query.make || undefined,
+            model: req.query.model || undefined,
+            active: parseBoolean(req.query.active, 'active'),
+            minPrice: parseNumber(req.query.min_price, 'min_price'),
+            maxPrice: parseNumber(req.query.max_price, 'max_price')
+        };
+        res.json(await listAdverts(filters, parsePage(req.query)));
+    }));
+
+    app.get('/adverts/:id', asyncHandler(async (req, res) => {
+        const advert = await getAdvertWithHistory(parseId(req.params.id));
+        if (!advert) throw new ApiError(404, `Advert ${req.params.id} not found`);
+        res.json(advert);
+    }));
+
+    app.get('/sellers/:id/summary', asyncHandler(async (req, res) => {
+        const summary = await getSellerSummary(parseId(req.params.id));
+        if (!summary) throw new ApiError(404, `No adverts for seller ${req.params.id}`);
+        res.json(summary);
+    }));
+
+    app.get('/runs', asyncHandler(async (req, res) => {
+        const filters = {
+            type: parseEnum(req.query.type, 'type', RUN_TYPES),
+            status: parseEnum(req.query.status, 'status', RUN_STATUSES)
+        };
+        res.json(await listRuns(filters, parsePage(req.query)));
+    }));
+
+    app.get('/runs/:controlId', asyncHandler(async (req, res) => {
+        const run = await getRun(parseId(req.params.controlId, 'controlId'));
+        if (!run) throw new ApiError(404, `Run ${req.params.controlId} not found`);
+        res.json(run);
+    }));
+
+    app.post('/jobs', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const type = parseEnum(body.type, 'type', JOB_REQUEST_TYPES);
+        const targetId = parseId(body.target_id, 'target_id');
+        if (!type || !targetId) throw new ApiError(400, 'type and target_id are required');
+        res.status(202).json(await enqueueJobRequest(type, targetId));
+    }));
+
+    app.get('/jobs', asyncHandler(async (req, res) => {
+        const filters = {
+            type: parseEnum(req.query.type, 'type', JOB_REQUEST_TYPES),
+            status: parseEnum(req.query.status, 'status', Object.values(JOB_REQUEST_STATUSES))
+        };
+        res.json(await listJobRequests(filters, parsePage(req.query)));
+    }));
+
+    app.get('/jobs/:id', asyncHandler(async (req, res) => {
+        const job = await getJobRequest(parseId(req.params.id));
+        if (!job) throw new ApiError(404, `Job ${req.params.id} not found`);
+        res.json(job);
+    }));
+
+    app.use((req, res, next) => {
+        next(new ApiError(404, `No route for ${req.method} ${req.path}`));
+    });
+
+    app.use((error, req, res, next) => {
+        // Client errors raised by express itself (malformed JSON body, ...) carry their own status
+        const status = error instanceof ApiError || error.expose ? error.status : 500;
+        if (status >= 500) {
+            logger.error(`[API] ❌ ${req.method} ${req.originalUrl} failed:`, error.message);
+        }
+        res.status(status).json({ error: status >= 500 ? 'Internal server error' : error.message });
+    });
+
+    return app;
+}
+
+/**
+ * Start listening
+ * @param {Object} options
+ * @param {number} options.port - Overrides API_PORT
+ * @returns {Promise<Object>} - http.Server
+ */
+function startApiServer({ port } = {}) {
+    const listenPort = port ?? (parseInt(process.env.API_PORT, 10) || DEFAULT_PORT);
+    const app = createApiApp();
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(listenPort, () => {
+            logger.info(`[API] 🌐 Read API listening on port ${server.address().port}${process.env.API_TOKEN ? ' (token required)' : ''}`);
+            resolve(server);
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    ApiError,
+    createApiApp,
+    startApiServer
+};
+
+// Run standalone if called directly
+if (require.main === module) {
+    startApiServer().catch((error) => {
+        logger.error('[API] ❌ Failed to start:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,20 +1,34 @@
 require('dotenv').config();
 const logger = require('../utils/logger');
+const { createControl } = require('../services/runStateService');
 const { checkListingsAcrossUsers } = require('../services/checkListingsService');
+const { resetHttpMetrics, logHttpMetrics } = require('../utils/httpClient');
+const { loadProxyPool, saveProxyHealth } = require('../services/proxyService');
+const { isDryRun, formatDryRunReport } = require('../utils/dryRun');
 
-async function main() {
+/**
+ * Check every dealer's listings
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborted when the job lock is lost (optional)
+ */
+async function main({ signal } = {}) {
     const startTime = new Date();
     logger.info('[CHECKER] 📋 Starting AutoScout24 listings checker...');
     logger.info(`[CHECKER] ⏰ Start time: ${startTime.toLocaleString()}`);
+    resetHttpMetrics();
+    await loadProxyPool();
     
     try {
-        // If USER_PROCESSING_CONCURRENCY_CHECKER is set, we process across users with that concurrency
-        // Otherwise, fallback to single-tenant checkListingsAcrossUsers which handles default concurrency
-        const userConcurrency = process.env.USER_PROCESSING_CONCURRENCY_CHECKER;
-        if (userConcurrency) {
-            logger.info(`[CHECKER] 🧵 USER_PROCESSING_CONCURRENCY_CHECKER=${userConcurrency}. Checking listings across users with concurrency.`);
+        // Create a control record so every checked advert is linked to this session
+        const control = await createControl({ date: new Date(), type: 'checker' });
+        logger.info(isDryRun() ? '[CHECKER] 🧪 Dry run: nothing will be written' : `[CHECKER] 📌 Created control ID: ${control.id}`);
+
+        await checkListingsAcrossUsers(control, { signal });
+        logHttpMetrics(logger, '[CHECKER]');
+        await saveProxyHealth();
+        if (isDryRun()) {
+            logger.info(`[CHECKER] ${formatDryRunReport()}`);
         }
-        await checkListingsAcrossUsers();
         
         const endTime = new Date();
         const duration = endTime - startTime;
@@ -36,6 +50,7 @@ async function main() {
         logger.info(`[CHECKER] ⏰ End time: ${endTime.toLocaleString()}`);
         logger.info(`[CHECKER] ⏱️ Total duration: ${durationMinutes}m ${durationSeconds}s ${durationMs}ms`);
         logger.error('[CHECKER] ❌ Error during checking session:', error.message);
+        await saveProxyHealth();
         throw error;
     }
 }
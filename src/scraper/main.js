@@ -1,13 +1,26 @@
 require('dotenv').config();
 const { searchAllPages, searchAllPagesWithAllSorts, searchAllPagesViaApi } = require('../services/scraper');
 const { getUsersToScrape } = require('../services/userService');
-const { Control } = require('../../models');
 const logger = require('../utils/logger');
 const debugLogger = require('../utils/debugLogger');
 const userScrapingLogger = require('../utils/userScrapingLogger');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { AutoScoutInventory } = require('../../models');
+const { getNormalizationCacheStats, resetNormalizationCacheStats } = require('../services/normalizationCacheService');
+const {
+    CHECKPOINT_STATUSES,
+    startOrResumeControl,
+    finishControl,
+    getCompletedUserIds,
+    markUserFinished
+} = require('../services/runStateService');
+const { readConcurrency, mapWithConcurrency } = require('../utils/workerPool');
+const { resetHttpMetrics, logHttpMetrics } = require('../utils/httpClient');
+const { runInRequestSession } = require('../utils/requestSession');
+const { resolveRegionCultureIso } = require('../services/regionRegistry');
+const { loadProxyPool, saveProxyHealth } = require('../services/proxyService');
+const { isDryRun, formatDryRunReport } = require('../utils/dryRun');
 
 /**
  * Check if a date is within the current week (from Monday to Sunday)
@@ -36,18 +49,34 @@ function isWithinCurrentWeek(dateString) {
 
 
 /**
- * Process users sequentially to prevent memory overflow
+ * Process users, USER_PROCESSING_CONCURRENCY at a time (one by one by default to keep memory flat)
  * @param {Array} users - Array of users to process
  * @param {Object} control - Control object for tracking
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops before the next user once aborted (optional)
  */
-async function  processUsersSequentially(users, control) {
+async function processUsers(users, control, { signal } = {}) {
     let successCount = 0;
     let errorCount = 0;
+    let skippedCount = 0;
     
-    for (let i = 0; i < users.length; i++) {
-        const user = users[i];
+    // Dealers finished before a crash/restart of this session are not scraped again
+    const completedUserIds = await getCompletedUserIds(control);
+    if (completedUserIds.size > 0) {
+        logger.info(`[SCRAPER] ⏭️ ${completedUserIds.size} users were already completed in control ${control.id}, skipping them`);
+    }
+    
+    const concurrency = readConcurrency('USER_PROCESSING_CONCURRENCY');
+    logger.info(`[SCRAPER] 🧵 Processing ${users.length} users with concurrency ${concurrency}`);
+    
+    await mapWithConcurrency(users, concurrency, async (user, i) => {
         const currentIndex = i + 1;
         
+        if (completedUserIds.has(user.id)) {
+            skippedCount++;
+            return;
+        }
+        
         // Debug log: User start
         debugLogger.logUserStart(user, currentIndex, users.length);
         
@@ -57,7 +86,13 @@ async function  processUsersSequentially(users, control) {
         logger.info(`[SCRAPER] 🔄 Processing user ${currentIndex}/${users.length}: ${user.id} (${user.company_name || 'Unknown'})`);
         
         try {
-            const userStats = await scrapeUsersListings(user, control);
+            // Every request of a dealer keeps one header profile (and one proxy with PROXY_ROTATION=session)
+            const userStats = await runInRequestSession(
+                `dealer:${user.id}`,
+                () => scrapeUsersListings(user, control),
+                { cultureIso: resolveRegionCultureIso(user.autoscout_url) }
+            );
+            await markUserFinished(control, user.id, CHECKPOINT_STATUSES.COMPLETED);
             successCount++;
             
             // Debug log: User success
@@ -77,6 +112,7 @@ async function  processUsersSequentially(users, control) {
             userScrapingLogger.logUserError(user, error, currentIndex, users.length);
             
             logger.error(`[SCRAPER] ❌ Error scraping user ${user.id}:`, error.message);
+            await markUserFinished(control, user.id, CHECKPOINT_STATUSES.FAILED);
             errorCount++;
         }
         
@@ -99,18 +135,13 @@ async function  processUsersSequentially(users, control) {
         
         // Clear any potential references
         user.tempData = null;
-        
-        // Small delay between users to allow memory cleanup and be respectful to server
-        if (i < users.length - 1) {
-            logger.info('[SCRAPER] ⏳ Waiting 3 seconds before next user...');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-        }
-    }
+    }, { signal });
     
     // Return summary instead of full results array
     return {
         successful: successCount,
         failed: errorCount,
+        skipped: skippedCount,
         total: users.length
     };
 }
@@ -118,8 +149,10 @@ async function  processUsersSequentially(users, control) {
 /**
  * Main scraping function
  * Orchestrates the entire scraping process
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborted when the job lock is lost (optional)
  */
-async function main() {
+async function main({ signal } = {}) {
     const startTime = new Date();
     
     // Clear and initialize debug log file
@@ -129,6 +162,9 @@ async function main() {
     userScrapingLogger.clearLogFile();
     
     logger.info('[SCRAPER] 🚀 Starting AutoScout24 scraper...');
+    resetNormalizationCacheStats();
+    resetHttpMetrics();
+    await loadProxyPool();
     logger.info(`[SCRAPER] ⏰ Start time: ${startTime.toLocaleString()}`);
     
     // Check if garbage collection is available
@@ -139,9 +175,15 @@ async function main() {
     }
     
     try {
-        // Create a control record for this scraping session
-        const control = await Control.create({ date: new Date() });
-        logger.info(`[SCRAPER] 📌 Created control ID: ${control.id}`);
+        // Resume the session a crash/restart interrupted, or create a control record for a new one
+        const { control, resumed } = await startOrResumeControl('scraper');
+        if (isDryRun()) {
+            logger.info('[SCRAPER] 🧪 Dry run: nothing will be written');
+        } else if (resumed) {
+            logger.info(`[SCRAPER] 🔄 Resuming interrupted control ID: ${control.id} (started ${control.date.toLocaleString()})`);
+        } else {
+            logger.info(`[SCRAPER] 📌 Created control ID: ${control.id}`);
+        }
         
 
         console.log("--------------------------------getting users--------------------------------");
@@ -203,6 +245,7 @@ async function main() {
             debugLogger.logSessionComplete({ successful: 0, failed: 0, total: 0 });
             userScrapingLogger.logSessionStart(0);
             userScrapingLogger.logSessionComplete({ successful: 0, failed: 0, total: 0 });
+            await finishControl(control);
             return;
         }
         
@@ -210,15 +253,26 @@ async function main() {
         debugLogger.logSessionStart(users.length);
         userScrapingLogger.logSessionStart(users.length);
         
-        // Process users sequentially to prevent memory overflow
-        const results = await processUsersSequentially(users, control);
+        // Process users with bounded concurrency (sequential by default)
+        const results = await processUsers(users, control, { signal });
         
         // Log session completion
         debugLogger.logSessionComplete(results);
         userScrapingLogger.logSessionComplete(results);
         
         // Log summary of results
-        logger.info(`[SCRAPER] 📊 Processing complete: ${results.successful} successful, ${results.failed} failed out of ${results.total} total users`);
+        logger.info(`[SCRAPER] 📊 Processing complete: ${results.successful} successful, ${results.failed} failed, ${results.skipped} skipped (done before restart) out of ${results.total} total users`);
+        
+        // Only a session that got through every user is closed; an interrupted one is resumed next run
+        await finishControl(control);
+
+        const cacheStats = getNormalizationCacheStats();
+        logger.info(`[SCRAPER] 🗃️ Normalization cache: ${cacheStats.memoryHits} memory hits, ${cacheStats.databaseHits} database hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
+        logHttpMetrics(logger, '[SCRAPER]');
+        await saveProxyHealth();
+        if (isDryRun()) {
+            logger.info(`[SCRAPER] ${formatDryRunReport()}`);
+        }
         
 
         
@@ -242,6 +296,7 @@ async function main() {
         logger.info(`[SCRAPER] ⏰ End time: ${endTime.toLocaleString()}`);
         logger.info(`[SCRAPER] ⏱️ Total duration: ${durationMinutes}m ${durationSeconds}s ${durationMs}ms`);
         logger.error('[SCRAPER] ❌ Error during scraping session:', error.message);
+        await saveProxyHealth();
         throw error;
     }
 }
@@ -338,4 +393,4 @@ async function scrapeUsersListings(user, control) {
     }
 }
 
-module.exports = { main }; 
\ No newline at end of file
+module.exports = { main, scrapeUsersListings }; 
\ No newline at end of file
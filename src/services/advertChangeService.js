@@ -0,0 +1,165 @@
+const { AdvertChange } = require('../../models');
+const { describeAdvert, unlessDryRun, updateUnlessDryRun } = require('../utils/dryRun');
+const { normalizeFuelType } = require('../utils/vehicleNormalizer');
+
+/**
+ * Advert Change Service
+ * Compares a freshly observed listing with the stored advert row and records
+ * one autoscout_advert_changes row per modified field. Values the row never
+ * had (columns added later) and legacy raw values that only differ once
+ * normalized are written to the advert as a baseline, without a change event.
+ */
+
+// Columns of a Swiss search result that are compared on every run
+const SWISS_TRACKED_FIELDS = [
+  'price',
+  'mileage',
+  'mileage_km',
+  'description',
+  'make',
+  'model',
+  'model_version',
+  'type',
+  'power',
+  'power_hp',
+  'power_kw',
+  'gearbox',
+  'fuel_type',
+  'first_registration',
+  'location',
+  'seller_name',
+  'consumption_l_100km'
+];
+
+// Rows written before the mapper normalized these columns hold the raw API value ("petrol")
+const STORED_VALUE_NORMALIZERS = {
+  fuel_type: value => normalizeFuelType(value) || value
+};
+
+function isEmptyValue(value) {
+  return value == null || value === '';
+}
+
+/**
+ * Serialize a column value for the old_value / new_value text columns
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toChangeValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Whether two column values are the same for change tracking purposes
+ * (null and '' are equal, numbers are compared with a small tolerance,
+ * strings ignore surrounding whitespace and case)
+ * @param {*} stored - Value of the advert row
+ * @param {*} observed - Value from the current listing
+ * @returns {boolean}
+ */
+function valuesEqual(stored, observed) {
+  const storedEmpty = stored == null || stored === '';
+  const observedEmpty = observed == null || observed === '';
+  if (storedEmpty || observedEmpty) return storedEmpty === observedEmpty;
+
+  if (stored instanceof Date || observed instanceof Date) {
+    return new Date(stored).getTime() === new Date(observed).getTime();
+  }
+
+  const storedNumber = Number(stored);
+  const observedNumber = Number(observed);
+  if (typeof observed === 'number' && Number.isFinite(storedNumber)) {
+    return Math.abs(storedNumber - observedNumber) < 0.005;
+  }
+
+  return String(stored).trim().toLowerCase() === String(observed).trim().toLowerCase();
+}
+
+/**
+ * List the fields whose observed value differs from the stored advert.
+ * Values missing from the observed listing are not treated as changes.
+ * Changes flagged `baseline` (the stored value was empty, or is a legacy raw
+ * value equal to the observed one once normalized) update the advert without
+ * a change event.
+ * @param {Object} advert - Advert instance or plain advert data
+ * @param {Object} observed - Advert attributes built from the current listing
+ * @param {Array<string>} fields - Columns to compare
+ * @returns {Array<Object>} - [{ field, old_value, new_value, baseline }]
+ */
+function detectFieldChanges(advert, observed, fields = SWISS_TRACKED_FIELDS) {
+  const changes = [];
+
+  for (const field of fields) {
+    const newValue = observed[field];
+    if (isEmptyValue(newValue)) continue;
+
+    const oldValue = advert[field];
+    if (valuesEqual(oldValue, newValue)) continue;
+
+    const normalize = STORED_VALUE_NORMALIZERS[field];
+    const normalizedEqual = Boolean(normalize) && !isEmptyValue(oldValue) && valuesEqual(normalize(oldValue), newValue);
+    changes.push({
+      field,
+      old_value: oldValue ?? null,
+      new_value: newValue,
+      baseline: isEmptyValue(oldValue) || normalizedEqual
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Write detected changes to the advert and record a change event per field (baseline changes get none)
+ * @param {Object} advert - Advert instance
+ * @param {Array<Object>} changes - Output of detectFieldChanges
+ * @param {Object} control - Control instance of the current run
+ * @returns {Promise<Array<Object>>} - The applied changes
+ */
+async function applyFieldChanges(advert, changes, control) {
+  if (!advert?.id || !Array.isArray(changes) || changes.length === 0) {
+    return [];
+  }
+
+  try {
+    const updates = {};
+    const previous = {};
+    for (const change of changes) {
+      updates[change.field] = change.new_value;
+      previous[change.field] = change.old_value;
+    }
+    await updateUnlessDryRun(advert, updates, { ...describeAdvert(advert), previous });
+
+    const events = changes.filter(change => !change.baseline);
+    const baseline = changes.filter(change => change.baseline);
+
+    if (events.length > 0) {
+      const changedAt = new Date();
+      await unlessDryRun(() => AdvertChange.bulkCreate(events.map(change => ({
+        advert_id: advert.id,
+        control_id: control?.id || null,
+        field: change.field,
+        old_value: toChangeValue(change.old_value),
+        new_value: toChangeValue(change.new_value),
+        changed_at: changedAt
+      }))));
+      console.log(`[SCRAPER] 📝 Advert ${advert.autoscout_id} changed: ${events.map(change => change.field).join(', ')}`);
+    }
+    if (baseline.length > 0) {
+      console.log(`[SCRAPER] 📝 Advert ${advert.autoscout_id} baseline set without change events: ${baseline.map(change => change.field).join(', ')}`);
+    }
+    return changes;
+  } catch (error) {
+    console.error(`[SCRAPER] ❌ Failed to record field changes for advert ${advert.id}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  SWISS_TRACKED_FIELDS,
+  valuesEqual,
+  detectFieldChanges,
+  applyFieldChanges
+};
@@ -0,0 +1,132 @@
+const { AdvertImage } = require('../../models');
+const { uploadImage } = require('./awsService');
+const { isDryRun, unlessDryRun, updateUnlessDryRun } = require('../utils/dryRun');
+
+/**
+ * Advert Image Service
+ * Stores the ordered gallery of every advert (autoscout_advert_images) and
+ * mirrors the first IMAGE_MIRROR_LIMIT images of it into MinIO.
+ */
+
+const SWISS_IMAGE_BASE_URL = 'https://listing-images.autoscout24.ch/';
+const DEFAULT_IMAGE_MIRROR_LIMIT = 1;
+
+/**
+ * How many gallery images are uploaded to MinIO per advert
+ * IMAGE_MIRROR_LIMIT=0 keeps only original URLs, "all" mirrors the whole gallery.
+ * @returns {number}
+ */
+function getImageMirrorLimit() {
+  const raw = String(process.env.IMAGE_MIRROR_LIMIT ?? '').trim().toLowerCase();
+  if (raw === '') return DEFAULT_IMAGE_MIRROR_LIMIT;
+  if (raw === 'all') return Infinity;
+
+  const limit = parseInt(raw, 10);
+  return Number.isNaN(limit) || limit < 0 ? DEFAULT_IMAGE_MIRROR_LIMIT : limit;
+}
+
+/**
+ * Normalize gallery entries to { url, width, height } and drop duplicates
+ * @param {Array} images - Strings or objects with url/src/key
+ * @param {string} baseUrl - Prefix for entries that only carry a key (Swiss API)
+ * @returns {Array<Object>}
+ */
+function normalizeGallery(images, baseUrl = '') {
+  if (!Array.isArray(images)) return [];
+
+  const seen = new Set();
+  const gallery = [];
+
+  for (const image of images) {
+    let url = null;
+    if (typeof image === 'string') {
+      url = image;
+    } else if (image) {
+      url = image.url || image.src || (image.key ? `${baseUrl}${image.key}` : null);
+    }
+    if (!url || seen.has(url)) continue;
+
+    seen.add(url);
+    gallery.push({
+      url,
+      width: Number.isFinite(image?.width) ? image.width : null,
+      height: Number.isFinite(image?.height) ? image.height : null
+    });
+  }
+
+  return gallery;
+}
+
+/**
+ * Build the gallery of a Swiss API listing
+ * @param {Object} listing - Listing from the Swiss search/detail API
+ * @returns {Array<Object>} - [{ url, width, height }]
+ */
+function buildSwissGallery(listing) {
+  return normalizeGallery(listing?.images, SWISS_IMAGE_BASE_URL);
+}
+
+/**
+ * Replace the stored gallery of an advert, mirroring the first images into MinIO.
+ * The advert's image_url / original_image_url are pointed at the first image.
+ * @param {Object} advert - Advert instance
+ * @param {Array<Object>} gallery - [{ url, width, height }] in display order
+ * @param {Object} options
+ * @param {number} options.mirrorLimit - Number of images to upload (default: IMAGE_MIRROR_LIMIT)
+ * @returns {Promise<Array>} - Created AdvertImage rows
+ */
+async function saveAdvertGallery(advert, gallery, { mirrorLimit = getImageMirrorLimit() } = {}) {
+  // A dry run passes unsaved adverts (id null) so the uploads still get reported
+  if ((!advert?.id && !isDryRun()) || !Array.isArray(gallery) || gallery.length === 0) {
+    return [];
+  }
+
+  try {
+    const rows = [];
+    for (let position = 0; position < gallery.length; position++) {
+      const image = gallery[position];
+      let storedUrl = null;
+
+      if (position < mirrorLimit) {
+        storedUrl = await uploadImage(image.url, `${advert.autoscout_id}_${position}`);
+        if (!storedUrl) {
+          console.log(`[SCRAPER] ⚠️ Failed to mirror image ${position + 1}/${gallery.length} of advert ${advert.autoscout_id}, keeping original URL`);
+        }
+      }
+
+      rows.push({
+        advert_id: advert.id,
+        position,
+        original_url: image.url,
+        stored_url: storedUrl,
+        width: image.width ?? null,
+        height: image.height ?? null,
+        created_at: new Date()
+      });
+    }
+
+    await unlessDryRun(() => AdvertImage.destroy({ where: { advert_id: advert.id } }));
+    const created = await unlessDryRun(() => AdvertImage.bulkCreate(rows)) || rows;
+
+    const cover = rows[0];
+    await updateUnlessDryRun(advert, {
+      image_url: cover.stored_url || cover.original_url,
+      original_image_url: cover.original_url
+    }, null);
+
+    const mirrored = rows.filter(row => row.stored_url).length;
+    console.log(`[SCRAPER] 🖼️ Saved ${rows.length} images for advert ${advert.autoscout_id} (${mirrored} mirrored to MinIO)`);
+
+    return created;
+  } catch (error) {
+    console.error(`[SCRAPER] ❌ Failed to save image gallery for advert ${advert.id}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  getImageMirrorLimit,
+  normalizeGallery,
+  buildSwissGallery,
+  saveAdvertGallery
+};
@@ -0,0 +1,274 @@
+const { Op, fn, col } = require('sequelize');
+const {
+  Advert,
+  AdvertPriceHistory,
+  AdvertChange,
+  AdvertImage,
+  AdvertObservation,
+  AutoScoutInventory,
+  Control,
+  RunCheckpoint
+} = require('../../models');
+const { countRunObservations } = require('./observationService');
+
+/**
+ * Advert Query Service
+ * Read-only queries behind the HTTP API (src/api/server.js): adverts with
+ * their history, per-dealer summaries and scraper/checker runs. The CLI
+ * (bin/autoscout.js) uses them too.
+ */
+
+// Columns returned in advert lists; GET /adverts/:id returns the full row
+const ADVERT_LIST_ATTRIBUTES = [
+  'id', 'autoscout_id', 'seller_id', 'seller_name', 'make', 'model', 'model_version',
+  'price', 'price_currency', 'mileage_km', 'power_hp', 'fuel_type', 'gearbox',
+  'first_registration', 'location', 'link', 'image_url', 'is_active', 'created_at',
+  'last_seen', 'sell_time', 'data_completeness'
+];
+
+/**
+ * Page through adverts
+ * @param {Object} filters
+ * @param {number} filters.sellerId
+ * @param {string} filters.make - Case-insensitive exact match
+ * @param {string} filters.model - Case-insensitive exact match
+ * @param {boolean} filters.active
+ * @param {number} filters.minPrice
+ * @param {number} filters.maxPrice
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Object>} - { total, limit, offset, items }
+ */
+async function listAdverts({ sellerId, make, model, active, minPrice, maxPrice } = {}, { limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (sellerId != null) where.seller_id = sellerId;
+  if (make) where.make = { [Op.iLike]: make };
+  if (model) where.model = { [Op.iLike]: model };
+  if (active != null) where.is_active = active;
+  if (minPrice != null || maxPrice != null) {
+    where.price = {
+      ...(minPrice != null ? { [Op.gte]: minPrice } : {}),
+      ...(maxPrice != null ? { [Op.lte]: maxPrice } : {})
+    };
+  }
+
+  const { count, rows } = await Advert.findAndCountAll({
+    where,
+    attributes: ADVERT_LIST_ATTRIBUTES,
+    order: [['last_seen', 'DESC NULLS LAST'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { total: count, limit, offset, items: rows };
+}
+
+/**
+ * One advert with its images, price history, field changes and observations
+ * @param {number} advertId
+ * @returns {Promise<Object|null>}
+ */
+async function getAdvertWithHistory(advertId) {
+  // separate: one query per association instead of a join that multiplies the rows
+  const advert = await Advert.findByPk(advertId, {
+    include: [
+      { model: AdvertImage, as: 'images', separate: true, order: [['position', 'ASC']], attributes: ['advert_id', 'position', 'original_url', 'stored_url', 'width', 'height'] },
+      { model: AdvertPriceHistory, as: 'priceHistory', separate: true, order: [['recorded_at', 'ASC']], attributes: ['advert_id', 'control_id', 'price', 'price_currency', 'mileage_km', 'recorded_at'] },
+      { model: AdvertChange, as: 'changes', separate: true, order: [['changed_at', 'ASC']], attributes: ['advert_id', 'control_id', 'field', 'old_value', 'new_value', 'changed_at'] },
+      { model: AdvertObservation, as: 'observations', separate: true, order: [['seen_at', 'ASC']], attributes: ['advert_id', 'control_id', 'status', 'seen_at'] }
+    ]
+  });
+
+  return advert;
+}
+
+function toNumber(value, digits = null) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return digits === null ? number : Number(number.toFixed(digits));
+}
+
+/**
+ * Stock and price figures of one dealer
+ * @param {number} sellerId
+ * @returns {Promise<Object|null>} - null when the dealer has no adverts
+ */
+async function getSellerSummary(sellerId) {
+  const [totals] = await Advert.findAll({
+    where: { seller_id: sellerId },
+    attributes: [
+      [fn('COUNT', col('id')), 'total'],
+      [fn('SUM', Advert.sequelize.literal('CASE WHEN is_active THEN 1 ELSE 0 END')), 'active'],
+      [fn('MAX', col('seller_name')), 'seller_name'],
+      [fn('MIN', col('created_at')), 'first_seen'],
+      [fn('MAX', col('last_seen')), 'last_seen'],
+      [fn('AVG', col('data_completeness')), 'avg_completeness']
+    ],
+    raw: true
+  });
+
+  const total = parseInt(totals?.total, 10) || 0;
+  if (total === 0) return null;
+
+  const [activePrices] = await Advert.findAll({
+    where: { seller_id: sellerId, is_active: true, price: { [Op.gt]: 0 } },
+    attributes: [
+      [fn('AVG', col('price')), 'avg'],
+      [fn('MIN', col('price')), 'min'],
+      [fn('MAX', col('price')), 'max']
+    ],
+    raw: true
+  });
+
+  const [sold] = await Advert.findAll({
+    where: { seller_id: sellerId, is_active: false, sell_time: { [Op.ne]: null } },
+    attributes: [[fn('AVG', col('sell_time')), 'avg_sell_time']],
+    raw: true
+  });
+
+  const makes = await Advert.findAll({
+    where: { seller_id: sellerId, is_active: true },
+    attributes: ['make', [fn('COUNT', col('id')), 'count']],
+    group: ['make'],
+    order: [[fn('COUNT', col('id')), 'DESC']],
+    limit: 10,
+    raw: true
+  });
+
+  const inventory = await AutoScoutInventory.findOne({
+    where: { seller_id: sellerId },
+    order: [['created_at', 'DESC']],
+    attributes: ['count', 'created_at']
+  });
+
+  const active = parseInt(totals.active, 10) || 0;
+  return {
+    seller_id: sellerId,
+    seller_name: totals.seller_name,
+    adverts: { total, active, inactive: total - active },
+    active_price: {
+      avg: toNumber(activePrices?.avg, 2),
+      min: toNumber(activePrices?.min),
+      max: toNumber(activePrices?.max)
+    },
+    avg_sell_time: toNumber(sold?.avg_sell_time, 1),
+    avg_completeness: toNumber(totals.avg_completeness, 2),
+    top_makes: makes.map(row => ({ make: row.make, count: parseInt(row.count, 10) })),
+    latest_inventory: inventory ? { count: inventory.count, recorded_at: inventory.created_at } : null,
+    first_seen: totals.first_seen,
+    last_seen: totals.last_seen
+  };
+}
+
+/**
+ * Advert, dealer and run counts of the whole database
+ * @returns {Promise<Object>}
+ */
+async function getDatabaseStats() {
+  const { literal } = Advert.sequelize;
+  const [adverts] = await Advert.findAll({
+    attributes: [
+      [fn('COUNT', col('id')), 'total'],
+      [fn('SUM', literal('CASE WHEN is_active THEN 1 ELSE 0 END')), 'active'],
+      [fn('SUM', literal("CASE WHEN price_currency = 'CHF' THEN 1 ELSE 0 END")), 'swiss'],
+      [fn('SUM', literal("CASE WHEN is_active AND (image_url IS NULL OR image_url = '') THEN 1 ELSE 0 END")), 'active_without_image'],
+      [fn('COUNT', fn('DISTINCT', col('seller_id'))), 'sellers'],
+      [fn('MAX', col('last_seen')), 'last_seen']
+    ],
+    raw: true
+  });
+
+  const runRows = await Control.findAll({
+    attributes: ['type', 'status', [fn('COUNT', col('id')), 'count']],
+    group: ['type', 'status'],
+    raw: true
+  });
+
+  const latestRuns = await Control.findAll({
+    order: [['date', 'DESC'], ['id', 'DESC']],
+    limit: 5
+  });
+
+  const total = parseInt(adverts?.total, 10) || 0;
+  const active = parseInt(adverts?.active, 10) || 0;
+  const runs = {};
+  for (const row of runRows) {
+    runs[row.type] = { ...runs[row.type], [row.status || 'unknown']: parseInt(row.count, 10) };
+  }
+
+  return {
+    adverts: {
+      total,
+      active,
+      inactive: total - active,
+      swiss: parseInt(adverts?.swiss, 10) || 0,
+      active_without_image: parseInt(adverts?.active_without_image, 10) || 0,
+      last_seen: adverts?.last_seen || null
+    },
+    sellers: parseInt(adverts?.sellers, 10) || 0,
+    runs,
+    latest_runs: latestRuns
+  };
+}
+
+/**
+ * Page through scraper/checker runs, newest first
+ * @param {Object} filters
+ * @param {string} filters.type - 'scraper' or 'checker'
+ * @param {string} filters.status - 'running', 'completed' or 'failed'
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Object>} - { total, limit, offset, items }
+ */
+async function listRuns({ type, status } = {}, { limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (type) where.type = type;
+  if (status) where.status = status;
+
+  const { count, rows } = await Control.findAndCountAll({
+    where,
+    order: [['date', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { total: count, limit, offset, items: rows };
+}
+
+/**
+ * One run with its observation, checkpoint and change counts
+ * @param {number} controlId
+ * @returns {Promise<Object|null>}
+ */
+async function getRun(controlId) {
+  const control = await Control.findByPk(controlId);
+  if (!control) return null;
+
+  const [observations, checkpointRows, changes, priceChanges] = await Promise.all([
+    countRunObservations(controlId),
+    RunCheckpoint.findAll({
+      where: { control_id: controlId },
+      attributes: ['status', [fn('COUNT', col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    }),
+    AdvertChange.count({ where: { control_id: controlId } }),
+    AdvertPriceHistory.count({ where: { control_id: controlId } })
+  ]);
+
+  return {
+    ...control.toJSON(),
+    observations,
+    checkpoints: Object.fromEntries(checkpointRows.map(row => [row.status, parseInt(row.count, 10)])),
+    field_changes: changes,
+    price_changes: priceChanges
+  };
+}
+
+module.exports = {
+  listAdverts,
+  getAdvertWithHistory,
+  getSellerSummary,
+  getDatabaseStats,
+  listRuns,
+  getRun
+};
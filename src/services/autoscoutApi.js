@@ -1,6 +1,21 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const https = require('https');
+const {
+  getDefaultRegion,
+  getRegionByUrl,
+  resolveRegionCultureIso,
+  getDealerListingsUrl,
+} = require('./regionRegistry');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders, resetHeaderProfile } = require('../utils/headerProfiles');
+const { getSessionCookieJar } = require('../utils/cookieJar');
+const { getRequestSession } = require('../utils/requestSession');
+
+// Statuses after which the visitor session is thrown away and started again
+const SESSION_REFRESH_STATUSES = [401, 403];
+
+// Markers of the consent-management wall served instead of the page
+const CONSENT_WALL_PATTERN = /sp_message_container|consent-mgmt|privacy-mgmt|didomi-host|id="as24-cmp|cookie-?wall/i;
 
 function getHttpsAgent() {
   const allowInsecure = String(process.env.ALLOW_INSECURE_TLS || '').toLowerCase() === 'true';
@@ -8,27 +23,23 @@ function getHttpsAgent() {
 }
 
 function resolveCultureIsoFromUrl(url) {
-  if (!url) return 'fr-BE';
-  try {
-    if (url.includes('/fr/')) return 'fr-BE';
-    if (url.includes('/nl/')) return 'nl-BE';
-    if (url.includes('/de/')) return 'de-BE';
-    return 'fr-BE';
-  } catch {
-    return 'fr-BE';
-  }
+  const region = getRegionByUrl(url) || getDefaultRegion();
+  return resolveRegionCultureIso(url, region);
 }
 
-async function getVisitorCookie() {
+/**
+ * Visit the region's homepage to start a visitor session
+ * Inside a request session every cookie the homepage sets stays in the
+ * session's cookie jar and goes out with the following requests.
+ * @param {Object} region
+ * @returns {Promise<string|null>} - 'as24Visitor=...' or null when none was set
+ */
+async function getVisitorCookie(region = getDefaultRegion()) {
   try {
-    const res = await axios.get('https://www.autoscout24.be/', {
+    const res = await httpClient.get(`${region.baseUrl}/`, {
       httpsAgent: getHttpsAgent(),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'fr-BE,fr;q=0.9,en;q=0.8'
-      }
-    });
+      headers: buildBrowserHeaders({ defaultCultureIso: region.defaultCultureIso })
+    }, { label: 'visitor cookie' });
     const setCookie = res.headers['set-cookie'] || [];
     const cookie = setCookie.find((c) => c.startsWith('as24Visitor='));
     if (!cookie) return null;
@@ -40,13 +51,98 @@ async function getVisitorCookie() {
   }
 }
 
-function extractCustomerIdFromNextData(html) {
+/**
+ * Whether a response is the consent wall instead of an AutoScout24 page
+ * @param {Object} response - axios response
+ * @returns {boolean}
+ */
+function isConsentWall(response) {
+  const body = response?.data;
+  if (typeof body !== 'string') return false;
+  return !body.includes('__NEXT_DATA__') && CONSENT_WALL_PATTERN.test(body);
+}
+
+function getMaxSessionRefreshes() {
+  const value = parseInt(process.env.SESSION_MAX_REFRESHES, 10);
+  return Number.isNaN(value) || value < 0 ? 3 : value;
+}
+
+/**
+ * Start the visitor session of the current request session again
+ * Cookies are dropped, a new header profile is picked and the homepage is visited.
+ * @param {Object} region
+ * @param {string} reason - For logs
+ * @returns {Promise<boolean>} - false when there is no session or it was refreshed SESSION_MAX_REFRESHES times
+ */
+async function refreshVisitorSession(region, reason) {
+  const session = getRequestSession();
+  if (!session) return false;
+
+  session.cookieRefreshes = session.cookieRefreshes || 0;
+  if (session.cookieRefreshes >= getMaxSessionRefreshes()) {
+    console.warn(`[SCRAPER] ⚠️ Not refreshing session ${session.key} again after ${reason}: limit of ${getMaxSessionRefreshes()} refreshes reached`);
+    return false;
+  }
+  session.cookieRefreshes++;
+
+  console.log(`[SCRAPER] 🍪 Refreshing session ${session.key} after ${reason} (refresh ${session.cookieRefreshes}/${getMaxSessionRefreshes()})`);
+  getSessionCookieJar().clear();
+  resetHeaderProfile();
+  await getVisitorCookie(region);
+  return true;
+}
+
+/**
+ * Send a request; on 401/403 or a consent wall refresh the session and send it once more
+ * The request function is called again, so its headers are rebuilt from the new profile.
+ * @param {Function} send - () => Promise<axios response>
+ * @param {Object} region - Region whose homepage starts the new session
+ * @returns {Promise<Object>} - axios response
+ */
+async function requestWithSessionRefresh(send, region = getDefaultRegion()) {
+  for (let attempt = 0; ; attempt++) {
+    let reason;
+    try {
+      const response = await send();
+      if (SESSION_REFRESH_STATUSES.includes(response.status)) {
+        reason = `HTTP ${response.status}`;
+      } else if (isConsentWall(response)) {
+        reason = 'consent wall';
+      } else {
+        return response;
+      }
+      if (attempt > 0 || !(await refreshVisitorSession(region, reason))) return response;
+    } catch (error) {
+      const status = error.response?.status;
+      if (attempt > 0 || !SESSION_REFRESH_STATUSES.includes(status)) throw error;
+      reason = `HTTP ${status}`;
+      if (!(await refreshVisitorSession(region, reason))) throw error;
+    }
+  }
+}
+
+/**
+ * Parse the Next.js #__NEXT_DATA__ JSON embedded in an AutoScout24 page
+ * @param {string|Object} htmlOrDom - Page HTML or a loaded cheerio instance
+ * @returns {Object|null} - Parsed JSON or null if missing/invalid
+ */
+function extractNextData(htmlOrDom) {
   try {
-    const $ = cheerio.load(html);
+    const $ = typeof htmlOrDom === 'function' ? htmlOrDom : cheerio.load(htmlOrDom || '');
     const nextDataScript = $('#__NEXT_DATA__').text();
     if (!nextDataScript) return null;
+    return JSON.parse(nextDataScript);
+  } catch (e) {
+    console.warn('[SCRAPER] ⚠️ Failed to parse __NEXT_DATA__:', e.message);
+    return null;
+  }
+}
+
+function extractCustomerIdFromNextData(html) {
+  try {
+    const data = extractNextData(html);
+    if (!data) return null;
     
-    const data = JSON.parse(nextDataScript);
     const customerId = data?.props?.pageProps?.dealerInfoPage?.customerId;
     
     if (customerId && typeof customerId === 'number') {
@@ -77,14 +173,10 @@ async function extractCustomerIdFromHtml(html, baseUrl = 'https://www.autoscout2
           
           try {
             // Fetch the about page
-            const response = await axios.get(aboutUrl, {
+            const response = await requestWithSessionRefresh(() => httpClient.get(aboutUrl, {
               httpsAgent: getHttpsAgent(),
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'Accept-Language': 'fr-BE,fr;q=0.9,en;q=0.8'
-              }
-            });
+              headers: buildBrowserHeaders({ defaultCultureIso: resolveCultureIsoFromUrl(aboutUrl) })
+            }, { label: 'dealer about page' }), getRegionByUrl(aboutUrl) || getDefaultRegion());
             
             // Extract customerId from __NEXT_DATA__ in the about page
             const customerId = extractCustomerIdFromNextData(response.data);
@@ -164,10 +256,16 @@ function extractMakeOptionsFromHtml(html) {
   return options;
 }
 
-async function fetchDealerListings({ customerId, page, cultureIso, referer, visitorCookie, sortBy = 'age', desc = true, makeId = -1 }) {
-  const url = 'https://www.autoscout24.be/api/dealer-detail/fetch-listings';
+/**
+ * POST one page of a dealer's listings to the region's fetch-listings API
+ * Cookies (as24Visitor, ...) come from the request session's cookie jar.
+ * @returns {Promise<Object>} - API response body
+ */
+async function fetchDealerListings({ customerId, page, cultureIso, referer, sortBy = 'age', desc = true, makeId = -1, region = getDefaultRegion() }) {
+  const url = getDealerListingsUrl(region);
+  const culture = cultureIso || region.defaultCultureIso;
   const payload = {
-    cultureIso: cultureIso || 'fr-BE',
+    cultureIso: culture,
     customerId: customerId,
     userType: null,
     filters: {
@@ -193,27 +291,29 @@ async function fetchDealerListings({ customerId, page, cultureIso, referer, visi
     togglesString: ''
   };
 
-  const headers = {
-    accept: '*/*',
-    'content-type': 'application/json',
-    origin: 'https://www.autoscout24.be',
-    referer: referer || 'https://www.autoscout24.be/',
-    'sec-fetch-mode': 'cors',
-    'sec-fetch-site': 'same-origin',
-    'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'accept-language': cultureIso?.toLowerCase().startsWith('nl') ? 'nl-BE' : 'fr-BE',
-    'x-toguru': ''
-  };
-  if (visitorCookie) headers['cookie'] = visitorCookie;
-
-  const res = await axios.post(url, payload, { headers, httpsAgent: getHttpsAgent() });
+  const res = await requestWithSessionRefresh(() => httpClient.post(url, payload, {
+    headers: {
+      ...buildBrowserHeaders({ kind: 'api', defaultCultureIso: culture }),
+      'content-type': 'application/json',
+      origin: region.baseUrl,
+      referer: referer || `${region.baseUrl}/`,
+      'sec-fetch-mode': 'cors',
+      'sec-fetch-site': 'same-origin',
+      'x-toguru': ''
+    },
+    httpsAgent: getHttpsAgent()
+  }, { label: 'dealer listings' }), region);
   return res.data;
 }
 
 module.exports = {
   resolveCultureIsoFromUrl,
   getVisitorCookie,
+  isConsentWall,
+  refreshVisitorSession,
+  requestWithSessionRefresh,
   extractCustomerIdFromHtml,
+  extractNextData,
   extractCustomerIdFromNextData,
   extractMakeOptionsFromHtml,
   fetchDealerListings,
@@ -1,6 +1,7 @@
-const axios = require('axios');
 const https = require('https');
 const fs = require('fs');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders } = require('../utils/headerProfiles');
 
 /**
  * AutoScout24.ch (Swiss) API Service
@@ -11,6 +12,7 @@ const fs = require('fs');
 const API_BASE_URL = 'https://api.autoscout24.ch';
 const WEBSITE_BASE_URL = 'https://www.autoscout24.ch';
 const LISTINGS_SEARCH_ENDPOINT = `${API_BASE_URL}/v1/listings/search`;
+const DEFAULT_CULTURE_ISO = 'de-CH';
 
 function getHttpsAgent() {
   const allowInsecure = String(process.env.ALLOW_INSECURE_TLS || '').toLowerCase() === 'true';
@@ -40,23 +42,19 @@ function isSwissRegionUrl(url) {
 
 /**
  * Get required headers for Swiss AutoScout24 API
- * Based on security requirements from documentation
+ * Based on security requirements from documentation; the browser identity
+ * comes from the session's header profile
  */
 function getSwissApiHeaders() {
   return {
-    'accept': '*/*',
-    'accept-language': 'en-US,en;q=0.9,tr;q=0.8',
+    ...buildBrowserHeaders({ kind: 'api', defaultCultureIso: DEFAULT_CULTURE_ISO }),
     'content-type': 'application/json',
     'origin': WEBSITE_BASE_URL,
     'priority': 'u=1, i',
     'referer': `${WEBSITE_BASE_URL}/`,
-    'sec-ch-ua': '"Google Chrome";v="135", "Not-A.Brand";v="8", "Chromium";v="135"',
-    'sec-ch-ua-mobile': '?0',
-    'sec-ch-ua-platform': '"Windows"',
     'sec-fetch-dest': 'empty',
     'sec-fetch-mode': 'cors',
-    'sec-fetch-site': 'same-site',
-    'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36'
+    'sec-fetch-site': 'same-site'
   };
 }
 
@@ -99,55 +97,6 @@ function createDealerSearchPayload(dealerId, page = 0, size = 20) {
   };
 }
 
-/**
- * Implement exponential backoff retry logic
- */
-async function fetchWithRetry(url, options, maxRetries = 3) {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const method = options.method || 'POST';
-      let response;
-      
-      if (method.toUpperCase() === 'GET') {
-        response = await axios.get(url, {
-          headers: options.headers,
-          httpsAgent: getHttpsAgent(),
-          timeout: 30000
-        });
-      } else {
-        response = await axios.post(url, options.data, {
-          headers: options.headers,
-          httpsAgent: getHttpsAgent(),
-          timeout: 30000
-        });
-      }
-      
-      return response;
-    } catch (error) {
-      lastError = error;
-      const status = error?.response?.status;
-      
-      // Check if we should retry based on status codes from documentation
-      const shouldRetry = status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
-      
-      if (shouldRetry && attempt < maxRetries) {
-        // Exponential backoff: 1s, 2s, 4s
-        const delay = Math.pow(2, attempt) * 1000;
-        console.warn(`[SCRAPER] ⚠️ Request failed with status ${status}. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      
-      // If we shouldn't retry or we've exhausted retries, throw the error
-      break;
-    }
-  }
-  
-  throw lastError;
-}
-
 /**
  * Fetch dealer listings from Swiss AutoScout24 API
  */
@@ -158,10 +107,10 @@ async function fetchSwissDealerListings(dealerId, page = 0, size = 20) {
   try {
     console.log(`[SCRAPER] 📤 Fetching Swiss dealer listings for dealer ${dealerId}, page ${page}`);
     
-    const response = await fetchWithRetry(LISTINGS_SEARCH_ENDPOINT, {
-      data: payload,
-      headers: headers
-    });
+    const response = await httpClient.post(LISTINGS_SEARCH_ENDPOINT, payload, {
+      headers: headers,
+      httpsAgent: getHttpsAgent()
+    }, { label: 'Swiss dealer listings' });
     
     const data = response.data;
     const listings = data?.content || [];
@@ -184,6 +133,10 @@ async function fetchSwissDealerListings(dealerId, page = 0, size = 20) {
 
 /**
  * Fetch all listings for a Swiss dealer (handles pagination)
+ * The checker deactivates every advert missing from the result, so a partial
+ * list is never returned.
+ * @throws {Error} - When a page fails after the HTTP client's retries, or fewer
+ * listings than the API's totalElements were collected
  */
 async function fetchAllSwissDealerListings(dealerId) {
   const allListings = [];
@@ -196,57 +149,45 @@ async function fetchAllSwissDealerListings(dealerId) {
   console.log(`[SCRAPER] 🔎 Fetching all listings for Swiss dealer ${dealerId}`);
   
   while (hasMore && page < maxPages) {
+    let result;
     try {
-      const result = await fetchSwissDealerListings(dealerId, page);
-      
-      if (result.listings && result.listings.length > 0) {
-        // Deduplicate listings based on ID
-        const newListings = result.listings.filter(listing => {
-          if (seenIds.has(listing.id)) {
-            console.log(`[SCRAPER] 🔄 Duplicate listing found: ${listing.id} (skipping)`);
-            return false;
-          }
-          seenIds.add(listing.id);
-          return true;
-        });
-        
-        allListings.push(...newListings);
-        console.log(`[SCRAPER] 📄 Page ${page + 1}: Added ${newListings.length} new listings (${result.listings.length - newListings.length} duplicates, total unique: ${allListings.length})`);
-        
-        // Store total elements from first page
-        if (page === 0) {
-          totalElements = result.totalElements || 0;
-          console.log(`[SCRAPER] 📊 API reports total elements: ${totalElements}`);
+      result = await fetchSwissDealerListings(dealerId, page);
+    } catch (error) {
+      // The HTTP client already retried this page
+      console.error(`[SCRAPER] ❌ Error on page ${page}, giving up on dealer ${dealerId}:`, error.message);
+      throw new Error(`Swiss listings of dealer ${dealerId} incomplete: page ${page} failed (${error.message})`);
+    }
+
+    // Store total elements from first page
+    if (page === 0) {
+      totalElements = result.totalElements || 0;
+      console.log(`[SCRAPER] 📊 API reports total elements: ${totalElements}`);
+    }
+
+    if (result.listings && result.listings.length > 0) {
+      // Deduplicate listings based on ID
+      const newListings = result.listings.filter(listing => {
+        if (seenIds.has(listing.id)) {
+          console.log(`[SCRAPER] 🔄 Duplicate listing found: ${listing.id} (skipping)`);
+          return false;
         }
-      }
+        seenIds.add(listing.id);
+        return true;
+      });
       
-      hasMore = result.hasMore;
-      page++;
-      
-      // Small delay between requests to be respectful
-      if (hasMore) {
-        await new Promise(resolve => setTimeout(resolve, 500)); // Increased delay
-      }
-      
-    } catch (error) {
-      console.error(`[SCRAPER] ❌ Error on page ${page}:`, error.message);
-      // Don't break immediately, try a few more times with longer delays
-      if (page < 3) {
-        console.log(`[SCRAPER] 🔄 Retrying page ${page} after error...`);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        continue;
-      } else {
-        console.error(`[SCRAPER] ❌ Too many errors, stopping at page ${page}`);
-        break;
-      }
+      allListings.push(...newListings);
+      console.log(`[SCRAPER] 📄 Page ${page + 1}: Added ${newListings.length} new listings (${result.listings.length - newListings.length} duplicates, total unique: ${allListings.length})`);
     }
+    
+    hasMore = result.hasMore;
+    page++;
   }
   
   console.log(`[SCRAPER] ✅ Completed fetching Swiss dealer listings. Total unique: ${allListings.length} listings`);
   
-  // Warning if we got fewer listings than expected
-  if (totalElements > 0 && allListings.length < totalElements) {
-    console.warn(`[SCRAPER] ⚠️ Warning: Expected ${totalElements} listings but got ${allListings.length}. Some listings might be missing.`);
+  if (allListings.length < totalElements) {
+    console.error(`[SCRAPER] ❌ Expected ${totalElements} listings but got ${allListings.length} for dealer ${dealerId}`);
+    throw new Error(`Swiss listings of dealer ${dealerId} incomplete: got ${allListings.length} of ${totalElements}`);
   }
   
   return allListings;
@@ -256,7 +197,8 @@ async function fetchAllSwissDealerListings(dealerId) {
  * Fetch a single listing by ID from Swiss API
  * @param {string|number} listingId - The listing ID to fetch
  * @param {string} debugLogFilePath - Optional debug log file path for detailed logging
- * @returns {Object|null} - Listing object if found, null if not found
+ * @returns {Object|null} - Listing object if found, null if the API answers 404
+ * @throws {Error} - On any other status or a network error, so a failing API is never read as "sold"
  */
 async function fetchSwissListingById(listingId, debugLogFilePath = null) {
   const url = `https://api.autoscout24.ch/v1/listings/${listingId}`;
@@ -275,101 +217,59 @@ async function fetchSwissListingById(listingId, debugLogFilePath = null) {
     }
   };
   
+  const startMsg = `🔍 [API DEBUG] Checking individual listing: ${listingId}`;
+  console.log('[SCRAPER] ' + startMsg);
+  writeDebugLog(startMsg);
+  
+  let response;
   try {
-    const startMsg = `🔍 [API DEBUG] Checking individual listing: ${listingId}`;
-    console.log('[SCRAPER] ' + startMsg);
-    writeDebugLog(startMsg);
-    
-    const response = await fetchWithRetry(url, {
-      method: 'GET',
-      headers: headers
-    });
-    
-    const statusMsg = `🔍 [API DEBUG] Response status: ${response.status}`;
-    console.log('[SCRAPER] ' + statusMsg);
-    writeDebugLog(statusMsg);
-    
-    if (response.status === 200) {
-      const successMsg = `✅ [API DEBUG] Listing ${listingId} found and active`;
-      console.log('[SCRAPER] ' + successMsg);
-      writeDebugLog(successMsg);
-      return response.data;
-    } else if (response.status === 404) {
-      const notFoundMsg = `❌ [API DEBUG] Listing ${listingId} not found (404) - This listing appears to be sold/removed`;
-      console.log('[SCRAPER] ' + notFoundMsg);
-      writeDebugLog(notFoundMsg);
-      return null;
-    } else {
-      const unexpectedMsg = `⚠️ [API DEBUG] Listing ${listingId} returned unexpected status ${response.status}`;
-      console.log('[SCRAPER] ' + unexpectedMsg);
-      writeDebugLog(unexpectedMsg);
-      return null;
-    }
-    
+    // 429/5xx are retried by the HTTP client; 404 and other statuses are answered below
+    response = await httpClient.get(url, {
+      headers: headers,
+      httpsAgent: getHttpsAgent(),
+      validateStatus: () => true
+    }, { label: `Swiss listing ${listingId}` });
   } catch (error) {
-    const errorMsg = `🔍 [API DEBUG] Error occurred for listing ${listingId}: ${error.message} (status: ${error.response?.status})`;
-    console.log('[SCRAPER] ' + errorMsg);
-    writeDebugLog(errorMsg);
-    
-    if (error.response && error.response.status === 404) {
-      const notFoundMsg = `❌ [API DEBUG] Listing ${listingId} not found (404 error) - This listing appears to be sold/removed`;
-      console.log('[SCRAPER] ' + notFoundMsg);
-      writeDebugLog(notFoundMsg);
-      return null;
-    } else if (error.response && error.response.status === 429) {
-      const rateLimitMsg = `⏳ [API DEBUG] Rate limited checking listing ${listingId}, waiting and retrying...`;
-      console.log('[SCRAPER] ' + rateLimitMsg);
-      writeDebugLog(rateLimitMsg);
-      
-      await new Promise(resolve => setTimeout(resolve, 5000)); // Increased wait time
-      // Retry multiple times with exponential backoff for rate limits
-      for (let retryAttempt = 1; retryAttempt <= 3; retryAttempt++) {
-        try {
-          const retryMsg = `🔄 [API DEBUG] Retry attempt ${retryAttempt}/3 for listing ${listingId} after rate limit...`;
-          console.log('[SCRAPER] ' + retryMsg);
-          writeDebugLog(retryMsg);
-          
-          const retryResponse = await fetchWithRetry(url, {
-            method: 'GET',
-            headers: headers
-          });
-          
-          const retryResultMsg = `🔄 [API DEBUG] Retry result for ${listingId}: status ${retryResponse.status}`;
-          console.log('[SCRAPER] ' + retryResultMsg);
-          writeDebugLog(retryResultMsg);
-          
-          return retryResponse.status === 200 ? retryResponse.data : null;
-        } catch (retryError) {
-          const retryErrorMsg = `❌ [API DEBUG] Retry attempt ${retryAttempt} failed for listing ${listingId}: ${retryError.message}`;
-          console.error('[SCRAPER] ' + retryErrorMsg);
-          writeDebugLog(retryErrorMsg);
-          
-          // If retry also fails with 429, wait longer and try again
-          if (retryError.response && retryError.response.status === 429) {
-            if (retryAttempt < 3) {
-              const waitTime = Math.pow(2, retryAttempt) * 2000; // 4s, 8s
-              const waitMsg = `⏳ [API DEBUG] Rate limit persists for ${listingId}, waiting ${waitTime}ms before retry ${retryAttempt + 1}...`;
-              console.log('[SCRAPER] ' + waitMsg);
-              writeDebugLog(waitMsg);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              continue;
-            } else {
-              const skipMsg = `⚠️ [API DEBUG] Rate limit persists for ${listingId} after 3 retries - skipping to avoid false negative`;
-              console.log('[SCRAPER] ' + skipMsg);
-              writeDebugLog(skipMsg);
-              throw new Error(`Rate limit error for listing ${listingId} - cannot determine if listing is available`);
-            }
-          }
-          return null;
-        }
-      }
-    } else {
-      const unexpectedErrorMsg = `❌ [API DEBUG] Unexpected error fetching listing ${listingId}: ${error.message}`;
-      console.error('[SCRAPER] ' + unexpectedErrorMsg);
-      writeDebugLog(unexpectedErrorMsg);
-      return null;
+    if (error instanceof httpClient.CircuitOpenError) {
+      // The API is failing as a whole; the checker must not treat the listing as sold
+      const circuitMsg = `⚠️ [API DEBUG] ${error.message} - skipping ${listingId} to avoid false negative`;
+      console.log('[SCRAPER] ' + circuitMsg);
+      writeDebugLog(circuitMsg);
+      throw new Error(`Rate limit error for listing ${listingId} - ${error.message}`);
     }
+    
+    // Network errors and timeouts say nothing about the listing either
+    const unexpectedErrorMsg = `❌ [API DEBUG] Unexpected error fetching listing ${listingId}: ${error.message} - skipping to avoid false negative`;
+    console.error('[SCRAPER] ' + unexpectedErrorMsg);
+    writeDebugLog(unexpectedErrorMsg);
+    throw error;
   }
+  
+  const statusMsg = `🔍 [API DEBUG] Response status: ${response.status}`;
+  console.log('[SCRAPER] ' + statusMsg);
+  writeDebugLog(statusMsg);
+  
+  if (response.status === 200) {
+    const successMsg = `✅ [API DEBUG] Listing ${listingId} found and active`;
+    console.log('[SCRAPER] ' + successMsg);
+    writeDebugLog(successMsg);
+    return response.data;
+  } else if (response.status === 404) {
+    const notFoundMsg = `❌ [API DEBUG] Listing ${listingId} not found (404) - This listing appears to be sold/removed`;
+    console.log('[SCRAPER] ' + notFoundMsg);
+    writeDebugLog(notFoundMsg);
+    return null;
+  } else if (response.status === 429) {
+    const skipMsg = `⚠️ [API DEBUG] Rate limit persists for ${listingId} after retries - skipping to avoid false negative`;
+    console.log('[SCRAPER] ' + skipMsg);
+    writeDebugLog(skipMsg);
+    throw new Error(`Rate limit error for listing ${listingId} - cannot determine if listing is available`);
+  }
+  
+  const unexpectedMsg = `⚠️ [API DEBUG] Listing ${listingId} returned unexpected status ${response.status} - skipping to avoid false negative`;
+  console.log('[SCRAPER] ' + unexpectedMsg);
+  writeDebugLog(unexpectedMsg);
+  throw new Error(`Swiss listing ${listingId} answered ${response.status} - cannot determine if listing is available`);
 }
 
 /**
@@ -1,5 +1,7 @@
 const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders } = require('../utils/headerProfiles');
+const { isDryRun, recordDryRunAction } = require('../utils/dryRun');
 
 // Configure MinIO S3-compatible service using AWS SDK v3
 const s3Client = new S3Client({
@@ -12,6 +14,17 @@ const s3Client = new S3Client({
   region: 'us-east-1', // MinIO doesn't need this but AWS SDK requires it
 });
 
+/**
+ * Public URL of an object in the bucket
+ * @param {string} filename - Object key
+ * @returns {string}
+ */
+function buildObjectUrl(filename) {
+  // Construct the URL manually since AWS SDK v3 doesn't return Location in the same way
+  const bucketName = process.env.MINIO_BUCKET || process.env.AWS_S3_BUCKET;
+  return `https://s3.nightdrive.ai/${bucketName}/${filename}`;
+}
+
 /**
  * Upload image to MinIO bucket with quality preservation
  * @param {string} imageUrl - The URL of the image to download and upload
@@ -25,19 +38,24 @@ async function uploadImage(imageUrl, advertId) {
       return null;
     }
 
+    // Dry run: report the upload without downloading; the extension is only known after the download
+    if (isDryRun()) {
+      recordDryRunAction('upload', { entity: 'image', key: advertId, source_url: imageUrl });
+      return buildObjectUrl(`autoscout/${advertId}_${Date.now()}.jpg`);
+    }
+
     console.log(`Downloading image from: ${imageUrl}`);
 
     // Download the image with headers to preserve quality
-    const imageResponse = await axios.get(imageUrl, {
+    const imageResponse = await httpClient.get(imageUrl, {
       responseType: 'arraybuffer',
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+        ...buildBrowserHeaders({ kind: 'image' }),
         'Accept-Encoding': 'gzip, deflate, br',
         'Cache-Control': 'no-cache'
       },
       timeout: 30000 // 30 second timeout
-    });
+    }, { label: 'image download' });
 
     // Determine content type from response headers or URL
     let contentType = imageResponse.headers['content-type'];
@@ -90,10 +108,7 @@ async function uploadImage(imageUrl, advertId) {
     });
 
     const uploadResult = await s3Client.send(uploadCommand);
-    
-    // Construct the URL manually since AWS SDK v3 doesn't return Location in the same way
-    const bucketName = process.env.MINIO_BUCKET || process.env.AWS_S3_BUCKET;
-    const objectUrl = `https://s3.nightdrive.ai/${bucketName}/${filename}`;
+    const objectUrl = buildObjectUrl(filename);
     
     console.log(`Image uploaded to MinIO with quality preserved: ${objectUrl}`);
     console.log(`Original size: ${(imageResponse.data.length / 1024).toFixed(2)} KB`);
@@ -1,17 +1,20 @@
 require('dotenv').config();
-const axios = require('axios');
-const cheerio = require('cheerio');
 const { Advert, Control } = require('../../models');
 const logger = require('../utils/logger');
-const { getHttpsAgent } = require('./autoscoutApi');
 const { getUsersToScrape } = require('./userService');
+const { recordObservation } = require('./observationService');
+const { getAdapter, getAdapterForUrl } = require('../adapters');
+const { readConcurrency, mapWithConcurrency } = require('../utils/workerPool');
+const { runInRequestSession } = require('../utils/requestSession');
+const { getRegionByUrl, resolveRegionCultureIso } = require('./regionRegistry');
+const { describeAdvert, unlessDryRun, saveUnlessDryRun } = require('../utils/dryRun');
 const { 
   checkSwissDealerListings, 
   shouldUseSwissChecker, 
   logSwissCheckerResults 
 } = require('./checkSwissListingsService');
 
-async function handleAdvertNotFound(autoscoutId) {
+async function handleAdvertNotFound(autoscoutId, control = null) {
   try {
     logger.warn(`[CHECKER] 🚫 Advert ${autoscoutId} not available, marking ALL with same autoscout_id as inactive...`);
 
@@ -32,7 +35,8 @@ async function handleAdvertNotFound(autoscoutId) {
         const timeDiffDays = timeDiffMs / (1000 * 60 * 60 * 24);
         const daysBetween = timeDiffDays < 1 ? 0 : Math.floor(timeDiffDays);
         advert.sell_time = daysBetween;
-        await advert.save();
+        await saveUnlessDryRun(advert, describeAdvert(advert), 'deactivate');
+        await recordObservation(advert, control, 'deactivated');
         logger.info(`[CHECKER] ✅ Advert id=${advert.id} (autoscout_id=${autoscoutId}) marked as inactive`);
       } catch (rowErr) {
         logger.error(`[CHECKER] ❌ Failed to mark advert id=${advert.id} inactive:`, rowErr.message);
@@ -42,7 +46,11 @@ async function handleAdvertNotFound(autoscoutId) {
     logger.error(`[CHECKER] ❌ Error handling not-available adverts for autoscout_id ${autoscoutId}:`, error.message);
     // Fallback: best-effort bulk deactivate without dates/sell_time calc
     try {
-      await Advert.update({ is_active: false }, { where: { autoscout_id: autoscoutId } });
+      await unlessDryRun(
+        () => Advert.update({ is_active: false }, { where: { autoscout_id: autoscoutId } }),
+        'deactivate',
+        { entity: 'advert', autoscout_id: autoscoutId, values: { is_active: false } }
+      );
       logger.info(`[CHECKER] ✅ Fallback: All adverts with autoscout_id=${autoscoutId} marked inactive`);
     } catch (fallbackError) {
       logger.error(`[CHECKER] ❌ Fallback error bulk-updating autoscout_id ${autoscoutId}:`, fallbackError.message);
@@ -50,100 +58,64 @@ async function handleAdvertNotFound(autoscoutId) {
   }
 }
 
-async function checkAdvertAvailability(autoscoutId) {
-  const baseUrl = process.env.AUTOSCOUT_URL || 'https://www.autoscout24.com';
-  const advertUrl = `${baseUrl}/offers/${autoscoutId}`;
-  const response = await axios.get(advertUrl, {
-    httpsAgent: getHttpsAgent(),
-    headers: {
-      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'accept-language': 'fr-BE,fr;q=0.9,en;q=0.8',
-      'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-    },
-    validateStatus: () => true
-  });
-
-  const html = response.data || '';
-  const $ = cheerio.load(html);
-
-  // Stricter presence checks to avoid false positives on placeholder/error pages
-  const hasMake = $('.StageTitle_makeModelContainer__RyjBP').length > 0;
-  const hasModel = $('.StageTitle_modelVersion__Yof2Z').length > 0;
-  const hasTitleMakeModel = hasMake && hasModel;
-  const hasPrice = $('.PriceInfo_price__XU0aF').length > 0 || $('[data-testid="price-section"]').length > 0;
-  const hasActionBtn = $('#lead-form-lightbox-desktop-button').length > 0 || $('#call-desktop-button').length > 0;
-  const hasStageContainer = $('.StageArea_informationContainer__VRqU6').length > 0;
-
-  const isValidListing = (hasTitleMakeModel && hasPrice) || (hasStageContainer && (hasTitleMakeModel || hasPrice)) || (hasActionBtn && hasTitleMakeModel);
-  return isValidListing;
+async function checkAdvertAvailability(autoscoutId, region = null) {
+  // The page checks live in the AutoScout24 EU marketplace adapter
+  return getAdapter('autoscout24_eu').checkAvailability({ autoscout_id: autoscoutId }, { region });
 }
 
-async function processAdvertsSequentially(adverts) {
+// Adverts are checked ADVERT_PROCESSING_CONCURRENCY_CHECKER (or ADVERT_PROCESSING_CONCURRENCY) at a time,
+// on the site of the dealer's region when it is known
+async function processAdverts(adverts, control = null, region = null) {
   let successCount = 0;
   let inactiveCount = 0;
   let errorCount = 0;
+  let processedCount = 0;
 
   // UUID validation regex pattern
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
-  logger.info(`[CHECKER] 🔄 Processing ${adverts.length} adverts sequentially`);
+  const concurrency = readConcurrency(['ADVERT_PROCESSING_CONCURRENCY_CHECKER', 'ADVERT_PROCESSING_CONCURRENCY']);
+  logger.info(`[CHECKER] 🔄 Processing ${adverts.length} adverts with concurrency ${concurrency}`);
 
-  for (let i = 0; i < adverts.length; i++) {
-    const advert = adverts[i];
+  await mapWithConcurrency(adverts, concurrency, async (advert, i) => {
     logger.info(`[CHECKER] 📋 Processing advert ${i + 1}/${adverts.length}: ${advert.autoscout_id}`);
 
     // Validate UUID format before processing
     if (!advert.autoscout_id || !uuidRegex.test(advert.autoscout_id)) {
       logger.error(`[CHECKER] ❌ Invalid UUID format for advert autoscout_id: ${advert.autoscout_id} - skipping processing`);
       errorCount++;
-      continue;
+      return;
     }
 
-    let lastError = null;
-    let processed = false;
-    
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        logger.info(`[CHECKER] 🔎 Checking availability for advert: ${advert.autoscout_id} (attempt ${attempt}/3)`);
-        const isAvailable = await checkAdvertAvailability(advert.autoscout_id);
-        if (!isAvailable) throw new Error('Listing elements not found on page');
-        logger.info(`[CHECKER] ✅ Listing appears available for advert: ${advert.autoscout_id} on attempt ${attempt}`);
+    // Transient HTTP failures are retried by the HTTP client; a check that still fails says
+    // nothing about the listing, so only a page without the listing deactivates the advert
+    try {
+      logger.info(`[CHECKER] 🔎 Checking availability for advert: ${advert.autoscout_id}`);
+      const isAvailable = await checkAdvertAvailability(advert.autoscout_id, region);
+      if (isAvailable) {
+        logger.info(`[CHECKER] ✅ Listing appears available for advert: ${advert.autoscout_id}`);
+        await recordObservation(advert, control, 'existing');
         successCount++;
-        processed = true;
-        break;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`[CHECKER] ⚠️ Attempt ${attempt}/3 failed for advert ${advert.autoscout_id}:`, error.message);
-        if (attempt === 3) {
-          logger.error(`[CHECKER] ❌ All 3 attempts failed for advert ${advert.autoscout_id}:`, error.message);
-          await handleAdvertNotFound(advert.autoscout_id);
-          inactiveCount++;
-          processed = true;
-        } else {
-          logger.info(`[CHECKER] ⏳ Waiting 1 second before retry for advert ${advert.autoscout_id}...`);
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-        }
+      } else {
+        logger.warn(`[CHECKER] ⚠️ Listing elements not found on page for advert ${advert.autoscout_id}`);
+        await handleAdvertNotFound(advert.autoscout_id, control);
+        inactiveCount++;
       }
-    }
-    
-    if (!processed) {
+    } catch (error) {
+      logger.error(`[CHECKER] ❌ Could not check advert ${advert.autoscout_id}, leaving it active:`, error.message);
       errorCount++;
     }
 
     // Aggressive memory cleanup every 5 adverts
-    if ((i + 1) % 5 === 0 && global.gc) {
+    processedCount++;
+    if (processedCount % 5 === 0 && global.gc) {
       global.gc();
       const memUsage = process.memoryUsage();
       const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
       const heapTotalMB = Math.round(memUsage.heapTotal / 1024 / 1024);
-      logger.info(`[CHECKER] 🧹 GC after ${i + 1} adverts: ${heapUsedMB}MB/${heapTotalMB}MB`);
-    }
-
-    // Small delay between adverts for memory cleanup and server respect
-    if (i < adverts.length - 1) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+      logger.info(`[CHECKER] 🧹 GC after ${processedCount} adverts: ${heapUsedMB}MB/${heapTotalMB}MB`);
     }
-  }
+  });
 
   return {
     successful: successCount,
@@ -153,12 +125,38 @@ async function processAdvertsSequentially(adverts) {
   };
 }
 
-async function checkListings() {
+/**
+ * Check one stored advert with the adapter of its marketplace (on-demand jobs)
+ * @param {number} advertId - autoscout_adverts.id
+ * @param {Object} control - Control the observation is linked to
+ * @returns {Promise<Object>} - { advert_id, autoscout_id, available }
+ */
+async function checkSingleAdvert(advertId, control = null) {
+  const advert = await Advert.findByPk(advertId, { attributes: ['id', 'autoscout_id', 'seller_id', 'link'] });
+  if (!advert) {
+    throw new Error(`Advert ${advertId} not found`);
+  }
+
+  const adapter = getAdapterForUrl(advert.link || '');
+  logger.info(`[CHECKER] 🔎 Checking availability for advert ${advert.id} (${advert.autoscout_id}) with ${adapter.name}`);
+
+  // A failed check throws and leaves the advert untouched, like in processAdverts
+  const isAvailable = await adapter.checkAvailability(advert);
+  if (isAvailable) {
+    await recordObservation(advert, control, 'existing');
+  } else {
+    await handleAdvertNotFound(advert.autoscout_id, control);
+  }
+
+  return { advert_id: advert.id, autoscout_id: advert.autoscout_id, available: isAvailable };
+}
+
+async function checkListings(control = null) {
   logger.info('[CHECKER] 📋 Starting check listings job...');
   try {
     const activeAdverts = await Advert.findAll({
       where: { is_active: true },
-      attributes: ['autoscout_id', 'seller_id']
+      attributes: ['id', 'autoscout_id', 'seller_id']
     });
 
     logger.info(`[CHECKER] 📊 Found ${activeAdverts.length} active adverts to check`);
@@ -167,7 +165,7 @@ async function checkListings() {
       return;
     }
 
-    const results = await processAdvertsSequentially(activeAdverts);
+    const results = await processAdverts(activeAdverts, control);
 
     logger.info(`[CHECKER] 📊 Processing complete: ${results.successful} successful, ${results.inactive} marked inactive, ${results.error} failed`);
     logger.info('[CHECKER] ✅ Check listings job completed successfully');
@@ -177,14 +175,14 @@ async function checkListings() {
   }
 }
 
-async function checkListingsForUser(user) {
+async function checkListingsForUser(user, control = null) {
   try {
     
     // Check if this is a Swiss region user
     if (shouldUseSwissChecker(user)) {
       logger.info(`[CHECKER] 🇨🇭 User ${user.id} detected as Swiss region - using Swiss checker`);
       
-      const swissResult = await checkSwissDealerListings(user);
+      const swissResult = await checkSwissDealerListings(user, control);
       logSwissCheckerResults(swissResult);
       
       if (swissResult.status === 'error') {
@@ -209,7 +207,7 @@ async function checkListingsForUser(user) {
     
     const activeAdverts = await Advert.findAll({
       where: { is_active: true, seller_id: user.id },
-      attributes: ['autoscout_id', 'seller_id']
+      attributes: ['id', 'autoscout_id', 'seller_id']
     });
 
     logger.info(`[CHECKER] 👤 User ${user.id}: ${activeAdverts.length} active adverts to check`);
@@ -218,7 +216,7 @@ async function checkListingsForUser(user) {
       return { user: user.id, status: 'success', successful: 0, inactive: 0, failed: 0, rejected: 0, region: 'belgian' };
     }
 
-    const results = await processAdvertsSequentially(activeAdverts);
+    const results = await processAdverts(activeAdverts, control, getRegionByUrl(user.autoscout_url));
     
     return { 
       user: user.id, 
@@ -235,18 +233,24 @@ async function checkListingsForUser(user) {
   }
 }
 
-async function processUsersSequentiallyForChecker(users) {
+// Users are checked USER_PROCESSING_CONCURRENCY_CHECKER (or USER_PROCESSING_CONCURRENCY) at a time
+async function processUsersForChecker(users, control = null, { signal } = {}) {
   let successCount = 0;
   let errorCount = 0;
+  let processedCount = 0;
 
-  logger.info(`[CHECKER] 🔄 Processing ${users.length} users sequentially for checker`);
+  const concurrency = readConcurrency(['USER_PROCESSING_CONCURRENCY_CHECKER', 'USER_PROCESSING_CONCURRENCY']);
+  logger.info(`[CHECKER] 🔄 Processing ${users.length} users for checker with concurrency ${concurrency}`);
 
-  for (let i = 0; i < users.length; i++) {
-    const user = users[i];
+  await mapWithConcurrency(users, concurrency, async (user, i) => {
     logger.info(`[CHECKER] 📋 Processing user ${i + 1}/${users.length}: ${user.id} (${user.company_name || 'Unknown'})`);
 
     try {
-      const result = await checkListingsForUser(user);
+      const result = await runInRequestSession(
+        `dealer:${user.id}`,
+        () => checkListingsForUser(user, control),
+        { cultureIso: resolveRegionCultureIso(user.autoscout_url) }
+      );
       
       if (result.status === 'success') {
         successCount++;
@@ -261,20 +265,15 @@ async function processUsersSequentiallyForChecker(users) {
     }
 
     // Aggressive memory cleanup every 3 users
-    if ((i + 1) % 3 === 0 && global.gc) {
+    processedCount++;
+    if (processedCount % 3 === 0 && global.gc) {
       global.gc();
       const memUsage = process.memoryUsage();
       const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
       const heapTotalMB = Math.round(memUsage.heapTotal / 1024 / 1024);
-      logger.info(`[CHECKER] 🧹 GC after ${i + 1} users: ${heapUsedMB}MB/${heapTotalMB}MB`);
+      logger.info(`[CHECKER] 🧹 GC after ${processedCount} users: ${heapUsedMB}MB/${heapTotalMB}MB`);
     }
-
-    // Small delay between users for memory cleanup and server respect
-    if (i < users.length - 1) {
-      logger.info('[CHECKER] ⏳ Waiting 2 seconds before next user...');
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-    }
-  }
+  }, { signal });
 
   return {
     successful: successCount,
@@ -283,7 +282,7 @@ async function processUsersSequentiallyForChecker(users) {
   };
 }
 
-async function checkListingsAcrossUsers() {
+async function checkListingsAcrossUsers(control = null, { signal } = {}) {
   logger.info('[CHECKER] 📋 Starting check listings across users...');
   
   // LOCALHOST MODE: Filter users by IDs when NODE_ENV=development and LOCALHOST_USERS=true
@@ -335,7 +334,7 @@ async function checkListingsAcrossUsers() {
     return [];
   }
 
-  const results = await processUsersSequentiallyForChecker(users);
+  const results = await processUsersForChecker(users, control, { signal });
   
   logger.info(`[CHECKER] 📊 Check listings across users complete: ${results.successful} successful, ${results.failed} failed out of ${results.total} users`);
   
@@ -344,8 +343,10 @@ async function checkListingsAcrossUsers() {
 
 module.exports = {
   checkListings,
-  processAdvertsSequentially,
+  checkAdvertAvailability,
+  processAdverts,
+  checkSingleAdvert,
   checkListingsForUser,
-  processUsersSequentiallyForChecker,
+  processUsersForChecker,
   checkListingsAcrossUsers,
 }; 
\ No newline at end of file
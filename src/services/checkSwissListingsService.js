@@ -9,6 +9,9 @@ const {
   fetchAllSwissDealerListings,
   fetchSwissListingById
 } = require('./autoscoutChApi');
+const { recordObservation } = require('./observationService');
+const { readConcurrency, mapWithConcurrency } = require('../utils/workerPool');
+const { describeAdvert, unlessDryRun } = require('../utils/dryRun');
 
 /**
  * Create debug log file for Swiss checker run
@@ -59,9 +62,10 @@ function writeDebugLog(logFilePath, message) {
 /**
  * Check Swiss listings availability using individual listing API calls
  * @param {Object} user - User object with autoscout_url
+ * @param {Object} control - Control object of the checker session (optional)
  * @returns {Object} - Results of the availability check
  */
-async function checkSwissListingsIndividually(user) {
+async function checkSwissListingsIndividually(user, control = null) {
   let debugLogFilePath = null;
   
   try {
@@ -109,7 +113,8 @@ async function checkSwissListingsIndividually(user) {
     writeDebugLog(debugLogFilePath, startInfo);
     
     // Check each database advert individually (both active and inactive)
-    for (const advert of allAdverts) {
+    const concurrency = readConcurrency(['ADVERT_PROCESSING_CONCURRENCY_CHECKER', 'ADVERT_PROCESSING_CONCURRENCY']);
+    await mapWithConcurrency(allAdverts, concurrency, async (advert) => {
       try {
         const checkMsg = `🔍 Checking advert ${advert.autoscout_id} individually...`;
         logger.info('[CHECKER] ' + checkMsg);
@@ -158,12 +163,14 @@ async function checkSwissListingsIndividually(user) {
               model: advert.model,
               price: advert.price
             });
+            await recordObservation(advert, control, 'existing');
             const stillAvailable = `✅ [Swiss Individual] Advert ${advert.autoscout_id} (${advert.make} ${advert.model}) still available`;
             logger.info('[CHECKER] ' + stillAvailable);
             writeDebugLog(debugLogFilePath, stillAvailable);
           } else {
             // Was inactive but now available - reactivate it!
             await reactivateSwissAdvert(advert);
+            await recordObservation(advert, control, 'reactivated');
             results.reactivated.push({
               autoscout_id: advert.autoscout_id,
               make: advert.make,
@@ -194,6 +201,7 @@ async function checkSwissListingsIndividually(user) {
             
             // Mark as inactive
             await markSwissAdvertAsInactive(advert);
+            await recordObservation(advert, control, 'deactivated');
           } else {
             // Was already inactive and still not available - no action needed
             const remainsInactive = `⏸️ [Swiss Individual] Advert ${advert.autoscout_id} (${advert.make} ${advert.model}) remains inactive`;
@@ -202,9 +210,6 @@ async function checkSwissListingsIndividually(user) {
           }
         }
         
-        // Small delay between individual checks to be respectful
-        await new Promise(resolve => setTimeout(resolve, 500)); // Increased delay to reduce rate limiting
-        
       } catch (error) {
         // Special handling for rate limit errors - don't mark as inactive
         if (error.message && error.message.includes('Rate limit error')) {
@@ -227,7 +232,7 @@ async function checkSwissListingsIndividually(user) {
           });
         }
       }
-    }
+    });
     
     // Log summary
     const summary = `📊 Swiss individual check results for user ${user.id}:`;
@@ -293,9 +298,10 @@ async function checkSwissListingsIndividually(user) {
 /**
  * Check Swiss dealer listings availability using CH API (bulk search method)
  * @param {Object} user - User object with autoscout_url
+ * @param {Object} control - Control object of the checker session (optional)
  * @returns {Object} - Results of the availability check
  */
-async function checkSwissDealerListings(user) {
+async function checkSwissDealerListings(user, control = null) {
   try {
     logger.info(`[CHECKER] 🇨🇭 Starting Swiss listings check for user ${user.id}: ${user.autoscout_url}`);
     
@@ -307,8 +313,21 @@ async function checkSwissDealerListings(user) {
     
     logger.info(`[CHECKER] 🏢 Swiss dealer ID: ${dealerId}`);
     
-    // Fetch current listings from Swiss API
-    const currentListings = await fetchAllSwissDealerListings(dealerId);
+    // Fetch current listings from Swiss API; every active advert missing from them is
+    // deactivated below, so a failed or incomplete fetch skips the dealer instead
+    let currentListings;
+    try {
+      currentListings = await fetchAllSwissDealerListings(dealerId);
+    } catch (error) {
+      logger.warn(`[CHECKER] ⏭️ Skipping Swiss dealer ${dealerId} (user ${user.id}), no advert deactivated: ${error.message}`);
+      return {
+        user: user.id,
+        dealerId,
+        status: 'error',
+        skipped: true,
+        error: error.message
+      };
+    }
     logger.info(`[CHECKER] 📊 Swiss API returned ${currentListings.length} current listings for dealer ${dealerId}`);
     console.log(currentListings.map(listing => listing.id));
     logger.info(`[CHECKER] 📊 Seller types from API: [${currentListings.map(listing => `${listing.id}:${listing.seller?.type || 'unknown'}`).join(', ')}]`);
@@ -356,6 +375,7 @@ async function checkSwissDealerListings(user) {
             model: advert.model,
             price: advert.price
           });
+          await recordObservation(advert, control, 'existing');
           logger.info(`[CHECKER] ✅ [Swiss] Advert ${advert.autoscout_id} (${advert.make} ${advert.model}) still available`);
         } else {
           results.noLongerAvailable.push({
@@ -368,6 +388,7 @@ async function checkSwissDealerListings(user) {
           
           // Mark as inactive
           await markSwissAdvertAsInactive(advert);
+          await recordObservation(advert, control, 'deactivated');
         }
       } catch (error) {
         logger.error(`[CHECKER] ❌ Error checking Swiss advert ${advert.autoscout_id}:`, error.message);
@@ -428,15 +449,15 @@ async function reactivateSwissAdvert(advert) {
     const now = new Date();
     
     // Update advert to active status
-    await Advert.update(
-      {
-        is_active: true,
-        last_seen: now,
-        sell_time: null 
-      },
-      {
-        where: { id: advert.id }
-      }
+    const values = {
+      is_active: true,
+      last_seen: now,
+      sell_time: null
+    };
+    await unlessDryRun(
+      () => Advert.update(values, { where: { id: advert.id } }),
+      'update',
+      { ...describeAdvert(advert), values: { is_active: true, sell_time: null } }
     );
     
     logger.info(`[CHECKER] ✅ [Swiss] Reactivated advert ${advert.autoscout_id} - back online!`);
@@ -478,15 +499,15 @@ async function markSwissAdvertAsInactive(advert) {
     }
     
     // Update advert
-    await Advert.update(
-      {
-        is_active: false,
-        last_seen: now,
-        sell_time: daysBetween
-      },
-      {
-        where: { id: advert.id }
-      }
+    const values = {
+      is_active: false,
+      last_seen: now,
+      sell_time: daysBetween
+    };
+    await unlessDryRun(
+      () => Advert.update(values, { where: { id: advert.id } }),
+      'deactivate',
+      { ...describeAdvert(advert), values: { is_active: false, sell_time: daysBetween } }
     );
     
     logger.info(`[CHECKER] ✅ [Swiss] Marked advert ${advert.autoscout_id} as inactive (sold after ${daysBetween} days)`);
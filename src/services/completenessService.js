@@ -0,0 +1,250 @@
+const { Op, QueryTypes } = require('sequelize');
+const { Advert, sequelize } = require('../../models');
+
+/**
+ * Completeness Service
+ * Scores how many of the expected fields an extracted advert actually has, and
+ * migrates the "Unknown X" placeholder strings older runs stored to NULL.
+ */
+
+// Fields a Belgian detail page is expected to provide
+const DETAIL_PAGE_FIELDS = [
+  'make',
+  'model',
+  'location',
+  'price',
+  'seller_name',
+  'first_registration',
+  'body_type',
+  'type',
+  'drivetrain',
+  'seats',
+  'doors',
+  'color',
+  'paint',
+  'upholstery_color',
+  'upholstery',
+  'emission_class',
+  'fuel_type',
+  'fuel_consumption',
+  'co_2_emissions',
+  'power',
+  'gearbox',
+  'engine_size',
+  'gears',
+  'cylinders',
+  'empty_weight',
+  'mileage',
+  'previous_owner',
+  'image_url'
+];
+
+// Fields the Swiss listing API provides (see swissListingMapper)
+const SWISS_API_FIELDS = [
+  'make',
+  'model',
+  'location',
+  'price',
+  'seller_name',
+  'first_registration',
+  'body_type',
+  'type',
+  'drivetrain',
+  'seats',
+  'doors',
+  'color',
+  'emission_class',
+  'fuel_type',
+  'co_2_emissions',
+  'power',
+  'gearbox',
+  'engine_size',
+  'cylinders',
+  'mileage',
+  'previous_owner',
+  'description',
+  'image_url'
+];
+
+// Placeholders written by getListingInfos before missing values were stored as NULL
+const LEGACY_PLACEHOLDERS = {
+  make: 'Unknown Make',
+  model: 'Unknown Model',
+  location: 'Unknown Location',
+  seller_name: 'Unknown Seller',
+  body_type: 'Unknown Body Type',
+  type: 'Unknown Type',
+  drivetrain: 'Unknown Drivetrain',
+  color: 'Unknown Colour',
+  paint: 'Unknown Paint',
+  upholstery_color: 'Unknown Upholstery Colour',
+  upholstery: 'Unknown Upholstery',
+  emission_class: 'Unknown Emission Class',
+  fuel_type: 'Unknown Fuel Type',
+  fuel_consumption: 'Unknown Fuel Consumption',
+  co_2_emissions: 'Unknown CO₂ Emissions',
+  power: 'Unknown Power',
+  gearbox: 'Unknown Gearbox',
+  engine_size: 'Unknown Engine Size',
+  empty_weight: 'Unknown Empty Weight',
+  mileage: 'Unknown Mileage',
+  last_service: 'Unknown Last Service'
+};
+
+/**
+ * Whether a value counts as missing (null, empty, "-" or an "Unknown ..." placeholder)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMissingValue(value) {
+  if (value == null) return true;
+  if (typeof value === 'number') return !Number.isFinite(value) || value === 0;
+  if (typeof value !== 'string') return false;
+
+  const text = value.trim();
+  return text === '' || text === '-' || /^unknown\b/i.test(text);
+}
+
+/**
+ * Score an advert against the fields expected from its source
+ * @param {Object} advertData - Plain advert data or Advert instance
+ * @param {Array<string>} expectedFields - DETAIL_PAGE_FIELDS or SWISS_API_FIELDS
+ * @returns {Object} - { data_completeness (0..1), missing_fields }
+ */
+function computeCompleteness(advertData, expectedFields = DETAIL_PAGE_FIELDS) {
+  const missingFields = expectedFields.filter(field => isMissingValue(advertData[field]));
+  const score = (expectedFields.length - missingFields.length) / expectedFields.length;
+
+  return {
+    data_completeness: Math.round(score * 100) / 100,
+    missing_fields: missingFields
+  };
+}
+
+/**
+ * Pick the expected field list for a stored advert (Swiss adverts are priced in CHF)
+ * @param {Object} advert
+ * @returns {Array<string>}
+ */
+function getExpectedFields(advert) {
+  return advert.price_currency === 'CHF' ? SWISS_API_FIELDS : DETAIL_PAGE_FIELDS;
+}
+
+/**
+ * Replace the legacy "Unknown X" placeholders with NULL
+ * @returns {Promise<Object>} - Number of rows updated per column
+ */
+async function migratePlaceholderValues() {
+  const updatedPerColumn = {};
+
+  for (const [column, placeholder] of Object.entries(LEGACY_PLACEHOLDERS)) {
+    const [updated] = await Advert.update(
+      { [column]: null },
+      { where: { [column]: placeholder } }
+    );
+    updatedPerColumn[column] = updated;
+    if (updated > 0) {
+      console.log(`[COMPLETENESS] 🧹 ${column}: ${updated} placeholder values set to NULL`);
+    }
+  }
+
+  return updatedPerColumn;
+}
+
+/**
+ * Compute data_completeness / missing_fields for stored adverts
+ * @param {Object} options
+ * @param {boolean} options.force - Recompute adverts that already have a score
+ * @param {number} options.limit - Maximum number of adverts to process (null = no limit)
+ * @param {number} options.batchSize - Number of adverts loaded per query
+ * @returns {Promise<Object>} - { total, failed }
+ */
+async function recomputeCompleteness({ force = false, limit = null, batchSize = 500 } = {}) {
+  const allFields = [...new Set([...DETAIL_PAGE_FIELDS, ...SWISS_API_FIELDS])];
+  const stats = { total: 0, failed: 0 };
+  let lastId = 0;
+
+  while (limit == null || stats.total < limit) {
+    const where = { id: { [Op.gt]: lastId } };
+    if (!force) {
+      where.data_completeness = null;
+    }
+
+    const adverts = await Advert.findAll({
+      where,
+      attributes: ['id', 'price_currency', ...allFields],
+      order: [['id', 'ASC']],
+      limit: limit == null ? batchSize : Math.min(batchSize, limit - stats.total)
+    });
+
+    if (adverts.length === 0) {
+      break;
+    }
+
+    for (const advert of adverts) {
+      stats.total++;
+      lastId = advert.id;
+
+      try {
+        await advert.update(computeCompleteness(advert, getExpectedFields(advert)));
+      } catch (error) {
+        console.error(`[COMPLETENESS] ❌ Failed to score advert ${advert.id}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    console.log(`[COMPLETENESS] 📊 Scored ${stats.total} adverts so far (${stats.failed} failed)`);
+  }
+
+  return stats;
+}
+
+/**
+ * Average completeness per dealer, worst first, with their most frequently missing fields
+ * @param {Object} options
+ * @param {number} options.limit - Number of dealers to return
+ * @param {number} options.minAdverts - Ignore dealers with fewer scored adverts
+ * @param {boolean} options.onlyActive - Only consider active adverts
+ * @returns {Promise<Array>} - [{ seller_id, seller_name, advert_count, avg_completeness, top_missing_fields }]
+ */
+async function getCompletenessReportBySeller({ limit = 20, minAdverts = 5, onlyActive = true } = {}) {
+  const activeFilter = onlyActive ? 'AND is_active = true' : '';
+
+  const sellers = await sequelize.query(
+    `SELECT seller_id, MAX(seller_name) AS seller_name, COUNT(*) AS advert_count,
+            ROUND(AVG(data_completeness)::numeric, 2) AS avg_completeness
+       FROM autoscout_adverts
+      WHERE data_completeness IS NOT NULL ${activeFilter}
+      GROUP BY seller_id
+     HAVING COUNT(*) >= :minAdverts
+      ORDER BY avg_completeness ASC
+      LIMIT :limit`,
+    { replacements: { minAdverts, limit }, type: QueryTypes.SELECT }
+  );
+
+  for (const seller of sellers) {
+    const missing = await sequelize.query(
+      `SELECT field, COUNT(*) AS count
+         FROM autoscout_adverts, UNNEST(missing_fields) AS field
+        WHERE seller_id = :sellerId AND data_completeness IS NOT NULL ${activeFilter}
+        GROUP BY field
+        ORDER BY count DESC
+        LIMIT 5`,
+      { replacements: { sellerId: seller.seller_id }, type: QueryTypes.SELECT }
+    );
+    seller.top_missing_fields = missing.map(row => `${row.field} (${row.count})`);
+  }
+
+  return sellers;
+}
+
+module.exports = {
+  DETAIL_PAGE_FIELDS,
+  SWISS_API_FIELDS,
+  LEGACY_PLACEHOLDERS,
+  isMissingValue,
+  computeCompleteness,
+  migratePlaceholderValues,
+  recomputeCompleteness,
+  getCompletenessReportBySeller
+};
@@ -1,8 +1,16 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const { uploadImageToS3 } = require('./awsService');
+const { saveAdvertGallery } = require('./advertImageService');
+const { parsePriceValue } = require('./priceHistoryService');
 const { determineFuelType, determinePowerHP } = require('./gptService');
+const { extractNumericSpecs } = require('../utils/vehicleNormalizer');
+const { computeCompleteness, DETAIL_PAGE_FIELDS } = require('./completenessService');
+const { getDetailParser } = require('./listingDetailsExtractor');
+const { getDefaultRegion } = require('./regionRegistry');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders } = require('../utils/headerProfiles');
+const { requestWithSessionRefresh } = require('./autoscoutApi');
 const { Advert} = require('../../models');
+const { describeAdvert, createUnlessDryRun, updateUnlessDryRun } = require('../utils/dryRun');
 
 function extractFirstMileageValue(mileageRaw) {
   if (!mileageRaw || typeof mileageRaw !== 'string') {
@@ -24,66 +32,63 @@ function extractFirstMileageValue(mileageRaw) {
   return firstMatch.replace(/\s+/g, ' ').trim();
 }
 
-async function getListingInfos(advertUrl, advertId, user, isInitialRun = false) {
+async function getListingInfos(advertUrl, advertId, user, isInitialRun = false, region = getDefaultRegion()) {
   try {
     console.log(`[SCRAPER] Fetching advert page: ${advertUrl}`);
-    const response = await axios.get(advertUrl);
+    const response = await requestWithSessionRefresh(
+      () => httpClient.get(advertUrl, { headers: buildBrowserHeaders() }, { label: 'advert page' }),
+      region
+    );
 
     const html = response.data;
     const $ = cheerio.load(html);
 
-    const make = $('.StageTitle_makeModelContainer__RyjBP').text().trim();
-    const model = $('.StageTitle_modelVersion__Yof2Z').text().trim();
-    const location = $('.scr-link.LocationWithPin_locationItem__tK1m5').text().trim();
+    // Structured __NEXT_DATA__ first, build-hashed CSS selectors only as fallback
+    const { fields, strategy: extractionStrategy } = getDetailParser(region.detailParser)($);
+    console.log(`[SCRAPER] Extracted advert ${advertId} fields using strategy: ${extractionStrategy}`);
 
-    const priceElement = $('.PriceInfo_price__XU0aF');
-    const price = priceElement.contents().filter(function() {
-      return this.type === 'text';
-    }).text().trim();
+    const {
+      make,
+      model,
+      location,
+      price,
+      sellerName,
+      imageUrl,
+      bodyType,
+      type,
+      drivetrain,
+      seats,
+      doors,
+      countryVersion,
+      colour,
+      paint,
+      upholsteryColour,
+      upholstery,
+      emissionClass,
+      fuelConsumption,
+      co2Emissions,
+      gearbox,
+      engineSize,
+      gears,
+      cylinders,
+      emptyWeight,
+      lastService,
+      previousOwner,
+      fullServiceHistory
+    } = fields;
 
-    let sellerName = $('.CommonComponents_nameContainer__TtFCL').text().trim();
-
-    if(!sellerName){
-      sellerName = $('.TieredPricingRatingsSection_nameContainer__fMSj2').text().trim();
-      console.log('[SCRAPER] Seller name:', sellerName) 
-    }
-    const extractDetail = (label) => {
-      return $(`dt:contains("${label}")`).next('dd').text().trim();
-    };
+    // The gallery is mirrored into MinIO once the advert row exists (see saveAdvertGallery)
+    const images = fields.images || [];
+    console.log(`[SCRAPER] Found ${images.length} images, cover: ${imageUrl}`);
     
-    // Extract image URL
-    const imageUrl = $('img').eq(9).attr('src');
-    console.log('[SCRAPER] Found image URL:', imageUrl);
-    
-    // Upload image to S3 and get the S3 URL
-    const s3ImageUrl = await uploadImageToS3(imageUrl, advertId);
-    
-    const bodyType = extractDetail('Body type');
-    const type = extractDetail('Type');
-    const drivetrain = extractDetail('Drivetrain');
-    const seats = extractDetail('Seats');
-    const doors = extractDetail('Doors');
-    const countryVersion = extractDetail('Country version');
-    const colour = extractDetail('Colour');
-    const paint = extractDetail('Paint');
-    const upholsteryColour = extractDetail('Upholstery colour');
-    const upholstery = extractDetail('Upholstery');
-    const emissionClass = extractDetail('Emission class');
-    const fuelTypeRaw = extractDetail('Fuel type');
+    const fuelTypeRaw = fields.fuelType;
     const fuelType = await determineFuelType(fuelTypeRaw);
-    const fuelConsumption = extractDetail('Fuel consumption');
-    const co2Emissions = extractDetail('CO₂-emissions');
-    const powerRaw = extractDetail('Power');
+    const powerRaw = fields.power;
     const power = await determinePowerHP(powerRaw);
-    const gearbox = extractDetail('Gearbox');
-    const engineSize = extractDetail('Engine size');
-    const gears = extractDetail('Gears');
-    const cylinders = extractDetail('Cylinders');
-    const emptyWeight = extractDetail('Empty weight');
-    const mileageRaw = extractDetail('Mileage');
+    const mileageRaw = fields.mileage;
     
     const mileage = extractFirstMileageValue(mileageRaw);
-    const firstRegistrationRaw = extractDetail('First registration');
+    const firstRegistrationRaw = fields.firstRegistration;
    
     console.log("[SCRAPER] First registration raw value:", firstRegistrationRaw);
     let firstRegistration = null;
@@ -96,9 +101,6 @@ async function getListingInfos(advertUrl, advertId, user, isInitialRun = false)
     else {
       firstRegistration = null;
     }
-    const lastService = extractDetail('Last service');
-    const previousOwner = extractDetail('Previous owner');
-    const fullServiceHistory = extractDetail('Full service history');
 
     console.log(`[SCRAPER] Extracted details for advert ID ${advertId}: \n`);
     // console.log({
@@ -132,95 +134,128 @@ async function getListingInfos(advertUrl, advertId, user, isInitialRun = false)
     //   lastService,
     //   previousOwner,
     //   fullServiceHistory,
-    //   s3ImageUrl,
     // });
+    // Numeric columns are parsed from the raw texts
+    const numericSpecs = extractNumericSpecs({
+      mileage,
+      power: powerRaw || power,
+      engine_size: engineSize,
+      empty_weight: emptyWeight,
+      co_2_emissions: co2Emissions,
+      fuel_consumption: fuelConsumption
+    });
+
     // Return the extracted data instead of saving to database
-    return {
+    const advertData = {
       seller_id: user.id,
       autoscout_id: advertId,
-      make: make || 'Unknown Make',
-      model: model || 'Unknown Model',
-      location: location || 'Unknown Location',
-      price: parseFloat(price.replace(/[^0-9.]/g, '')) || 0,
-      seller_name: sellerName || 'Unknown Seller',
-      body_type: bodyType || 'Unknown Body Type',
-      type: type || 'Unknown Type',
-      drivetrain: drivetrain || 'Unknown Drivetrain',
+      make: make || null,
+      model: model || null,
+      location: location || null,
+      // Same parser as the price history, so the stored price and its snapshots agree
+      price: parsePriceValue(price) || null,
+      price_currency: region.currency,
+      seller_name: sellerName || null,
+      body_type: bodyType || null,
+      type: type || null,
+      drivetrain: drivetrain || null,
       seats: parseInt(seats) || null,
       doors: parseInt(doors) || null,
-      color: colour || 'Unknown Colour',
-      paint: paint || 'Unknown Paint',
-      upholstery_color: upholsteryColour || 'Unknown Upholstery Colour',
-      upholstery: upholstery || 'Unknown Upholstery',
-      emission_class: emissionClass || 'Unknown Emission Class',
-      fuel_type: fuelType || 'Unknown Fuel Type',
-      fuel_consumption: fuelConsumption || 'Unknown Fuel Consumption',
-      co_2_emissions: co2Emissions || 'Unknown CO₂ Emissions',
-      power: power || 'Unknown Power',
-      gearbox: gearbox || 'Unknown Gearbox',
-      engine_size: engineSize || 'Unknown Engine Size',
+      color: colour || null,
+      paint: paint || null,
+      upholstery_color: upholsteryColour || null,
+      upholstery: upholstery || null,
+      emission_class: emissionClass || null,
+      fuel_type: fuelType || null,
+      fuel_consumption: fuelConsumption || null,
+      co_2_emissions: co2Emissions || null,
+      power: power || null,
+      gearbox: gearbox || null,
+      engine_size: engineSize || null,
       gears: parseInt(gears) || null,
       cylinders: parseInt(cylinders) || null,
-      empty_weight: emptyWeight || 'Unknown Empty Weight',
-      mileage: mileage || 'Unknown Mileage',
+      empty_weight: emptyWeight || null,
+      mileage: mileage || null,
       first_registration: firstRegistration || null,
-      last_service: lastService || 'Unknown Last Service',
+      last_service: lastService || null,
       previous_owner: parseInt(previousOwner) || null,
       full_service_history: fullServiceHistory === 'Yes',
-      image_url: s3ImageUrl || null,
+      image_url: imageUrl || null,
       original_image_url: imageUrl || null,
       is_initial_run_listing: isInitialRun,
+      extraction_strategy: extractionStrategy,
+      ...numericSpecs,
     };
+
+    // Missing fields are stored as NULL; the score shows how well this page was extracted
+    const completeness = computeCompleteness(advertData, DETAIL_PAGE_FIELDS);
+    if (completeness.missing_fields.length > 0) {
+      console.log(`[SCRAPER] 🧩 Advert ${advertId} completeness ${Math.round(completeness.data_completeness * 100)}%, missing: ${completeness.missing_fields.join(', ')}`);
+    }
+
+    return { ...advertData, ...completeness, images };
   } catch (error) {
     console.error(`[SCRAPER] Error fetching advert page: ${advertUrl}`, error.message);
     throw error;
   }
 }
 
-// Keep the old function name for backward compatibility
-async function extractNewAdvert(advertUrl, advertId, user, isInitialRun = false) {
-  try {
-    const extractedData = await getListingInfos(advertUrl, advertId, user, isInitialRun);
-   
-    // Check for existing listing with same characteristics (excluding autoscout_id and image URLs)
-    const existingListing = await Advert.findOne({
-      where: {
-        make: extractedData.make,
-        model: extractedData.model,
-        seller_name: extractedData.seller_name,
-        mileage: extractedData.mileage,
-        location: extractedData.location,
-        previous_owner: extractedData.previous_owner,
-      }
-    });
-    if (existingListing) {
-      console.log(`[SCRAPER] Found existing listing with ID: ${existingListing.id}. Updating autoscout_id and reactivating.`);
-      
-      // Update the existing listing with new autoscout_id and image URLs, and reactivate it
-      await existingListing.update({
-        autoscout_id: extractedData.autoscout_id,
-        image_url: extractedData.image_url,
-        original_image_url: extractedData.original_image_url,
-        is_active: true,
-        last_seen: new Date()
-      });
-      
-      console.log(`[SCRAPER] Updated existing listing with new autoscout_id: ${extractedData.autoscout_id}`);
-      return existingListing;
+/**
+ * Store an extracted advert, reusing the stored row of a car the dealer re-listed under a new id
+ * @param {Object} extractedData - Advert attributes (getListingInfos output without images)
+ * @param {Array<Object>} images - Gallery [{ url, width, height }]
+ * @param {boolean} isInitialRun - Whether this is the dealer's first scrape
+ * @returns {Promise<Object>} - Created or reactivated Advert
+ */
+async function saveExtractedAdvert(extractedData, images, isInitialRun = false) {
+  // Check for existing listing with same characteristics (excluding autoscout_id and image URLs)
+  const existingListing = await Advert.findOne({
+    where: {
+      make: extractedData.make,
+      model: extractedData.model,
+      seller_name: extractedData.seller_name,
+      mileage: extractedData.mileage,
+      location: extractedData.location,
+      previous_owner: extractedData.previous_owner,
+    }
+  });
+  if (existingListing) {
+    console.log(`[SCRAPER] Found existing listing with ID: ${existingListing.id}. Updating autoscout_id and reactivating.`);
+    
+    // Update the existing listing with new autoscout_id and image URLs, and reactivate it
+    await updateUnlessDryRun(existingListing, {
+      autoscout_id: extractedData.autoscout_id,
+      image_url: extractedData.image_url,
+      original_image_url: extractedData.original_image_url,
+      is_active: true,
+      last_seen: new Date()
+    }, describeAdvert(existingListing));
+    
+    console.log(`[SCRAPER] Updated existing listing with new autoscout_id: ${extractedData.autoscout_id}`);
+    await saveAdvertGallery(existingListing, images);
+    return existingListing;
+  } else {
+    // No existing listing found, create new one
+    if (isInitialRun) {
+      console.log('[SCRAPER] No existing listing found. Creating new INITIAL RUN advert.');
     } else {
-      // No existing listing found, create new one
-      if (isInitialRun) {
-        console.log('[SCRAPER] No existing listing found. Creating new INITIAL RUN advert.');
-      } else {
-        console.log('[SCRAPER] No existing listing found. Creating new advert.');
-      }
-      const newAdvert = await Advert.create(extractedData);
-      return newAdvert;
+      console.log('[SCRAPER] No existing listing found. Creating new advert.');
     }
+    const newAdvert = await createUnlessDryRun(Advert, extractedData, describeAdvert(extractedData));
+    await saveAdvertGallery(newAdvert, images);
+    return newAdvert;
+  }
+}
+
+// Keep the old function name for backward compatibility
+async function extractNewAdvert(advertUrl, advertId, user, isInitialRun = false, region = getDefaultRegion()) {
+  try {
+    const { images, ...extractedData } = await getListingInfos(advertUrl, advertId, user, isInitialRun, region);
+    return await saveExtractedAdvert(extractedData, images, isInitialRun);
   } catch (error) {
     console.error(`[SCRAPER] Error creating advert: ${advertUrl}`, error.message);
     throw error;
   }
 }
 
-module.exports = { extractNewAdvert, getListingInfos };
+module.exports = { extractNewAdvert, getListingInfos, saveExtractedAdvert };
@@ -1,14 +1,31 @@
 const OpenAI = require('openai');
+const { normalizeFuelType, normalizePowerHP, normalizeMileage } = require('../utils/vehicleNormalizer');
+const { withNormalizationCache } = require('./normalizationCacheService');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.GPT_KEY,
-});
+// OpenAI client, only created once a GPT fallback is actually needed
+let openai = null;
+
+function getOpenAIClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.GPT_KEY,
+    });
+  }
+  return openai;
+}
+
+/**
+ * GPT is an opt-in fallback for strings the local normalizer does not recognize
+ * @returns {boolean}
+ */
+function isGptFallbackEnabled() {
+  return process.env.GPT_FALLBACK_ENABLED === 'true';
+}
 
 /**
- * Determines fuel type from extracted text using GPT
+ * Determines fuel type from extracted text, falling back to GPT when enabled
  * @param {string} fuelTypeText - The extracted fuel type text from the webpage
- * @returns {Promise<string>} - Returns one of: 'Diesel', 'Gasoline', or 'Hybrid'
+ * @returns {Promise<string|null>} - Returns one of: 'Diesel', 'Gasoline', 'Hybrid', 'Electric', 'LPG', 'CNG', 'Hydrogen' or 'Ethanol', or null if it could not be determined
  */
 async function determineFuelType(fuelTypeText) {
   try {
@@ -17,14 +34,26 @@ async function determineFuelType(fuelTypeText) {
       return null;
     }
 
-    console.log(`Analyzing fuel type text: "${fuelTypeText}"`);
+    const localResult = normalizeFuelType(fuelTypeText);
+    if (localResult) {
+      return localResult;
+    }
+
+    if (!isGptFallbackEnabled()) {
+      console.log(`Unrecognized fuel type text "${fuelTypeText}", keeping it as is`);
+      return fuelTypeText.trim();
+    }
+
+    // Identical inputs are answered from the cache instead of calling OpenAI again
+    return await withNormalizationCache('fuel_type', fuelTypeText, async () => {
+      console.log(`Analyzing fuel type text with GPT: "${fuelTypeText}"`);
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: "system",
-          content: `You are a fuel type classifier. Given a fuel type description from a car listing, determine if it's Diesel, Gasoline, or Hybrid. 
+      const response = await getOpenAIClient().chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: "system",
+            content: `You are a fuel type classifier. Given a fuel type description from a car listing, determine if it's Diesel, Gasoline, or Hybrid. 
           
           Rules:
           - Diesel: Any diesel fuel, diesel engine, or diesel-related terms
@@ -34,31 +63,33 @@ async function determineFuelType(fuelTypeText) {
           Return ONLY one of these three words: Diesel, Gasoline, or Hybrid.
           if its Electric/Gasoline it is hybrid , more than one fuel type is hybrid
           If the text is unclear or doesn't match any category, return one word version of the fuel type or the closest match.`
-        },
-        {
-          role: "user",
-          content: `Classify this fuel type: "${fuelTypeText}"`
-        }
-      ],
-      max_tokens: 10,
-      temperature: 0.1
-    });
-
-    const result = response.choices[0].message.content.trim();
-    console.log(`GPT classified fuel type as: ${result}`);
+          },
+          {
+            role: "user",
+            content: `Classify this fuel type: "${fuelTypeText}"`
+          }
+        ],
+        max_tokens: 10,
+        temperature: 0.1
+      });
+
+      const result = response.choices[0].message.content.trim();
+      console.log(`GPT classified fuel type as: ${result}`);
     
-    return result;
+      // "Unknown" answers are stored as NULL like any other missing value
+      return result === 'Unknown' ? null : result;
+    });
   } catch (error) {
     console.error('Error calling GPT API for fuel type classification:', error.message);
-    // Fallback to original text if GPT fails
-    return fuelTypeText || 'Unknown';
+    // A failed call is stored as NULL like any other missing value, never as the raw text
+    return null;
   }
 }
 
 /**
- * Determines power in HP format from extracted text using GPT
+ * Determines power in HP format from extracted text, falling back to GPT when enabled
  * @param {string} powerText - The extracted power text from the webpage
- * @returns {Promise<string>} - Returns power in format "xxx hp" or null if not found
+ * @returns {Promise<string|null>} - Returns power in format "xxx hp" or null if not found
  */
 async function determinePowerHP(powerText) {
   try {
@@ -67,14 +98,26 @@ async function determinePowerHP(powerText) {
       return null;
     }
 
-    console.log(`Analyzing power text: "${powerText}"`);
+    const localResult = normalizePowerHP(powerText);
+    if (localResult) {
+      return localResult;
+    }
+
+    if (!isGptFallbackEnabled()) {
+      console.log(`Unrecognized power text "${powerText}", keeping it as is`);
+      return powerText.trim();
+    }
+
+    // Identical inputs are answered from the cache instead of calling OpenAI again
+    return await withNormalizationCache('power_hp', powerText, async () => {
+      console.log(`Analyzing power text with GPT: "${powerText}"`);
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: "system",
-          content: `You are a power converter. Given a power description from a car listing, extract the horsepower (HP) value.
+      const response = await getOpenAIClient().chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: "system",
+            content: `You are a power converter. Given a power description from a car listing, extract the horsepower (HP) value.
 
           Rules:
           - If the hp value is in the text, return the value directly
@@ -93,31 +136,33 @@ async function determinePowerHP(powerText) {
           - "No power info" → "Unknown"
           
           Return ONLY the formatted power in "xxx hp" format or "Unknown".`
-        },
-        {
-          role: "user",
-          content: `Extract power in HP from: "${powerText}"`
-        }
-      ],
-      max_tokens: 15,
-      temperature: 0.1
-    });
-
-    const result = response.choices[0].message.content.trim();
-    console.log(`GPT extracted power as: ${result}`);
+          },
+          {
+            role: "user",
+            content: `Extract power in HP from: "${powerText}"`
+          }
+        ],
+        max_tokens: 15,
+        temperature: 0.1
+      });
+
+      const result = response.choices[0].message.content.trim();
+      console.log(`GPT extracted power as: ${result}`);
     
-    return result;
+      // "Unknown" answers are stored as NULL like any other missing value
+      return result === 'Unknown' ? null : result;
+    });
   } catch (error) {
     console.error('Error calling GPT API for power extraction:', error.message);
-    // Fallback to original text if GPT fails
-    return powerText || 'Unknown';
+    // A failed call is stored as NULL like any other missing value, never as the raw text
+    return null;
   }
 }
 
 /**
- * Determines mileage from extracted text using GPT
+ * Determines mileage from extracted text, falling back to GPT when enabled
  * @param {string} mileageText - The extracted mileage text from the webpage
- * @returns {Promise<string>} - Returns mileage in format "xxx km" or null if not found
+ * @returns {Promise<string|null>} - Returns mileage in format "xxx km" or null if not found
  */
 async function determineMileage(mileageText) {
   try {
@@ -126,14 +171,26 @@ async function determineMileage(mileageText) {
       return null;
     }
 
-    console.log(`Analyzing mileage text: "${mileageText}"`);
+    const localResult = normalizeMileage(mileageText);
+    if (localResult) {
+      return localResult;
+    }
+
+    if (!isGptFallbackEnabled()) {
+      console.log(`Unrecognized mileage text "${mileageText}", keeping it as is`);
+      return mileageText.trim();
+    }
+
+    // Identical inputs are answered from the cache instead of calling OpenAI again
+    return await withNormalizationCache('mileage', mileageText, async () => {
+      console.log(`Analyzing mileage text with GPT: "${mileageText}"`);
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: "system",
-          content: `You are a mileage extractor. Given a mileage description from a car listing, extract the first valid mileage value.
+      const response = await getOpenAIClient().chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: "system",
+            content: `You are a mileage extractor. Given a mileage description from a car listing, extract the first valid mileage value.
 
           Rules:
           - If multiple mileage values are present, take only the first one
@@ -149,24 +206,26 @@ async function determineMileage(mileageText) {
           - "No mileage info" → "Unknown"
           
           Return ONLY the formatted mileage or "Unknown".`
-        },
-        {
-          role: "user",
-          content: `Extract mileage from: "${mileageText}"`
-        }
-      ],
-      max_tokens: 15,
-      temperature: 0.1
-    });
-
-    const result = response.choices[0].message.content.trim();
-    console.log(`GPT extracted mileage as: ${result}`);
+          },
+          {
+            role: "user",
+            content: `Extract mileage from: "${mileageText}"`
+          }
+        ],
+        max_tokens: 15,
+        temperature: 0.1
+      });
+
+      const result = response.choices[0].message.content.trim();
+      console.log(`GPT extracted mileage as: ${result}`);
     
-    return result;
+      // "Unknown" answers are stored as NULL like any other missing value
+      return result === 'Unknown' ? null : result;
+    });
   } catch (error) {
     console.error('Error calling GPT API for mileage extraction:', error.message);
-    // Fallback to original text if GPT fails
-    return mileageText || 'Unknown';
+    // A failed call is stored as NULL like any other missing value, never as the raw text
+    return null;
   }
 }
 
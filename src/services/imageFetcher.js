@@ -1,19 +1,22 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const { Op } = require('sequelize');
 const { Advert } = require('../../models');
-const { uploadImage } = require('./awsService');
 const { fetchSwissListingById } = require('./autoscoutChApi');
+const { buildSwissGallery, saveAdvertGallery } = require('./advertImageService');
+const { extractListingFields } = require('./listingDetailsExtractor');
+const httpClient = require('../utils/httpClient');
+const { buildBrowserHeaders } = require('../utils/headerProfiles');
 
 /**
  * Fetch and upload missing images for all adverts
- * Identifies Swiss vs normal listings by price_currency and fetches images accordingly
+ * Identifies Swiss vs normal listings by price_currency and fetches images accordingly.
+ * Galleries are stored with advertImageService, like those of newly scraped adverts.
  */
 
 /**
- * Fetch image from Swiss listing using CH API
+ * Fetch the gallery of a Swiss listing from the CH API and store it in autoscout_advert_images
  * @param {Object} advert - The advert object from database
- * @returns {Promise<string|null>} - MinIO URL of uploaded image or null if failed
+ * @returns {Promise<string|null>} - New image_url (MinIO URL, or the original when not mirrored) or null if failed
  */
 async function fetchSwissImage(advert) {
   try {
@@ -27,98 +30,14 @@ async function fetchSwissImage(advert) {
       return null;
     }
     
-    // Debug: Log the structure of the listing to understand the API response
-    console.log(`[IMAGE_FETCHER] 🔍 Swiss listing structure for ${advert.autoscout_id}:`, {
-      hasImages: !!listing.images,
-      imagesLength: listing.images ? listing.images.length : 0,
-      imageKeys: listing.images ? listing.images.map(img => img.key || img) : [],
-      listingKeys: Object.keys(listing).slice(0, 10) // First 10 keys to see structure
-    });
-    
-    // Try different possible image structures
-    let images = null;
-    let firstImage = null;
-    
-    // Check if images exist in the expected format
-    if (listing.images && Array.isArray(listing.images) && listing.images.length > 0) {
-      images = listing.images;
-      firstImage = images[0];
-    }
-    // Check if images might be in a different property
-    else if (listing.media && Array.isArray(listing.media) && listing.media.length > 0) {
-      images = listing.media;
-      firstImage = images[0];
-    }
-    // Check if there's a single image property
-    else if (listing.image) {
-      firstImage = listing.image;
-    }
-    
-    if (!firstImage) {
+    const gallery = buildSwissGallery(listing);
+    if (gallery.length === 0) {
       console.log(`[IMAGE_FETCHER] ⚠️ No images found for Swiss advert ${advert.autoscout_id}`);
-      console.log(`[IMAGE_FETCHER] 🔍 Available properties:`, Object.keys(listing));
       return null;
     }
     
-    // Extract the image key/URL - handle different possible structures
-    let imageKey = null;
-    if (typeof firstImage === 'string') {
-      imageKey = firstImage;
-    } else if (firstImage.key) {
-      imageKey = firstImage.key;
-    } else if (firstImage.url) {
-      // If it's already a full URL, use it directly
-      const originalImageUrl = firstImage.url;
-      console.log(`[IMAGE_FETCHER] 🇨🇭 Found Swiss image (full URL): ${originalImageUrl}`);
-      
-      // Upload to MinIO
-      const minioImageUrl = await uploadImage(originalImageUrl, advert.autoscout_id);
-      
-      if (minioImageUrl) {
-        console.log(`[IMAGE_FETCHER] ✅ Swiss image uploaded to MinIO: ${minioImageUrl}`);
-        
-        // Update the advert with both URLs
-        await advert.update({
-          image_url: minioImageUrl,
-          original_image_url: originalImageUrl
-        });
-        
-        return minioImageUrl;
-      } else {
-        console.log(`[IMAGE_FETCHER] ❌ Failed to upload Swiss image to MinIO`);
-        return null;
-      }
-    } else if (firstImage.id) {
-      imageKey = firstImage.id;
-    }
-    
-    if (!imageKey) {
-      console.log(`[IMAGE_FETCHER] ⚠️ Could not extract image key from Swiss advert ${advert.autoscout_id}`);
-      console.log(`[IMAGE_FETCHER] 🔍 First image structure:`, firstImage);
-      return null;
-    }
-    
-    // Construct the image URL
-    const originalImageUrl = `https://listing-images.autoscout24.ch/${imageKey}`;
-    console.log(`[IMAGE_FETCHER] 🇨🇭 Found Swiss image: ${originalImageUrl}`);
-    
-    // Upload to MinIO
-    const minioImageUrl = await uploadImage(originalImageUrl, advert.autoscout_id);
-    
-    if (minioImageUrl) {
-      console.log(`[IMAGE_FETCHER] ✅ Swiss image uploaded to MinIO: ${minioImageUrl}`);
-      
-      // Update the advert with both URLs
-      await advert.update({
-        image_url: minioImageUrl,
-        original_image_url: originalImageUrl
-      });
-      
-      return minioImageUrl;
-    } else {
-      console.log(`[IMAGE_FETCHER] ❌ Failed to upload Swiss image to MinIO`);
-      return null;
-    }
+    console.log(`[IMAGE_FETCHER] 🇨🇭 Found ${gallery.length} Swiss images, first: ${gallery[0].url}`);
+    return saveGallery(advert, gallery);
     
   } catch (error) {
     console.error(`[IMAGE_FETCHER] ❌ Error fetching Swiss image for advert ${advert.autoscout_id}:`, error.message);
@@ -127,9 +46,9 @@ async function fetchSwissImage(advert) {
 }
 
 /**
- * Fetch image from normal listing by scraping AutoScout24.com
+ * Fetch the gallery of a normal listing by scraping AutoScout24.com and store it in autoscout_advert_images
  * @param {Object} advert - The advert object from database
- * @returns {Promise<string|null>} - MinIO URL of uploaded image or null if failed
+ * @returns {Promise<string|null>} - New image_url (MinIO URL, or the original when not mirrored) or null if failed
  */
 async function fetchNormalImage(advert) {
   try {
@@ -141,47 +60,29 @@ async function fetchNormalImage(advert) {
     console.log(`[IMAGE_FETCHER] 🌍 Scraping page: ${advertUrl}`);
     
     // Fetch the page
-    const response = await axios.get(advertUrl, {
+    const response = await httpClient.get(advertUrl, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
+        ...buildBrowserHeaders(),
         'Accept-Encoding': 'gzip, deflate, br',
         'Cache-Control': 'no-cache'
       },
       timeout: 30000
-    });
+    }, { label: 'advert page' });
     
     const html = response.data;
     const $ = cheerio.load(html);
     
-    // Extract image URL (same logic as in extractNewAdvert.js)
-    const imageUrl = $('img').eq(9).attr('src');
+    // Same gallery as a newly scraped advert: __NEXT_DATA__ first, CSS selectors as fallback
+    const { fields } = extractListingFields($);
+    const gallery = fields.images || [];
     
-    if (!imageUrl) {
+    if (gallery.length === 0) {
       console.log(`[IMAGE_FETCHER] ⚠️ No image found on page for advert ${advert.autoscout_id}`);
       return null;
     }
     
-    console.log(`[IMAGE_FETCHER] 🌍 Found normal image: ${imageUrl}`);
-    
-    // Upload to MinIO
-    const minioImageUrl = await uploadImage(imageUrl, advert.autoscout_id);
-    
-    if (minioImageUrl) {
-      console.log(`[IMAGE_FETCHER] ✅ Normal image uploaded to MinIO: ${minioImageUrl}`);
-      
-      // Update the advert with both URLs
-      await advert.update({
-        image_url: minioImageUrl,
-        original_image_url: imageUrl
-      });
-      
-      return minioImageUrl;
-    } else {
-      console.log(`[IMAGE_FETCHER] ❌ Failed to upload normal image to MinIO`);
-      return null;
-    }
+    console.log(`[IMAGE_FETCHER] 🌍 Found ${gallery.length} normal images, first: ${gallery[0].url}`);
+    return saveGallery(advert, gallery);
     
   } catch (error) {
     console.error(`[IMAGE_FETCHER] ❌ Error fetching normal image for advert ${advert.autoscout_id}:`, error.message);
@@ -189,6 +90,24 @@ async function fetchNormalImage(advert) {
   }
 }
 
+/**
+ * Store a fetched gallery through the advert image service (mirroring, image_url update)
+ * @param {Object} advert - The advert object from database
+ * @param {Array<Object>} gallery - [{ url, width, height }]
+ * @returns {Promise<string|null>} - New image_url or null if the gallery could not be saved
+ */
+async function saveGallery(advert, gallery) {
+  const [cover] = await saveAdvertGallery(advert, gallery);
+  if (!cover) {
+    console.log(`[IMAGE_FETCHER] ❌ Failed to save the images of advert ${advert.autoscout_id}`);
+    return null;
+  }
+  
+  const imageUrl = cover.stored_url || cover.original_url;
+  console.log(`[IMAGE_FETCHER] ✅ Images saved for advert ${advert.autoscout_id}, image_url: ${imageUrl}`);
+  return imageUrl;
+}
+
 /**
  * Process a single advert to fetch and upload its image
  * @param {Object} advert - The advert object from database
@@ -231,6 +150,7 @@ async function processAdvertImage(advert) {
  * @param {Object} options - Configuration options
  * @param {number} options.limit - Maximum number of adverts to process (optional, no limit if not specified)
  * @param {boolean} options.onlyActive - Only process active adverts (default: true)
+ * @param {AbortSignal} options.signal - Stops before the next advert once aborted (optional)
  * @param {string} options.currency - IGNORED - function only processes normal listings
  * @returns {Promise<Object>} - Statistics about the operation
  */
@@ -238,6 +158,7 @@ async function fetchAllMissingImages(options = {}) {
   const {
     limit = null, // No limit by default
     onlyActive = true,
+    signal = null,
     currency = 'all'
   } = options;
   
@@ -323,6 +244,9 @@ async function fetchAllMissingImages(options = {}) {
     let skipped = 0;
     
     for (let i = 0; i < adverts.length; i++) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       const advert = adverts[i];
       console.log(`[IMAGE_FETCHER] 📋 Processing ${i + 1}/${adverts.length}: ${advert.autoscout_id}`);
       
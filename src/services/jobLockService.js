@@ -0,0 +1,177 @@
+const os = require('os');
+const crypto = require('crypto');
+const { QueryTypes } = require('sequelize');
+const { JobLock, sequelize } = require('../../models');
+const logger = require('../utils/logger');
+
+/**
+ * Job Lock Service
+ * One row per job in autoscout_job_locks guards the scraper and checker
+ * against running twice at the same time (overlapping cron runs, several
+ * container replicas). The holder refreshes heartbeat_at while the job runs;
+ * a lock whose heartbeat is older than JOB_LOCK_STALE_MS is considered left
+ * behind by a crashed process and can be taken over.
+ */
+
+class JobLockLostError extends Error {
+  constructor(jobName) {
+    super(`${jobName} lock was taken over by another instance`);
+    this.name = 'JobLockLostError';
+    this.code = 'EJOBLOCKLOST';
+    this.jobName = jobName;
+  }
+}
+
+const DEFAULT_HEARTBEAT_MS = 30 * 1000;
+const DEFAULT_STALE_MS = 5 * 60 * 1000;
+
+// Identifies this process as lock owner
+const OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Locks held by this process: job name → heartbeat interval
+const heldLocks = new Map();
+
+function readPositiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+function getHeartbeatMs() {
+  return readPositiveInt(process.env.JOB_LOCK_HEARTBEAT_MS, DEFAULT_HEARTBEAT_MS);
+}
+
+function getStaleMs() {
+  return readPositiveInt(process.env.JOB_LOCK_STALE_MS, DEFAULT_STALE_MS);
+}
+
+/**
+ * Take the lock of a job if it is free or stale
+ * A lock this process already holds is not re-entered, so a cron tick cannot
+ * start a job whose previous run is still going.
+ * @param {string} jobName - e.g. 'scraper'
+ * @returns {Promise<boolean>} - Whether this process now holds the lock
+ */
+async function acquireJobLock(jobName) {
+  const rows = await sequelize.query(
+    `INSERT INTO autoscout_job_locks (job_name, owner_id, acquired_at, heartbeat_at)
+     VALUES (:jobName, :ownerId, NOW(), NOW())
+     ON CONFLICT (job_name) DO UPDATE
+        SET owner_id = EXCLUDED.owner_id, acquired_at = NOW(), heartbeat_at = NOW()
+      WHERE autoscout_job_locks.heartbeat_at < NOW() - (:staleSeconds * INTERVAL '1 second')
+     RETURNING owner_id`,
+    {
+      replacements: { jobName, ownerId: OWNER_ID, staleSeconds: getStaleMs() / 1000 },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Refresh the heartbeat of a lock we hold
+ * @param {string} jobName
+ * @returns {Promise<boolean>} - false when the lock was taken over by another instance
+ */
+async function refreshJobLock(jobName) {
+  const [updated] = await JobLock.update(
+    { heartbeat_at: new Date() },
+    { where: { job_name: jobName, owner_id: OWNER_ID } }
+  );
+  return updated > 0;
+}
+
+/**
+ * Release a lock we hold and stop its heartbeat
+ * @param {string} jobName
+ */
+async function releaseJobLock(jobName) {
+  const heartbeat = heldLocks.get(jobName);
+  if (heartbeat) {
+    clearInterval(heartbeat);
+    heldLocks.delete(jobName);
+  }
+
+  try {
+    await JobLock.destroy({ where: { job_name: jobName, owner_id: OWNER_ID } });
+  } catch (error) {
+    logger.error(`[JOB_LOCK] ❌ Failed to release lock ${jobName}:`, error.message);
+  }
+}
+
+/**
+ * Release every lock held by this process (graceful shutdown)
+ */
+async function releaseAllJobLocks() {
+  for (const jobName of [...heldLocks.keys()]) {
+    await releaseJobLock(jobName);
+  }
+}
+
+/**
+ * Describe the current holder of a job lock
+ * @param {string} jobName
+ * @returns {Promise<Object|null>} - JobLock row or null
+ */
+async function getJobLockHolder(jobName) {
+  return JobLock.findByPk(jobName);
+}
+
+/**
+ * Run a job only if no other instance holds its lock
+ * When the heartbeat finds the lock taken over, the signal passed to fn is
+ * aborted so the job stops before its next dealer/advert, and the returned
+ * promise rejects with JobLockLostError.
+ * @param {string} jobName - e.g. 'scraper'
+ * @param {Function} fn - Job to run, receives { signal }
+ * @returns {Promise<Object>} - { acquired, result }
+ * @throws {JobLockLostError} - When the lock was lost while the job ran
+ */
+async function withJobLock(jobName, fn) {
+  const acquired = await acquireJobLock(jobName);
+  if (!acquired) {
+    const holder = await getJobLockHolder(jobName);
+    logger.warn(`[JOB_LOCK] ⛔ ${jobName} is already running on ${holder?.owner_id || 'another instance'} (heartbeat ${holder?.heartbeat_at?.toISOString?.() || 'unknown'}), not starting`);
+    return { acquired: false };
+  }
+
+  logger.info(`[JOB_LOCK] 🔒 Acquired ${jobName} lock as ${OWNER_ID}`);
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(async () => {
+    try {
+      const stillHeld = await refreshJobLock(jobName);
+      if (!stillHeld && !controller.signal.aborted) {
+        logger.error(`[JOB_LOCK] ⚠️ ${jobName} lock was taken over by another instance, stopping the job`);
+        clearInterval(heartbeat);
+        controller.abort(new JobLockLostError(jobName));
+      }
+    } catch (error) {
+      logger.error(`[JOB_LOCK] ❌ Heartbeat failed for ${jobName}:`, error.message);
+    }
+  }, getHeartbeatMs());
+  heartbeat.unref();
+  heldLocks.set(jobName, heartbeat);
+
+  try {
+    const result = await fn({ signal: controller.signal });
+    if (controller.signal.aborted) {
+      throw controller.signal.reason;
+    }
+    return { acquired: true, result };
+  } finally {
+    await releaseJobLock(jobName);
+    logger.info(`[JOB_LOCK] 🔓 Released ${jobName} lock`);
+  }
+}
+
+module.exports = {
+  OWNER_ID,
+  JobLockLostError,
+  acquireJobLock,
+  refreshJobLock,
+  releaseJobLock,
+  releaseAllJobLocks,
+  getJobLockHolder,
+  withJobLock
+};
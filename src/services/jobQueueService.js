@@ -0,0 +1,310 @@
+const { Op, QueryTypes } = require('sequelize');
+const { JobRequest, Advert, sequelize } = require('../../models');
+const logger = require('../utils/logger');
+const { runInRequestSession } = require('../utils/requestSession');
+const { OWNER_ID } = require('./jobLockService');
+const { createControl, finishControl, CONTROL_STATUSES } = require('./runStateService');
+const { getUsersToScrape } = require('./userService');
+const { resolveRegionCultureIso } = require('./regionRegistry');
+const { loadProxyPool, saveProxyHealth } = require('./proxyService');
+const { checkListingsForUser, checkSingleAdvert } = require('./checkListingsService');
+const { scrapeUsersListings } = require('../scraper/main');
+
+/**
+ * Job Queue Service
+ * On-demand jobs queued through the API (POST /jobs): scrape one dealer,
+ * check one dealer's adverts or check one advert, without waiting for the
+ * nightly run. Requests are stored in autoscout_job_requests and picked up by
+ * the worker of the scheduler process (JOB_QUEUE_ON=true), one at a time.
+ * Each job gets its own Control (type 'on_demand') so its observations and
+ * changes can be told apart from the nightly runs.
+ *
+ * JOB_QUEUE_ON         Run the worker in main.js (default false)
+ * JOB_QUEUE_POLL_MS    How often the worker looks for queued jobs (default 10000)
+ * JOB_QUEUE_STALE_MS   Running jobs older than this are failed on startup (default 6h)
+ */
+
+const JOB_REQUEST_TYPES = ['scrape_user', 'check_user', 'check_advert'];
+
+const JOB_REQUEST_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const ON_DEMAND_CONTROL_TYPE = 'on_demand';
+
+const DEFAULT_POLL_MS = 10 * 1000;
+const DEFAULT_STALE_MS = 6 * 60 * 60 * 1000;
+
+let workerTimer = null;
+let workerBusy = false;
+
+function readPositiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * Queue a job
+ * @param {string} type - 'scrape_user', 'check_user' or 'check_advert'
+ * @param {number} targetId - Dealer id, or advert id for 'check_advert'
+ * @returns {Promise<Object>} - JobRequest
+ */
+async function enqueueJobRequest(type, targetId) {
+  const job = await JobRequest.create({ type, target_id: targetId, status: JOB_REQUEST_STATUSES.QUEUED });
+  logger.info(`[JOBS] 📥 Queued job ${job.id}: ${type} ${targetId}`);
+  return job;
+}
+
+/**
+ * @param {number} jobId
+ * @returns {Promise<Object|null>} - JobRequest or null
+ */
+async function getJobRequest(jobId) {
+  return JobRequest.findByPk(jobId);
+}
+
+/**
+ * Page through job requests, newest first
+ * @param {Object} filters
+ * @param {string} filters.type
+ * @param {string} filters.status
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Object>} - { total, limit, offset, items }
+ */
+async function listJobRequests({ type, status } = {}, { limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (type) where.type = type;
+  if (status) where.status = status;
+
+  const { count, rows } = await JobRequest.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { total: count, limit, offset, items: rows };
+}
+
+/**
+ * Mark the oldest queued job as running for this process
+ * SKIP LOCKED keeps two instances from claiming the same job.
+ * @returns {Promise<Object|null>} - JobRequest or null when the queue is empty
+ */
+async function claimNextJobRequest() {
+  const rows = await sequelize.query(
+    `UPDATE autoscout_job_requests
+        SET status = :running, started_at = NOW(), claimed_by = :ownerId
+      WHERE id = (
+        SELECT id FROM autoscout_job_requests
+         WHERE status = :queued
+         ORDER BY created_at, id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+      )
+     RETURNING id`,
+    {
+      replacements: { running: JOB_REQUEST_STATUSES.RUNNING, queued: JOB_REQUEST_STATUSES.QUEUED, ownerId: OWNER_ID },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  return rows.length > 0 ? JobRequest.findByPk(rows[0].id) : null;
+}
+
+/**
+ * Fail jobs left 'running' by a process that died
+ * @returns {Promise<number>} - Number of jobs failed
+ */
+async function failStaleJobRequests() {
+  const staleMs = readPositiveInt(process.env.JOB_QUEUE_STALE_MS, DEFAULT_STALE_MS);
+  const [failed] = await JobRequest.update(
+    { status: JOB_REQUEST_STATUSES.FAILED, error: 'Interrupted: the process running the job stopped', finished_at: new Date() },
+    { where: { status: JOB_REQUEST_STATUSES.RUNNING, started_at: { [Op.lt]: new Date(Date.now() - staleMs) } } }
+  );
+  if (failed > 0) {
+    logger.warn(`[JOBS] ⚠️ Failed ${failed} job(s) left running by a stopped process`);
+  }
+  return failed;
+}
+
+async function findUser(userId, users = null) {
+  const candidates = users || await getUsersToScrape('JOBS');
+  const user = (candidates || []).find(candidate => candidate.id === userId);
+  if (!user) {
+    throw new Error(`User ${userId} is not in the scraper user list`);
+  }
+  return user;
+}
+
+async function scrapeUserJob(userId, control, { users } = {}) {
+  const user = await findUser(userId, users);
+  const stats = await runInRequestSession(
+    `dealer:${user.id}`,
+    () => scrapeUsersListings(user, control),
+    { cultureIso: resolveRegionCultureIso(user.autoscout_url) }
+  );
+  return {
+    user_id: user.id,
+    total_listings: stats.totalListings,
+    new_listings: stats.newListings,
+    existing_listings: stats.existingListings,
+    errors: stats.errorCount
+  };
+}
+
+async function checkUserJob(userId, control, { users } = {}) {
+  const user = await findUser(userId, users);
+  const result = await runInRequestSession(
+    `dealer:${user.id}`,
+    () => checkListingsForUser(user, control),
+    { cultureIso: resolveRegionCultureIso(user.autoscout_url) }
+  );
+  if (result.status === 'error') {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+async function checkAdvertJob(advertId, control) {
+  const advert = await Advert.findByPk(advertId, { attributes: ['id', 'seller_id', 'link'] });
+  if (!advert) {
+    throw new Error(`Advert ${advertId} not found`);
+  }
+  return runInRequestSession(
+    `dealer:${advert.seller_id}`,
+    () => checkSingleAdvert(advert.id, control),
+    { cultureIso: resolveRegionCultureIso(advert.link) }
+  );
+}
+
+const JOB_HANDLERS = {
+  scrape_user: scrapeUserJob,
+  check_user: checkUserJob,
+  check_advert: checkAdvertJob
+};
+
+/**
+ * Run one scrape/check under its own 'on_demand' Control
+ * Used by the queue worker and by the CLI (bin/autoscout.js).
+ * @param {string} type - 'scrape_user', 'check_user' or 'check_advert'
+ * @param {number} targetId - Dealer id, or advert id for 'check_advert'
+ * @param {Object} options
+ * @param {Array<Object>} options.users - Scraper user list already fetched (avoids one fetch per job)
+ * @param {Function} options.onControl - Called with the Control once it exists
+ * @returns {Promise<Object>} - { control, result }
+ * @throws {Error} - When the job fails; the Control is then closed as 'failed'
+ */
+async function runOnDemandJob(type, targetId, { users = null, onControl = null } = {}) {
+  const handler = JOB_HANDLERS[type];
+  if (!handler) {
+    throw new Error(`Unknown job type ${type}`);
+  }
+
+  const control = await createControl({ date: new Date(), type: ON_DEMAND_CONTROL_TYPE, status: CONTROL_STATUSES.RUNNING });
+  try {
+    if (onControl) await onControl(control);
+    await loadProxyPool();
+    const result = await handler(targetId, control, { users });
+    await finishControl(control);
+    return { control, result };
+  } catch (error) {
+    await finishControl(control, CONTROL_STATUSES.FAILED).catch(() => {});
+    throw error;
+  } finally {
+    await saveProxyHealth();
+  }
+}
+
+/**
+ * Run a claimed job and store its result or error
+ * @param {Object} job - JobRequest in status 'running'
+ * @returns {Promise<Object>} - The updated JobRequest
+ */
+async function runJobRequest(job) {
+  logger.info(`[JOBS] 🚀 Running job ${job.id}: ${job.type} ${job.target_id}`);
+
+  try {
+    const { result } = await runOnDemandJob(job.type, job.target_id, {
+      onControl: control => job.update({ control_id: control.id })
+    });
+    await job.update({ status: JOB_REQUEST_STATUSES.COMPLETED, result, finished_at: new Date() });
+    logger.info(`[JOBS] ✅ Job ${job.id} completed`);
+  } catch (error) {
+    logger.error(`[JOBS] ❌ Job ${job.id} failed:`, error.message);
+    await job.update({ status: JOB_REQUEST_STATUSES.FAILED, error: error.message, finished_at: new Date() });
+  }
+
+  return job;
+}
+
+/**
+ * Run queued jobs until the queue is empty
+ * @returns {Promise<number>} - Number of jobs run
+ */
+async function drainJobQueue() {
+  let processed = 0;
+  let job = await claimNextJobRequest();
+  while (job) {
+    await runJobRequest(job);
+    processed++;
+    job = await claimNextJobRequest();
+  }
+  return processed;
+}
+
+/**
+ * Poll the queue every JOB_QUEUE_POLL_MS and run what is queued
+ */
+function startJobQueueWorker() {
+  if (workerTimer) return;
+
+  const pollMs = readPositiveInt(process.env.JOB_QUEUE_POLL_MS, DEFAULT_POLL_MS);
+  failStaleJobRequests().catch((error) => {
+    logger.error('[JOBS] ❌ Could not fail stale jobs:', error.message);
+  });
+
+  workerTimer = setInterval(async () => {
+    // A long job spans several ticks; the next tick waits for it
+    if (workerBusy) return;
+    workerBusy = true;
+    try {
+      await drainJobQueue();
+    } catch (error) {
+      logger.error('[JOBS] ❌ Job queue poll failed:', error.message);
+    } finally {
+      workerBusy = false;
+    }
+  }, pollMs);
+
+  logger.info(`[JOBS] 🔁 Job queue worker polling every ${pollMs / 1000}s`);
+}
+
+/**
+ * Stop polling (the job being run, if any, finishes)
+ */
+function stopJobQueueWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_REQUEST_TYPES,
+  JOB_REQUEST_STATUSES,
+  ON_DEMAND_CONTROL_TYPE,
+  enqueueJobRequest,
+  getJobRequest,
+  listJobRequests,
+  claimNextJobRequest,
+  failStaleJobRequests,
+  runOnDemandJob,
+  runJobRequest,
+  drainJobQueue,
+  startJobQueueWorker,
+  stopJobQueueWorker
+};
@@ -0,0 +1,118 @@
+const cron = require('node-cron');
+const { main: scraperMain } = require('../scraper/main');
+const { main: checkerMain } = require('../checker/main');
+const { fetchAllMissingImages } = require('./imageFetcher');
+const { fetchSwissImages } = require('./swissImageFetcher');
+
+/**
+ * Job Registry
+ * Every scheduled job of main.js with its default schedule, timezone, enable
+ * flag and startup behaviour. Each default can be overridden per job through
+ * <PREFIX>_ON, <PREFIX>_SCHEDULE, <PREFIX>_TIMEZONE and <PREFIX>_RUN_ON_STARTUP
+ * (e.g. SCRAPER_SCHEDULE='30 1 * * *'); SCHEDULER_TIMEZONE sets the timezone
+ * of every job that has none of its own.
+ * run() receives the { signal } of withJobLock and stops once it is aborted.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const JOB_DEFINITIONS = [
+  {
+    name: 'scraper',
+    label: 'Scraper',
+    emoji: '🌙',
+    envPrefix: 'SCRAPER',
+    schedule: '0 0 * * *',
+    enabled: true,
+    runOnStartup: true,
+    run: ({ signal } = {}) => scraperMain({ signal })
+  },
+  {
+    name: 'checker',
+    label: 'Checker',
+    emoji: '🌃',
+    envPrefix: 'CHECKER',
+    schedule: '0 2 * * *',
+    enabled: true,
+    runOnStartup: true,
+    run: ({ signal } = {}) => checkerMain({ signal })
+  },
+  {
+    name: 'images_belgium',
+    label: 'Belgian image backfill',
+    emoji: '🖼️',
+    envPrefix: 'IMAGES_BELGIUM',
+    schedule: '0 4 * * *',
+    enabled: false,
+    runOnStartup: false,
+    run: ({ signal } = {}) => fetchAllMissingImages({ signal })
+  },
+  {
+    name: 'images_swiss',
+    label: 'Swiss image backfill',
+    emoji: '🇨🇭',
+    envPrefix: 'IMAGES_SWISS',
+    schedule: '30 4 * * *',
+    enabled: false,
+    runOnStartup: false,
+    run: ({ signal } = {}) => fetchSwissImages({ signal })
+  }
+];
+
+function readBoolean(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return String(value).trim().toLowerCase() !== 'false';
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply the environment overrides to a job definition
+ * @param {Object} definition - Entry of JOB_DEFINITIONS
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} - { ...definition, enabled, schedule, timezone, runOnStartup }
+ * @throws {Error} - When the schedule or timezone is invalid
+ */
+function resolveJobConfig(definition, env = process.env) {
+  const prefix = definition.envPrefix;
+  const schedule = (env[`${prefix}_SCHEDULE`] || definition.schedule).trim();
+  const timezone = (env[`${prefix}_TIMEZONE`] || env.SCHEDULER_TIMEZONE || definition.timezone || DEFAULT_TIMEZONE).trim();
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for ${definition.name} (${prefix}_SCHEDULE): "${schedule}"`);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone for ${definition.name} (${prefix}_TIMEZONE): "${timezone}"`);
+  }
+
+  return {
+    ...definition,
+    enabled: readBoolean(env[`${prefix}_ON`], definition.enabled),
+    schedule,
+    timezone,
+    runOnStartup: readBoolean(env[`${prefix}_RUN_ON_STARTUP`], definition.runOnStartup)
+  };
+}
+
+/**
+ * Get a job definition by name
+ * @param {string} name - e.g. 'scraper'
+ * @returns {Object|null}
+ */
+function getJobDefinition(name) {
+  return JOB_DEFINITIONS.find(definition => definition.name === name) || null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  JOB_DEFINITIONS,
+  resolveJobConfig,
+  getJobDefinition
+};
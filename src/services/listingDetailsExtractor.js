@@ -0,0 +1,226 @@
+const { extractNextData } = require('./autoscoutApi');
+const { normalizeGallery } = require('./advertImageService');
+const { DETAIL_PARSERS } = require('./regionRegistry');
+const { normalizeMileage } = require('../utils/vehicleNormalizer');
+
+/**
+ * Listing Details Extractor
+ * Reads the raw fields of a Belgian AutoScout24 advert page. The structured
+ * listingDetails object in #__NEXT_DATA__ is tried first; the build-hashed CSS
+ * selectors are only used as a fallback when that JSON is missing or incomplete.
+ * Both strategies return the same shape of raw texts, so the caller normalizes
+ * them the same way whichever one succeeded. The mileage is the exception: it is
+ * formatted here ("12345 km") because the page shows it with thousands separators.
+ */
+
+const EXTRACTION_STRATEGIES = {
+  NEXT_DATA: 'next_data',
+  CSS: 'css'
+};
+
+/**
+ * Read a __NEXT_DATA__ value that may be a primitive or a { formatted, raw, value } object
+ * @param {*} value
+ * @returns {string} - Text value ('' when missing)
+ */
+function readText(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') {
+    return readText(value.formatted ?? value.label ?? value.value ?? value.raw ?? null);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Convert "2020-03-01" style dates to the "03/2020" format of the detail page
+ * @param {string} value
+ * @returns {string}
+ */
+function toMonthYear(value) {
+  const text = readText(value);
+  const isoMatch = text.match(/^(\d{4})-(\d{2})/);
+  return isoMatch ? `${isoMatch[2]}/${isoMatch[1]}` : text;
+}
+
+/**
+ * Get the listingDetails object of an advert page
+ * @param {string|Object} htmlOrDom - Page HTML or a loaded cheerio instance
+ * @returns {Object|null}
+ */
+function getListingDetailsFromNextData(htmlOrDom) {
+  const data = extractNextData(htmlOrDom);
+  const details = data?.props?.pageProps?.listingDetails;
+  return details && typeof details === 'object' ? details : null;
+}
+
+/**
+ * Extract the raw advert fields from __NEXT_DATA__
+ * @param {string|Object} htmlOrDom - Page HTML or a loaded cheerio instance
+ * @returns {Object|null} - Raw fields or null when the JSON has no usable listing
+ */
+function extractListingFieldsFromNextData(htmlOrDom) {
+  const details = getListingDetailsFromNextData(htmlOrDom);
+  if (!details) return null;
+
+  const vehicle = details.vehicle || {};
+  const location = details.location || {};
+  const seller = details.seller || {};
+  const images = normalizeGallery(details.images);
+
+  const kw = vehicle.rawPowerInKw ?? null;
+  const hp = vehicle.rawPowerInHp ?? null;
+  let power = readText(vehicle.powerInKw ?? vehicle.power);
+  if (kw != null && hp != null) power = `${kw} kW (${hp} hp)`;
+  else if (kw != null) power = `${kw} kW`;
+  else if (hp != null) power = `${hp} hp`;
+
+  const rawMileage = vehicle.mileageInKmRaw ?? null;
+  const rawDisplacement = vehicle.rawDisplacementInCCM ?? null;
+  const rawWeight = vehicle.rawWeight ?? null;
+
+  const fields = {
+    // The page title shows "Make Model" above the model version; keep the same split as the CSS strategy
+    make: [readText(vehicle.make), readText(vehicle.model)].filter(Boolean).join(' '),
+    model: readText(vehicle.modelVersionInput ?? vehicle.modelVersion),
+    location: [readText(location.zip), readText(location.city)].filter(Boolean).join(' '),
+    price: readText(details.prices?.public?.priceRaw ?? details.price?.priceRaw ?? details.prices?.public?.price ?? details.price?.priceFormatted),
+    sellerName: readText(seller.companyName ?? seller.contactName),
+    imageUrl: images[0]?.url || null,
+    images,
+    bodyType: readText(vehicle.bodyType),
+    type: readText(vehicle.offerType ?? vehicle.type ?? details.offerType),
+    drivetrain: readText(vehicle.driveTrain ?? vehicle.drivetrain),
+    seats: readText(vehicle.numberOfSeats),
+    doors: readText(vehicle.numberOfDoors),
+    countryVersion: readText(vehicle.countryVersion),
+    colour: readText(vehicle.bodyColorOriginal ?? vehicle.bodyColor),
+    paint: readText(vehicle.paintType),
+    upholsteryColour: readText(vehicle.upholsteryColor),
+    upholstery: readText(vehicle.upholstery),
+    emissionClass: readText(vehicle.environmentEuDirective ?? vehicle.emissionClass),
+    fuelType: readText(vehicle.fuelCategory ?? vehicle.primaryFuel ?? vehicle.fuelType),
+    fuelConsumption: readText(vehicle.fuelConsumptionCombined ?? vehicle.fuelConsumption),
+    co2Emissions: readText(vehicle.co2emissionInGramPerKmWithFallback ?? vehicle.co2emissionInGramPerKm),
+    power,
+    gearbox: readText(vehicle.transmissionType ?? vehicle.transmission),
+    engineSize: rawDisplacement != null ? `${rawDisplacement} cc` : readText(vehicle.displacementInCCM),
+    gears: readText(vehicle.gears),
+    cylinders: readText(vehicle.cylinders),
+    emptyWeight: rawWeight != null ? `${rawWeight} kg` : readText(vehicle.weight),
+    mileage: normalizeMileage(rawMileage != null ? `${rawMileage} km` : readText(vehicle.mileageInKm)) || '',
+    firstRegistration: toMonthYear(vehicle.firstRegistrationDate ?? vehicle.firstRegistration),
+    lastService: readText(vehicle.lastServiceDate ?? vehicle.lastService),
+    previousOwner: readText(vehicle.noOfPreviousOwners ?? vehicle.previousOwners),
+    fullServiceHistory: vehicle.hasFullServiceHistory === true ? 'Yes' : readText(vehicle.hasFullServiceHistory)
+  };
+
+  // Without make and price the JSON shape has changed too much to trust it
+  if (!fields.make || !fields.price) return null;
+  return fields;
+}
+
+/**
+ * Extract the raw advert fields with the (build-hashed) CSS selectors of the detail page
+ * @param {Object} $ - Loaded cheerio instance of the advert page
+ * @returns {Object} - Raw fields, '' for anything not found
+ */
+function extractListingFieldsFromCss($) {
+  const extractDetail = (label) => {
+    return $(`dt:contains("${label}")`).next('dd').text().trim();
+  };
+
+  const priceElement = $('.PriceInfo_price__XU0aF');
+  const price = priceElement.contents().filter(function() {
+    return this.type === 'text';
+  }).text().trim();
+
+  let sellerName = $('.CommonComponents_nameContainer__TtFCL').text().trim();
+  if (!sellerName) {
+    sellerName = $('.TieredPricingRatingsSection_nameContainer__fMSj2').text().trim();
+  }
+
+  // Gallery pictures come from the listing image CDN; the tenth <img> is the historical fallback
+  const galleryUrls = $('img').map((_, el) => $(el).attr('src')).get()
+    .filter(src => src && src.includes('/listing-images/'));
+  const fallbackImage = $('img').eq(9).attr('src');
+  const images = normalizeGallery(galleryUrls.length > 0 ? galleryUrls : [fallbackImage]);
+
+  return {
+    make: $('.StageTitle_makeModelContainer__RyjBP').text().trim(),
+    model: $('.StageTitle_modelVersion__Yof2Z').text().trim(),
+    location: $('.scr-link.LocationWithPin_locationItem__tK1m5').text().trim(),
+    price,
+    sellerName,
+    imageUrl: images[0]?.url || null,
+    images,
+    bodyType: extractDetail('Body type'),
+    type: extractDetail('Type'),
+    drivetrain: extractDetail('Drivetrain'),
+    seats: extractDetail('Seats'),
+    doors: extractDetail('Doors'),
+    countryVersion: extractDetail('Country version'),
+    colour: extractDetail('Colour'),
+    paint: extractDetail('Paint'),
+    upholsteryColour: extractDetail('Upholstery colour'),
+    upholstery: extractDetail('Upholstery'),
+    emissionClass: extractDetail('Emission class'),
+    fuelType: extractDetail('Fuel type'),
+    fuelConsumption: extractDetail('Fuel consumption'),
+    co2Emissions: extractDetail('CO₂-emissions'),
+    power: extractDetail('Power'),
+    gearbox: extractDetail('Gearbox'),
+    engineSize: extractDetail('Engine size'),
+    gears: extractDetail('Gears'),
+    cylinders: extractDetail('Cylinders'),
+    emptyWeight: extractDetail('Empty weight'),
+    mileage: normalizeMileage(extractDetail('Mileage')) || '',
+    firstRegistration: extractDetail('First registration'),
+    lastService: extractDetail('Last service'),
+    previousOwner: extractDetail('Previous owner'),
+    fullServiceHistory: extractDetail('Full service history')
+  };
+}
+
+/**
+ * Extract the raw advert fields, __NEXT_DATA__ first and CSS selectors as fallback
+ * @param {Object} $ - Loaded cheerio instance of the advert page
+ * @returns {Object} - { fields, strategy }
+ */
+function extractListingFields($) {
+  const nextDataFields = extractListingFieldsFromNextData($);
+  if (nextDataFields) {
+    return { fields: nextDataFields, strategy: EXTRACTION_STRATEGIES.NEXT_DATA };
+  }
+  return { fields: extractListingFieldsFromCss($), strategy: EXTRACTION_STRATEGIES.CSS };
+}
+
+/**
+ * Get the page parser for a region's detailParser key
+ * @param {string} detailParser - One of regionRegistry.DETAIL_PARSERS
+ * @returns {Function} - ($) => { fields, strategy }
+ */
+function getDetailParser(detailParser) {
+  if (detailParser === DETAIL_PARSERS.NEXT_DATA) return extractListingFields;
+  throw new Error(`No detail page parser for "${detailParser}" (Swiss adverts are mapped from the API)`);
+}
+
+/**
+ * Whether an advert page still shows a listing according to __NEXT_DATA__
+ * @param {Object} $ - Loaded cheerio instance of the advert page
+ * @returns {boolean|null} - true when listingDetails are present, null when inconclusive
+ */
+function isListingPresentInNextData($) {
+  const details = getListingDetailsFromNextData($);
+  if (details && (details.id || details.vehicle)) return true;
+  return null;
+}
+
+module.exports = {
+  EXTRACTION_STRATEGIES,
+  getListingDetailsFromNextData,
+  extractListingFieldsFromNextData,
+  extractListingFieldsFromCss,
+  extractListingFields,
+  getDetailParser,
+  isListingPresentInNextData
+};
@@ -0,0 +1,95 @@
+const { NormalizationCache } = require('../../models');
+const logger = require('../utils/logger');
+const { unlessDryRun } = require('../utils/dryRun');
+
+/**
+ * Normalization Cache Service
+ * Memoizes GPT normalization results in memory and in autoscout_normalization_cache,
+ * so an input like "Diesel" is only ever sent to OpenAI once.
+ */
+
+// kind + input_key -> result, shared by every session of this process
+const memoryCache = new Map();
+
+let stats = createEmptyStats();
+
+function createEmptyStats() {
+  return { memoryHits: 0, databaseHits: 0, misses: 0 };
+}
+
+/**
+ * Build the cache key for an input: trimmed, lowercased, single spaces
+ * @param {string} input - Raw text passed to the normalizer
+ * @returns {string}
+ */
+function normalizeInputKey(input) {
+  return String(input).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Return the cached result for kind + input or compute and store it
+ * Errors thrown by compute are not cached, so a failed GPT call is retried next time.
+ * @param {string} kind - Normalizer name, e.g. 'fuel_type'
+ * @param {string} input - Raw text passed to the normalizer
+ * @param {Function} compute - Async function producing the result on a miss
+ * @returns {Promise<string>}
+ */
+async function withNormalizationCache(kind, input, compute) {
+  const inputKey = normalizeInputKey(input);
+  const memoryKey = `${kind}:${inputKey}`;
+
+  if (memoryCache.has(memoryKey)) {
+    stats.memoryHits++;
+    return memoryCache.get(memoryKey);
+  }
+
+  try {
+    const cached = await NormalizationCache.findOne({ where: { kind, input_key: inputKey } });
+    if (cached) {
+      stats.databaseHits++;
+      memoryCache.set(memoryKey, cached.result);
+      return cached.result;
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Normalization cache lookup failed for ${kind} "${inputKey}": ${error.message}`);
+  }
+
+  stats.misses++;
+  const result = await compute();
+  memoryCache.set(memoryKey, result);
+
+  try {
+    await unlessDryRun(() => NormalizationCache.findOrCreate({
+      where: { kind, input_key: inputKey },
+      defaults: { result, created_at: new Date() }
+    }));
+  } catch (error) {
+    logger.warn(`⚠️ Failed to persist normalization cache entry for ${kind} "${inputKey}": ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Hit/miss counters since the last reset
+ * @returns {Object} - { memoryHits, databaseHits, misses, hitRate }
+ */
+function getNormalizationCacheStats() {
+  const lookups = stats.memoryHits + stats.databaseHits + stats.misses;
+  const hitRate = lookups > 0 ? Math.round(((stats.memoryHits + stats.databaseHits) / lookups) * 100) : 0;
+  return { ...stats, hitRate };
+}
+
+/**
+ * Reset the counters at the start of a session (cached entries are kept)
+ */
+function resetNormalizationCacheStats() {
+  stats = createEmptyStats();
+}
+
+module.exports = {
+  normalizeInputKey,
+  withNormalizationCache,
+  getNormalizationCacheStats,
+  resetNormalizationCacheStats
+};
@@ -0,0 +1,92 @@
+const { Op } = require('sequelize');
+const { Advert } = require('../../models');
+const { extractNumericSpecs } = require('../utils/vehicleNormalizer');
+
+/**
+ * Numeric Specs Service
+ * Backfills the numeric companion columns (mileage_km, power_hp, ...) of adverts
+ * scraped before those columns existed, by parsing their free-text fields.
+ */
+
+const NUMERIC_SPEC_COLUMNS = [
+  'mileage_km',
+  'power_hp',
+  'power_kw',
+  'engine_cc',
+  'weight_kg',
+  'co2_g_km',
+  'consumption_l_100km'
+];
+
+const SOURCE_COLUMNS = ['mileage', 'power', 'engine_size', 'empty_weight', 'co_2_emissions', 'fuel_consumption'];
+
+/**
+ * Backfill numeric columns from the free-text fields
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of adverts to process (null = no limit)
+ * @param {boolean} options.onlyActive - Only process active adverts
+ * @param {Array<string>} options.specificIds - Only process these advert IDs
+ * @param {boolean} options.force - Recompute adverts that already have numeric values
+ * @param {number} options.batchSize - Number of adverts loaded per query
+ * @returns {Promise<Object>} - { total, updated, unparseable, failed }
+ */
+async function backfillNumericSpecs({ limit = null, onlyActive = false, specificIds = null, force = false, batchSize = 500 } = {}) {
+  const where = {};
+  if (onlyActive) {
+    where.is_active = true;
+  }
+  if (specificIds && specificIds.length > 0) {
+    where.id = { [Op.in]: specificIds };
+  }
+  if (!force) {
+    // Rows touched by the scraper since the columns were added have at least one value
+    where[Op.and] = NUMERIC_SPEC_COLUMNS.map(column => ({ [column]: null }));
+  }
+
+  const stats = { total: 0, updated: 0, unparseable: 0, failed: 0 };
+  let lastId = 0;
+
+  while (limit == null || stats.total < limit) {
+    const pageSize = limit == null ? batchSize : Math.min(batchSize, limit - stats.total);
+    const adverts = await Advert.findAll({
+      where: { ...where, id: { ...(where.id || {}), [Op.gt]: lastId } },
+      attributes: ['id', 'autoscout_id', ...SOURCE_COLUMNS, ...NUMERIC_SPEC_COLUMNS],
+      order: [['id', 'ASC']],
+      limit: pageSize
+    });
+
+    if (adverts.length === 0) {
+      break;
+    }
+
+    for (const advert of adverts) {
+      stats.total++;
+      lastId = advert.id;
+
+      try {
+        const specs = extractNumericSpecs(advert);
+        const updates = Object.fromEntries(Object.entries(specs).filter(([, value]) => value != null));
+
+        if (Object.keys(updates).length === 0) {
+          stats.unparseable++;
+          continue;
+        }
+
+        await advert.update(updates);
+        stats.updated++;
+      } catch (error) {
+        console.error(`[BACKFILL] ❌ Failed to backfill advert ${advert.id} (${advert.autoscout_id}):`, error.message);
+        stats.failed++;
+      }
+    }
+
+    console.log(`[BACKFILL] 📊 Processed ${stats.total} adverts so far (${stats.updated} updated, ${stats.unparseable} unparseable, ${stats.failed} failed)`);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  NUMERIC_SPEC_COLUMNS,
+  backfillNumericSpecs
+};
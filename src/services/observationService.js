@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const { Advert, AdvertObservation } = require('../../models');
+const logger = require('../utils/logger');
+
+/**
+ * Observation Service
+ * Links every advert seen (or deactivated) by a scraper/checker session to its
+ * Control record, so any run can be inspected or diffed against another one.
+ */
+
+const OBSERVATION_STATUSES = ['new', 'existing', 'reactivated', 'deactivated'];
+
+/**
+ * Record that an advert was observed during a session
+ * @param {Object} advert - Advert instance (or plain object with id)
+ * @param {Object} control - Control instance of the current session
+ * @param {string} status - One of new/existing/reactivated/deactivated
+ */
+async function recordObservation(advert, control, status) {
+  if (!advert?.id || !control?.id) return null;
+  if (!OBSERVATION_STATUSES.includes(status)) {
+    throw new Error(`Unknown observation status: ${status}`);
+  }
+
+  try {
+    return await AdvertObservation.create({
+      advert_id: advert.id,
+      control_id: control.id,
+      seen_at: new Date(),
+      status
+    });
+  } catch (error) {
+    logger.error(`❌ Failed to record '${status}' observation for advert ${advert.id} (control ${control.id}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get everything a session saw, optionally for a single dealer
+ * @param {number} controlId - Control ID of the session
+ * @param {Object} options
+ * @param {number} options.sellerId - Restrict to one dealer (user id)
+ * @returns {Promise<Array>} - Observations including their advert
+ */
+async function getRunObservations(controlId, { sellerId = null } = {}) {
+  const advertWhere = sellerId != null ? { seller_id: sellerId } : undefined;
+
+  return AdvertObservation.findAll({
+    where: { control_id: controlId },
+    include: [{
+      model: Advert,
+      as: 'advert',
+      where: advertWhere,
+      attributes: ['id', 'autoscout_id', 'seller_id', 'make', 'model', 'price', 'price_currency', 'is_active']
+    }],
+    order: [['seen_at', 'ASC']]
+  });
+}
+
+/**
+ * Diff two sessions: adverts only seen in one of them and adverts whose status changed
+ * @param {number} fromControlId - Older session
+ * @param {number} toControlId - Newer session
+ * @param {Object} options
+ * @param {number} options.sellerId - Restrict to one dealer (user id)
+ * @returns {Promise<Object>} - { appeared, disappeared, statusChanged }
+ */
+async function diffRuns(fromControlId, toControlId, { sellerId = null } = {}) {
+  const [fromObservations, toObservations] = await Promise.all([
+    getRunObservations(fromControlId, { sellerId }),
+    getRunObservations(toControlId, { sellerId })
+  ]);
+
+  const toStatusMap = (observations) => new Map(observations.map(o => [o.advert_id, o]));
+  const fromMap = toStatusMap(fromObservations);
+  const toMap = toStatusMap(toObservations);
+  const isSeen = (observation) => observation && observation.status !== 'deactivated';
+
+  const appeared = [];
+  const disappeared = [];
+  const statusChanged = [];
+
+  for (const [advertId, observation] of toMap) {
+    const previous = fromMap.get(advertId);
+    if (isSeen(observation) && !isSeen(previous)) {
+      appeared.push(observation.advert);
+    }
+    if (previous && previous.status !== observation.status) {
+      statusChanged.push({ advert: observation.advert, from: previous.status, to: observation.status });
+    }
+  }
+
+  for (const [advertId, observation] of fromMap) {
+    if (isSeen(observation) && !isSeen(toMap.get(advertId))) {
+      disappeared.push(observation.advert);
+    }
+  }
+
+  return { appeared, disappeared, statusChanged };
+}
+
+/**
+ * Count observations per status for a session
+ * @param {number} controlId - Control ID of the session
+ * @returns {Promise<Object>} - { new, existing, reactivated, deactivated }
+ */
+async function countRunObservations(controlId) {
+  const rows = await AdvertObservation.findAll({
+    where: { control_id: controlId, status: { [Op.in]: OBSERVATION_STATUSES } },
+    attributes: ['status', [AdvertObservation.sequelize.fn('COUNT', AdvertObservation.sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+
+  const counts = Object.fromEntries(OBSERVATION_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => { counts[row.status] = parseInt(row.count, 10); });
+  return counts;
+}
+
+module.exports = {
+  OBSERVATION_STATUSES,
+  recordObservation,
+  getRunObservations,
+  diffRuns,
+  countRunObservations
+};
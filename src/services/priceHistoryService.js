@@ -0,0 +1,166 @@
+const { AdvertPriceHistory } = require('../../models');
+const { parseMileageKm } = require('../utils/vehicleNormalizer');
+const { describeAdvert, unlessDryRun, updateUnlessDryRun } = require('../utils/dryRun');
+
+/**
+ * Price History Service
+ * Keeps a snapshot row per advert whenever its price, mileage or currency
+ * changes between scraper runs (table autoscout_advert_price_history).
+ */
+
+/**
+ * Parse a price value ("€ 18.990,-", "18,990.50", "CHF 23'900.–", 18990) into a number
+ * The last "." or "," is the decimal separator when both appear; a single one
+ * followed by exactly three digits ("18.990", "18,990") separates thousands.
+ * @param {string|number} value - Raw price value
+ * @returns {number|null} - Price or null if not parseable
+ */
+function parsePriceValue(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  // Keep digits and separators, dropping currency symbols, apostrophes and a trailing ".-"
+  const text = String(value).replace(/[^0-9.,]/g, '').replace(/[.,]+$/, '');
+  if (!/\d/.test(text)) return null;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let normalized;
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    normalized = text.split(thousands).join('').replace(decimal, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = text.split(separator);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+    normalized = isThousands ? parts.join('') : parts.join('.');
+  } else {
+    normalized = text;
+  }
+
+  const price = parseFloat(normalized);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Build a snapshot from a Belgian dealer API (fetch-listings) listing
+ * @param {Object} listing - Listing object returned by fetchDealerListings
+ * @returns {Object} - { price, price_currency, mileage, mileage_km }
+ */
+function extractApiListingSnapshot(listing) {
+  const rawPrice = listing?.tracking?.price
+    ?? listing?.price?.priceRaw
+    ?? listing?.price?.value
+    ?? listing?.price?.priceFormatted
+    ?? (typeof listing?.price !== 'object' ? listing?.price : null);
+  const rawMileage = listing?.tracking?.mileage
+    ?? listing?.vehicle?.mileageInKmRaw
+    ?? listing?.vehicle?.mileageInKm
+    ?? listing?.mileage;
+  const mileageKm = parseMileageKm(rawMileage);
+
+  return {
+    price: parsePriceValue(rawPrice),
+    price_currency: listing?.price?.currency || listing?.currency || null,
+    mileage: listing?.vehicle?.mileageInKm || (mileageKm != null ? `${mileageKm.toLocaleString('en-US')} km` : null),
+    mileage_km: mileageKm
+  };
+}
+
+/**
+ * Build a snapshot from a Swiss API listing
+ * @param {Object} listing - Listing object returned by the Swiss search/detail API
+ * @returns {Object} - { price, price_currency, mileage, mileage_km }
+ */
+function extractSwissListingSnapshot(listing) {
+  const mileageKm = parseMileageKm(listing?.mileage);
+  return {
+    price: parsePriceValue(listing?.price),
+    price_currency: 'CHF',
+    mileage: mileageKm != null ? String(mileageKm) : null,
+    mileage_km: mileageKm
+  };
+}
+
+/**
+ * Compare two snapshots; missing values on the observed side are not treated as changes
+ * @returns {Array<string>} - Names of the fields that changed
+ */
+function getChangedFields(previous, observed) {
+  const changed = [];
+  if (observed.price != null && (previous.price == null || Math.abs(previous.price - observed.price) > 0.005)) {
+    changed.push('price');
+  }
+  if (observed.price_currency && previous.price_currency && previous.price_currency !== observed.price_currency) {
+    changed.push('price_currency');
+  }
+  if (observed.mileage_km != null && previous.mileage_km !== observed.mileage_km) {
+    changed.push('mileage_km');
+  }
+  return changed;
+}
+
+/**
+ * Compare an observed listing snapshot with the last known state of the advert.
+ * Writes a history row (a baseline one the first time an advert is seen) and
+ * updates the advert when price, mileage or currency changed.
+ * @param {Object} advert - Advert instance
+ * @param {Object} observed - Snapshot from extractApiListingSnapshot / extractSwissListingSnapshot
+ * @param {Object} control - Control instance of the current run
+ * @returns {Promise<Array<string>>} - Names of the fields that changed
+ */
+async function trackListingSnapshot(advert, observed, control) {
+  try {
+    const lastSnapshot = await AdvertPriceHistory.findOne({
+      where: { advert_id: advert.id },
+      order: [['recorded_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    const previous = lastSnapshot
+      ? { price: lastSnapshot.price, price_currency: lastSnapshot.price_currency, mileage_km: lastSnapshot.mileage_km }
+      : { price: advert.price, price_currency: advert.price_currency, mileage_km: advert.mileage_km ?? parseMileageKm(advert.mileage) };
+
+    const changed = getChangedFields(previous, observed);
+
+    // Adverts scraped before history existed get a baseline row on first sight
+    if (changed.length === 0 && lastSnapshot) {
+      return [];
+    }
+
+    await unlessDryRun(() => AdvertPriceHistory.create({
+      advert_id: advert.id,
+      control_id: control?.id || null,
+      price: observed.price ?? previous.price,
+      price_currency: observed.price_currency || previous.price_currency,
+      mileage_km: observed.mileage_km ?? previous.mileage_km,
+      recorded_at: new Date()
+    }));
+
+    if (changed.length > 0) {
+      const updates = {};
+      if (changed.includes('price')) updates.price = observed.price;
+      if (changed.includes('price_currency')) updates.price_currency = observed.price_currency;
+      if (changed.includes('mileage_km')) {
+        updates.mileage_km = observed.mileage_km;
+        if (observed.mileage) updates.mileage = observed.mileage;
+      }
+      await updateUnlessDryRun(advert, updates, { ...describeAdvert(advert), previous });
+
+      console.log(`[SCRAPER] 💱 Advert ${advert.autoscout_id} changed (${changed.join(', ')}): price ${previous.price} → ${observed.price ?? previous.price}, mileage ${previous.mileage_km} → ${observed.mileage_km ?? previous.mileage_km}`);
+    }
+
+    return changed;
+  } catch (error) {
+    console.error(`[SCRAPER] ❌ Failed to track price snapshot for advert ${advert.id}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  parseMileageKm,
+  parsePriceValue,
+  extractApiListingSnapshot,
+  extractSwissListingSnapshot,
+  trackListingSnapshot
+};
@@ -0,0 +1,136 @@
+/**
+ * Region Registry
+ * One entry per AutoScout24 country site. The scraper picks the region from the
+ * dealer URL's TLD and takes the base URL, dealer-listing endpoint, culture,
+ * currency and detail-page parser from it instead of assuming autoscout24.be.
+ */
+
+// How a region's listings are fetched
+const REGION_APIS = {
+  DEALER_DETAIL: 'dealer_detail', // POST {baseUrl}/api/dealer-detail/fetch-listings, shared by the EU sites
+  SWISS: 'swiss' // api.autoscout24.ch, see autoscoutChApi.js
+};
+
+// How a region's advert details are read (see listingDetailsExtractor.getDetailParser)
+const DETAIL_PARSERS = {
+  NEXT_DATA: 'next_data', // autoscout24.com/offers page, __NEXT_DATA__ with CSS fallback
+  SWISS_API: 'swiss_api' // mapped from the API response, see swissListingMapper.js
+};
+
+const DEALER_LISTINGS_ENDPOINT = '/api/dealer-detail/fetch-listings';
+
+// The EU sites share one listing database; autoscout24.com/offers/{id} serves every EU advert in English
+const EU_DETAIL_BASE_URL = 'https://www.autoscout24.com/offers/';
+
+function euRegion(code, name, flag, cultures, defaultCultureIso) {
+  return {
+    code,
+    name,
+    flag,
+    baseUrl: `https://www.autoscout24.${code}`,
+    api: REGION_APIS.DEALER_DETAIL,
+    dealerListingsEndpoint: DEALER_LISTINGS_ENDPOINT,
+    detailBaseUrl: EU_DETAIL_BASE_URL,
+    detailParser: DETAIL_PARSERS.NEXT_DATA,
+    cultures,
+    defaultCultureIso,
+    currency: 'EUR'
+  };
+}
+
+const REGIONS = {
+  be: euRegion('be', 'Belgium', '🇧🇪', { fr: 'fr-BE', nl: 'nl-BE', de: 'de-BE' }, 'fr-BE'),
+  de: euRegion('de', 'Germany', '🇩🇪', { de: 'de-DE' }, 'de-DE'),
+  nl: euRegion('nl', 'Netherlands', '🇳🇱', { nl: 'nl-NL' }, 'nl-NL'),
+  it: euRegion('it', 'Italy', '🇮🇹', { it: 'it-IT' }, 'it-IT'),
+  fr: euRegion('fr', 'France', '🇫🇷', { fr: 'fr-FR' }, 'fr-FR'),
+  at: euRegion('at', 'Austria', '🇦🇹', { de: 'de-AT' }, 'de-AT'),
+  lu: euRegion('lu', 'Luxembourg', '🇱🇺', { fr: 'fr-LU', de: 'de-LU' }, 'fr-LU'),
+  es: euRegion('es', 'Spain', '🇪🇸', { es: 'es-ES' }, 'es-ES'),
+  ch: {
+    code: 'ch',
+    name: 'Switzerland',
+    flag: '🇨🇭',
+    baseUrl: 'https://www.autoscout24.ch',
+    api: REGION_APIS.SWISS,
+    dealerListingsEndpoint: 'https://api.autoscout24.ch/v1/listings/search',
+    detailBaseUrl: 'https://www.autoscout24.ch/de/d/',
+    detailParser: DETAIL_PARSERS.SWISS_API,
+    cultures: { de: 'de-CH', fr: 'fr-CH', it: 'it-CH' },
+    defaultCultureIso: 'de-CH',
+    currency: 'CHF'
+  }
+};
+
+// Dealers were only Belgian before the registry existed
+const DEFAULT_REGION_CODE = 'be';
+
+/**
+ * Get a region by its code / TLD
+ * @param {string} code - e.g. 'de'
+ * @returns {Object|null}
+ */
+function getRegion(code) {
+  if (!code) return null;
+  return REGIONS[String(code).toLowerCase()] || null;
+}
+
+/**
+ * The region used when a dealer URL does not name a known AutoScout24 site
+ * @returns {Object}
+ */
+function getDefaultRegion() {
+  return REGIONS[DEFAULT_REGION_CODE];
+}
+
+/**
+ * Resolve the region of a dealer URL from its AutoScout24 TLD
+ * @param {string} url - e.g. https://www.autoscout24.de/haendler/autohaus-muster
+ * @returns {Object|null} - Region or null when the URL is not a known AutoScout24 site
+ */
+function getRegionByUrl(url) {
+  if (!url) return null;
+  try {
+    const { hostname } = new URL(url);
+    const match = hostname.toLowerCase().match(/(?:^|\.)autoscout24\.([a-z]{2})$/);
+    return match ? getRegion(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the culture ISO from the language segment of a dealer URL
+ * @param {string} url - e.g. https://www.autoscout24.be/nl/verkopers/...
+ * @param {Object} region - Region of the URL (default: resolved from the URL, then Belgium)
+ * @returns {string} - e.g. 'nl-BE'
+ */
+function resolveRegionCultureIso(url, region = getRegionByUrl(url) || getDefaultRegion()) {
+  if (url) {
+    for (const [language, cultureIso] of Object.entries(region.cultures)) {
+      if (url.includes(`/${language}/`)) return cultureIso;
+    }
+  }
+  return region.defaultCultureIso;
+}
+
+/**
+ * Absolute URL of a region's dealer-listing endpoint
+ * @param {Object} region
+ * @returns {string}
+ */
+function getDealerListingsUrl(region) {
+  const endpoint = region.dealerListingsEndpoint;
+  return endpoint.startsWith('http') ? endpoint : `${region.baseUrl}${endpoint}`;
+}
+
+module.exports = {
+  REGION_APIS,
+  DETAIL_PARSERS,
+  REGIONS,
+  getRegion,
+  getDefaultRegion,
+  getRegionByUrl,
+  resolveRegionCultureIso,
+  getDealerListingsUrl
+};
@@ -0,0 +1,197 @@
+const { Op } = require('sequelize');
+const { Control, RunCheckpoint } = require('../../models');
+const { isDryRun } = require('../utils/dryRun');
+
+/**
+ * Run State Service
+ * DB-backed progress of a scraper session: which dealers are done and the last
+ * inventory page (make + page) of the dealer being scraped. A session whose
+ * Control is still 'running' after a crash or restart is resumed by the next
+ * run instead of starting again from the first dealer.
+ */
+
+const CONTROL_STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const CHECKPOINT_STATUSES = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DEFAULT_RESUME_MAX_AGE_HOURS = 24;
+
+/**
+ * Whether interrupted sessions are resumed (RESUME_INTERRUPTED_RUNS, default true)
+ * @returns {boolean}
+ */
+function isResumeEnabled() {
+  return String(process.env.RESUME_INTERRUPTED_RUNS ?? 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Sessions older than this are not resumed (RESUME_MAX_AGE_HOURS, default 24)
+ * @returns {number}
+ */
+function getResumeMaxAgeHours() {
+  const hours = parseFloat(process.env.RESUME_MAX_AGE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RESUME_MAX_AGE_HOURS;
+}
+
+/**
+ * Latest session of a type that never completed and is recent enough to resume
+ * @param {string} type - Control type ('scraper')
+ * @returns {Promise<Object|null>} - Control or null
+ */
+async function findResumableControl(type = 'scraper') {
+  const since = new Date(Date.now() - getResumeMaxAgeHours() * 60 * 60 * 1000);
+  return Control.findOne({
+    where: {
+      type,
+      status: CONTROL_STATUSES.RUNNING,
+      date: { [Op.gte]: since }
+    },
+    order: [['date', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+/**
+ * Open a new session
+ * In dry-run mode the Control is built but not saved (id null), so checkpoints
+ * and observations are not written for it.
+ * @param {Object} values - Control attributes (date, type, status)
+ * @returns {Promise<Object>} - Control
+ */
+async function createControl(values) {
+  return isDryRun() ? Control.build(values) : Control.create(values);
+}
+
+/**
+ * Resume the interrupted session of a type, or open a new one
+ * @param {string} type - Control type ('scraper')
+ * @returns {Promise<Object>} - { control, resumed }
+ */
+async function startOrResumeControl(type = 'scraper') {
+  // A dry run never continues (or closes) a real session
+  if (isResumeEnabled() && !isDryRun()) {
+    const interrupted = await findResumableControl(type);
+    if (interrupted) {
+      return { control: interrupted, resumed: true };
+    }
+  }
+
+  const control = await createControl({ date: new Date(), type, status: CONTROL_STATUSES.RUNNING });
+  return { control, resumed: false };
+}
+
+/**
+ * Close a session so it is no longer resumed
+ * @param {Object} control - Control instance
+ * @param {string} status - 'completed' or 'failed'
+ */
+async function finishControl(control, status = CONTROL_STATUSES.COMPLETED) {
+  if (!control?.id) return;
+  await control.update({ status, completed_at: new Date() });
+}
+
+/**
+ * Ids of the dealers a session already finished
+ * @param {Object} control - Control instance
+ * @returns {Promise<Set<number>>}
+ */
+async function getCompletedUserIds(control) {
+  if (!control?.id) return new Set();
+  const checkpoints = await RunCheckpoint.findAll({
+    where: { control_id: control.id, status: CHECKPOINT_STATUSES.COMPLETED },
+    attributes: ['user_id']
+  });
+  return new Set(checkpoints.map(checkpoint => checkpoint.user_id));
+}
+
+/**
+ * Checkpoint of a dealer within a session
+ * @param {Object} control - Control instance
+ * @param {number} userId - Dealer id
+ * @returns {Promise<Object|null>} - RunCheckpoint or null
+ */
+async function getUserCheckpoint(control, userId) {
+  if (!control?.id) return null;
+  return RunCheckpoint.findOne({ where: { control_id: control.id, user_id: userId } });
+}
+
+/**
+ * Create or update the checkpoint of a dealer
+ * @param {Object} control - Control instance
+ * @param {number} userId - Dealer id
+ * @param {Object} values - Columns to set (status, last_make, last_page)
+ */
+async function upsertUserCheckpoint(control, userId, values) {
+  if (!control?.id) return;
+  try {
+    const [checkpoint, created] = await RunCheckpoint.findOrCreate({
+      where: { control_id: control.id, user_id: userId },
+      defaults: { ...values, updated_at: new Date() }
+    });
+    if (!created) {
+      await checkpoint.update({ ...values, updated_at: new Date() });
+    }
+  } catch (error) {
+    console.error(`[SCRAPER] ❌ Failed to save checkpoint for user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Remember the last inventory page fully processed for a dealer
+ * @param {Object} control - Control instance
+ * @param {number} userId - Dealer id
+ * @param {Object} cursor - { make, page } of the page (see listDealerInventory)
+ */
+async function saveUserProgress(control, userId, cursor) {
+  await upsertUserCheckpoint(control, userId, {
+    status: CHECKPOINT_STATUSES.IN_PROGRESS,
+    last_make: cursor?.make ?? null,
+    last_page: cursor?.page ?? null
+  });
+}
+
+/**
+ * Mark a dealer as finished (or failed) within a session
+ * @param {Object} control - Control instance
+ * @param {number} userId - Dealer id
+ * @param {string} status - 'completed' or 'failed'
+ */
+async function markUserFinished(control, userId, status = CHECKPOINT_STATUSES.COMPLETED) {
+  await upsertUserCheckpoint(control, userId, { status });
+}
+
+/**
+ * Cursor to resume a dealer's inventory from, if the dealer was interrupted
+ * @param {Object} control - Control instance
+ * @param {number} userId - Dealer id
+ * @returns {Promise<Object|null>} - { make, page } of the last processed page or null
+ */
+async function getResumeCursor(control, userId) {
+  const checkpoint = await getUserCheckpoint(control, userId);
+  if (!checkpoint || checkpoint.status !== CHECKPOINT_STATUSES.IN_PROGRESS || checkpoint.last_page == null) {
+    return null;
+  }
+  return { make: checkpoint.last_make, page: checkpoint.last_page };
+}
+
+module.exports = {
+  CONTROL_STATUSES,
+  CHECKPOINT_STATUSES,
+  isResumeEnabled,
+  findResumableControl,
+  createControl,
+  startOrResumeControl,
+  finishControl,
+  getCompletedUserIds,
+  getUserCheckpoint,
+  saveUserProgress,
+  markUserFinished,
+  getResumeCursor
+};
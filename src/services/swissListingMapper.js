@@ -0,0 +1,164 @@
+const {
+  KW_TO_HP,
+  normalizeFuelType,
+  parseMileageKm,
+  parseConsumptionL100km
+} = require('../utils/vehicleNormalizer');
+
+/**
+ * Swiss Listing Mapper
+ * Pure mapping of an AutoScout24.ch listing (from /v1/listings/search or
+ * /v1/listings/{id}) to the columns of the Advert model. No I/O, so it can be
+ * tested against captured JSON fixtures.
+ */
+
+const SWISS_LISTING_BASE_URL = 'https://www.autoscout24.ch/de/d/';
+
+/**
+ * Return the first value that is not null/undefined/''
+ * @param {...*} values
+ * @returns {*}
+ */
+function firstPresent(...values) {
+  return values.find(value => value != null && value !== '') ?? null;
+}
+
+/**
+ * Read a value that may be a primitive or a { name } / { value } object
+ * @param {*} value
+ * @returns {string|null}
+ */
+function readName(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return readName(firstPresent(value.name, value.value, value.key));
+  return String(value).trim() || null;
+}
+
+/**
+ * Parse an integer, keeping null for anything that is not a number
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toInteger(value) {
+  if (value == null || value === '') return null;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parse a float, keeping null for anything that is not a number
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Join a list of features (strings or { name } objects) into one text column
+ * @param {Array} features
+ * @returns {string|null}
+ */
+function joinFeatures(features) {
+  if (!Array.isArray(features) || features.length === 0) return null;
+  const names = features.map(readName).filter(Boolean);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * Merge a search result with the richer /v1/listings/{id} response; detail values win
+ * @param {Object} searchListing - Listing from /v1/listings/search
+ * @param {Object} detailListing - Listing from /v1/listings/{id} (optional)
+ * @returns {Object}
+ */
+function mergeSwissListing(searchListing, detailListing) {
+  if (!detailListing) return searchListing || {};
+
+  const merged = { ...(searchListing || {}) };
+  for (const [key, value] of Object.entries(detailListing)) {
+    if (value != null) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Map a Swiss listing to Advert columns
+ * @param {Object} listing - Listing from the search or detail API (or mergeSwissListing output)
+ * @param {Object} options
+ * @param {Object} options.user - Dealer the listing belongs to
+ * @param {boolean} options.isInitialRun - Whether this is the dealer's first scrape
+ * @returns {Object} - Advert attributes (image columns are left to the gallery code)
+ */
+function mapSwissListingToAdvert(listing, { user = null, isInitialRun = false } = {}) {
+  const seller = listing.seller || {};
+  const consumption = listing.consumption || {};
+
+  const horsePower = toNumber(listing.horsePower);
+  const kiloWatts = toNumber(listing.kiloWatts);
+  const cubicCapacity = toInteger(firstPresent(listing.cubicCapacity, listing.engineCapacity));
+  const co2 = toInteger(firstPresent(listing.co2Emission, listing.co2Emissions));
+  const weight = toInteger(firstPresent(listing.weight, listing.curbWeight, listing.emptyWeight));
+  const combinedConsumption = toNumber(firstPresent(consumption.combined, listing.fuelConsumptionCombined));
+  const fuelTypeRaw = readName(listing.fuelType);
+  const mileageKm = parseMileageKm(listing.mileage);
+
+  const advertData = {
+    autoscout_id: String(listing.id), // Convert to string as required by database schema
+    seller_id: user ? user.id : null,
+    seller_name: readName(seller.name),
+    first_registration: listing.firstRegistrationDate ? new Date(listing.firstRegistrationDate) : null,
+    is_active: true,
+    last_seen: new Date(),
+    make: readName(listing.make),
+    model: firstPresent(listing.versionFullName, readName(listing.model)),
+    model_version: firstPresent(listing.versionFullName),
+    location: seller.city ? `${seller.city} ${seller.zipCode || ''}`.trim() : null,
+    price: toNumber(listing.price) || null,
+    price_currency: 'CHF', // Swiss currency
+    body_type: readName(listing.bodyType),
+    type: readName(listing.conditionType),
+    drivetrain: readName(firstPresent(listing.driveType, listing.drivetrain)),
+    seats: toInteger(listing.seats),
+    doors: toInteger(listing.doors),
+    mileage: mileageKm != null ? String(mileageKm) : null,
+    previous_owner: toInteger(firstPresent(listing.previousOwners, listing.numberOfPreviousOwners)),
+    full_service_history: listing.hasFullServiceHistory ?? null,
+    non_smoker_vehicle: listing.nonSmoking ?? null,
+    power: horsePower ? `${horsePower} HP` : null,
+    gearbox: readName(firstPresent(listing.transmissionTypeGroup, listing.transmissionType)),
+    engine_size: cubicCapacity ? `${cubicCapacity} cm³` : null,
+    gears: toInteger(listing.gears),
+    cylinders: toInteger(listing.cylinders),
+    empty_weight: weight ? `${weight} kg` : null,
+    emission_class: readName(firstPresent(listing.emissionStandard, listing.euroNorm)),
+    fuel_type: normalizeFuelType(fuelTypeRaw) || fuelTypeRaw,
+    fuel_consumption: combinedConsumption != null ? `${combinedConsumption} l/100 km (comb.)` : null,
+    co_2_emissions: co2 != null ? `${co2} g/km (comb.)` : null,
+    extras: joinFeatures(listing.features),
+    color: readName(firstPresent(listing.bodyColor, listing.exteriorColor)),
+    paint: listing.metallic === true ? 'Metallic' : readName(listing.paintType),
+    upholstery_color: readName(listing.interiorColor),
+    upholstery: readName(listing.upholstery),
+    description: firstPresent(listing.description, listing.teaser),
+    link: `${SWISS_LISTING_BASE_URL}${listing.id}`,
+    is_initial_run_listing: isInitialRun,
+    mileage_km: mileageKm,
+    power_hp: horsePower ? Math.round(horsePower) : null,
+    power_kw: kiloWatts ? Math.round(kiloWatts) : (horsePower ? Math.round(horsePower / KW_TO_HP) : null),
+    engine_cc: cubicCapacity || null,
+    weight_kg: weight || null,
+    co2_g_km: co2,
+    consumption_l_100km: combinedConsumption ?? parseConsumptionL100km(listing.fuelConsumption)
+    // created_at will be automatically set to current timestamp by model default
+  };
+
+  return advertData;
+}
+
+module.exports = {
+  SWISS_LISTING_BASE_URL,
+  mergeSwissListing,
+  mapSwissListingToAdvert
+};
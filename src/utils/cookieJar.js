@@ -0,0 +1,197 @@
+const { getRequestSession } = require('./requestSession');
+
+/**
+ * Cookie Jar
+ * Keeps the cookies AutoScout24 sets (as24Visitor, consent and load-balancer
+ * cookies, ...) for the rest of a request session, the way a browser would.
+ * The HTTP client sends the matching cookies with every request of the
+ * session and stores every Set-Cookie it receives. Domain, path, expiry and
+ * Secure are honoured; SameSite and other attributes are ignored.
+ */
+
+class CookieJar {
+    constructor() {
+        // "domain;path;name" → cookie
+        this.cookies = new Map();
+    }
+
+    /**
+     * Store the Set-Cookie headers of a response
+     * @param {string|Array<string>} setCookieHeaders - Set-Cookie header value(s)
+     * @param {string} url - URL the response came from
+     */
+    storeCookies(setCookieHeaders, url) {
+        let requestUrl;
+        try {
+            requestUrl = new URL(url);
+        } catch (error) {
+            return;
+        }
+
+        for (const header of [].concat(setCookieHeaders || [])) {
+            const cookie = parseSetCookie(header, requestUrl);
+            if (!cookie) continue;
+
+            const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+            if (cookie.expiresAt !== null && cookie.expiresAt <= Date.now()) {
+                this.cookies.delete(key);
+            } else {
+                this.cookies.set(key, cookie);
+            }
+        }
+    }
+
+    /**
+     * Cookie header value for a request
+     * @param {string} url - Request URL
+     * @returns {string} - 'name=value; name2=value2', empty when nothing matches
+     */
+    getCookieHeader(url) {
+        let requestUrl;
+        try {
+            requestUrl = new URL(url);
+        } catch (error) {
+            return '';
+        }
+
+        const host = requestUrl.hostname.toLowerCase();
+        const now = Date.now();
+        const matching = [];
+        for (const [key, cookie] of this.cookies) {
+            if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+                this.cookies.delete(key);
+                continue;
+            }
+            if (!domainMatches(host, cookie)) continue;
+            if (!pathMatches(requestUrl.pathname, cookie.path)) continue;
+            if (cookie.secure && requestUrl.protocol !== 'https:') continue;
+            matching.push(cookie);
+        }
+
+        // Longer paths first, like browsers do
+        matching.sort((a, b) => b.path.length - a.path.length);
+        return matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    /**
+     * Value of a cookie for a URL
+     * @param {string} url
+     * @param {string} name - e.g. 'as24Visitor'
+     * @returns {string|null}
+     */
+    getCookieValue(url, name) {
+        const pair = this.getCookieHeader(url).split('; ').find(entry => entry.startsWith(`${name}=`));
+        return pair ? pair.slice(name.length + 1) : null;
+    }
+
+    /**
+     * Forget every cookie
+     */
+    clear() {
+        this.cookies.clear();
+    }
+
+    get size() {
+        return this.cookies.size;
+    }
+}
+
+function parseSetCookie(header, requestUrl) {
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: requestUrl.hostname.toLowerCase(),
+        hostOnly: true,
+        path: defaultPath(requestUrl.pathname),
+        secure: false,
+        expiresAt: null
+    };
+
+    let maxAgeSet = false;
+    for (const attribute of attributes) {
+        const [rawName, ...rest] = attribute.split('=');
+        const name = rawName.trim().toLowerCase();
+        const value = rest.join('=').trim();
+
+        if (name === 'domain' && value) {
+            const domain = value.replace(/^\./, '').toLowerCase();
+            // A site may only set cookies for itself or a parent domain
+            if (!domainMatches(cookie.domain, { domain, hostOnly: false })) return null;
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        } else if (name === 'path' && value.startsWith('/')) {
+            cookie.path = value;
+        } else if (name === 'secure') {
+            cookie.secure = true;
+        } else if (name === 'max-age') {
+            const seconds = parseInt(value, 10);
+            if (!Number.isNaN(seconds)) {
+                cookie.expiresAt = Date.now() + seconds * 1000;
+                maxAgeSet = true;
+            }
+        } else if (name === 'expires' && !maxAgeSet) {
+            const date = Date.parse(value);
+            if (!Number.isNaN(date)) cookie.expiresAt = date;
+        }
+    }
+
+    return cookie;
+}
+
+function defaultPath(pathname) {
+    if (!pathname || !pathname.startsWith('/')) return '/';
+    const lastSlash = pathname.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+function domainMatches(host, cookie) {
+    if (host === cookie.domain) return true;
+    return !cookie.hostOnly && host.endsWith(`.${cookie.domain}`);
+}
+
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Cookie jar of the current request session, created on first use
+ * @returns {CookieJar|null} - null outside a request session
+ */
+function getSessionCookieJar() {
+    const session = getRequestSession();
+    if (!session) return null;
+    if (!session.cookieJar) {
+        session.cookieJar = new CookieJar();
+    }
+    return session.cookieJar;
+}
+
+/**
+ * Merge a jar's Cookie header with one set by the caller (the caller's cookies win)
+ * @param {string} jarCookies
+ * @param {string} explicitCookies
+ * @returns {string}
+ */
+function mergeCookieHeaders(jarCookies, explicitCookies) {
+    const cookies = new Map();
+    for (const header of [jarCookies, explicitCookies]) {
+        for (const pair of String(header || '').split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator <= 0) continue;
+            cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+        }
+    }
+    return Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+}
+
+module.exports = {
+    CookieJar,
+    getSessionCookieJar,
+    mergeCookieHeaders
+};
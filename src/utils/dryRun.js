@@ -0,0 +1,218 @@
+/**
+ * Dry Run
+ * Lets the scraper, checker and image fetchers run against live pages without
+ * writing to the database or MinIO. Every write goes through one of the
+ * helpers below; in dry-run mode the helper skips it and records what it
+ * would have done (created, updated, deactivated or uploaded) in a report.
+ * Run bookkeeping (controls, checkpoints, observations, caches) is skipped
+ * without a report entry.
+ *
+ * DRY_RUN   Enable dry-run mode for the whole process (default false); the CLI sets it with --dry-run
+ */
+
+const DRY_RUN_ACTIONS = ['create', 'update', 'deactivate', 'upload'];
+
+// Columns every sighting bumps; the report lists real changes only
+const IGNORED_CHANGE_FIELDS = ['last_seen'];
+
+const ACTION_SYMBOLS = {
+    create: '+',
+    update: '~',
+    deactivate: '-',
+    upload: '↑'
+};
+
+// null: follow DRY_RUN
+let dryRunOverride = null;
+let actions = [];
+
+/**
+ * Whether writes are skipped
+ * @returns {boolean}
+ */
+function isDryRun() {
+    if (dryRunOverride !== null) return dryRunOverride;
+    return String(process.env.DRY_RUN || '').toLowerCase() === 'true';
+}
+
+/**
+ * Turn dry-run mode on or off for this process, regardless of DRY_RUN
+ * @param {boolean} enabled
+ */
+function setDryRun(enabled) {
+    dryRunOverride = Boolean(enabled);
+}
+
+/**
+ * Reference of an advert in report entries
+ * @param {Object} advert - Advert instance or advert attributes
+ * @returns {Object}
+ */
+function describeAdvert(advert) {
+    return {
+        entity: 'advert',
+        id: advert.id ?? null,
+        autoscout_id: advert.autoscout_id ?? null,
+        seller_id: advert.seller_id ?? null,
+        make: advert.make ?? null,
+        model: advert.model ?? null
+    };
+}
+
+/**
+ * Add an entry to the report
+ * @param {string} action - 'create', 'update', 'deactivate' or 'upload'
+ * @param {Object} details - entity, ids and values
+ */
+function recordDryRunAction(action, details = {}) {
+    if (!DRY_RUN_ACTIONS.includes(action)) {
+        throw new Error(`Unknown dry-run action: ${action}`);
+    }
+    const entry = { action, ...details };
+    actions.push(entry);
+    console.log(`[DRY_RUN] 🧪 Would ${action} ${describeEntry(entry)}`);
+}
+
+/**
+ * Run a write, or in dry-run mode record what it would have done instead
+ * @param {Function} write - Performs the database / MinIO write
+ * @param {string|null} action - Report action; null skips the write without an entry
+ * @param {Object} details - Report entry (entity, ids, values)
+ * @returns {Promise<*>} - The write's result, null in dry-run mode
+ */
+async function unlessDryRun(write, action = null, details = {}) {
+    if (!isDryRun()) return write();
+    if (action) recordDryRunAction(action, details);
+    return null;
+}
+
+/**
+ * Model.create, or in dry-run mode an unsaved instance (id null) for the code that follows
+ * @param {Object} model - Sequelize model
+ * @param {Object} values
+ * @param {Object} details - Report entry
+ * @returns {Promise<Object>}
+ */
+async function createUnlessDryRun(model, values, details = {}) {
+    if (!isDryRun()) return model.create(values);
+    recordDryRunAction('create', details);
+    return model.build(values);
+}
+
+/**
+ * instance.update, or in dry-run mode only set the values in memory
+ * @param {Object} instance - Sequelize instance
+ * @param {Object} values
+ * @param {Object|null} details - Report entry; null records nothing
+ * @param {string} action - Report action (default 'update')
+ * @returns {Promise<Object>}
+ */
+async function updateUnlessDryRun(instance, values, details = {}, action = 'update') {
+    if (!isDryRun()) return instance.update(values);
+    instance.set(values);
+    const reported = withoutIgnoredFields(values);
+    if (details && Object.keys(reported).length > 0) {
+        recordDryRunAction(action, { ...details, values: reported });
+    }
+    return instance;
+}
+
+/**
+ * instance.save, or in dry-run mode record the changed columns
+ * @param {Object} instance - Sequelize instance with changed attributes
+ * @param {Object|null} details - Report entry; null records nothing
+ * @param {string} action - Report action (default 'update')
+ * @returns {Promise<Object>}
+ */
+async function saveUnlessDryRun(instance, details = {}, action = 'update') {
+    if (!isDryRun()) return instance.save();
+    const changed = instance.changed() || [];
+    const values = withoutIgnoredFields(Object.fromEntries(changed.map(field => [field, instance.get(field)])));
+    if (details && Object.keys(values).length > 0) {
+        recordDryRunAction(action, { ...details, values });
+    }
+    return instance;
+}
+
+function withoutIgnoredFields(values) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([field]) => !IGNORED_CHANGE_FIELDS.includes(field)));
+}
+
+function formatValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value === null || value === undefined) return 'null';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function describeEntry(entry) {
+    const parts = [entry.entity || 'row'];
+    if (entry.id) parts.push(`#${entry.id}`);
+    if (entry.autoscout_id) parts.push(entry.autoscout_id);
+    if (entry.key) parts.push(entry.key);
+    if (entry.make || entry.model) parts.push(`(${[entry.make, entry.model].filter(Boolean).join(' ')})`);
+    if (entry.seller_id) parts.push(`seller ${entry.seller_id}`);
+    if (entry.source_url) parts.push(`from ${entry.source_url}`);
+    if (entry.values) {
+        const previous = entry.previous || {};
+        const changes = Object.entries(entry.values).map(([field, value]) => (
+            field in previous
+                ? `${field}: ${formatValue(previous[field])} → ${formatValue(value)}`
+                : `${field}: ${formatValue(value)}`
+        ));
+        if (changes.length > 0) parts.push(`[${changes.join(', ')}]`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Everything recorded since the last reset
+ * @returns {Object} - { dry_run, summary: { create, update, deactivate, upload }, actions }
+ */
+function getDryRunReport() {
+    const summary = Object.fromEntries(DRY_RUN_ACTIONS.map(action => [action, 0]));
+    for (const entry of actions) {
+        summary[entry.action]++;
+    }
+    return { dry_run: true, summary, actions: [...actions] };
+}
+
+/**
+ * Human-readable report, one line per entry
+ * @param {Object} report - Output of getDryRunReport
+ * @returns {string}
+ */
+function formatDryRunReport(report = getDryRunReport()) {
+    const { summary } = report;
+    const lines = [
+        `🧪 Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.deactivate} to deactivate, ${summary.upload} to upload - nothing was written`
+    ];
+    for (const action of DRY_RUN_ACTIONS) {
+        for (const entry of report.actions.filter(candidate => candidate.action === action)) {
+            lines.push(`   ${ACTION_SYMBOLS[action]} ${describeEntry(entry)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Forget the recorded entries
+ */
+function resetDryRunReport() {
+    actions = [];
+}
+
+module.exports = {
+    DRY_RUN_ACTIONS,
+    isDryRun,
+    setDryRun,
+    describeAdvert,
+    recordDryRunAction,
+    unlessDryRun,
+    createUnlessDryRun,
+    updateUnlessDryRun,
+    saveUnlessDryRun,
+    getDryRunReport,
+    formatDryRunReport,
+    resetDryRunReport
+};
@@ -0,0 +1,171 @@
+const { getRequestSession } = require('./requestSession');
+
+/**
+ * Header Profiles
+ * Consistent browser identities (user-agent, client hints, platform) for
+ * outgoing requests, instead of user-agent strings copied into every service.
+ * Inside a request session (one dealer, see requestSession.js) a profile is
+ * picked once and kept for the whole session, and Accept-Language follows the
+ * dealer's culture. Outside a session the process uses one profile.
+ *
+ * HEADER_PROFILE   Pin every request to one profile by name, e.g. 'chrome-windows'
+ */
+
+const CHROME_VERSION = '135';
+const EDGE_VERSION = '135';
+const FIREFOX_VERSION = '137.0';
+const SAFARI_VERSION = '18.3';
+
+// Client hints are only sent by Chromium browsers; Firefox and Safari profiles leave them out
+const HEADER_PROFILES = [
+    {
+        name: 'chrome-windows',
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        secChUa: `"Google Chrome";v="${CHROME_VERSION}", "Not-A.Brand";v="8", "Chromium";v="${CHROME_VERSION}"`,
+        platform: 'Windows'
+    },
+    {
+        name: 'chrome-macos',
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        secChUa: `"Google Chrome";v="${CHROME_VERSION}", "Not-A.Brand";v="8", "Chromium";v="${CHROME_VERSION}"`,
+        platform: 'macOS'
+    },
+    {
+        name: 'edge-windows',
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${EDGE_VERSION}.0.0.0 Safari/537.36 Edg/${EDGE_VERSION}.0.0.0`,
+        secChUa: `"Microsoft Edge";v="${EDGE_VERSION}", "Not-A.Brand";v="8", "Chromium";v="${EDGE_VERSION}"`,
+        platform: 'Windows'
+    },
+    {
+        name: 'firefox-windows',
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:${FIREFOX_VERSION}) Gecko/20100101 Firefox/${FIREFOX_VERSION}`,
+        secChUa: null,
+        platform: 'Windows'
+    },
+    {
+        name: 'firefox-macos',
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:${FIREFOX_VERSION}) Gecko/20100101 Firefox/${FIREFOX_VERSION}`,
+        secChUa: null,
+        platform: 'macOS'
+    },
+    {
+        name: 'safari-macos',
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${SAFARI_VERSION} Safari/605.1.15`,
+        secChUa: null,
+        platform: 'macOS'
+    }
+];
+
+// Accept header per kind of request
+const ACCEPT_HEADERS = {
+    document: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+    api: '*/*',
+    image: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+};
+
+const DEFAULT_CULTURE_ISO = 'en-US';
+
+// Profile of requests made outside a request session
+let processProfile = null;
+
+/**
+ * Accept-Language header value for a culture, e.g. 'nl-BE,nl;q=0.9,en;q=0.8'
+ * @param {string} cultureIso
+ * @returns {string}
+ */
+function buildAcceptLanguage(cultureIso) {
+    const language = cultureIso.split('-')[0];
+    return language === 'en'
+        ? `${cultureIso},en;q=0.9`
+        : `${cultureIso},${language};q=0.9,en;q=0.8`;
+}
+
+/**
+ * Get a header profile by name
+ * @param {string} name - e.g. 'firefox-windows'
+ * @returns {Object|null}
+ */
+function getHeaderProfileByName(name) {
+    return HEADER_PROFILES.find(profile => profile.name === name) || null;
+}
+
+/**
+ * Pick a profile: the one pinned by HEADER_PROFILE, otherwise a random one
+ * @returns {Object}
+ */
+function pickHeaderProfile() {
+    const pinned = process.env.HEADER_PROFILE;
+    if (pinned) {
+        const profile = getHeaderProfileByName(pinned.trim());
+        if (profile) return profile;
+        console.warn(`[HEADERS] ⚠️ Unknown HEADER_PROFILE "${pinned}", picking a random profile`);
+    }
+    return HEADER_PROFILES[Math.floor(Math.random() * HEADER_PROFILES.length)];
+}
+
+/**
+ * Profile of the current request session, picked on first use
+ * @returns {Object}
+ */
+function getHeaderProfile() {
+    const session = getRequestSession();
+    if (session) {
+        if (!session.headerProfile) {
+            session.headerProfile = pickHeaderProfile();
+        }
+        return session.headerProfile;
+    }
+
+    if (!processProfile) {
+        processProfile = pickHeaderProfile();
+    }
+    return processProfile;
+}
+
+/**
+ * Browser headers of the current profile
+ * @param {Object} options
+ * @param {string} options.kind - 'document' (default), 'api' or 'image'; selects the Accept header
+ * @param {string} options.defaultCultureIso - Culture used when the session has none
+ * @returns {Object} - Lower-case header names; callers add request specific headers
+ */
+function buildBrowserHeaders({ kind = 'document', defaultCultureIso = DEFAULT_CULTURE_ISO } = {}) {
+    const profile = getHeaderProfile();
+    const cultureIso = getRequestSession()?.cultureIso || defaultCultureIso;
+
+    const headers = {
+        'user-agent': profile.userAgent,
+        'accept': ACCEPT_HEADERS[kind] || ACCEPT_HEADERS.document,
+        'accept-language': buildAcceptLanguage(cultureIso)
+    };
+
+    if (profile.secChUa) {
+        headers['sec-ch-ua'] = profile.secChUa;
+        headers['sec-ch-ua-mobile'] = '?0';
+        headers['sec-ch-ua-platform'] = `"${profile.platform}"`;
+    }
+
+    return headers;
+}
+
+/**
+ * Forget the profile of the current request session, or the process-wide one
+ * outside a session (a new one is picked on next use)
+ */
+function resetHeaderProfile() {
+    const session = getRequestSession();
+    if (session) {
+        session.headerProfile = null;
+    } else {
+        processProfile = null;
+    }
+}
+
+module.exports = {
+    HEADER_PROFILES,
+    buildAcceptLanguage,
+    getHeaderProfileByName,
+    getHeaderProfile,
+    buildBrowserHeaders,
+    resetHeaderProfile
+};
@@ -0,0 +1,396 @@
+const axios = require('axios');
+const { waitForHost } = require('./rateLimiter');
+const { BAN_STATUSES, acquireProxy, reportProxyResult, getProxyRequestConfig } = require('./proxyPool');
+const { getSessionCookieJar, mergeCookieHeaders } = require('./cookieJar');
+const { isReplaying, sendWithFixtures } = require('./httpFixtures');
+
+/**
+ * HTTP Client
+ * Every outgoing request of the scraper, checker and image services goes
+ * through here. Per request: the host's rate limit (see rateLimiter.js), the
+ * host's circuit breaker, retries of 429/5xx/network errors with jittered
+ * exponential backoff (Retry-After wins when the server sends one) capped by a
+ * maximum total wait, and per-host request/latency/status counters. When the
+ * proxy pool (see proxyPool.js) has proxies, every attempt goes through one of
+ * them and its outcome is reported back; a proxy banned with 403/407 is
+ * retried through another proxy. Inside a request session the session's
+ * cookie jar (see cookieJar.js) sends and collects cookies. With HTTP fixtures
+ * (see httpFixtures.js) the responses are recorded, or replayed without
+ * contacting the host, rate limit or proxies.
+ *
+ * HTTP_MAX_RETRIES                 Retries after the first attempt (default 3)
+ * HTTP_RETRY_BASE_DELAY_MS         First backoff step (default 1000)
+ * HTTP_RETRY_MAX_DELAY_MS          Longest single wait, Retry-After included (default 60000)
+ * HTTP_MAX_TOTAL_WAIT_MS           Give up once the waits of a request would exceed this (default 300000)
+ * HTTP_TIMEOUT_MS                  Request timeout when the caller sets none (default 30000)
+ * HTTP_CIRCUIT_FAILURE_THRESHOLD   Consecutive failures that open a host's circuit (default 5)
+ * HTTP_CIRCUIT_COOLDOWN_MS         How long an open circuit rejects requests (default 60000)
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+// Host → circuit { state, consecutiveFailures, openedAt, trialInFlight }
+const circuits = new Map();
+
+// Host → counters
+const metrics = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readNonNegativeInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+function getSettings() {
+    return {
+        maxRetries: readNonNegativeInt(process.env.HTTP_MAX_RETRIES, 3),
+        baseDelayMs: readNonNegativeInt(process.env.HTTP_RETRY_BASE_DELAY_MS, 1000),
+        maxDelayMs: readNonNegativeInt(process.env.HTTP_RETRY_MAX_DELAY_MS, 60000),
+        maxTotalWaitMs: readNonNegativeInt(process.env.HTTP_MAX_TOTAL_WAIT_MS, 300000),
+        timeoutMs: readNonNegativeInt(process.env.HTTP_TIMEOUT_MS, 30000),
+        failureThreshold: readNonNegativeInt(process.env.HTTP_CIRCUIT_FAILURE_THRESHOLD, 5) || 1,
+        cooldownMs: readNonNegativeInt(process.env.HTTP_CIRCUIT_COOLDOWN_MS, 60000)
+    };
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+/**
+ * Thrown without contacting the host while its circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(host, retryInMs) {
+        super(`Circuit open for ${host}, retry in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.code = 'ECIRCUITOPEN';
+        this.host = host;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+function getHostMetrics(host) {
+    if (!metrics.has(host)) {
+        metrics.set(host, {
+            requests: 0,
+            retries: 0,
+            failures: 0,
+            circuitRejections: 0,
+            statuses: {},
+            totalLatencyMs: 0,
+            maxLatencyMs: 0
+        });
+    }
+    return metrics.get(host);
+}
+
+function recordAttempt(host, statusKey, latencyMs) {
+    const hostMetrics = getHostMetrics(host);
+    hostMetrics.requests++;
+    hostMetrics.statuses[statusKey] = (hostMetrics.statuses[statusKey] || 0) + 1;
+    hostMetrics.totalLatencyMs += latencyMs;
+    hostMetrics.maxLatencyMs = Math.max(hostMetrics.maxLatencyMs, latencyMs);
+}
+
+/**
+ * Per-host counters since the last reset
+ * @returns {Object} - host → { requests, retries, failures, circuitRejections, statuses, avgLatencyMs, maxLatencyMs, circuit }
+ */
+function getHttpMetrics() {
+    const snapshot = {};
+    for (const [host, hostMetrics] of metrics.entries()) {
+        snapshot[host] = {
+            requests: hostMetrics.requests,
+            retries: hostMetrics.retries,
+            failures: hostMetrics.failures,
+            circuitRejections: hostMetrics.circuitRejections,
+            statuses: { ...hostMetrics.statuses },
+            avgLatencyMs: hostMetrics.requests > 0 ? Math.round(hostMetrics.totalLatencyMs / hostMetrics.requests) : 0,
+            maxLatencyMs: hostMetrics.maxLatencyMs,
+            circuit: getCircuitState(host)
+        };
+    }
+    return snapshot;
+}
+
+/**
+ * Reset the counters (start of a scraper/checker run)
+ */
+function resetHttpMetrics() {
+    metrics.clear();
+}
+
+/**
+ * Log one line per host with its counters
+ * @param {Object} logger - Logger with info()
+ * @param {string} prefix - Log prefix, e.g. '[SCRAPER]'
+ */
+function logHttpMetrics(logger, prefix = '') {
+    for (const [host, hostMetrics] of Object.entries(getHttpMetrics())) {
+        const statuses = Object.entries(hostMetrics.statuses).map(([status, count]) => `${status}=${count}`).join(' ');
+        logger.info(`${prefix} 🌐 ${host}: ${hostMetrics.requests} requests, ${hostMetrics.retries} retries, ${hostMetrics.failures} failed, avg ${hostMetrics.avgLatencyMs}ms / max ${hostMetrics.maxLatencyMs}ms, statuses [${statuses}], circuit ${hostMetrics.circuit}`.trim());
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker
+// ---------------------------------------------------------------------------
+
+function getCircuit(host) {
+    if (!circuits.has(host)) {
+        circuits.set(host, { state: CIRCUIT_STATES.CLOSED, consecutiveFailures: 0, openedAt: 0, trialInFlight: false });
+    }
+    return circuits.get(host);
+}
+
+/**
+ * Current circuit state of a host
+ * @param {string} host
+ * @returns {string} - 'closed', 'open' or 'half_open'
+ */
+function getCircuitState(host) {
+    return circuits.has(host) ? circuits.get(host).state : CIRCUIT_STATES.CLOSED;
+}
+
+/**
+ * Throw when the host's circuit rejects the request; after the cooldown one trial request is let through
+ */
+function assertCircuitAllows(host, settings) {
+    const circuit = getCircuit(host);
+    if (circuit.state === CIRCUIT_STATES.CLOSED) return;
+
+    const elapsed = Date.now() - circuit.openedAt;
+    if (circuit.state === CIRCUIT_STATES.OPEN && elapsed >= settings.cooldownMs) {
+        circuit.state = CIRCUIT_STATES.HALF_OPEN;
+        circuit.trialInFlight = false;
+    }
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.trialInFlight) {
+        circuit.trialInFlight = true;
+        return;
+    }
+
+    getHostMetrics(host).circuitRejections++;
+    throw new CircuitOpenError(host, Math.max(0, settings.cooldownMs - elapsed));
+}
+
+function recordCircuitSuccess(host) {
+    const circuit = getCircuit(host);
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+        console.log(`[HTTP] ✅ Circuit closed for ${host}`);
+    }
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.trialInFlight = false;
+}
+
+function recordCircuitFailure(host, settings) {
+    const circuit = getCircuit(host);
+    circuit.consecutiveFailures++;
+    circuit.trialInFlight = false;
+
+    const tripped = circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.consecutiveFailures >= settings.failureThreshold;
+    if (tripped && circuit.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`[HTTP] 🚧 Circuit opened for ${host} after ${circuit.consecutiveFailures} consecutive failures, pausing ${Math.round(settings.cooldownMs / 1000)}s`);
+    }
+    if (tripped) {
+        circuit.state = CIRCUIT_STATES.OPEN;
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * Forget every circuit and counter
+ */
+function resetHttpClient() {
+    circuits.clear();
+    metrics.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Retry policy
+// ---------------------------------------------------------------------------
+
+function isRetryableStatus(status) {
+    return RETRYABLE_STATUSES.includes(status);
+}
+
+function isRetryableError(error) {
+    if (error?.response) return isRetryableStatus(error.response.status);
+    return RETRYABLE_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Wait requested by a Retry-After header (seconds or HTTP date)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Milliseconds, null without a usable header
+ */
+function parseRetryAfter(headers) {
+    const value = headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff before retry number `attempt` (1-based): half fixed, half random
+ * @param {number} attempt
+ * @param {Object} settings - { baseDelayMs, maxDelayMs }
+ * @returns {number}
+ */
+function computeBackoff(attempt, settings) {
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+/**
+ * Add the jar's cookies for the URL to the request, keeping cookies set by the caller
+ */
+function applyCookieJar(config, jar) {
+    if (!jar) return config;
+
+    const headers = { ...(config.headers || {}) };
+    const explicitName = Object.keys(headers).find(name => name.toLowerCase() === 'cookie');
+    const explicitCookies = explicitName ? headers[explicitName] : '';
+    if (explicitName) delete headers[explicitName];
+
+    const cookie = mergeCookieHeaders(jar.getCookieHeader(config.url), explicitCookies);
+    if (cookie) headers.cookie = cookie;
+    return { ...config, headers };
+}
+
+/**
+ * Send a request with rate limiting, retries and the circuit breaker
+ * Rejects like axios (error.response holds the last response). A response
+ * accepted by the caller's validateStatus is still retried when its status
+ * is retryable, and returned once the retries are spent.
+ * @param {Object} config - axios request config (url, method, headers, data, ...)
+ * @param {Object} options
+ * @param {string} options.label - Request name for logs
+ * @param {number} options.maxRetries - Overrides HTTP_MAX_RETRIES
+ * @param {number} options.maxTotalWaitMs - Overrides HTTP_MAX_TOTAL_WAIT_MS
+ * @returns {Promise<Object>} - axios response
+ */
+async function request(config, options = {}) {
+    const settings = { ...getSettings(), ...options };
+    const host = getHost(config.url);
+    const label = options.label || `${(config.method || 'get').toUpperCase()} ${host}`;
+    const jar = getSessionCookieJar();
+    let totalWaitMs = 0;
+
+    for (let attempt = 0; ; attempt++) {
+        assertCircuitAllows(host, settings);
+        const replaying = isReplaying();
+        if (!replaying) await waitForHost(config.url);
+
+        const proxy = replaying ? null : acquireProxy();
+        const proxyConfig = proxy ? getProxyRequestConfig(proxy, config.url) : {};
+
+        const startedAt = Date.now();
+        let response = null;
+        let error = null;
+        try {
+            const attemptConfig = { timeout: settings.timeoutMs, ...applyCookieJar(config, jar), ...proxyConfig };
+            response = await sendWithFixtures(attemptConfig, () => axios.request(attemptConfig));
+        } catch (requestError) {
+            error = requestError;
+            response = requestError.response || null;
+        }
+        recordAttempt(host, response ? String(response.status) : (error?.code || 'error'), Date.now() - startedAt);
+        reportProxyResult(proxy, { status: response ? response.status : null, error });
+        if (jar && response) {
+            jar.storeCookies(response.headers?.['set-cookie'], config.url);
+        }
+
+        const hostFailure = error ? isRetryableError(error) : isRetryableStatus(response.status);
+        const proxyBanned = Boolean(proxy && response && BAN_STATUSES.includes(response.status));
+        const retryable = hostFailure || proxyBanned;
+        if (hostFailure) {
+            recordCircuitFailure(host, settings);
+        } else {
+            recordCircuitSuccess(host);
+        }
+
+        if (!retryable) {
+            if (error) throw error;
+            return response;
+        }
+
+        const retryAfterMs = parseRetryAfter(response?.headers);
+        const waitMs = Math.min(settings.maxDelayMs, retryAfterMs ?? computeBackoff(attempt + 1, settings));
+        const reason = response ? `status ${response.status}` : (error.code || error.message);
+
+        if (attempt >= settings.maxRetries || totalWaitMs + waitMs > settings.maxTotalWaitMs) {
+            getHostMetrics(host).failures++;
+            console.warn(`[HTTP] ❌ ${label} failed with ${reason} after ${attempt + 1} attempts (${Math.round(totalWaitMs / 1000)}s waited)`);
+            if (error) throw error;
+            return response;
+        }
+
+        getHostMetrics(host).retries++;
+        totalWaitMs += waitMs;
+        console.warn(`[HTTP] ⚠️ ${label} got ${reason}. Retrying in ${Math.round(waitMs / 100) / 10}s (attempt ${attempt + 2}/${settings.maxRetries + 1})...`);
+        await sleep(waitMs);
+    }
+}
+
+/**
+ * GET through request()
+ * @param {string} url
+ * @param {Object} config - axios config
+ * @param {Object} options - See request()
+ * @returns {Promise<Object>} - axios response
+ */
+function get(url, config = {}, options = {}) {
+    return request({ ...config, method: 'GET', url }, options);
+}
+
+/**
+ * POST through request()
+ * @param {string} url
+ * @param {*} data - Request body
+ * @param {Object} config - axios config
+ * @param {Object} options - See request()
+ * @returns {Promise<Object>} - axios response
+ */
+function post(url, data, config = {}, options = {}) {
+    return request({ ...config, method: 'POST', url, data }, options);
+}
+
+module.exports = {
+    CIRCUIT_STATES,
+    CircuitOpenError,
+    request,
+    get,
+    post,
+    parseRetryAfter,
+    computeBackoff,
+    getCircuitState,
+    getHttpMetrics,
+    resetHttpMetrics,
+    logHttpMetrics,
+    resetHttpClient
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * HTTP Fixtures
+ * Record-and-replay for the requests of httpClient.js. In record mode every
+ * response (dealer pages, fetch-listings JSON, Swiss search/detail JSON,
+ * advert HTML, ...) is written to a fixture file as it arrives; in replay mode
+ * the requests are answered from that file and nothing leaves the machine, so
+ * the scraper and checker can be tested offline (see test/).
+ *
+ * A fixture file holds { name, recorded_at, interactions: [{ request, response }] }.
+ * A request is matched on method, URL and body; when the same request was
+ * recorded several times its responses are served in the recorded order.
+ * Request headers and cookies are not stored; only the response headers in
+ * RECORDED_HEADERS are.
+ *
+ * HTTP_FIXTURES_MODE   'record' or 'replay'; empty sends real requests (default)
+ * HTTP_FIXTURES_NAME   Fixture file name without .json (default 'default')
+ * HTTP_FIXTURES_DIR    Directory of the fixture files (default test/fixtures/http)
+ */
+
+const FIXTURE_MODES = {
+    RECORD: 'record',
+    REPLAY: 'replay'
+};
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'test', 'fixtures', 'http');
+
+// Response headers the code reads (cookies, content type, Retry-After, redirects)
+const RECORDED_HEADERS = ['content-type', 'set-cookie', 'retry-after', 'location'];
+
+// Fixture file in use: { name, mode, filePath, interactions, served }
+let active = null;
+
+/**
+ * Thrown in replay mode for a request the fixture file has no response for
+ */
+class FixtureNotFoundError extends Error {
+    constructor(method, url, fixtureName) {
+        super(`No recorded response for ${method} ${url} in fixture "${fixtureName}"`);
+        this.name = 'FixtureNotFoundError';
+        this.code = 'EFIXTUREMISSING';
+    }
+}
+
+function getFixturePath(name, dir = process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+    return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Start recording into, or replaying from, a fixture file
+ * Recording starts an empty file; an existing one is overwritten.
+ * @param {string} name - Fixture file name without .json
+ * @param {Object} options
+ * @param {string} options.mode - 'record' or 'replay' (default 'replay')
+ * @param {string} options.dir - Directory of the fixture files (default HTTP_FIXTURES_DIR)
+ * @returns {Object} - The fixture in use
+ * @throws {Error} - On an unknown mode, or when the file to replay does not exist
+ */
+function useFixtures(name, { mode = FIXTURE_MODES.REPLAY, dir } = {}) {
+    if (!Object.values(FIXTURE_MODES).includes(mode)) {
+        throw new Error(`Unknown HTTP fixtures mode "${mode}" (expected ${Object.values(FIXTURE_MODES).join(' or ')})`);
+    }
+
+    const filePath = getFixturePath(name, dir);
+    let interactions = [];
+    if (mode === FIXTURE_MODES.REPLAY) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`HTTP fixture file not found: ${filePath}`);
+        }
+        interactions = JSON.parse(fs.readFileSync(filePath, 'utf-8')).interactions || [];
+    }
+
+    active = { name, mode, filePath, interactions, served: new Set() };
+    if (mode === FIXTURE_MODES.RECORD) saveFixtures();
+    console.log(`[HTTP] 📼 ${mode === FIXTURE_MODES.RECORD ? 'Recording' : 'Replaying'} HTTP fixtures ${filePath}`);
+    return active;
+}
+
+/**
+ * Go back to real requests
+ */
+function stopFixtures() {
+    active = null;
+}
+
+/**
+ * The fixture in use, started from HTTP_FIXTURES_MODE on first use
+ * @returns {Object|null}
+ */
+function getActiveFixtures() {
+    const envMode = String(process.env.HTTP_FIXTURES_MODE || '').trim().toLowerCase();
+    if (!active && envMode) {
+        useFixtures(process.env.HTTP_FIXTURES_NAME || 'default', { mode: envMode });
+    }
+    return active;
+}
+
+/**
+ * Whether requests are answered from a fixture file (no rate limit or proxy is needed then)
+ * @returns {boolean}
+ */
+function isReplaying() {
+    return getActiveFixtures()?.mode === FIXTURE_MODES.REPLAY;
+}
+
+function saveFixtures() {
+    fs.mkdirSync(path.dirname(active.filePath), { recursive: true });
+    const fixture = { name: active.name, recorded_at: new Date().toISOString(), interactions: active.interactions };
+    fs.writeFileSync(active.filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON with sorted object keys, so equal bodies compare equal
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function parseRequestBody(data) {
+    if (data === undefined || data === null || data === '') return null;
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return data;
+    }
+}
+
+function describeRequest(config) {
+    return {
+        method: (config.method || 'get').toUpperCase(),
+        url: config.url,
+        body: parseRequestBody(config.data)
+    };
+}
+
+function serializeBody(data) {
+    if (Buffer.isBuffer(data)) return { encoding: 'base64', body: data.toString('base64') };
+    if (data instanceof ArrayBuffer) return { encoding: 'base64', body: Buffer.from(data).toString('base64') };
+    if (typeof data === 'string') return { encoding: 'text', body: data };
+    return { encoding: 'json', body: data ?? null };
+}
+
+function deserializeBody({ encoding, body }) {
+    return encoding === 'base64' ? Buffer.from(body, 'base64') : body;
+}
+
+function pickHeaders(headers) {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...(headers || {}) };
+    const picked = {};
+    for (const name of RECORDED_HEADERS) {
+        if (plain[name] !== undefined) picked[name] = plain[name];
+    }
+    return picked;
+}
+
+function serializeResponse(response) {
+    return { status: response.status, headers: pickHeaders(response.headers), ...serializeBody(response.data) };
+}
+
+// ---------------------------------------------------------------------------
+// Record / replay
+// ---------------------------------------------------------------------------
+
+function findInteraction(request) {
+    const key = stableStringify(request);
+    let lastMatch = -1;
+    for (let index = 0; index < active.interactions.length; index++) {
+        if (stableStringify(active.interactions[index].request) !== key) continue;
+        if (!active.served.has(index)) {
+            active.served.add(index);
+            return active.interactions[index];
+        }
+        lastMatch = index;
+    }
+    // Asked more often than recorded: the last recorded answer stands
+    return lastMatch >= 0 ? active.interactions[lastMatch] : null;
+}
+
+/**
+ * Answer a request from the fixture file, resolving or rejecting like axios
+ */
+function replay(config) {
+    const request = describeRequest(config);
+    const interaction = findInteraction(request);
+    if (!interaction) {
+        throw new FixtureNotFoundError(request.method, request.url, active.name);
+    }
+
+    if (interaction.error) {
+        throw new axios.AxiosError(interaction.error.message, interaction.error.code, config);
+    }
+
+    const recorded = interaction.response;
+    const response = {
+        status: recorded.status,
+        statusText: '',
+        headers: { ...(recorded.headers || {}) },
+        data: deserializeBody(recorded),
+        config,
+        request: null
+    };
+
+    const validateStatus = config.validateStatus === undefined ? axios.defaults.validateStatus : config.validateStatus;
+    if (validateStatus && !validateStatus(response.status)) {
+        const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+        throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+    }
+    return response;
+}
+
+async function record(config, send) {
+    const request = describeRequest(config);
+    try {
+        const response = await send();
+        active.interactions.push({ request, response: serializeResponse(response) });
+        return response;
+    } catch (error) {
+        active.interactions.push(error.response
+            ? { request, response: serializeResponse(error.response) }
+            : { request, error: { code: error.code || null, message: error.message } });
+        throw error;
+    } finally {
+        saveFixtures();
+    }
+}
+
+/**
+ * Send one attempt of httpClient.request(), through the fixture file when one is in use
+ * @param {Object} config - Final axios config of the attempt
+ * @param {Function} send - () => Promise<axios response>, the real request
+ * @returns {Promise<Object>} - axios response
+ */
+async function sendWithFixtures(config, send) {
+    const fixtures = getActiveFixtures();
+    if (!fixtures) return send();
+    return fixtures.mode === FIXTURE_MODES.REPLAY ? replay(config) : record(config, send);
+}
+
+module.exports = {
+    FIXTURE_MODES,
+    FixtureNotFoundError,
+    useFixtures,
+    stopFixtures,
+    isReplaying,
+    sendWithFixtures
+};
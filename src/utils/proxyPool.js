@@ -0,0 +1,279 @@
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getRequestSession } = require('./requestSession');
+
+/**
+ * Proxy Pool
+ * Outgoing requests of the HTTP client are spread over a pool of proxies
+ * (loaded by src/services/proxyService.js from PROXY_URLS and/or the
+ * autoscout_proxies table). With PROXY_ROTATION=request every request takes
+ * the next healthy proxy; with PROXY_ROTATION=session a dealer keeps the same
+ * proxy for its whole request session (see requestSession.js) until that proxy is benched.
+ *
+ * A proxy is benched for PROXY_BENCH_MS after PROXY_MAX_FAILURES consecutive
+ * connection failures, or right away when a site bans it (403/407/429).
+ * Every further ban doubles the bench time (capped at 24 hours).
+ */
+
+const ROTATION_MODES = {
+    REQUEST: 'request',
+    SESSION: 'session'
+};
+
+// Statuses that mean the site (or the proxy itself) refuses this proxy
+const BAN_STATUSES = [403, 407, 429];
+
+const MAX_BENCH_MS = 24 * 60 * 60 * 1000;
+
+// Proxy entries in rotation order
+let proxies = [];
+let nextIndex = 0;
+
+function readPositiveInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+function getRotationMode() {
+    return String(process.env.PROXY_ROTATION || '').toLowerCase() === ROTATION_MODES.SESSION
+        ? ROTATION_MODES.SESSION
+        : ROTATION_MODES.REQUEST;
+}
+
+function getMaxFailures() {
+    return readPositiveInt(process.env.PROXY_MAX_FAILURES, 3);
+}
+
+function getBenchMs() {
+    return readPositiveInt(process.env.PROXY_BENCH_MS, 10 * 60 * 1000);
+}
+
+/**
+ * Hide the credentials of a proxy URL for logs
+ * @param {string} url
+ * @returns {string}
+ */
+function maskProxyUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.username ? '***@' : ''}${parsed.host}`;
+    } catch (error) {
+        return 'invalid proxy url';
+    }
+}
+
+/**
+ * Parse a comma/newline separated proxy list (PROXY_URLS)
+ * Entries without a protocol are taken as http://
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function parseProxyList(value) {
+    return String(value || '')
+        .split(/[\s,]+/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => (/^[a-z][a-z0-9+.-]*:\/\//i.test(entry) ? entry : `http://${entry}`));
+}
+
+/**
+ * Replace the proxies of the pool, keeping the health of proxies that stay
+ * @param {Array<Object>} entries - { url, id?, label?, benchedUntil?, banCount? }
+ * @returns {number} - Number of proxies in the pool
+ */
+function setProxies(entries) {
+    const previous = new Map(proxies.map(proxy => [proxy.url, proxy]));
+    const seen = new Set();
+    proxies = [];
+
+    for (const entry of entries || []) {
+        if (!entry?.url || seen.has(entry.url)) continue;
+        try {
+            new URL(entry.url);
+        } catch (error) {
+            console.warn(`[PROXY] ⚠️ Ignoring invalid proxy URL: ${maskProxyUrl(entry.url)}`);
+            continue;
+        }
+        seen.add(entry.url);
+
+        const existing = previous.get(entry.url);
+        proxies.push(existing || {
+            id: entry.id ?? null,
+            url: entry.url,
+            label: entry.label || maskProxyUrl(entry.url),
+            successCount: 0,
+            failureCount: 0,
+            consecutiveFailures: 0,
+            banCount: entry.banCount || 0,
+            benchedUntil: entry.benchedUntil ? new Date(entry.benchedUntil).getTime() : 0,
+            lastUsedAt: null,
+            lastError: null,
+            agent: null
+        });
+    }
+
+    nextIndex = 0;
+    return proxies.length;
+}
+
+/**
+ * Whether requests go through proxies
+ * @returns {boolean}
+ */
+function isProxyPoolEnabled() {
+    return proxies.length > 0;
+}
+
+function isBenched(proxy, now = Date.now()) {
+    return proxy.benchedUntil > now;
+}
+
+/**
+ * Next healthy proxy in round-robin order; when every proxy is benched, the
+ * one whose bench ends first
+ */
+function pickNextProxy() {
+    const now = Date.now();
+    for (let i = 0; i < proxies.length; i++) {
+        const proxy = proxies[(nextIndex + i) % proxies.length];
+        if (!isBenched(proxy, now)) {
+            nextIndex = (proxies.indexOf(proxy) + 1) % proxies.length;
+            return proxy;
+        }
+    }
+
+    const soonest = proxies.reduce((best, proxy) => (proxy.benchedUntil < best.benchedUntil ? proxy : best));
+    console.warn(`[PROXY] ⚠️ All ${proxies.length} proxies are benched, using ${soonest.label} (benched until ${new Date(soonest.benchedUntil).toISOString()})`);
+    return soonest;
+}
+
+/**
+ * Proxy for the next request
+ * In session mode the proxy of the current request session is reused while healthy.
+ * @returns {Object|null} - Proxy entry, null when the pool is empty
+ */
+function acquireProxy() {
+    if (!isProxyPoolEnabled()) return null;
+
+    const session = getRotationMode() === ROTATION_MODES.SESSION ? getRequestSession() : null;
+    if (session) {
+        const assigned = proxies.find(proxy => proxy.url === session.proxyUrl);
+        if (assigned && !isBenched(assigned)) {
+            assigned.lastUsedAt = new Date();
+            return assigned;
+        }
+    }
+
+    const proxy = pickNextProxy();
+    proxy.lastUsedAt = new Date();
+    if (session) {
+        session.proxyUrl = proxy.url;
+    }
+    return proxy;
+}
+
+function bench(proxy, reason) {
+    const benchMs = Math.min(MAX_BENCH_MS, getBenchMs() * Math.pow(2, Math.max(0, proxy.banCount - 1)));
+    proxy.benchedUntil = Date.now() + benchMs;
+    proxy.consecutiveFailures = 0;
+    console.warn(`[PROXY] 🪑 Benched ${proxy.label} for ${Math.round(benchMs / 1000)}s: ${reason}`);
+}
+
+/**
+ * Record the outcome of a request made through a proxy
+ * @param {Object} proxy - Entry returned by acquireProxy
+ * @param {Object} outcome
+ * @param {number} outcome.status - HTTP status, when a response arrived
+ * @param {Error} outcome.error - Connection error, when none arrived
+ */
+function reportProxyResult(proxy, { status = null, error = null } = {}) {
+    if (!proxy) return;
+
+    if (status !== null && BAN_STATUSES.includes(status)) {
+        proxy.failureCount++;
+        proxy.banCount++;
+        proxy.lastError = `HTTP ${status}`;
+        bench(proxy, `banned (HTTP ${status}, ban #${proxy.banCount})`);
+        return;
+    }
+
+    if (status === null && error) {
+        proxy.failureCount++;
+        proxy.consecutiveFailures++;
+        proxy.lastError = error.code || error.message;
+        if (proxy.consecutiveFailures >= getMaxFailures()) {
+            bench(proxy, `${proxy.consecutiveFailures} consecutive failures (${proxy.lastError})`);
+        }
+        return;
+    }
+
+    proxy.successCount++;
+    proxy.consecutiveFailures = 0;
+}
+
+/**
+ * Agent that tunnels HTTPS requests through the proxy
+ * @param {Object} proxy - Proxy entry
+ * @returns {Object} - https.Agent compatible agent
+ */
+function getProxyAgent(proxy) {
+    if (!proxy.agent) {
+        const allowInsecure = String(process.env.ALLOW_INSECURE_TLS || '').toLowerCase() === 'true';
+        proxy.agent = new HttpsProxyAgent(proxy.url, { rejectUnauthorized: !allowInsecure, keepAlive: true });
+    }
+    return proxy.agent;
+}
+
+/**
+ * axios config overrides that send a request through the proxy
+ * @param {Object} proxy - Proxy entry
+ * @param {string} url - Request URL
+ * @returns {Object} - { httpsAgent } for https targets, { proxy } for plain http
+ */
+function getProxyRequestConfig(proxy, url) {
+    if (String(url).startsWith('https:')) {
+        return { httpsAgent: getProxyAgent(proxy), proxy: false };
+    }
+
+    const parsed = new URL(proxy.url);
+    return {
+        proxy: {
+            protocol: parsed.protocol.replace(':', ''),
+            host: parsed.hostname,
+            port: parseInt(parsed.port, 10) || (parsed.protocol === 'https:' ? 443 : 80),
+            ...(parsed.username ? { auth: { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) } } : {})
+        }
+    };
+}
+
+/**
+ * Health of every proxy in the pool
+ * @returns {Array<Object>}
+ */
+function getProxyPoolStats() {
+    const now = Date.now();
+    return proxies.map(proxy => ({
+        id: proxy.id,
+        label: proxy.label,
+        url: proxy.url,
+        successCount: proxy.successCount,
+        failureCount: proxy.failureCount,
+        banCount: proxy.banCount,
+        benched: isBenched(proxy, now),
+        benchedUntil: proxy.benchedUntil ? new Date(proxy.benchedUntil) : null,
+        lastUsedAt: proxy.lastUsedAt,
+        lastError: proxy.lastError
+    }));
+}
+
+module.exports = {
+    ROTATION_MODES,
+    BAN_STATUSES,
+    maskProxyUrl,
+    parseProxyList,
+    setProxies,
+    isProxyPoolEnabled,
+    acquireProxy,
+    reportProxyResult,
+    getProxyRequestConfig,
+    getProxyPoolStats
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Limiter
+ * Token bucket per host so raising the *_CONCURRENCY variables does not flood
+ * AutoScout24. Every outgoing request waits for a token of its host.
+ *
+ * RATE_LIMIT_REQUESTS_PER_SECOND  Default rate of a host (default 2)
+ * RATE_LIMIT_BURST                Requests a host may receive at once (default: the rate, at least 1)
+ * RATE_LIMIT_HOSTS                Per-host rates, e.g. "api.autoscout24.ch=1,www.autoscout24.com=4"
+ */
+
+const DEFAULT_REQUESTS_PER_SECOND = 2;
+
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.ratePerSecond - Tokens added per second
+     * @param {number} options.burst - Bucket capacity
+     */
+    constructor({ ratePerSecond, burst }) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.waiters = [];
+        this.timer = null;
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsedSeconds = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait until a token is available and take it
+     * @returns {Promise<void>}
+     */
+    take() {
+        return new Promise(resolve => {
+            this.waiters.push(resolve);
+            this.drain();
+        });
+    }
+
+    drain() {
+        this.refill();
+        while (this.waiters.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.waiters.shift()();
+        }
+
+        if (this.waiters.length > 0 && !this.timer) {
+            const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, waitMs);
+        }
+    }
+}
+
+// Host → TokenBucket
+const buckets = new Map();
+
+function readPositiveNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Parse RATE_LIMIT_HOSTS ("host=rate,host=rate")
+ * @param {string} value
+ * @returns {Object} - host → requests per second
+ */
+function parseHostRates(value) {
+    const rates = {};
+    for (const entry of String(value || '').split(',')) {
+        const [host, rate] = entry.split('=').map(part => part && part.trim());
+        const ratePerSecond = readPositiveNumber(rate, null);
+        if (host && ratePerSecond) {
+            rates[host.toLowerCase()] = ratePerSecond;
+        }
+    }
+    return rates;
+}
+
+/**
+ * Requests per second allowed for a host
+ * @param {string} host - e.g. 'api.autoscout24.ch'
+ * @returns {number}
+ */
+function getHostRate(host) {
+    const hostRates = parseHostRates(process.env.RATE_LIMIT_HOSTS);
+    return hostRates[host] || readPositiveNumber(process.env.RATE_LIMIT_REQUESTS_PER_SECOND, DEFAULT_REQUESTS_PER_SECOND);
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Token bucket of a host, created on first use
+ * @param {string} host
+ * @returns {TokenBucket}
+ */
+function getHostBucket(host) {
+    if (!buckets.has(host)) {
+        const ratePerSecond = getHostRate(host);
+        const burst = readPositiveNumber(process.env.RATE_LIMIT_BURST, ratePerSecond);
+        buckets.set(host, new TokenBucket({ ratePerSecond, burst }));
+    }
+    return buckets.get(host);
+}
+
+/**
+ * Wait for the rate limit of the URL's host
+ * @param {string} url - Request URL; URLs without a host are not limited
+ * @returns {Promise<void>}
+ */
+async function waitForHost(url) {
+    const host = getHost(url);
+    if (!host) return;
+    await getHostBucket(host).take();
+}
+
+/**
+ * Forget every bucket (rates are re-read from the environment on next use)
+ */
+function resetRateLimits() {
+    for (const bucket of buckets.values()) {
+        if (bucket.timer) clearTimeout(bucket.timer);
+    }
+    buckets.clear();
+}
+
+module.exports = {
+    TokenBucket,
+    parseHostRates,
+    getHostRate,
+    waitForHost,
+    resetRateLimits
+};
@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Session
+ * Groups every request made while one dealer is scraped or checked. The
+ * session object travels with the async context, so the proxy pool and the
+ * header profiles can keep the same proxy and browser identity for the whole
+ * dealer without threading it through every call.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn inside a request session
+ * @param {string} key - e.g. 'dealer:42'
+ * @param {Function} fn
+ * @param {Object} data - Extra session fields, e.g. { cultureIso: 'nl-BE' }
+ * @returns {Promise<*>} - Result of fn
+ */
+async function runInRequestSession(key, fn, data = {}) {
+    return storage.run({ ...data, key }, fn);
+}
+
+/**
+ * Session of the current async context
+ * Modules may store their per-session state on it (e.g. session.proxyUrl).
+ * @returns {Object|null}
+ */
+function getRequestSession() {
+    return storage.getStore() || null;
+}
+
+module.exports = {
+    runInRequestSession,
+    getRequestSession
+};
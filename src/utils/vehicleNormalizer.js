@@ -0,0 +1,259 @@
+/**
+ * Vehicle Normalizer
+ * Rule-based parsing of the fuel type, power and mileage strings found on
+ * AutoScout24 detail pages (FR/NL/DE/EN/IT). Every function returns null when
+ * the text is not recognized so the caller can decide on a fallback.
+ */
+
+// The factor the GPT power prompt used to fill `power` ("150 kW" → "201 hp"); kept so
+// stored values and change tracking stay consistent. A horsepower value quoted in
+// the text (PS/CV/pk/ch) is used as is, so "120 kW (163 PS)" normalizes to "163 hp".
+const KW_TO_HP = 1.34;
+const MILES_TO_KM = 1.609344;
+
+// Fuel vocabularies seen on AutoScout24; a text matching several categories is Hybrid
+const FUEL_VOCABULARY = [
+    { fuel: 'Hybrid', pattern: /hybr|ibrid|\bphev\b|\bmhev\b|\bhev\b|plug-?in/ },
+    { fuel: 'Electric', pattern: /electr|elektr|elettric|\bev\b|\bbev\b/ },
+    { fuel: 'Diesel', pattern: /diesel|gazole|gasoil|gasolio/ },
+    { fuel: 'Gasoline', pattern: /petrol|gasoline|gasolina|benzin|essence|\bsuper\b|\bbenzina\b/ },
+    { fuel: 'LPG', pattern: /\blpg\b|\bgpl\b|autogas|autogaz/ },
+    { fuel: 'CNG', pattern: /\bcng\b|\bgnc\b|erdgas|aardgas|gaz naturel|natural gas|metano/ },
+    { fuel: 'Hydrogen', pattern: /hydrog|wasserstof|waterstof|idrogeno/ },
+    { fuel: 'Ethanol', pattern: /ethanol|\be85\b/ }
+];
+
+/**
+ * Lowercase and strip accents so "Électrique" matches "electr"
+ * @param {string} text
+ * @returns {string}
+ */
+function simplify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Parse a number that may use "." or "," as thousands or decimal separator
+ * @param {string} raw - e.g. "1.598", "5,5", "163"
+ * @returns {number|null}
+ */
+function parseLocaleNumber(raw) {
+    if (raw == null) return null;
+    let value = String(raw).replace(/[\s\u00a0\u202f']/g, '');
+
+    if (/^\d{1,3}([.,]\d{3})+$/.test(value)) {
+        value = value.replace(/[.,]/g, '');
+    } else {
+        value = value.replace(',', '.');
+    }
+
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Map a fuel type description to Diesel, Gasoline, Hybrid, Electric, LPG, CNG,
+ * Hydrogen or Ethanol. More than one fuel type (e.g. "Elektro/Benzin") is Hybrid.
+ * @param {string} fuelTypeText - Fuel type text from the listing
+ * @returns {string|null} - Normalized fuel type or null if unrecognized
+ */
+function normalizeFuelType(fuelTypeText) {
+    if (!fuelTypeText || String(fuelTypeText).trim() === '') return null;
+
+    const text = simplify(fuelTypeText);
+    const matches = FUEL_VOCABULARY
+        .filter(({ pattern }) => pattern.test(text))
+        .map(({ fuel }) => fuel);
+
+    if (matches.length === 0) return null;
+    if (matches.includes('Hybrid') || matches.length > 1) return 'Hybrid';
+    return matches[0];
+}
+
+/**
+ * Extract horsepower from a power description
+ * @param {string} powerText - e.g. "120 kW (163 PS)", "150 kW", "180 HP", "110 CV"
+ * @returns {number|null} - Whole horsepower or null if no power value was found
+ */
+function parsePowerHP(powerText) {
+    if (!powerText || String(powerText).trim() === '') return null;
+
+    const text = simplify(powerText);
+    const number = '(\\d+(?:[.,]\\d+)?)';
+
+    const hpMatch = text.match(new RegExp(`${number}\\s*(?:b?hp|ps|cv|pk|ch|pferdestarken|chevaux)\\b`));
+    if (hpMatch) {
+        const hp = parseLocaleNumber(hpMatch[1]);
+        return hp != null ? Math.round(hp) : null;
+    }
+
+    const kwMatch = text.match(new RegExp(`${number}\\s*kw\\b`));
+    if (kwMatch) {
+        const kw = parseLocaleNumber(kwMatch[1]);
+        return kw != null ? Math.round(kw * KW_TO_HP) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Format a power description as "xxx hp"
+ * @param {string} powerText - Power text from the listing
+ * @returns {string|null} - e.g. "163 hp" or null if unrecognized
+ */
+function normalizePowerHP(powerText) {
+    const hp = parsePowerHP(powerText);
+    return hp != null ? `${hp} hp` : null;
+}
+
+/**
+ * Take the first mileage value of a description and format it as "xxx km" / "xxx mi"
+ * @param {string} mileageText - e.g. "55,000km10,000km", "5,500 mi"
+ * @returns {string|null} - e.g. "55000 km" or null if unrecognized
+ */
+function normalizeMileage(mileageText) {
+    if (!mileageText || String(mileageText).trim() === '') return null;
+
+    const match = simplify(mileageText).match(/(\d{1,3}(?:[.,\s\u00a0\u202f']\d{3})+|\d+)\s*(km|mi)(?![a-z])/);
+    if (!match) return null;
+
+    const value = parseLocaleNumber(match[1]);
+    return value != null ? `${Math.round(value)} ${match[2]}` : null;
+}
+
+/**
+ * Parse a mileage value ("55,000 km", "55.000 km", "5,500 mi", 55000) into kilometres
+ * @param {string|number} value - Raw mileage value
+ * @returns {number|null} - Mileage in km or null if not parseable
+ */
+function parseMileageKm(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+
+    const text = simplify(value);
+    const match = text.match(/(\d{1,3}(?:[.,\s\u00a0\u202f']\d{3})+|\d+)\s*(km|mi)?(?![a-z])/);
+    if (!match) return null;
+
+    const distance = parseInt(match[1].replace(/\D/g, ''), 10);
+    if (Number.isNaN(distance)) return null;
+    return match[2] === 'mi' ? Math.round(distance * MILES_TO_KM) : distance;
+}
+
+/**
+ * Extract power in kW; converted from hp when only a horsepower value is given
+ * @param {string} powerText - e.g. "120 kW (163 PS)", "180 HP"
+ * @returns {number|null}
+ */
+function parsePowerKW(powerText) {
+    if (!powerText || String(powerText).trim() === '') return null;
+
+    const kwMatch = simplify(powerText).match(/(\d+(?:[.,]\d+)?)\s*kw\b/);
+    if (kwMatch) {
+        const kw = parseLocaleNumber(kwMatch[1]);
+        return kw != null ? Math.round(kw) : null;
+    }
+
+    const hp = parsePowerHP(powerText);
+    return hp != null ? Math.round(hp / KW_TO_HP) : null;
+}
+
+/**
+ * Find the first number followed by one of the given units
+ * A range ("120 - 135 g/km") gives its first value.
+ * @param {string} text - Raw text
+ * @param {string} unitPattern - Regex source for the unit alternatives
+ * @returns {number|null}
+ */
+function parseValueWithUnit(text, unitPattern) {
+    if (text == null || String(text).trim() === '') return null;
+
+    const number = `(\\d{1,3}(?:[.,\\s\\u00a0\\u202f']\\d{3})+|\\d+(?:[.,]\\d+)?)`;
+    const match = simplify(text).match(new RegExp(`${number}(?:\\s*[-\\u2013]\\s*${number})?\\s*(?:${unitPattern})`));
+    return match ? parseLocaleNumber(match[1]) : null;
+}
+
+/**
+ * Parse engine displacement ("1.598 cm³", "1,598 cc", "1598 ccm") into cm³
+ * @param {string} engineSizeText
+ * @returns {number|null}
+ */
+function parseEngineCc(engineSizeText) {
+    const cc = parseValueWithUnit(engineSizeText, 'cm3|cm³|ccm|cc\\b');
+    return cc != null ? Math.round(cc) : null;
+}
+
+/**
+ * Parse a weight ("1.395 kg") into kilograms
+ * @param {string} weightText
+ * @returns {number|null}
+ */
+function parseWeightKg(weightText) {
+    const kg = parseValueWithUnit(weightText, 'kg\\b');
+    return kg != null ? Math.round(kg) : null;
+}
+
+/**
+ * Parse CO2 emissions ("128 g/km (comb.)") into g/km
+ * @param {string} co2Text
+ * @returns {number|null}
+ */
+function parseCo2GKm(co2Text) {
+    const grams = parseValueWithUnit(co2Text, 'g\\s*/\\s*km');
+    return grams != null ? Math.round(grams) : null;
+}
+
+/**
+ * Parse fuel consumption into l/100 km, preferring the combined figure
+ * A range ("4,8-5,3 l/100 km") gives its first value.
+ * @param {string} consumptionText - e.g. "6,6 l/100 km (city) 5,5 l/100 km (comb.)"
+ * @returns {number|null}
+ */
+function parseConsumptionL100km(consumptionText) {
+    if (consumptionText == null || String(consumptionText).trim() === '') return null;
+
+    const pattern = /(\d+(?:[.,]\d+)?)(?:\s*[-\u2013]\s*\d+(?:[.,]\d+)?)?\s*l\s*\/\s*100\s*km\s*(\([^)]*\))?/g;
+    const values = [...simplify(consumptionText).matchAll(pattern)];
+    if (values.length === 0) return null;
+
+    const combined = values.find(match => match[2] && /comb|gemischt|gemengd|mixte|misto/.test(match[2]));
+    return parseLocaleNumber((combined || values[0])[1]);
+}
+
+/**
+ * Build the numeric companion columns of an advert from its free-text fields
+ * @param {Object} fields - { mileage, power, engine_size, empty_weight, co_2_emissions, fuel_consumption }
+ * @returns {Object} - { mileage_km, power_hp, power_kw, engine_cc, weight_kg, co2_g_km, consumption_l_100km }
+ */
+function extractNumericSpecs(fields) {
+    fields = fields || {};
+    return {
+        mileage_km: parseMileageKm(fields.mileage),
+        power_hp: parsePowerHP(fields.power),
+        power_kw: parsePowerKW(fields.power),
+        engine_cc: parseEngineCc(fields.engine_size),
+        weight_kg: parseWeightKg(fields.empty_weight),
+        co2_g_km: parseCo2GKm(fields.co_2_emissions),
+        consumption_l_100km: parseConsumptionL100km(fields.fuel_consumption)
+    };
+}
+
+module.exports = {
+    KW_TO_HP,
+    MILES_TO_KM,
+    parseLocaleNumber,
+    normalizeFuelType,
+    parsePowerHP,
+    normalizePowerHP,
+    normalizeMileage,
+    parseMileageKm,
+    parsePowerKW,
+    parseEngineCc,
+    parseWeightKg,
+    parseCo2GKm,
+    parseConsumptionL100km,
+    extractNumericSpecs
+};
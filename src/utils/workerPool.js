@@ -0,0 +1,112 @@
+/**
+ * Worker Pool
+ * Bounded concurrency for the scraper and checker loops. With a concurrency
+ * of 1 (the default of every *_CONCURRENCY variable) items are processed one
+ * after the other, exactly like the former sequential loops.
+ */
+
+/**
+ * Read a concurrency from the environment
+ * @param {string|Array<string>} names - Variable name(s), the first one that is set wins
+ * @param {number} fallback - Used when none is set or the value is not a positive integer
+ * @returns {number}
+ */
+function readConcurrency(names, fallback = 1) {
+    for (const name of [].concat(names)) {
+        const value = parseInt(process.env[name], 10);
+        if (Number.isInteger(value) && value > 0) {
+            return value;
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Create a pool that runs at most `concurrency` tasks at the same time
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {Object} - { run(task) → Promise, activeCount, pendingCount }
+ */
+function createWorkerPool(concurrency = 1) {
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        concurrency: limit,
+        /**
+         * Queue a task
+         * @param {Function} task - Returns a value or a promise
+         * @returns {Promise<*>} - Settles with the task
+         */
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get activeCount() {
+            return active;
+        },
+        get pendingCount() {
+            return queue.length;
+        }
+    };
+}
+
+/**
+ * Run a worker for every item with bounded concurrency
+ * Workers are expected to handle their own errors; the first uncaught error
+ * stops new items from starting and rejects once the running ones settle.
+ * An aborted signal does the same and rejects with the abort reason.
+ * @param {Array} items - Items to process, started in order
+ * @param {number} concurrency - Maximum number of items processed at the same time
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops starting new items once aborted (optional)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, concurrency, worker, { signal } = {}) {
+    const list = Array.isArray(items) ? items : [];
+    const results = new Array(list.length);
+    const workerCount = Math.min(Math.max(1, Math.floor(concurrency) || 1), list.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    const runWorker = async () => {
+        while (!failure && nextIndex < list.length) {
+            if (signal?.aborted) {
+                failure = signal.reason;
+                break;
+            }
+            const index = nextIndex++;
+            try {
+                results[index] = await worker(list[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    if (failure) throw failure;
+    return results;
+}
+
+module.exports = {
+    readConcurrency,
+    createWorkerPool,
+    mapWithConcurrency
+};
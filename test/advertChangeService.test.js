@@ -0,0 +1,77 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectFieldChanges, applyFieldChanges } = require('../src/services/advertChangeService');
+const { AdvertChange } = require('../models');
+
+// A Swiss advert created before the mapper normalized fuel types and filled the numeric columns
+const legacyAdvert = {
+  id: 77,
+  autoscout_id: '12699536',
+  price: 23900,
+  mileage: '48500',
+  mileage_km: null,
+  power: '150 HP',
+  power_hp: null,
+  fuel_type: 'petrol',
+  gearbox: 'automatic'
+};
+
+describe('detectFieldChanges', () => {
+  it('does not report a legacy raw fuel type as changed once normalized', () => {
+    const changes = detectFieldChanges(legacyAdvert, { fuel_type: 'Gasoline' }, ['fuel_type']);
+
+    assert.deepEqual(changes, [{ field: 'fuel_type', old_value: 'petrol', new_value: 'Gasoline', baseline: true }]);
+  });
+
+  it('treats values the row never had as a baseline', () => {
+    const changes = detectFieldChanges(legacyAdvert, { mileage_km: 48500, power_hp: 150 }, ['mileage_km', 'power_hp']);
+
+    assert.ok(changes.every(change => change.baseline));
+  });
+
+  it('reports real changes as events', () => {
+    const changes = detectFieldChanges(legacyAdvert, { price: 22900, fuel_type: 'Diesel', gearbox: 'Automatic' }, ['price', 'fuel_type', 'gearbox']);
+
+    assert.deepEqual(changes, [
+      { field: 'price', old_value: 23900, new_value: 22900, baseline: false },
+      { field: 'fuel_type', old_value: 'petrol', new_value: 'Diesel', baseline: false }
+    ]);
+  });
+
+  it('ignores values missing from the listing', () => {
+    assert.deepEqual(detectFieldChanges(legacyAdvert, { price: null, gearbox: '' }, ['price', 'gearbox']), []);
+  });
+});
+
+describe('applyFieldChanges', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('updates every field but records change events only for real changes', async () => {
+    let created = null;
+    mock.method(AdvertChange, 'bulkCreate', async (rows) => {
+      created = rows;
+      return rows;
+    });
+    let updated = null;
+    const advert = { ...legacyAdvert, update: async (values) => { updated = values; } };
+
+    const changes = detectFieldChanges(advert, { price: 22900, fuel_type: 'Gasoline', mileage_km: 48500 }, ['price', 'fuel_type', 'mileage_km']);
+    const applied = await applyFieldChanges(advert, changes, { id: 5 });
+
+    assert.equal(applied.length, 3);
+    assert.deepEqual(updated, { price: 22900, fuel_type: 'Gasoline', mileage_km: 48500 });
+    assert.deepEqual(created.map(row => [row.field, row.old_value, row.new_value, row.control_id]), [['price', '23900', '22900', 5]]);
+  });
+
+  it('writes no change rows when only the baseline was set', async () => {
+    const bulkCreate = mock.method(AdvertChange, 'bulkCreate', async rows => rows);
+    const advert = { ...legacyAdvert, update: async () => {} };
+
+    await applyFieldChanges(advert, detectFieldChanges(advert, { fuel_type: 'Gasoline' }, ['fuel_type']), { id: 5 });
+
+    assert.equal(bulkCreate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+
+const { startApiServer } = require('../src/api/server');
+const { Advert, Control } = require('../models');
+
+describe('read API', () => {
+  let server;
+  let baseUrl;
+  let previousToken;
+
+  before(async () => {
+    previousToken = process.env.API_TOKEN;
+    delete process.env.API_TOKEN;
+    server = await startApiServer({ port: 0 });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    if (previousToken === undefined) {
+      delete process.env.API_TOKEN;
+    } else {
+      process.env.API_TOKEN = previousToken;
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.API_TOKEN;
+  });
+
+  async function call(path, options = {}) {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('rejects invalid integers before querying the database', async () => {
+    const findAndCountAll = mock.method(Advert, 'findAndCountAll', async () => ({ count: 0, rows: [] }));
+
+    for (const [query, message] of [
+      ['limit=0', 'limit must be an integer >= 1'],
+      ['limit=ten', 'limit must be an integer >= 1'],
+      ['offset=-5', 'offset must be an integer >= 0'],
+      ['seller_id=4.2', 'seller_id must be an integer >= 0'],
+      ['active=maybe', 'active must be true or false'],
+      ['min_price=cheap', 'min_price must be a number']
+    ]) {
+      assert.deepEqual(await call(`/adverts?${query}`), { status: 400, body: { error: message } }, query);
+    }
+    assert.deepEqual(await call('/adverts/0'), { status: 400, body: { error: 'id must be an integer >= 1' } });
+    assert.equal(findAndCountAll.mock.callCount(), 0);
+  });
+
+  it('rejects values outside the allowed enums', async () => {
+    assert.deepEqual(await call('/runs?type=weekly'), { status: 400, body: { error: 'type must be one of scraper, checker, on_demand' } });
+    assert.deepEqual(await call('/runs?status=paused'), { status: 400, body: { error: 'status must be one of running, completed, failed' } });
+    assert.deepEqual(await call('/jobs?type=scrape_everything'), { status: 400, body: { error: 'type must be one of scrape_user, check_user, check_advert' } });
+  });
+
+  it('passes parsed filters and a capped page to the query', async () => {
+    const findAndCountAll = mock.method(Advert, 'findAndCountAll', async () => ({ count: 0, rows: [] }));
+
+    const { status, body } = await call('/adverts?seller_id=42&active=1&min_price=10000&limit=5000&offset=100');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { total: 0, limit: 500, offset: 100, items: [] });
+    const { where, limit, offset } = findAndCountAll.mock.calls[0].arguments[0];
+    assert.equal(where.seller_id, 42);
+    assert.equal(where.is_active, true);
+    assert.equal(where.price[Op.gte], 10000);
+    assert.deepEqual([limit, offset], [500, 100]);
+  });
+
+  it('uses the default page and ignores empty parameters', async () => {
+    const findAndCountAll = mock.method(Control, 'findAndCountAll', async () => ({ count: 0, rows: [] }));
+
+    assert.equal((await call('/runs?type=&limit=')).status, 200);
+    const { where, limit, offset } = findAndCountAll.mock.calls[0].arguments[0];
+    assert.deepEqual(where, {});
+    assert.deepEqual([limit, offset], [50, 0]);
+  });
+
+  it('validates the body of a job request', async () => {
+    const post = body => call('/jobs', { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+
+    assert.deepEqual(await post(JSON.stringify({ type: 'scrape_user' })), { status: 400, body: { error: 'type and target_id are required' } });
+    assert.deepEqual(await post(JSON.stringify({ type: 'scrape_user', target_id: -1 })), { status: 400, body: { error: 'target_id must be an integer >= 1' } });
+    assert.equal((await post('{"type":')).status, 400);
+  });
+
+  it('answers 404 for unknown routes and records', async () => {
+    mock.method(Advert, 'findByPk', async () => null);
+
+    assert.deepEqual(await call('/adverts/99'), { status: 404, body: { error: 'Advert 99 not found' } });
+    assert.deepEqual(await call('/nothing-here'), { status: 404, body: { error: 'No route for GET /nothing-here' } });
+  });
+
+  it('hides the message of unexpected errors', async () => {
+    mock.method(Control, 'findAndCountAll', async () => { throw new Error('password authentication failed'); });
+
+    assert.deepEqual(await call('/runs'), { status: 500, body: { error: 'Internal server error' } });
+  });
+
+  it('requires the API token when one is configured, except for /health', async () => {
+    process.env.API_TOKEN = 'secret-token';
+    mock.method(Control, 'findAndCountAll', async () => ({ count: 0, rows: [] }));
+
+    assert.equal((await call('/health')).status, 200);
+    assert.equal((await call('/runs')).status, 401);
+    assert.equal((await call('/runs', { headers: { authorization: 'Bearer wrong-token!' } })).status, 401);
+    assert.equal((await call('/runs', { headers: { authorization: 'Bearer secret-token' } })).status, 200);
+  });
+});
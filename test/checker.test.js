@@ -0,0 +1,206 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFixtures, stopFixtures } = require('../src/utils/httpFixtures');
+const httpClient = require('../src/utils/httpClient');
+const { resetHttpClient } = httpClient;
+const { getRegion } = require('../src/services/regionRegistry');
+const { checkAdvertAvailability, checkSingleAdvert } = require('../src/services/checkListingsService');
+const { checkSwissDealerListings, checkSwissDealerListingsBulk } = require('../src/services/checkSwissListingsService');
+const { Advert } = require('../models');
+
+// Advert ids of test/fixtures/http/eu-advert-check.json
+const LIVE_ID = '0a9e4c27-3b61-4d8f-a2c5-7e18b6f90d34';
+const REMOVED_ID = 'e6d15b83-9c27-4f0a-b4e8-35a2c1d7f96b';
+const CONSENT_WALL_ID = '3c8f2d61-a47e-4b19-9d05-c6e2b8a1f374';
+
+const swissDealer = { id: 43, autoscout_url: 'https://www.autoscout24.ch/de/s/seller-60283' };
+
+describe('checkAdvertAvailability (replayed advert pages)', () => {
+  before(() => {
+    useFixtures('eu-advert-check');
+  });
+
+  after(() => {
+    stopFixtures();
+    resetHttpClient();
+  });
+
+  it('is true for a page showing the listing', async () => {
+    assert.equal(await checkAdvertAvailability(LIVE_ID), true);
+  });
+
+  it('is false for a removed listing (404 page)', async () => {
+    assert.equal(await checkAdvertAvailability(REMOVED_ID), false);
+  });
+
+  it('rejects instead of answering when the consent wall is served', async () => {
+    await assert.rejects(checkAdvertAvailability(CONSENT_WALL_ID), /consent wall/);
+  });
+});
+
+describe('checkAdvertAvailability (dealer region)', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('requests the advert page in the culture of the dealer region', async () => {
+    const requests = [];
+    mock.method(httpClient, 'get', async (url, config) => {
+      requests.push({ url, headers: config.headers });
+      return { status: 404, data: '' };
+    });
+
+    assert.equal(await checkAdvertAvailability(REMOVED_ID, getRegion('de')), false);
+    assert.equal(requests[0].url, `${getRegion('de').detailBaseUrl}${REMOVED_ID}`);
+    assert.match(requests[0].headers['accept-language'], /^de-DE/);
+  });
+});
+
+describe('checkSwissDealerListings (replayed listing API)', () => {
+  let updates;
+
+  before(() => {
+    useFixtures('swiss-dealer');
+  });
+
+  after(() => {
+    stopFixtures();
+    resetHttpClient();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps live adverts, deactivates removed ones and reactivates listings back online', async () => {
+    updates = [];
+    mock.method(Advert, 'findAll', async () => [
+      { id: 501, autoscout_id: '12699536', make: 'VW', model: 'Golf', price: 23900, is_active: true, created_at: new Date('2025-05-12') },
+      { id: 502, autoscout_id: '12650417', make: 'Audi', model: 'A3', price: 27400, is_active: true, created_at: new Date('2025-04-02') },
+      { id: 503, autoscout_id: '12731208', make: 'Skoda', model: 'Octavia', price: 31900, is_active: false, created_at: new Date('2025-03-20') }
+    ]);
+    mock.method(Advert, 'update', async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    });
+
+    const result = await checkSwissDealerListings(swissDealer, null);
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.stillAvailable.map(advert => advert.autoscout_id), ['12699536']);
+    assert.deepEqual(result.noLongerAvailable.map(advert => advert.autoscout_id), ['12650417']);
+    assert.deepEqual(result.reactivated.map(advert => advert.autoscout_id), ['12731208']);
+    assert.deepEqual(result.errors, []);
+
+    const deactivation = updates.find(update => update.where.id === 502);
+    assert.equal(deactivation.values.is_active, false);
+    assert.ok(deactivation.values.sell_time >= 1);
+
+    const reactivation = updates.find(update => update.where.id === 503);
+    assert.equal(reactivation.values.is_active, true);
+    assert.equal(reactivation.values.sell_time, null);
+    assert.equal(updates.length, 2);
+  });
+});
+
+describe('checkSwissDealerListingsBulk (replayed search API outage)', () => {
+  let updates;
+
+  before(() => {
+    process.env.HTTP_MAX_RETRIES = '0';
+    useFixtures('swiss-dealer-outage');
+  });
+
+  after(() => {
+    delete process.env.HTTP_MAX_RETRIES;
+    stopFixtures();
+    resetHttpClient();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function mockActiveAdverts() {
+    updates = [];
+    mock.method(Advert, 'findAll', async () => [
+      { id: 501, autoscout_id: '12699536', make: 'VW', model: 'Golf', price: 23900, created_at: new Date('2025-05-12') },
+      { id: 502, autoscout_id: '12650417', make: 'Audi', model: 'A3', price: 27400, created_at: new Date('2025-04-02') }
+    ]);
+    mock.method(Advert, 'update', async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    });
+  }
+
+  it('skips the dealer without deactivating when a search page fails', async () => {
+    mockActiveAdverts();
+
+    const result = await checkSwissDealerListingsBulk({ id: 43, autoscout_url: 'https://www.autoscout24.ch/de/s/seller-60283' }, null);
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.skipped, true);
+    assert.match(result.error, /page 0 failed/);
+    assert.equal(updates.length, 0);
+  });
+
+  it('skips the dealer without deactivating when fewer listings than totalElements came back', async () => {
+    mockActiveAdverts();
+
+    const result = await checkSwissDealerListingsBulk({ id: 44, autoscout_url: 'https://www.autoscout24.ch/de/s/seller-60284' }, null);
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.skipped, true);
+    assert.match(result.error, /got 1 of 3/);
+    assert.equal(updates.length, 0);
+  });
+});
+
+describe('Swiss listing checks (replayed listing API outage)', () => {
+  before(() => {
+    process.env.HTTP_MAX_RETRIES = '0';
+    useFixtures('swiss-dealer-outage');
+  });
+
+  after(() => {
+    delete process.env.HTTP_MAX_RETRIES;
+    stopFixtures();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetHttpClient();
+  });
+
+  it('records an error instead of deactivating when a listing answers 5xx or times out', async () => {
+    const updates = [];
+    mock.method(Advert, 'findAll', async () => [
+      { id: 501, autoscout_id: '12699536', make: 'VW', model: 'Golf', price: 23900, is_active: true, created_at: new Date('2025-05-12') },
+      { id: 502, autoscout_id: '12650417', make: 'Audi', model: 'A3', price: 27400, is_active: true, created_at: new Date('2025-04-02') }
+    ]);
+    mock.method(Advert, 'update', async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    });
+
+    const result = await checkSwissDealerListings(swissDealer, null);
+
+    assert.deepEqual(result.noLongerAvailable, []);
+    assert.deepEqual(result.errors.map(error => error.autoscout_id).sort(), ['12650417', '12699536']);
+    assert.equal(updates.length, 0);
+  });
+
+  it('leaves an advert checked on demand active when the listing fetch fails', async () => {
+    const adverts = {
+      501: { id: 501, autoscout_id: '12699536', seller_id: 43, link: 'https://www.autoscout24.ch/de/d/12699536' },
+      502: { id: 502, autoscout_id: '12650417', seller_id: 43, link: 'https://www.autoscout24.ch/de/d/12650417' }
+    };
+    mock.method(Advert, 'findByPk', async id => adverts[id]);
+    const findAll = mock.method(Advert, 'findAll', async () => []);
+
+    await assert.rejects(checkSingleAdvert(502), /answered 503/);
+    await assert.rejects(checkSingleAdvert(501), /timeout/);
+    assert.equal(findAll.mock.callCount(), 0, 'handleAdvertNotFound is never reached');
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { main, parseArgs, parseListingReference } = require('../bin/autoscout');
+
+describe('parseArgs', () => {
+  it('finds multi-word commands and parses their flags', () => {
+    const { command, args, options } = parseArgs(['images', 'backfill', '--region', 'ch', '--limit=100', '--ids', '4, 5,6', '--inactive', '--dry-run']);
+
+    assert.equal(command.name, 'images backfill');
+    assert.deepEqual(args, []);
+    assert.deepEqual(options, { region: 'ch', limit: 100, ids: [4, 5, 6], inactive: true, dryRun: true });
+  });
+
+  it('keeps the positional arguments after the command', () => {
+    const { command, args } = parseArgs(['inspect', 'listing', 'https://www.autoscout24.ch/de/d/12699536']);
+
+    assert.equal(command.name, 'inspect listing');
+    assert.deepEqual(args, ['https://www.autoscout24.ch/de/d/12699536']);
+  });
+
+  it('returns no command for a bare --help', () => {
+    assert.deepEqual(parseArgs(['-h']), { command: null, args: [], options: { help: true } });
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => parseArgs(['scrape', '--user', '0']), /--user must be a positive integer/);
+    assert.throws(() => parseArgs(['scrape', '--limit', '2.5']), /--limit must be a positive integer/);
+    assert.throws(() => parseArgs(['runs', 'list', '--offset', '-1']), /--offset must be an integer >= 0/);
+    assert.throws(() => parseArgs(['scrape', '--region', 'uk']), /--region must be one of be, de, nl/);
+    assert.throws(() => parseArgs(['runs', 'list', '--type', 'weekly']), /--type must be one of scraper, checker, on_demand/);
+    assert.throws(() => parseArgs(['images', 'backfill', '--ids', ',']), /--ids needs at least one id/);
+  });
+
+  it('rejects missing values, unknown flags and flags of other commands', () => {
+    assert.throws(() => parseArgs(['scrape', '--user']), /--user needs a value <id>/);
+    assert.throws(() => parseArgs(['scrape', '--user', '--json']), /--user needs a value <id>/);
+    assert.throws(() => parseArgs(['scrape', '--verbose']), /Unknown option --verbose/);
+    assert.throws(() => parseArgs(['scrape', '--advert', '5']), /--advert is not an option of "scrape"/);
+    assert.throws(() => parseArgs(['deploy']), /Unknown command "deploy"/);
+  });
+});
+
+describe('parseListingReference', () => {
+  it('reads the id and region of a listing URL', () => {
+    const swiss = parseListingReference('https://www.autoscout24.ch/de/d/12699536?utm=1');
+    assert.equal(swiss.id, '12699536');
+    assert.equal(swiss.region.code, 'ch');
+
+    const eu = parseListingReference('https://www.autoscout24.be/fr/offres/golf-5f3c7a1e-2b8d-4c6e-9a41-0d7e6b2f8c13');
+    assert.equal(eu.id, '5f3c7a1e-2b8d-4c6e-9a41-0d7e6b2f8c13');
+    assert.equal(eu.region.code, 'be');
+  });
+
+  it('guesses the region of a bare id unless --region is given', () => {
+    assert.equal(parseListingReference('12699536').region.code, 'ch');
+    assert.equal(parseListingReference('5f3c7a1e-2b8d-4c6e-9a41-0d7e6b2f8c13').region.code, 'be');
+    assert.equal(parseListingReference('5f3c7a1e-2b8d-4c6e-9a41-0d7e6b2f8c13', 'de').region.code, 'de');
+  });
+
+  it('fails on a URL without a listing id', () => {
+    assert.throws(() => parseListingReference('https://www.autoscout24.ch/de/s/'), /Could not find a listing id/);
+  });
+});
+
+describe('main', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('exits with 2 on usage errors and 0 for help', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+
+    assert.equal(await main(['scrape', '--user', 'abc']), 2);
+    assert.equal(await main([]), 2);
+    assert.equal(await main(['--help']), 0);
+    assert.equal(await main(['runs', 'list', '--help']), 0);
+  });
+
+  it('exits with 2 when inspect listing gets no listing', async () => {
+    const errors = [];
+    mock.method(console, 'error', message => errors.push(message));
+
+    assert.equal(await main(['inspect', 'listing']), 2);
+    assert.deepEqual(errors, ['❌ inspect listing needs one listing id or URL']);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { migratePlaceholderValues, isMissingValue } = require('../src/services/completenessService');
+const { Advert } = require('../models');
+
+// Every fallback getListingInfos stored before missing values became NULL
+const EXTRACTOR_PLACEHOLDERS = {
+  make: 'Unknown Make',
+  model: 'Unknown Model',
+  location: 'Unknown Location',
+  seller_name: 'Unknown Seller',
+  body_type: 'Unknown Body Type',
+  type: 'Unknown Type',
+  drivetrain: 'Unknown Drivetrain',
+  color: 'Unknown Colour',
+  paint: 'Unknown Paint',
+  upholstery_color: 'Unknown Upholstery Colour',
+  upholstery: 'Unknown Upholstery',
+  emission_class: 'Unknown Emission Class',
+  fuel_type: 'Unknown Fuel Type',
+  fuel_consumption: 'Unknown Fuel Consumption',
+  co_2_emissions: 'Unknown CO₂ Emissions',
+  power: 'Unknown Power',
+  gearbox: 'Unknown Gearbox',
+  engine_size: 'Unknown Engine Size',
+  empty_weight: 'Unknown Empty Weight',
+  mileage: 'Unknown Mileage',
+  last_service: 'Unknown Last Service'
+};
+
+describe('migratePlaceholderValues', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sets every placeholder the old extractor wrote to NULL', async () => {
+    const updates = [];
+    mock.method(Advert, 'update', async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [3];
+    });
+
+    const updatedPerColumn = await migratePlaceholderValues();
+
+    for (const [column, placeholder] of Object.entries(EXTRACTOR_PLACEHOLDERS)) {
+      const update = updates.find(({ where }) => where[column] !== undefined);
+      assert.ok(update, `no update for ${column}`);
+      assert.deepEqual(update.values, { [column]: null });
+      assert.deepEqual(update.where, { [column]: placeholder });
+      assert.equal(updatedPerColumn[column], 3);
+    }
+  });
+
+  it('reports zero for columns without placeholders', async () => {
+    mock.method(Advert, 'update', async () => [0]);
+
+    const updatedPerColumn = await migratePlaceholderValues();
+
+    assert.ok(Object.values(updatedPerColumn).every(updated => updated === 0));
+  });
+});
+
+describe('isMissingValue', () => {
+  it('counts the placeholders, empty strings and dashes as missing', () => {
+    for (const placeholder of Object.values(EXTRACTOR_PLACEHOLDERS)) {
+      assert.equal(isMissingValue(placeholder), true, placeholder);
+    }
+    assert.equal(isMissingValue(''), true);
+    assert.equal(isMissingValue('-'), true);
+    assert.equal(isMissingValue('45.000 km'), false);
+  });
+});
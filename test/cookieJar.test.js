@@ -0,0 +1,202 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const { CookieJar, getSessionCookieJar, mergeCookieHeaders } = require('../src/utils/cookieJar');
+const { runInRequestSession } = require('../src/utils/requestSession');
+const httpClient = require('../src/utils/httpClient');
+const { resetRateLimits } = require('../src/utils/rateLimiter');
+const { isConsentWall, requestWithSessionRefresh } = require('../src/services/autoscoutApi');
+const { getDefaultRegion } = require('../src/services/regionRegistry');
+
+describe('CookieJar', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('sends host cookies back to the same host only', () => {
+    const jar = new CookieJar();
+    jar.storeCookies(['as24Visitor=abc; Path=/', 'lb=node-2'], 'https://www.autoscout24.be/fr/');
+
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/fr/'), 'lb=node-2; as24Visitor=abc');
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/nl/'), 'as24Visitor=abc');
+    assert.equal(jar.getCookieHeader('https://api.autoscout24.be/'), '');
+  });
+
+  it('shares domain cookies with subdomains and refuses foreign domains', () => {
+    const jar = new CookieJar();
+    jar.storeCookies(['consent=yes; Domain=.autoscout24.be; Path=/', 'tracker=1; Domain=example.com'], 'https://www.autoscout24.be/');
+
+    assert.equal(jar.getCookieValue('https://listing.autoscout24.be/a', 'consent'), 'yes');
+    assert.equal(jar.size, 1);
+  });
+
+  it('matches paths on segment boundaries and sends longer paths first', () => {
+    const jar = new CookieJar();
+    jar.storeCookies(['a=root; Path=/', 'b=dealer; Path=/haendler'], 'https://www.autoscout24.be/');
+
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/haendler/42'), 'b=dealer; a=root');
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/haendlerliste'), 'a=root');
+  });
+
+  it('keeps Secure cookies off plain http', () => {
+    const jar = new CookieJar();
+    jar.storeCookies('session=s1; Secure', 'https://www.autoscout24.be/');
+
+    assert.equal(jar.getCookieHeader('http://www.autoscout24.be/'), '');
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/'), 'session=s1');
+  });
+
+  it('expires cookies with Max-Age or Expires and lets Max-Age win', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T10:00:00Z') });
+    const jar = new CookieJar();
+    jar.storeCookies([
+      'short=1; Max-Age=60',
+      'dated=1; Expires=Mon, 19 Oct 2026 10:05:00 GMT',
+      'both=1; Max-Age=600; Expires=Mon, 19 Oct 2026 10:00:01 GMT'
+    ], 'https://www.autoscout24.be/');
+
+    mock.timers.tick(2 * 60 * 1000);
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/'), 'dated=1; both=1');
+
+    jar.storeCookies('both=gone; Max-Age=0', 'https://www.autoscout24.be/');
+    assert.equal(jar.getCookieHeader('https://www.autoscout24.be/'), 'dated=1');
+  });
+
+  it('ignores malformed headers and URLs', () => {
+    const jar = new CookieJar();
+    jar.storeCookies(['no-separator', '=novalue'], 'https://www.autoscout24.be/');
+    jar.storeCookies('a=1', 'not a url');
+
+    assert.equal(jar.size, 0);
+    assert.equal(jar.getCookieHeader('not a url'), '');
+  });
+});
+
+describe('mergeCookieHeaders', () => {
+  it('lets the cookies set by the caller win', () => {
+    assert.equal(mergeCookieHeaders('as24Visitor=jar; lb=1', 'as24Visitor=explicit; culture=fr-BE'), 'as24Visitor=explicit; lb=1; culture=fr-BE');
+    assert.equal(mergeCookieHeaders('', null), '');
+  });
+});
+
+describe('session cookie jar', () => {
+  let previousRate;
+
+  before(() => {
+    previousRate = process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1000';
+    resetRateLimits();
+  });
+
+  after(() => {
+    if (previousRate === undefined) {
+      delete process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    } else {
+      process.env.RATE_LIMIT_REQUESTS_PER_SECOND = previousRate;
+    }
+    resetRateLimits();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    httpClient.resetHttpClient();
+  });
+
+  it('exists only inside a request session and is kept per dealer', async () => {
+    assert.equal(getSessionCookieJar(), null);
+
+    const [first, again] = await runInRequestSession('dealer:1', async () => [getSessionCookieJar(), getSessionCookieJar()]);
+    const other = await runInRequestSession('dealer:2', async () => getSessionCookieJar());
+
+    assert.ok(first instanceof CookieJar);
+    assert.equal(first, again);
+    assert.notEqual(first, other);
+  });
+
+  it('stores Set-Cookie of one request and sends it with the next one', async () => {
+    const sentCookies = [];
+    mock.method(axios, 'request', async (config) => {
+      sentCookies.push(config.headers?.cookie || '');
+      return { status: 200, headers: { 'set-cookie': ['as24Visitor=v1; Path=/'] }, data: '' };
+    });
+
+    await runInRequestSession('dealer:3', async () => {
+      await httpClient.get('https://www.autoscout24.be/');
+      await httpClient.get('https://www.autoscout24.be/haendler/3', { headers: { Cookie: 'culture=fr-BE' } });
+    });
+    await httpClient.get('https://www.autoscout24.be/outside');
+
+    assert.deepEqual(sentCookies, ['', 'as24Visitor=v1; culture=fr-BE', '']);
+  });
+});
+
+describe('requestWithSessionRefresh', () => {
+  const region = getDefaultRegion();
+  const dealerPage = { status: 200, headers: {}, data: '<script id="__NEXT_DATA__">{}</script>' };
+  const consentWall = { status: 200, headers: {}, data: '<div id="sp_message_container_123"></div>' };
+  let previousRate;
+
+  before(() => {
+    previousRate = process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1000';
+    resetRateLimits();
+  });
+
+  after(() => {
+    if (previousRate === undefined) {
+      delete process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    } else {
+      process.env.RATE_LIMIT_REQUESTS_PER_SECOND = previousRate;
+    }
+    resetRateLimits();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    httpClient.resetHttpClient();
+  });
+
+  it('recognizes the consent wall but not a page that has Next.js data', () => {
+    assert.equal(isConsentWall(consentWall), true);
+    assert.equal(isConsentWall({ data: '<div class="consent-mgmt"></div><script id="__NEXT_DATA__">{}</script>' }), false);
+    assert.equal(isConsentWall({ data: { listings: [] } }), false);
+  });
+
+  it('drops the cookies, visits the homepage and sends the request once more', async () => {
+    const homepage = mock.method(axios, 'request', async () => ({ status: 200, headers: { 'set-cookie': ['as24Visitor=fresh'] }, data: '' }));
+    const responses = [consentWall, dealerPage];
+
+    const { response, cookies } = await runInRequestSession('dealer:4', async () => {
+      getSessionCookieJar().storeCookies('as24Visitor=stale', `${region.baseUrl}/`);
+      const result = await requestWithSessionRefresh(async () => responses.shift(), region);
+      return { response: result, cookies: getSessionCookieJar().getCookieHeader(`${region.baseUrl}/`) };
+    });
+
+    assert.equal(response, dealerPage);
+    assert.equal(homepage.mock.callCount(), 1);
+    assert.equal(cookies, 'as24Visitor=fresh');
+  });
+
+  it('refreshes once per request on 401/403 and returns the second answer', async () => {
+    mock.method(axios, 'request', async () => ({ status: 200, headers: {}, data: '' }));
+    let sent = 0;
+
+    const response = await runInRequestSession('dealer:5', () => requestWithSessionRefresh(async () => {
+      sent++;
+      return { status: 403, headers: {}, data: '' };
+    }, region));
+
+    assert.equal(response.status, 403);
+    assert.equal(sent, 2);
+  });
+
+  it('does not refresh outside a request session', async () => {
+    const homepage = mock.method(axios, 'request', async () => ({ status: 200, headers: {}, data: '' }));
+
+    const response = await requestWithSessionRefresh(async () => consentWall, region);
+
+    assert.equal(response, consentWall);
+    assert.equal(homepage.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isDryRun,
+  setDryRun,
+  describeAdvert,
+  unlessDryRun,
+  createUnlessDryRun,
+  updateUnlessDryRun,
+  saveUnlessDryRun,
+  getDryRunReport,
+  formatDryRunReport,
+  resetDryRunReport
+} = require('../src/utils/dryRun');
+const { Advert } = require('../models');
+
+const advert = { id: 8, autoscout_id: 'abc-123', seller_id: 42, make: 'BMW', model: '320d' };
+
+describe('dryRun', () => {
+  beforeEach(() => {
+    setDryRun(true);
+    resetDryRunReport();
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setDryRun(false);
+    resetDryRunReport();
+  });
+
+  it('runs the write when dry-run mode is off', async () => {
+    setDryRun(false);
+    const write = mock.fn(async () => 'written');
+
+    assert.equal(await unlessDryRun(write, 'upload', { entity: 'image' }), 'written');
+    assert.equal(write.mock.callCount(), 1);
+    assert.deepEqual(getDryRunReport().actions, []);
+  });
+
+  it('skips the write and records it, or skips bookkeeping without an entry', async () => {
+    const write = mock.fn(async () => 'written');
+
+    assert.equal(await unlessDryRun(write, 'upload', { entity: 'image', key: 'adverts/8/0.jpg' }), null);
+    assert.equal(await unlessDryRun(write), null);
+
+    assert.equal(write.mock.callCount(), 0);
+    assert.deepEqual(getDryRunReport().actions, [{ action: 'upload', entity: 'image', key: 'adverts/8/0.jpg' }]);
+  });
+
+  it('builds an unsaved instance instead of creating the row', async () => {
+    const create = mock.method(Advert, 'create', async values => values);
+
+    const built = await createUnlessDryRun(Advert, { autoscout_id: 'abc-123', make: 'BMW' }, describeAdvert(advert));
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(built.id, null);
+    assert.equal(built.make, 'BMW');
+    assert.deepEqual(getDryRunReport().actions, [{ action: 'create', ...describeAdvert(advert) }]);
+  });
+
+  it('sets the values in memory and reports them without last_seen', async () => {
+    const instance = Advert.build({ id: 8, price: 18990, is_active: true });
+    const update = mock.method(instance, 'update', async () => instance);
+
+    await updateUnlessDryRun(instance, { is_active: false, last_seen: new Date() }, describeAdvert(advert), 'deactivate');
+    await updateUnlessDryRun(instance, { last_seen: new Date() }, describeAdvert(advert));
+    await updateUnlessDryRun(instance, { price: 17990 }, null);
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(instance.is_active, false);
+    assert.equal(instance.price, 17990);
+    assert.deepEqual(getDryRunReport().actions, [{ action: 'deactivate', ...describeAdvert(advert), values: { is_active: false } }]);
+  });
+
+  it('reports the changed columns of a save', async () => {
+    const instance = Advert.build({ id: 8, price: 18990, mileage: '45,000 km' }, { isNewRecord: false, raw: true });
+    const save = mock.method(instance, 'save', async () => instance);
+    instance.set({ price: 17990, last_seen: new Date() });
+
+    await saveUnlessDryRun(instance, { ...describeAdvert(advert), previous: { price: 18990 } });
+
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(getDryRunReport().actions, [
+      { action: 'update', ...describeAdvert(advert), previous: { price: 18990 }, values: { price: 17990 } }
+    ]);
+  });
+
+  it('counts and formats the report per action', async () => {
+    await unlessDryRun(async () => {}, 'upload', { entity: 'image', key: 'adverts/8/0.jpg', source_url: 'https://img.test/0.jpg' });
+    await unlessDryRun(async () => {}, 'update', { ...describeAdvert(advert), previous: { price: 18990 }, values: { price: 17990 } });
+    await unlessDryRun(async () => {}, 'create', describeAdvert({ ...advert, id: null }));
+
+    const report = getDryRunReport();
+    assert.deepEqual(report.summary, { create: 1, update: 1, deactivate: 0, upload: 1 });
+    assert.equal(formatDryRunReport(report), [
+      '🧪 Dry run: 1 to create, 1 to update, 0 to deactivate, 1 to upload - nothing was written',
+      '   + advert abc-123 (BMW 320d) seller 42',
+      '   ~ advert #8 abc-123 (BMW 320d) seller 42 [price: 18990 → 17990]',
+      '   ↑ image adverts/8/0.jpg from https://img.test/0.jpg'
+    ].join('\n'));
+
+    resetDryRunReport();
+    assert.deepEqual(getDryRunReport().summary, { create: 0, update: 0, deactivate: 0, upload: 0 });
+  });
+
+  it('follows DRY_RUN until the mode is set explicitly', () => {
+    assert.equal(isDryRun(), true);
+    setDryRun(false);
+    const previous = process.env.DRY_RUN;
+    process.env.DRY_RUN = 'true';
+    assert.equal(isDryRun(), false);
+    if (previous === undefined) {
+      delete process.env.DRY_RUN;
+    } else {
+      process.env.DRY_RUN = previous;
+    }
+  });
+});
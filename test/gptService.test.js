@@ -0,0 +1,50 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { determineFuelType, determinePowerHP, determineMileage } = require('../src/services/gptService');
+const { NormalizationCache } = require('../models');
+
+const ENV_KEYS = ['GPT_FALLBACK_ENABLED', 'GPT_KEY', 'OPENAI_API_KEY'];
+
+describe('gptService', () => {
+  const previousEnv = {};
+
+  before(() => {
+    for (const key of ENV_KEYS) {
+      previousEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  after(() => {
+    for (const key of ENV_KEYS) {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('normalizes known values without GPT', async () => {
+    assert.equal(await determineFuelType('Benzine'), 'Gasoline');
+    assert.equal(await determinePowerHP('110 kW (150 PS)'), '150 hp');
+    assert.equal(await determineFuelType(''), null);
+  });
+
+  it('returns null instead of the raw text when the GPT call fails', async () => {
+    // Without an API key the OpenAI client cannot be created, like any other failed call
+    process.env.GPT_FALLBACK_ENABLED = 'true';
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    const findOrCreate = mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+
+    assert.equal(await determineFuelType('Sonstiges'), null);
+    assert.equal(await determinePowerHP('sehr stark'), null);
+    assert.equal(await determineMileage('fast neu'), null);
+    assert.equal(findOrCreate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  HEADER_PROFILES,
+  buildAcceptLanguage,
+  getHeaderProfileByName,
+  getHeaderProfile,
+  buildBrowserHeaders,
+  resetHeaderProfile
+} = require('../src/utils/headerProfiles');
+const { runInRequestSession } = require('../src/utils/requestSession');
+
+describe('headerProfiles', () => {
+  let previousProfile;
+
+  beforeEach(() => {
+    previousProfile = process.env.HEADER_PROFILE;
+    delete process.env.HEADER_PROFILE;
+    resetHeaderProfile();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetHeaderProfile();
+    if (previousProfile === undefined) {
+      delete process.env.HEADER_PROFILE;
+    } else {
+      process.env.HEADER_PROFILE = previousProfile;
+    }
+  });
+
+  it('builds Accept-Language from the culture', () => {
+    assert.equal(buildAcceptLanguage('nl-BE'), 'nl-BE,nl;q=0.9,en;q=0.8');
+    assert.equal(buildAcceptLanguage('en-US'), 'en-US,en;q=0.9');
+  });
+
+  it('keeps one profile per request session and picks again for the next one', async () => {
+    const random = mock.method(Math, 'random', () => 0);
+
+    const [first, again] = await runInRequestSession('dealer:1', async () => [getHeaderProfile(), getHeaderProfile()]);
+    random.mock.mockImplementation(() => 0.99);
+    const other = await runInRequestSession('dealer:2', async () => getHeaderProfile());
+
+    assert.equal(first, again);
+    assert.equal(first, HEADER_PROFILES[0]);
+    assert.equal(other, HEADER_PROFILES[HEADER_PROFILES.length - 1]);
+    assert.equal(random.mock.callCount(), 2);
+  });
+
+  it('keeps the process-wide profile until it is reset', () => {
+    const random = mock.method(Math, 'random', () => 0);
+    const first = getHeaderProfile();
+    random.mock.mockImplementation(() => 0.99);
+
+    assert.equal(getHeaderProfile(), first);
+    resetHeaderProfile();
+    assert.equal(getHeaderProfile(), HEADER_PROFILES[HEADER_PROFILES.length - 1]);
+  });
+
+  it('pins every request to HEADER_PROFILE and ignores an unknown name', () => {
+    process.env.HEADER_PROFILE = 'firefox-macos';
+    assert.equal(getHeaderProfile(), getHeaderProfileByName('firefox-macos'));
+
+    resetHeaderProfile();
+    process.env.HEADER_PROFILE = 'netscape';
+    const warn = mock.method(console, 'warn', () => {});
+    assert.ok(HEADER_PROFILES.includes(getHeaderProfile()));
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('sends client hints for Chromium profiles only', () => {
+    process.env.HEADER_PROFILE = 'edge-windows';
+    const edge = buildBrowserHeaders({ kind: 'api' });
+    assert.equal(edge.accept, '*/*');
+    assert.equal(edge['sec-ch-ua-platform'], '"Windows"');
+
+    resetHeaderProfile();
+    process.env.HEADER_PROFILE = 'safari-macos';
+    const safari = buildBrowserHeaders();
+    assert.match(safari.accept, /^text\/html/);
+    assert.equal('sec-ch-ua' in safari, false);
+  });
+
+  it('uses the culture of the session over the default one', async () => {
+    const headers = await runInRequestSession('dealer:3', async () => buildBrowserHeaders({ defaultCultureIso: 'fr-BE' }), { cultureIso: 'de-AT' });
+
+    assert.equal(headers['accept-language'], 'de-AT,de;q=0.9,en;q=0.8');
+    assert.equal(buildBrowserHeaders({ defaultCultureIso: 'fr-BE' })['accept-language'], 'fr-BE,fr;q=0.9,en;q=0.8');
+    assert.equal(buildBrowserHeaders()['accept-language'], 'en-US,en;q=0.9');
+  });
+});
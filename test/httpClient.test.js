@@ -0,0 +1,243 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const {
+  CIRCUIT_STATES,
+  CircuitOpenError,
+  get,
+  parseRetryAfter,
+  computeBackoff,
+  getCircuitState,
+  getHttpMetrics,
+  resetHttpClient
+} = require('../src/utils/httpClient');
+const { resetRateLimits } = require('../src/utils/rateLimiter');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fast settings so retries do not slow the suite down
+const FAST = { baseDelayMs: 1, maxDelayMs: 5, maxTotalWaitMs: 1000 };
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: '' };
+  return error;
+}
+
+/**
+ * Replace axios.request with a list of outcomes: a status code, an Error, or a response
+ */
+function mockAxios(outcomes) {
+  const queue = [...outcomes];
+  return mock.method(axios, 'request', async () => {
+    const outcome = queue.shift();
+    if (outcome instanceof Error) throw outcome;
+    if (typeof outcome === 'number') {
+      if (outcome >= 400) throw httpError(outcome);
+      return { status: outcome, headers: {}, data: 'ok' };
+    }
+    if (outcome.status >= 400) throw httpError(outcome.status, outcome.headers);
+    return outcome;
+  });
+}
+
+describe('parseRetryAfter', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('reads seconds', () => {
+    assert.equal(parseRetryAfter({ 'retry-after': '120' }), 120000);
+    assert.equal(parseRetryAfter({ 'retry-after': '0' }), 0);
+  });
+
+  it('reads an HTTP date relative to now', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('Mon, 19 Oct 2026 10:00:00 GMT') });
+
+    assert.equal(parseRetryAfter({ 'retry-after': 'Mon, 19 Oct 2026 10:00:30 GMT' }), 30000);
+    assert.equal(parseRetryAfter({ 'retry-after': 'Mon, 19 Oct 2026 09:00:00 GMT' }), 0);
+  });
+
+  it('returns null without a usable header', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter({}), null);
+    assert.equal(parseRetryAfter({ 'retry-after': '' }), null);
+    assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null);
+  });
+});
+
+describe('computeBackoff', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('doubles each attempt with half of the wait random', () => {
+    const settings = { baseDelayMs: 1000, maxDelayMs: 60000 };
+
+    mock.method(Math, 'random', () => 0);
+    assert.equal(computeBackoff(1, settings), 500);
+    assert.equal(computeBackoff(3, settings), 2000);
+
+    mock.method(Math, 'random', () => 1);
+    assert.equal(computeBackoff(1, settings), 1000);
+    assert.equal(computeBackoff(3, settings), 4000);
+  });
+
+  it('never exceeds the maximum delay', () => {
+    mock.method(Math, 'random', () => 1);
+    assert.equal(computeBackoff(10, { baseDelayMs: 1000, maxDelayMs: 60000 }), 60000);
+  });
+});
+
+describe('request', () => {
+  let previousRate;
+
+  before(() => {
+    previousRate = process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1000';
+    resetRateLimits();
+  });
+
+  after(() => {
+    if (previousRate === undefined) {
+      delete process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    } else {
+      process.env.RATE_LIMIT_REQUESTS_PER_SECOND = previousRate;
+    }
+    resetRateLimits();
+  });
+
+  beforeEach(() => {
+    resetHttpClient();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetHttpClient();
+  });
+
+  it('retries 5xx and network errors, then returns the response', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const request = mockAxios([503, reset, 200]);
+
+    const response = await get('https://retry.test/listing', {}, { ...FAST, maxRetries: 3 });
+
+    assert.equal(response.status, 200);
+    assert.equal(request.mock.callCount(), 3);
+    const metrics = getHttpMetrics()['retry.test'];
+    assert.equal(metrics.retries, 2);
+    assert.deepEqual(metrics.statuses, { 503: 1, ECONNRESET: 1, 200: 1 });
+  });
+
+  it('does not retry a 404', async () => {
+    const request = mockAxios([404]);
+
+    await assert.rejects(get('https://retry.test/gone', {}, { ...FAST, maxRetries: 3 }), error => error.response.status === 404);
+    assert.equal(request.mock.callCount(), 1);
+  });
+
+  it('rejects with the last error once the retries are spent', async () => {
+    const request = mockAxios([502, 502, 502]);
+
+    await assert.rejects(get('https://retry.test/down', {}, { ...FAST, maxRetries: 2 }), error => error.response.status === 502);
+    assert.equal(request.mock.callCount(), 3);
+    assert.equal(getHttpMetrics()['retry.test'].failures, 1);
+  });
+
+  it('waits as long as Retry-After asks and gives up when that exceeds the total wait', async () => {
+    const request = mockAxios([{ status: 429, headers: { 'retry-after': '120' } }, 200]);
+
+    await assert.rejects(
+      get('https://retry.test/busy', {}, { baseDelayMs: 1, maxDelayMs: 600000, maxTotalWaitMs: 60000, maxRetries: 3 }),
+      error => error.response.status === 429
+    );
+    assert.equal(request.mock.callCount(), 1);
+  });
+
+  it('follows a short Retry-After instead of the backoff', async () => {
+    mockAxios([{ status: 429, headers: { 'retry-after': '0.05' } }, 200]);
+    const startedAt = Date.now();
+
+    const response = await get('https://retry.test/slow-down', {}, { baseDelayMs: 1, maxDelayMs: 60000, maxTotalWaitMs: 60000, maxRetries: 1 });
+
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - startedAt >= 45, 'expected the Retry-After wait');
+  });
+});
+
+describe('circuit breaker', () => {
+  const settings = { ...FAST, maxRetries: 0, failureThreshold: 2, cooldownMs: 30 };
+  let previousRate;
+
+  before(() => {
+    previousRate = process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1000';
+    resetRateLimits();
+  });
+
+  after(() => {
+    if (previousRate === undefined) {
+      delete process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    } else {
+      process.env.RATE_LIMIT_REQUESTS_PER_SECOND = previousRate;
+    }
+    resetRateLimits();
+  });
+
+  beforeEach(() => {
+    resetHttpClient();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetHttpClient();
+  });
+
+  it('opens after consecutive failures and rejects without contacting the host', async () => {
+    const request = mockAxios([500, 500, 200]);
+
+    await assert.rejects(get('https://breaker.test/a', {}, settings));
+    assert.equal(getCircuitState('breaker.test'), CIRCUIT_STATES.CLOSED);
+    await assert.rejects(get('https://breaker.test/a', {}, settings));
+    assert.equal(getCircuitState('breaker.test'), CIRCUIT_STATES.OPEN);
+
+    await assert.rejects(get('https://breaker.test/a', {}, settings), error => error instanceof CircuitOpenError && error.code === 'ECIRCUITOPEN');
+    assert.equal(request.mock.callCount(), 2);
+    assert.equal(getHttpMetrics()['breaker.test'].circuitRejections, 1);
+  });
+
+  it('lets one trial request through after the cooldown and closes when it succeeds', async () => {
+    mockAxios([500, 500, 200]);
+    await assert.rejects(get('https://breaker.test/b', {}, settings));
+    await assert.rejects(get('https://breaker.test/b', {}, settings));
+    await wait(40);
+
+    const trial = get('https://breaker.test/b', {}, settings);
+    assert.equal(getCircuitState('breaker.test'), CIRCUIT_STATES.HALF_OPEN);
+    await assert.rejects(get('https://breaker.test/b', {}, settings), CircuitOpenError);
+
+    assert.equal((await trial).status, 200);
+    assert.equal(getCircuitState('breaker.test'), CIRCUIT_STATES.CLOSED);
+  });
+
+  it('opens again when the trial request fails', async () => {
+    mockAxios([500, 500, 500]);
+    await assert.rejects(get('https://breaker.test/c', {}, settings));
+    await assert.rejects(get('https://breaker.test/c', {}, settings));
+    await wait(40);
+
+    await assert.rejects(get('https://breaker.test/c', {}, settings), error => error.response.status === 500);
+    assert.equal(getCircuitState('breaker.test'), CIRCUIT_STATES.OPEN);
+    await assert.rejects(get('https://breaker.test/c', {}, settings), CircuitOpenError);
+  });
+
+  it('keeps the circuits of other hosts closed', async () => {
+    mockAxios([500, 500, 200]);
+    await assert.rejects(get('https://breaker.test/d', {}, settings));
+    await assert.rejects(get('https://breaker.test/d', {}, settings));
+
+    assert.equal((await get('https://healthy.test/d', {}, settings)).status, 200);
+    assert.equal(getCircuitState('healthy.test'), CIRCUIT_STATES.CLOSED);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { useFixtures, stopFixtures, FixtureNotFoundError } = require('../src/utils/httpFixtures');
+const httpClient = require('../src/utils/httpClient');
+
+// A local server to record from; it is closed before replaying
+function startServer() {
+  let counter = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/listings' && req.method === 'POST') {
+        const { page } = JSON.parse(body);
+        res.writeHead(200, { 'content-type': 'application/json', 'x-request-id': 'not-recorded' });
+        res.end(JSON.stringify({ page, listings: [`listing-${page}`] }));
+      } else if (req.url === '/counter') {
+        counter++;
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ counter }));
+      } else if (req.url === '/dealer') {
+        res.writeHead(200, { 'content-type': 'text/html', 'set-cookie': 'session=abc; Path=/' });
+        res.end('<html><body>Garage Dupont</body></html>');
+      } else {
+        res.writeHead(404, { 'content-type': 'text/html' });
+        res.end('<html><body>Not found</body></html>');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('HTTP fixtures (record, then replay)', () => {
+  let dir;
+  let baseUrl;
+
+  before(async () => {
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1000';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+
+    const server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    useFixtures('round-trip', { mode: 'record', dir });
+    await httpClient.get(`${baseUrl}/dealer`);
+    await httpClient.post(`${baseUrl}/listings`, { page: 1 });
+    await httpClient.post(`${baseUrl}/listings`, { page: 2 });
+    await httpClient.get(`${baseUrl}/counter`);
+    await httpClient.get(`${baseUrl}/counter`);
+    await httpClient.get(`${baseUrl}/missing`, { validateStatus: () => true });
+    stopFixtures();
+
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  after(() => {
+    stopFixtures();
+    httpClient.resetHttpClient();
+    delete process.env.RATE_LIMIT_REQUESTS_PER_SECOND;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes every interaction with only the recorded response headers', () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'round-trip.json'), 'utf-8'));
+
+    assert.equal(fixture.name, 'round-trip');
+    assert.equal(fixture.interactions.length, 6);
+    assert.deepEqual(fixture.interactions[1].request, { method: 'POST', url: `${baseUrl}/listings`, body: { page: 1 } });
+    assert.deepEqual(fixture.interactions[1].response.headers, { 'content-type': 'application/json' });
+    assert.equal(fixture.interactions[1].response.encoding, 'json');
+    assert.equal(fixture.interactions[0].response.encoding, 'text');
+  });
+
+  it('serves the recorded responses without the server', async () => {
+    useFixtures('round-trip', { dir });
+
+    const dealer = await httpClient.get(`${baseUrl}/dealer`);
+    assert.equal(dealer.status, 200);
+    assert.match(dealer.data, /Garage Dupont/);
+    assert.deepEqual(dealer.headers['set-cookie'], ['session=abc; Path=/']);
+
+    // Matched on the body, whatever the order of the requests
+    const page2 = await httpClient.post(`${baseUrl}/listings`, { page: 2 });
+    const page1 = await httpClient.post(`${baseUrl}/listings`, { page: 1 });
+    assert.deepEqual(page1.data, { page: 1, listings: ['listing-1'] });
+    assert.deepEqual(page2.data, { page: 2, listings: ['listing-2'] });
+  });
+
+  it('serves a repeated request in the recorded order, then repeats the last answer', async () => {
+    useFixtures('round-trip', { dir });
+
+    const counters = [];
+    for (let i = 0; i < 3; i++) {
+      counters.push((await httpClient.get(`${baseUrl}/counter`)).data.counter);
+    }
+    assert.deepEqual(counters, [1, 2, 2]);
+  });
+
+  it('rejects recorded error statuses like axios unless validateStatus accepts them', async () => {
+    useFixtures('round-trip', { dir });
+
+    const accepted = await httpClient.get(`${baseUrl}/missing`, { validateStatus: () => true });
+    assert.equal(accepted.status, 404);
+
+    await assert.rejects(httpClient.get(`${baseUrl}/missing`), (error) => {
+      assert.equal(error.isAxiosError, true);
+      assert.equal(error.response.status, 404);
+      return true;
+    });
+  });
+
+  it('throws FixtureNotFoundError for a request that was not recorded', async () => {
+    useFixtures('round-trip', { dir });
+
+    await assert.rejects(httpClient.post(`${baseUrl}/listings`, { page: 3 }), FixtureNotFoundError);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+
+const { useFixtures, stopFixtures } = require('../src/utils/httpFixtures');
+const httpClient = require('../src/utils/httpClient');
+const { resetHttpClient } = httpClient;
+const { fetchNormalImage } = require('../src/services/imageFetcher');
+const { processSwissAdvertImage } = require('../src/services/swissImageFetcher');
+const { AdvertImage } = require('../models');
+
+function storedAdvert(values) {
+  const advert = { ...values, updates: null };
+  advert.update = async (updates) => {
+    advert.updates = updates;
+    return advert;
+  };
+  return advert;
+}
+
+// Records the autoscout_advert_images rows instead of writing them
+function mockAdvertImages() {
+  const written = { destroyed: [], rows: [] };
+  mock.method(AdvertImage, 'destroy', async ({ where }) => {
+    written.destroyed.push(where.advert_id);
+    return 0;
+  });
+  mock.method(AdvertImage, 'bulkCreate', async (rows) => {
+    written.rows.push(...rows);
+    return rows;
+  });
+  return written;
+}
+
+describe('image backfills store the gallery in autoscout_advert_images', () => {
+  before(() => {
+    // Keep the original URLs so nothing is uploaded to MinIO
+    process.env.IMAGE_MIRROR_LIMIT = '0';
+  });
+
+  after(() => {
+    delete process.env.IMAGE_MIRROR_LIMIT;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('saves the gallery of a normal advert page', async () => {
+    const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'eu', 'advert-next-data.html'), 'utf-8');
+    mock.method(httpClient, 'get', async () => ({ status: 200, data: page }));
+    const written = mockAdvertImages();
+    const advert = storedAdvert({ id: 71, autoscout_id: '9b1d4e70-5c2a-4f83-a6e9-1d08c3b7f452', image_url: null });
+
+    const imageUrl = await fetchNormalImage(advert);
+
+    const originalUrl = 'https://prod.pictures.autoscout24.net/listing-images/9b1d4e70-5c2a-4f83-a6e9-1d08c3b7f452_c3d2.jpg/720x540.webp';
+    assert.equal(imageUrl, originalUrl);
+    assert.deepEqual(written.destroyed, [71]);
+    assert.deepEqual(written.rows.map(row => [row.advert_id, row.position, row.original_url]), [[71, 0, originalUrl]]);
+    assert.deepEqual(advert.updates, { image_url: originalUrl, original_image_url: originalUrl });
+  });
+
+  describe('Swiss adverts (replayed listing API)', () => {
+    before(() => {
+      useFixtures('swiss-dealer');
+    });
+
+    after(() => {
+      stopFixtures();
+      resetHttpClient();
+    });
+
+    it('saves the whole API gallery', async () => {
+      const written = mockAdvertImages();
+      const advert = storedAdvert({ id: 501, autoscout_id: '12699536', image_url: 'https://listing-images.autoscout24.ch/12699536/0.jpg' });
+
+      assert.equal(await processSwissAdvertImage(advert), true);
+      assert.deepEqual(written.rows.map(row => [row.position, row.original_url, row.width]), [
+        [0, 'https://listing-images.autoscout24.ch/12699536/0.jpg', 1600],
+        [1, 'https://listing-images.autoscout24.ch/12699536/1.jpg', 1600]
+      ]);
+      assert.equal(advert.updates.original_image_url, 'https://listing-images.autoscout24.ch/12699536/0.jpg');
+    });
+
+    it('saves the stored image when the listing is gone', async () => {
+      const written = mockAdvertImages();
+      const advert = storedAdvert({ id: 502, autoscout_id: '12650417', image_url: 'https://listing-images.autoscout24.ch/12650417/0.jpg' });
+
+      assert.equal(await processSwissAdvertImage(advert), true);
+      assert.deepEqual(written.rows.map(row => row.original_url), ['https://listing-images.autoscout24.ch/12650417/0.jpg']);
+    });
+  });
+});
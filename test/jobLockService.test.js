@@ -0,0 +1,94 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { withJobLock, JobLockLostError, OWNER_ID } = require('../src/services/jobLockService');
+const { mapWithConcurrency } = require('../src/utils/workerPool');
+const { JobLock, sequelize } = require('../models');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withJobLock', () => {
+  let previousHeartbeat;
+
+  before(() => {
+    previousHeartbeat = process.env.JOB_LOCK_HEARTBEAT_MS;
+    process.env.JOB_LOCK_HEARTBEAT_MS = '5';
+  });
+
+  after(() => {
+    if (previousHeartbeat === undefined) {
+      delete process.env.JOB_LOCK_HEARTBEAT_MS;
+    } else {
+      process.env.JOB_LOCK_HEARTBEAT_MS = previousHeartbeat;
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not run the job when another instance holds the lock', async () => {
+    mock.method(sequelize, 'query', async () => []);
+    mock.method(JobLock, 'findByPk', async () => ({ owner_id: 'other-host:1:abcd', heartbeat_at: new Date() }));
+    let ran = false;
+
+    const outcome = await withJobLock('scraper', async () => { ran = true; });
+
+    assert.deepEqual(outcome, { acquired: false });
+    assert.equal(ran, false);
+  });
+
+  it('passes a signal and returns the result while the lock is held', async () => {
+    mock.method(sequelize, 'query', async () => [{ owner_id: OWNER_ID }]);
+    mock.method(JobLock, 'update', async () => [1]);
+    const destroy = mock.method(JobLock, 'destroy', async () => 1);
+
+    const outcome = await withJobLock('scraper', async ({ signal }) => {
+      await wait(20);
+      return signal.aborted ? 'aborted' : 'done';
+    });
+
+    assert.deepEqual(outcome, { acquired: true, result: 'done' });
+    assert.equal(destroy.mock.callCount(), 1);
+  });
+
+  it('aborts the job and rejects once the lock is taken over', async () => {
+    mock.method(sequelize, 'query', async () => [{ owner_id: OWNER_ID }]);
+    mock.method(JobLock, 'update', async () => [0]);
+    mock.method(JobLock, 'destroy', async () => 0);
+    const started = [];
+
+    await assert.rejects(
+      withJobLock('checker', ({ signal }) => mapWithConcurrency([1, 2, 3, 4, 5], 1, async (dealer) => {
+        started.push(dealer);
+        await wait(10);
+      }, { signal })),
+      (error) => error instanceof JobLockLostError && error.code === 'EJOBLOCKLOST' && error.jobName === 'checker'
+    );
+    assert.ok(started.length < 5, `expected the job to stop early, started ${started.length} dealers`);
+  });
+
+  it('rejects even when the job ignores the signal', async () => {
+    mock.method(sequelize, 'query', async () => [{ owner_id: OWNER_ID }]);
+    mock.method(JobLock, 'update', async () => [0]);
+    mock.method(JobLock, 'destroy', async () => 0);
+
+    await assert.rejects(withJobLock('images_swiss', () => wait(20)), JobLockLostError);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('starts no item once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    await assert.rejects(
+      mapWithConcurrency(['a', 'b', 'c'], 1, async (item) => {
+        started.push(item);
+        if (item === 'a') controller.abort(new Error('stopped'));
+      }, { signal: controller.signal }),
+      /stopped/
+    );
+    assert.deepEqual(started, ['a']);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+
+const {
+  JOB_REQUEST_STATUSES,
+  ON_DEMAND_CONTROL_TYPE,
+  claimNextJobRequest,
+  failStaleJobRequests,
+  runJobRequest,
+  drainJobQueue
+} = require('../src/services/jobQueueService');
+const { OWNER_ID } = require('../src/services/jobLockService');
+const { JobRequest, Advert, Control, sequelize } = require('../models');
+
+function storedJob(values) {
+  const job = { ...values, updates: [] };
+  job.update = async (changes) => {
+    job.updates.push(changes);
+    Object.assign(job, changes);
+    return job;
+  };
+  return job;
+}
+
+describe('claimNextJobRequest', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims the oldest queued job for this process, skipping rows locked by another instance', async () => {
+    const query = mock.method(sequelize, 'query', async () => [{ id: 12 }]);
+    const findByPk = mock.method(JobRequest, 'findByPk', async id => ({ id, status: JOB_REQUEST_STATUSES.RUNNING }));
+
+    const job = await claimNextJobRequest();
+
+    assert.equal(job.id, 12);
+    assert.deepEqual(findByPk.mock.calls[0].arguments, [12]);
+    const [sql, { replacements }] = query.mock.calls[0].arguments;
+    assert.match(sql, /ORDER BY created_at, id/);
+    assert.match(sql, /FOR UPDATE SKIP LOCKED/);
+    assert.deepEqual(replacements, { running: 'running', queued: 'queued', ownerId: OWNER_ID });
+  });
+
+  it('returns null when nothing is queued', async () => {
+    mock.method(sequelize, 'query', async () => []);
+    const findByPk = mock.method(JobRequest, 'findByPk', async () => null);
+
+    assert.equal(await claimNextJobRequest(), null);
+    assert.equal(findByPk.mock.callCount(), 0);
+  });
+});
+
+describe('failStaleJobRequests', () => {
+  let previousStaleMs;
+
+  beforeEach(() => {
+    previousStaleMs = process.env.JOB_QUEUE_STALE_MS;
+    delete process.env.JOB_QUEUE_STALE_MS;
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+    if (previousStaleMs === undefined) {
+      delete process.env.JOB_QUEUE_STALE_MS;
+    } else {
+      process.env.JOB_QUEUE_STALE_MS = previousStaleMs;
+    }
+  });
+
+  it('fails running jobs started before the stale cutoff', async () => {
+    const update = mock.method(JobRequest, 'update', async () => [2]);
+
+    assert.equal(await failStaleJobRequests(), 2);
+
+    const [values, { where }] = update.mock.calls[0].arguments;
+    assert.equal(values.status, JOB_REQUEST_STATUSES.FAILED);
+    assert.match(values.error, /Interrupted/);
+    assert.equal(where.status, JOB_REQUEST_STATUSES.RUNNING);
+    assert.equal(where.started_at[Op.lt].toISOString(), '2026-10-19T06:00:00.000Z');
+  });
+
+  it('uses JOB_QUEUE_STALE_MS', async () => {
+    process.env.JOB_QUEUE_STALE_MS = String(30 * 60 * 1000);
+    const update = mock.method(JobRequest, 'update', async () => [0]);
+
+    assert.equal(await failStaleJobRequests(), 0);
+    assert.equal(update.mock.calls[0].arguments[1].where.started_at[Op.lt].toISOString(), '2026-10-19T11:30:00.000Z');
+  });
+});
+
+describe('runJobRequest', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores the error and closes the on-demand control as failed', async () => {
+    const controlUpdates = [];
+    const create = mock.method(Control, 'create', async values => ({ id: 31, ...values, update: async (changes) => { controlUpdates.push(changes); } }));
+    mock.method(Advert, 'findByPk', async () => null);
+    const job = storedJob({ id: 5, type: 'check_advert', target_id: 404, status: JOB_REQUEST_STATUSES.RUNNING });
+
+    await runJobRequest(job);
+
+    assert.equal(create.mock.calls[0].arguments[0].type, ON_DEMAND_CONTROL_TYPE);
+    assert.deepEqual(job.updates[0], { control_id: 31 });
+    assert.equal(job.status, JOB_REQUEST_STATUSES.FAILED);
+    assert.equal(job.error, 'Advert 404 not found');
+    assert.ok(job.finished_at instanceof Date);
+    assert.equal(controlUpdates[0].status, 'failed');
+  });
+
+  it('fails an unknown job type without opening a control', async () => {
+    const create = mock.method(Control, 'create', async values => values);
+    const job = storedJob({ id: 6, type: 'scrape_everything', target_id: 1, status: JOB_REQUEST_STATUSES.RUNNING });
+
+    await runJobRequest(job);
+
+    assert.equal(job.status, JOB_REQUEST_STATUSES.FAILED);
+    assert.equal(job.error, 'Unknown job type scrape_everything');
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('drainJobQueue', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs claimed jobs one after the other until the queue is empty', async () => {
+    const queue = [
+      storedJob({ id: 1, type: 'scrape_everything', target_id: 1 }),
+      storedJob({ id: 2, type: 'scrape_everything', target_id: 2 })
+    ];
+    mock.method(sequelize, 'query', async () => (queue.length > 0 ? [{ id: queue[0].id }] : []));
+    mock.method(JobRequest, 'findByPk', async () => queue.shift());
+
+    assert.equal(await drainJobQueue(), 2);
+    assert.equal(queue.length, 0);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_TIMEZONE, JOB_DEFINITIONS, resolveJobConfig, getJobDefinition } = require('../src/services/jobRegistry');
+
+describe('jobRegistry', () => {
+  const scraper = getJobDefinition('scraper');
+
+  it('defines the scheduled jobs with unique names and prefixes', () => {
+    assert.deepEqual(JOB_DEFINITIONS.map(job => job.name), ['scraper', 'checker', 'images_belgium', 'images_swiss']);
+    assert.equal(new Set(JOB_DEFINITIONS.map(job => job.envPrefix)).size, JOB_DEFINITIONS.length);
+    assert.equal(getJobDefinition('backup'), null);
+  });
+
+  it('keeps the defaults when nothing is overridden', () => {
+    const job = resolveJobConfig(scraper, {});
+
+    assert.equal(job.schedule, '0 0 * * *');
+    assert.equal(job.timezone, DEFAULT_TIMEZONE);
+    assert.equal(job.enabled, true);
+    assert.equal(job.runOnStartup, true);
+    assert.equal(job.run, scraper.run);
+  });
+
+  it('applies the <PREFIX>_ overrides of the job only', () => {
+    const env = {
+      SCRAPER_SCHEDULE: ' 30 1 * * * ',
+      SCRAPER_ON: 'false',
+      SCRAPER_RUN_ON_STARTUP: 'FALSE',
+      CHECKER_SCHEDULE: '15 3 * * 1'
+    };
+
+    const job = resolveJobConfig(scraper, env);
+
+    assert.equal(job.schedule, '30 1 * * *');
+    assert.equal(job.enabled, false);
+    assert.equal(job.runOnStartup, false);
+    assert.equal(resolveJobConfig(getJobDefinition('images_swiss'), env).schedule, '30 4 * * *');
+  });
+
+  it('treats an empty flag as unset and any other value as true', () => {
+    const images = getJobDefinition('images_belgium');
+
+    assert.equal(resolveJobConfig(images, { IMAGES_BELGIUM_ON: '' }).enabled, false);
+    assert.equal(resolveJobConfig(images, { IMAGES_BELGIUM_ON: 'yes' }).enabled, true);
+  });
+
+  it('prefers the timezone of the job over SCHEDULER_TIMEZONE', () => {
+    assert.equal(resolveJobConfig(scraper, { SCHEDULER_TIMEZONE: 'Europe/Zurich' }).timezone, 'Europe/Zurich');
+    assert.equal(resolveJobConfig(scraper, { SCHEDULER_TIMEZONE: 'Europe/Zurich', SCRAPER_TIMEZONE: 'Europe/Brussels' }).timezone, 'Europe/Brussels');
+  });
+
+  it('rejects an invalid cron expression or timezone with the variable to fix', () => {
+    assert.throws(() => resolveJobConfig(scraper, { SCRAPER_SCHEDULE: 'every night' }), /Invalid cron expression for scraper \(SCRAPER_SCHEDULE\): "every night"/);
+    assert.throws(() => resolveJobConfig(scraper, { SCRAPER_TIMEZONE: 'Mars/Olympus' }), /Invalid timezone for scraper \(SCRAPER_TIMEZONE\): "Mars\/Olympus"/);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+
+const {
+  EXTRACTION_STRATEGIES,
+  extractListingFields,
+  extractListingFieldsFromNextData
+} = require('../src/services/listingDetailsExtractor');
+const { getListingInfos } = require('../src/services/extractNewAdvert');
+const { getRegion } = require('../src/services/regionRegistry');
+const httpClient = require('../src/utils/httpClient');
+
+const ADVERT_ID = '9b1d4e70-5c2a-4f83-a6e9-1d08c3b7f452';
+const euDealer = { id: 42, autoscout_url: 'https://www.autoscout24.be/fr/concessionnaire/garage-dupont' };
+
+function loadPage(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'eu', name), 'utf-8');
+}
+
+describe('extractListingFields', () => {
+  it('reads the fields from __NEXT_DATA__', () => {
+    const { fields, strategy } = extractListingFields(cheerio.load(loadPage('advert-next-data.html')));
+
+    assert.equal(strategy, EXTRACTION_STRATEGIES.NEXT_DATA);
+    assert.equal(fields.make, 'Peugeot 308');
+    assert.equal(fields.model, '1.2 PureTech Allure');
+    assert.equal(fields.location, '4000 Liège');
+    assert.equal(fields.price, '21450');
+    assert.equal(fields.sellerName, 'Garage Dupont');
+    assert.equal(fields.power, '96 kW (130 hp)');
+    assert.equal(fields.mileage, '12345 km');
+    assert.equal(fields.firstRegistration, '06/2022');
+    assert.equal(fields.images.length, 1);
+  });
+
+  it('falls back to the CSS selectors when the page has no __NEXT_DATA__', () => {
+    const $ = cheerio.load(loadPage('advert-css.html'));
+    assert.equal(extractListingFieldsFromNextData($), null);
+
+    const { fields, strategy } = extractListingFields($);
+
+    assert.equal(strategy, EXTRACTION_STRATEGIES.CSS);
+    assert.equal(fields.make, 'Peugeot 308');
+    assert.equal(fields.model, '1.2 PureTech Allure');
+    assert.equal(fields.price, '€ 21,450');
+    assert.equal(fields.sellerName, 'Garage Dupont');
+    assert.equal(fields.power, '96 kW (130 hp)');
+    assert.equal(fields.firstRegistration, '06/2022');
+    assert.equal(fields.images.length, 1);
+  });
+
+  it('formats the mileage the same way with both strategies', () => {
+    const nextData = extractListingFields(cheerio.load(loadPage('advert-next-data.html'))).fields;
+    const css = extractListingFields(cheerio.load(loadPage('advert-css.html'))).fields;
+
+    assert.equal(css.mileage, '12345 km');
+    assert.equal(css.mileage, nextData.mileage);
+  });
+});
+
+describe('getListingInfos extraction_strategy', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const [page, strategy] of [['advert-next-data.html', 'next_data'], ['advert-css.html', 'css']]) {
+    it(`stores '${strategy}' for ${page}`, async () => {
+      mock.method(httpClient, 'get', async () => ({ status: 200, data: loadPage(page) }));
+
+      const advert = await getListingInfos(`https://www.autoscout24.com/offers/${ADVERT_ID}`, ADVERT_ID, euDealer, false, getRegion('be'));
+
+      assert.equal(advert.extraction_strategy, strategy);
+      assert.equal(advert.mileage, '12345 km');
+      assert.equal(advert.mileage_km, 12345);
+      assert.equal(advert.price, 21450);
+    });
+  }
+});
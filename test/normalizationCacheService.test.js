@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeInputKey,
+  withNormalizationCache,
+  getNormalizationCacheStats,
+  resetNormalizationCacheStats
+} = require('../src/services/normalizationCacheService');
+const { setDryRun } = require('../src/utils/dryRun');
+const { NormalizationCache } = require('../models');
+
+// Entries stay in the process-wide memory cache, so every test uses inputs of its own
+
+describe('normalizeInputKey', () => {
+  it('trims, collapses spaces and lowercases', () => {
+    assert.equal(normalizeInputKey('  Hybride   (Essence/Electrique) '), 'hybride (essence/electrique)');
+    assert.equal(normalizeInputKey(150), '150');
+  });
+});
+
+describe('withNormalizationCache', () => {
+  beforeEach(() => {
+    resetNormalizationCacheStats();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setDryRun(false);
+  });
+
+  it('computes once, then answers from memory for the same normalized input', async () => {
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    const findOrCreate = mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+    let calls = 0;
+    const compute = async () => { calls++; return 'Hybrid'; };
+
+    assert.equal(await withNormalizationCache('fuel_type', 'Mild-Hybrid Diesel', compute), 'Hybrid');
+    assert.equal(await withNormalizationCache('fuel_type', '  mild-hybrid   DIESEL', compute), 'Hybrid');
+
+    assert.equal(calls, 1);
+    assert.deepEqual(findOrCreate.mock.calls[0].arguments[0].where, { kind: 'fuel_type', input_key: 'mild-hybrid diesel' });
+    assert.deepEqual(getNormalizationCacheStats(), { memoryHits: 1, databaseHits: 0, misses: 1, hitRate: 50 });
+  });
+
+  it('keeps the results of different normalizers apart', async () => {
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+
+    assert.equal(await withNormalizationCache('power_hp', 'n/a kind test', async () => '100 hp'), '100 hp');
+    assert.equal(await withNormalizationCache('mileage', 'n/a kind test', async () => '0 km'), '0 km');
+  });
+
+  it('answers from the database without computing', async () => {
+    const findOne = mock.method(NormalizationCache, 'findOne', async () => ({ result: 'Gasoline' }));
+    const compute = mock.fn(async () => 'Diesel');
+
+    assert.equal(await withNormalizationCache('fuel_type', 'Benzin E10 db', compute), 'Gasoline');
+    assert.equal(await withNormalizationCache('fuel_type', 'Benzin E10 db', compute), 'Gasoline');
+
+    assert.equal(compute.mock.callCount(), 0);
+    assert.equal(findOne.mock.callCount(), 1);
+    assert.deepEqual(getNormalizationCacheStats(), { memoryHits: 1, databaseHits: 1, misses: 0, hitRate: 100 });
+  });
+
+  it('caches a null result like any other answer', async () => {
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+    const compute = mock.fn(async () => null);
+
+    assert.equal(await withNormalizationCache('mileage', 'unknown mileage text', compute), null);
+    assert.equal(await withNormalizationCache('mileage', 'unknown mileage text', compute), null);
+    assert.equal(compute.mock.callCount(), 1);
+  });
+
+  it('does not cache a failed computation', async () => {
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    const findOrCreate = mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+    let calls = 0;
+    const compute = async () => {
+      calls++;
+      if (calls === 1) throw new Error('OpenAI timeout');
+      return '163 hp';
+    };
+
+    await assert.rejects(withNormalizationCache('power_hp', 'puissance inconnue', compute), /OpenAI timeout/);
+    assert.equal(await withNormalizationCache('power_hp', 'puissance inconnue', compute), '163 hp');
+    assert.equal(findOrCreate.mock.callCount(), 1);
+  });
+
+  it('still returns the result when the database is unavailable', async () => {
+    mock.method(NormalizationCache, 'findOne', async () => { throw new Error('connection refused'); });
+    mock.method(NormalizationCache, 'findOrCreate', async () => { throw new Error('connection refused'); });
+
+    assert.equal(await withNormalizationCache('fuel_type', 'Erdgas offline', async () => 'CNG'), 'CNG');
+  });
+
+  it('does not write to the database in a dry run', async () => {
+    setDryRun(true);
+    mock.method(NormalizationCache, 'findOne', async () => null);
+    const findOrCreate = mock.method(NormalizationCache, 'findOrCreate', async () => [{}, true]);
+
+    assert.equal(await withNormalizationCache('fuel_type', 'Autogas dry run', async () => 'LPG'), 'LPG');
+    assert.equal(findOrCreate.mock.callCount(), 0);
+  });
+});
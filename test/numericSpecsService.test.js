@@ -0,0 +1,47 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { backfillNumericSpecs } = require('../src/services/numericSpecsService');
+const { Advert } = require('../models');
+
+function storedAdvert(values) {
+  const advert = { ...values, updates: null };
+  advert.update = async (updates) => {
+    advert.updates = updates;
+    return advert;
+  };
+  return advert;
+}
+
+describe('backfillNumericSpecs', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores the parsed values and counts the adverts nothing could be parsed from', async () => {
+    const golf = storedAdvert({ id: 1, autoscout_id: 'golf', mileage: '45.000 km', power: '110 kW (150 PS)', engine_size: '1.498 cm³', empty_weight: null, co_2_emissions: '128 g/km', fuel_consumption: null });
+    const unknown = storedAdvert({ id: 2, autoscout_id: 'unknown', mileage: null, power: 'Unknown', engine_size: null, empty_weight: null, co_2_emissions: null, fuel_consumption: null });
+    const pages = [[golf, unknown], []];
+    mock.method(Advert, 'findAll', async () => pages.shift());
+
+    const stats = await backfillNumericSpecs();
+
+    assert.deepEqual(stats, { total: 2, updated: 1, unparseable: 1, failed: 0 });
+    assert.deepEqual(golf.updates, { mileage_km: 45000, power_hp: 150, power_kw: 110, engine_cc: 1498, co2_g_km: 128 });
+    assert.equal(unknown.updates, null);
+  });
+
+  it('stops at the limit', async () => {
+    const queries = [];
+    mock.method(Advert, 'findAll', async (query) => {
+      queries.push(query);
+      return [storedAdvert({ id: 7, autoscout_id: 'polo', mileage: '61.300 km' })];
+    });
+
+    const stats = await backfillNumericSpecs({ limit: 1 });
+
+    assert.equal(stats.total, 1);
+    assert.equal(queries.length, 1);
+    assert.equal(queries[0].limit, 1);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordObservation, diffRuns, countRunObservations } = require('../src/services/observationService');
+const { AdvertObservation } = require('../models');
+
+function observation(advertId, status) {
+  return { advert_id: advertId, status, advert: { id: advertId } };
+}
+
+function mockRuns(runs) {
+  return mock.method(AdvertObservation, 'findAll', async ({ where }) => runs[where.control_id] || []);
+}
+
+describe('recordObservation', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('links the advert to the session with its status', async () => {
+    const create = mock.method(AdvertObservation, 'create', async values => values);
+
+    const recorded = await recordObservation({ id: 5 }, { id: 9 }, 'reactivated');
+
+    assert.equal(recorded.advert_id, 5);
+    assert.equal(recorded.control_id, 9);
+    assert.equal(recorded.status, 'reactivated');
+    assert.ok(recorded.seen_at instanceof Date);
+    assert.equal(create.mock.callCount(), 1);
+  });
+
+  it('skips adverts or sessions without an id and rejects unknown statuses', async () => {
+    const create = mock.method(AdvertObservation, 'create', async values => values);
+
+    assert.equal(await recordObservation({ id: null }, { id: 9 }, 'new'), null);
+    assert.equal(await recordObservation({ id: 5 }, null, 'new'), null);
+    await assert.rejects(recordObservation({ id: 5 }, { id: 9 }, 'sold'), /Unknown observation status: sold/);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('does not stop the run when the observation cannot be saved', async () => {
+    mock.method(AdvertObservation, 'create', async () => { throw new Error('connection lost'); });
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await recordObservation({ id: 5 }, { id: 9 }, 'existing'), null);
+  });
+});
+
+describe('diffRuns', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lists the adverts that appeared, disappeared or changed status', async () => {
+    mockRuns({
+      1: [observation(10, 'existing'), observation(11, 'existing'), observation(12, 'deactivated'), observation(13, 'new')],
+      2: [observation(10, 'existing'), observation(12, 'reactivated'), observation(13, 'deactivated'), observation(14, 'new')]
+    });
+
+    const { appeared, disappeared, statusChanged } = await diffRuns(1, 2);
+
+    assert.deepEqual(appeared.map(advert => advert.id), [12, 14]);
+    assert.deepEqual(disappeared.map(advert => advert.id), [11, 13]);
+    assert.deepEqual(statusChanged.map(({ advert, from, to }) => [advert.id, from, to]), [
+      [12, 'deactivated', 'reactivated'],
+      [13, 'new', 'deactivated']
+    ]);
+  });
+
+  it('restricts both sessions to one dealer', async () => {
+    const findAll = mockRuns({});
+
+    assert.deepEqual(await diffRuns(1, 2, { sellerId: 42 }), { appeared: [], disappeared: [], statusChanged: [] });
+    for (const call of findAll.mock.calls) {
+      assert.deepEqual(call.arguments[0].include[0].where, { seller_id: 42 });
+    }
+  });
+});
+
+describe('countRunObservations', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts every status, including the ones the session never saw', async () => {
+    mock.method(AdvertObservation, 'findAll', async () => [{ status: 'new', count: '3' }, { status: 'existing', count: '40' }]);
+
+    assert.deepEqual(await countRunObservations(7), { new: 3, existing: 40, reactivated: 0, deactivated: 0 });
+  });
+});
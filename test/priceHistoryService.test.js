@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePriceValue, extractApiListingSnapshot } = require('../src/services/priceHistoryService');
+
+describe('parsePriceValue', () => {
+  it('keeps the decimals of an English formatted price', () => {
+    assert.equal(parsePriceValue('18,990.50'), 18990.5);
+    assert.equal(parsePriceValue('€ 18,990.-'), 18990);
+  });
+
+  it('reads continental and Swiss formats', () => {
+    assert.equal(parsePriceValue('€ 18.990,-'), 18990);
+    assert.equal(parsePriceValue('18.990,50'), 18990.5);
+    assert.equal(parsePriceValue("CHF 23'900.–"), 23900);
+    assert.equal(parsePriceValue('€ 18 990'), 18990);
+    assert.equal(parsePriceValue('1.234.567'), 1234567);
+  });
+
+  it('treats a single separator before two digits as decimal', () => {
+    assert.equal(parsePriceValue('18,99'), 18.99);
+    assert.equal(parsePriceValue('18.5'), 18.5);
+  });
+
+  it('passes numbers through and returns null without digits', () => {
+    assert.equal(parsePriceValue(13250), 13250);
+    assert.equal(parsePriceValue(null), null);
+    assert.equal(parsePriceValue(''), null);
+    assert.equal(parsePriceValue('Price on request'), null);
+  });
+});
+
+describe('extractApiListingSnapshot', () => {
+  it('uses the formatted price when no raw price is given', () => {
+    const snapshot = extractApiListingSnapshot({
+      price: { priceFormatted: '€ 18,990.50', currency: 'EUR' },
+      vehicle: { mileageInKm: '45,000 km' }
+    });
+
+    assert.deepEqual(snapshot, { price: 18990.5, price_currency: 'EUR', mileage: '45,000 km', mileage_km: 45000 });
+  });
+});
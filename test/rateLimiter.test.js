@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TokenBucket, parseHostRates, getHostRate, waitForHost, resetRateLimits } = require('../src/utils/rateLimiter');
+
+const ENV_KEYS = ['RATE_LIMIT_REQUESTS_PER_SECOND', 'RATE_LIMIT_BURST', 'RATE_LIMIT_HOSTS'];
+
+// Let the promise callbacks of released waiters run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('releases a full burst at once and the rest at the refill rate', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 2, burst: 2 });
+    const released = [];
+    for (let i = 0; i < 4; i++) {
+      bucket.take().then(() => released.push(i));
+    }
+
+    await flush();
+    assert.deepEqual(released, [0, 1]);
+
+    mock.timers.tick(499);
+    await flush();
+    assert.deepEqual(released, [0, 1]);
+
+    mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(released, [0, 1, 2]);
+
+    mock.timers.tick(500);
+    await flush();
+    assert.deepEqual(released, [0, 1, 2, 3]);
+  });
+
+  it('never stores more tokens than its capacity', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 10, burst: 3 });
+    mock.timers.tick(60 * 1000);
+    bucket.refill();
+
+    assert.equal(bucket.tokens, 3);
+  });
+
+  it('holds at least one token', () => {
+    assert.equal(new TokenBucket({ ratePerSecond: 0.5, burst: 0.5 }).capacity, 1);
+  });
+});
+
+describe('host rates', () => {
+  const previousEnv = {};
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      previousEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    resetRateLimits();
+  });
+
+  afterEach(() => {
+    resetRateLimits();
+    for (const key of ENV_KEYS) {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    }
+  });
+
+  it('parses RATE_LIMIT_HOSTS and skips invalid entries', () => {
+    assert.deepEqual(
+      parseHostRates('api.autoscout24.ch=1, WWW.autoscout24.com=4,broken,zero=0,half=0.5'),
+      { 'api.autoscout24.ch': 1, 'www.autoscout24.com': 4, half: 0.5 }
+    );
+    assert.deepEqual(parseHostRates(undefined), {});
+  });
+
+  it('falls back to the default rate of every host', () => {
+    assert.equal(getHostRate('www.autoscout24.be'), 2);
+
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '5';
+    process.env.RATE_LIMIT_HOSTS = 'api.autoscout24.ch=1';
+    assert.equal(getHostRate('api.autoscout24.ch'), 1);
+    assert.equal(getHostRate('www.autoscout24.be'), 5);
+  });
+
+  it('limits each host with its own bucket', async () => {
+    process.env.RATE_LIMIT_REQUESTS_PER_SECOND = '1';
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    try {
+      const released = [];
+      waitForHost('https://www.autoscout24.be/a').then(() => released.push('be-1'));
+      waitForHost('https://www.autoscout24.be/b').then(() => released.push('be-2'));
+      waitForHost('https://api.autoscout24.ch/c').then(() => released.push('ch-1'));
+      waitForHost('not a url').then(() => released.push('no-host'));
+
+      await flush();
+      assert.deepEqual(released.sort(), ['be-1', 'ch-1', 'no-host']);
+
+      mock.timers.tick(1000);
+      await flush();
+      assert.ok(released.includes('be-2'));
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  REGIONS,
+  getRegion,
+  getDefaultRegion,
+  getRegionByUrl,
+  resolveRegionCultureIso,
+  getDealerListingsUrl
+} = require('../src/services/regionRegistry');
+
+describe('regionRegistry', () => {
+  it('has a region for every AutoScout24 site the scraper supports', () => {
+    assert.deepEqual(Object.keys(REGIONS), ['be', 'de', 'nl', 'it', 'fr', 'at', 'lu', 'es', 'ch']);
+    assert.equal(getRegion('DE').baseUrl, 'https://www.autoscout24.de');
+    assert.equal(getRegion('uk'), null);
+    assert.equal(getRegion(null), null);
+    assert.equal(getDefaultRegion().code, 'be');
+  });
+
+  it('resolves the region from the TLD of a dealer URL', () => {
+    assert.equal(getRegionByUrl('https://www.autoscout24.de/haendler/autohaus-muster').code, 'de');
+    assert.equal(getRegionByUrl('https://AutoScout24.AT/haendler/x').code, 'at');
+    assert.equal(getRegionByUrl('https://www.autoscout24.ch/de/s/seller-60283').code, 'ch');
+    assert.equal(getRegionByUrl('https://www.autoscout24.com/offers/abc'), null);
+    assert.equal(getRegionByUrl('https://www.notautoscout24.de/'), null);
+    assert.equal(getRegionByUrl('not a url'), null);
+  });
+
+  it('takes the culture from the language segment, then the region default', () => {
+    assert.equal(resolveRegionCultureIso('https://www.autoscout24.be/nl/verkopers/garage'), 'nl-BE');
+    assert.equal(resolveRegionCultureIso('https://www.autoscout24.be/concessionnaire/garage'), 'fr-BE');
+    assert.equal(resolveRegionCultureIso('https://www.autoscout24.lu/de/haendler/garage'), 'de-LU');
+    assert.equal(resolveRegionCultureIso('https://www.autoscout24.ch/it/s/seller-1'), 'it-CH');
+    assert.equal(resolveRegionCultureIso('https://www.autoscout24.de/haendler/x'), 'de-DE');
+    assert.equal(resolveRegionCultureIso(null), 'fr-BE');
+  });
+
+  it('builds the dealer listing endpoint of the EU sites and keeps the Swiss API URL', () => {
+    assert.equal(getDealerListingsUrl(getRegion('nl')), 'https://www.autoscout24.nl/api/dealer-detail/fetch-listings');
+    assert.equal(getDealerListingsUrl(getRegion('ch')), 'https://api.autoscout24.ch/v1/listings/search');
+  });
+});
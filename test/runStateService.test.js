@@ -0,0 +1,194 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+
+const {
+  CONTROL_STATUSES,
+  CHECKPOINT_STATUSES,
+  findResumableControl,
+  startOrResumeControl,
+  finishControl,
+  getCompletedUserIds,
+  saveUserProgress,
+  markUserFinished,
+  getResumeCursor
+} = require('../src/services/runStateService');
+const { setDryRun } = require('../src/utils/dryRun');
+const { useFixtures, stopFixtures } = require('../src/utils/httpFixtures');
+const { resetHttpClient } = require('../src/utils/httpClient');
+const { getAdapterForUrl } = require('../src/adapters');
+const { Control, RunCheckpoint } = require('../models');
+
+const ENV_KEYS = ['RESUME_INTERRUPTED_RUNS', 'RESUME_MAX_AGE_HOURS'];
+
+// Dealer of test/fixtures/http/eu-dealer.json: Volkswagen (one page of 2 listings), then BMW (one page of 1)
+const euDealer = { id: 42, autoscout_url: 'https://www.autoscout24.be/fr/concessionnaire/garage-dupont' };
+const swissDealer = { id: 43, autoscout_url: 'https://www.autoscout24.ch/de/s/seller-60283' };
+
+const control = { id: 7 };
+
+async function collectPages(iterable) {
+  const pages = [];
+  for await (const page of iterable) {
+    pages.push({ label: page.label, count: page.listings.length, cursor: page.cursor });
+  }
+  return pages;
+}
+
+describe('runStateService', () => {
+  const previousEnv = {};
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      previousEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+    setDryRun(false);
+    for (const key of ENV_KEYS) {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    }
+  });
+
+  it('resumes the latest running session of the type', async () => {
+    const interrupted = { id: 3, type: 'scraper', status: CONTROL_STATUSES.RUNNING };
+    const findOne = mock.method(Control, 'findOne', async () => interrupted);
+    const create = mock.method(Control, 'create', async values => values);
+
+    assert.deepEqual(await startOrResumeControl('scraper'), { control: interrupted, resumed: true });
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(findOne.mock.calls[0].arguments[0].where.status, CONTROL_STATUSES.RUNNING);
+  });
+
+  it('only resumes sessions younger than RESUME_MAX_AGE_HOURS', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+    process.env.RESUME_MAX_AGE_HOURS = '6';
+    const findOne = mock.method(Control, 'findOne', async () => null);
+
+    await findResumableControl('scraper');
+
+    const { where } = findOne.mock.calls[0].arguments[0];
+    assert.equal(where.type, 'scraper');
+    assert.equal(where.date[Op.gte].toISOString(), '2026-10-19T06:00:00.000Z');
+  });
+
+  it('opens a new session when none can be resumed or resuming is disabled', async () => {
+    mock.method(Control, 'findOne', async () => ({ id: 3 }));
+    const create = mock.method(Control, 'create', async values => ({ id: 4, ...values }));
+    process.env.RESUME_INTERRUPTED_RUNS = 'false';
+
+    const { control: created, resumed } = await startOrResumeControl('scraper');
+
+    assert.equal(resumed, false);
+    assert.equal(created.id, 4);
+    assert.equal(created.status, CONTROL_STATUSES.RUNNING);
+    assert.equal(create.mock.callCount(), 1);
+  });
+
+  it('never resumes or saves a session in a dry run', async () => {
+    setDryRun(true);
+    const findOne = mock.method(Control, 'findOne', async () => ({ id: 3 }));
+    const create = mock.method(Control, 'create', async values => values);
+
+    const { control: built, resumed } = await startOrResumeControl('scraper');
+
+    assert.equal(resumed, false);
+    assert.equal(built.id, null);
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+    assert.deepEqual(await getCompletedUserIds(built), new Set());
+    assert.equal(await getResumeCursor(built, 42), null);
+  });
+
+  it('closes a session with its status', async () => {
+    let updated = null;
+    await finishControl({ id: 7, update: async (values) => { updated = values; } }, CONTROL_STATUSES.FAILED);
+
+    assert.equal(updated.status, CONTROL_STATUSES.FAILED);
+    assert.ok(updated.completed_at instanceof Date);
+  });
+
+  it('lists the dealers the session already completed', async () => {
+    const findAll = mock.method(RunCheckpoint, 'findAll', async () => [{ user_id: 42 }, { user_id: 43 }]);
+
+    assert.deepEqual(await getCompletedUserIds(control), new Set([42, 43]));
+    assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { control_id: 7, status: CHECKPOINT_STATUSES.COMPLETED });
+  });
+
+  it('creates the checkpoint of a dealer, then moves it forward', async () => {
+    const stored = new Map();
+    mock.method(RunCheckpoint, 'findOrCreate', async ({ where, defaults }) => {
+      const key = `${where.control_id}:${where.user_id}`;
+      if (stored.has(key)) return [stored.get(key), false];
+      const checkpoint = { ...where, ...defaults, update: async (values) => Object.assign(checkpoint, values) };
+      stored.set(key, checkpoint);
+      return [checkpoint, true];
+    });
+    mock.method(RunCheckpoint, 'findOne', async ({ where }) => stored.get(`${where.control_id}:${where.user_id}`) || null);
+
+    await saveUserProgress(control, 42, { make: 'Volkswagen', page: 1 });
+    await saveUserProgress(control, 42, { make: 'BMW', page: 2 });
+    assert.deepEqual(await getResumeCursor(control, 42), { make: 'BMW', page: 2 });
+    assert.equal(await getResumeCursor(control, 43), null);
+
+    await markUserFinished(control, 42);
+    assert.equal(await getResumeCursor(control, 42), null, 'a completed dealer is not resumed');
+  });
+
+  it('does not stop the run when a checkpoint cannot be saved', async () => {
+    mock.method(RunCheckpoint, 'findOrCreate', async () => { throw new Error('connection lost'); });
+
+    await assert.doesNotReject(saveUserProgress(control, 42, { make: 'BMW', page: 1 }));
+  });
+});
+
+describe('listDealerInventory resume (replayed dealer inventory)', () => {
+  before(() => {
+    useFixtures('eu-dealer');
+  });
+
+  after(() => {
+    stopFixtures();
+  });
+
+  afterEach(() => {
+    resetHttpClient();
+  });
+
+  it('skips the makes and pages an interrupted run already processed', async () => {
+    const adapter = getAdapterForUrl(euDealer.autoscout_url);
+    const dealer = await adapter.discoverDealer(euDealer);
+
+    assert.deepEqual(await collectPages(adapter.listDealerInventory(dealer)), [
+      { label: 'page 1 (Volkswagen)', count: 2, cursor: { make: 'Volkswagen', page: 1 } },
+      { label: 'page 1 (BMW)', count: 1, cursor: { make: 'BMW', page: 1 } }
+    ]);
+    assert.deepEqual(await collectPages(adapter.listDealerInventory(dealer, { resumeFrom: { make: 'Volkswagen', page: 1 } })), [
+      { label: 'page 1 (BMW)', count: 1, cursor: { make: 'BMW', page: 1 } }
+    ]);
+    assert.deepEqual(await collectPages(adapter.listDealerInventory(dealer, { resumeFrom: { make: 'BMW', page: 1 } })), []);
+  });
+
+  it('scrapes every make when the checkpointed make is no longer offered', async () => {
+    const adapter = getAdapterForUrl(euDealer.autoscout_url);
+    const dealer = await adapter.discoverDealer(euDealer);
+
+    const pages = await collectPages(adapter.listDealerInventory(dealer, { resumeFrom: { make: 'Peugeot', page: 4 } }));
+
+    assert.deepEqual(pages.map(page => page.label), ['page 1 (Volkswagen)', 'page 1 (BMW)']);
+  });
+
+  it('does not fetch a Swiss dealer again once its single page was processed', async () => {
+    const adapter = getAdapterForUrl(swissDealer.autoscout_url);
+
+    assert.deepEqual(await collectPages(adapter.listDealerInventory({ dealerId: 60283 }, { resumeFrom: { make: null, page: 1 } })), []);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFixtures, stopFixtures } = require('../src/utils/httpFixtures');
+const { setDryRun, getDryRunReport, resetDryRunReport } = require('../src/utils/dryRun');
+const httpClient = require('../src/utils/httpClient');
+const { resetHttpClient } = httpClient;
+const { getRegion } = require('../src/services/regionRegistry');
+const { getListingInfos } = require('../src/services/extractNewAdvert');
+const { searchAllPagesViaApi } = require('../src/services/scraper');
+const { extractCustomerIdFromHtml } = require('../src/services/autoscoutApi');
+const { Advert, AdvertPriceHistory } = require('../models');
+
+// Listing ids of test/fixtures/http/eu-dealer.json
+const GOLF_ID = '5f3c7a1e-2b8d-4c6e-9a41-0d7e6b2f8c13';
+const POLO_ID = '8e21d4b9-6f0a-4e37-b5c2-91a4c7d3e605';
+const BMW_ID = 'c47b0e92-1d5f-4a88-8e36-2f9b6a0d71c4';
+
+const euDealer = { id: 42, autoscout_url: 'https://www.autoscout24.be/fr/concessionnaire/garage-dupont' };
+const swissDealer = { id: 43, autoscout_url: 'https://www.autoscout24.ch/de/s/seller-60283' };
+
+function storedAdvert(values) {
+  return Advert.build(values, { isNewRecord: false, raw: true });
+}
+
+// Only the stored adverts passed in exist; nothing was re-listed and there is no price history yet
+function mockDatabase(storedAdverts = []) {
+  mock.method(Advert, 'findOne', async ({ where }) => (
+    storedAdverts.find(advert => advert.autoscout_id === where.autoscout_id && advert.seller_id === where.seller_id) || null
+  ));
+  mock.method(AdvertPriceHistory, 'findOne', async () => null);
+}
+
+function reportedActions(action) {
+  return getDryRunReport().actions.filter(entry => entry.action === action);
+}
+
+describe('getListingInfos (replayed advert page)', () => {
+  before(() => {
+    useFixtures('eu-dealer');
+  });
+
+  after(() => {
+    stopFixtures();
+  });
+
+  it('extracts the advert fields from __NEXT_DATA__', async () => {
+    const advert = await getListingInfos(`https://www.autoscout24.com/offers/${GOLF_ID}`, GOLF_ID, euDealer, true, getRegion('be'));
+
+    assert.equal(advert.extraction_strategy, 'next_data');
+    assert.equal(advert.autoscout_id, GOLF_ID);
+    assert.equal(advert.seller_id, 42);
+    assert.equal(advert.seller_name, 'Garage Dupont');
+    assert.equal(advert.make, 'Volkswagen Golf');
+    assert.equal(advert.model, '1.5 TSI Life DSG');
+    assert.equal(advert.location, '1000 Bruxelles');
+    assert.equal(advert.price, 18990);
+    assert.equal(advert.price_currency, 'EUR');
+    assert.equal(advert.fuel_type, 'Gasoline');
+    assert.equal(advert.gearbox, 'Automatic');
+    assert.equal(advert.mileage, '45000 km');
+    assert.equal(advert.mileage_km, 45000);
+    assert.equal(advert.power_hp, 150);
+    assert.equal(advert.power_kw, 110);
+    assert.equal(advert.engine_cc, 1498);
+    assert.equal(advert.previous_owner, 1);
+    assert.equal(advert.full_service_history, true);
+    assert.equal(advert.is_initial_run_listing, true);
+    assert.equal(advert.data_completeness, 1);
+    assert.deepEqual(advert.missing_fields, []);
+    assert.equal(advert.images.length, 2);
+    assert.equal(advert.image_url, advert.images[0].url);
+  });
+
+  it('rejects when the fixture has no response for the page', async () => {
+    await assert.rejects(
+      getListingInfos('https://www.autoscout24.com/offers/unknown', 'unknown', euDealer, false, getRegion('be')),
+      { name: 'FixtureNotFoundError' }
+    );
+  });
+});
+
+describe('searchAllPagesViaApi (replayed dealer inventory, dry run)', () => {
+  before(() => {
+    setDryRun(true);
+  });
+
+  after(() => {
+    setDryRun(false);
+    stopFixtures();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetDryRunReport();
+    resetHttpClient();
+  });
+
+  it('creates the new EU listings and updates the stored one', async () => {
+    useFixtures('eu-dealer');
+    mockDatabase([
+      storedAdvert({ id: 901, autoscout_id: POLO_ID, seller_id: 42, make: 'Volkswagen Polo', model: '1.0 TSI Comfortline', price: 13990, price_currency: 'EUR', mileage_km: 61300, is_active: true })
+    ]);
+
+    const stats = await searchAllPagesViaApi(euDealer, null);
+
+    assert.deepEqual(stats, { totalListings: 3, newListings: 2, existingListings: 1, errorCount: 0 });
+
+    const created = reportedActions('create');
+    assert.deepEqual(created.map(entry => entry.autoscout_id).sort(), [BMW_ID, GOLF_ID].sort());
+    assert.deepEqual(created.map(entry => entry.make).sort(), ['BMW 118', 'Volkswagen Golf']);
+
+    const updates = reportedActions('update');
+    assert.equal(updates.length, 1);
+    const [priceChange] = updates;
+    assert.equal(priceChange.id, 901);
+    assert.deepEqual(priceChange.values, { price: 13250 });
+    assert.equal(priceChange.previous.price, 13990);
+
+    // IMAGE_MIRROR_LIMIT defaults to the cover image of each new advert
+    assert.deepEqual(reportedActions('upload').map(entry => entry.key).sort(), [`${BMW_ID}_0`, `${GOLF_ID}_0`].sort());
+    assert.equal(reportedActions('deactivate').length, 0);
+  });
+
+  it('maps the Swiss listings returned by the search API', async () => {
+    useFixtures('swiss-dealer');
+    mockDatabase();
+
+    const stats = await searchAllPagesViaApi(swissDealer, null);
+
+    assert.deepEqual(stats, { totalListings: 2, newListings: 2, existingListings: 0, errorCount: 0 });
+    const created = reportedActions('create');
+    assert.deepEqual(created.map(entry => entry.autoscout_id).sort(), ['12699536', '12731208']);
+    assert.ok(created.every(entry => entry.seller_id === 43));
+  });
+});
+
+describe('extractCustomerIdFromHtml', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('requests the about page in the culture of its region', async () => {
+    const dealerPage = '<nav class="dp-header__nav"><a href="/haendler/autohaus-meier/ueber-uns">Über uns</a></nav>';
+    const aboutPage = '<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"dealerInfoPage":{"customerId":31337}}}}</script>';
+    const requests = [];
+    mock.method(httpClient, 'get', async (url, config) => {
+      requests.push({ url, headers: config.headers });
+      return { status: 200, data: aboutPage };
+    });
+
+    const customerId = await extractCustomerIdFromHtml(dealerPage, getRegion('de').baseUrl);
+
+    assert.equal(customerId, 31337);
+    assert.equal(requests[0].url, 'https://www.autoscout24.de/haendler/autohaus-meier/ueber-uns');
+    assert.match(requests[0].headers['accept-language'], /^de-DE/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+
+const { mapSwissListingToAdvert, mergeSwissListing } = require('../src/services/swissListingMapper');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'swiss', name), 'utf-8'));
+}
+
+const user = { id: 42 };
+
+describe('mapSwissListingToAdvert', () => {
+  it('maps the fields available in a /v1/listings/search result', () => {
+    const advert = mapSwissListingToAdvert(loadFixture('search-listing.json'), { user, isInitialRun: true });
+
+    assert.equal(advert.autoscout_id, '12699536');
+    assert.equal(advert.seller_id, 42);
+    assert.equal(advert.seller_name, 'Garage Muster AG');
+    assert.equal(advert.make, 'VW');
+    assert.equal(advert.model, 'Golf 2.0 TDI Life DSG');
+    assert.equal(advert.model_version, 'Golf 2.0 TDI Life DSG');
+    assert.equal(advert.location, 'Zürich 8001');
+    assert.equal(advert.price, 23900);
+    assert.equal(advert.price_currency, 'CHF');
+    assert.equal(advert.type, 'used');
+    assert.equal(advert.mileage, '48500');
+    assert.equal(advert.mileage_km, 48500);
+    assert.equal(advert.power, '150 HP');
+    assert.equal(advert.power_hp, 150);
+    assert.equal(advert.power_kw, 110);
+    assert.equal(advert.gearbox, 'automatic');
+    assert.equal(advert.fuel_type, 'Diesel');
+    assert.equal(advert.fuel_consumption, '4.7 l/100 km (comb.)');
+    assert.equal(advert.consumption_l_100km, 4.7);
+    assert.equal(advert.description, 'Top Zustand, MFK frisch');
+    assert.equal(advert.link, 'https://www.autoscout24.ch/de/d/12699536');
+    assert.equal(advert.is_initial_run_listing, true);
+    assert.deepEqual(advert.first_registration, new Date('2021-03-01'));
+  });
+
+  it('fills the technical columns from a /v1/listings/{id} response', () => {
+    const advert = mapSwissListingToAdvert(loadFixture('listing-detail.json'), { user });
+
+    assert.equal(advert.body_type, 'saloon');
+    assert.equal(advert.drivetrain, 'front');
+    assert.equal(advert.doors, 5);
+    assert.equal(advert.seats, 5);
+    assert.equal(advert.color, 'grey');
+    assert.equal(advert.paint, 'Metallic');
+    assert.equal(advert.upholstery_color, 'black');
+    assert.equal(advert.upholstery, 'cloth');
+    assert.equal(advert.emission_class, 'euro6d');
+    assert.equal(advert.cylinders, 4);
+    assert.equal(advert.gears, 7);
+    assert.equal(advert.engine_size, '1968 cm³');
+    assert.equal(advert.engine_cc, 1968);
+    assert.equal(advert.empty_weight, '1420 kg');
+    assert.equal(advert.weight_kg, 1420);
+    assert.equal(advert.co_2_emissions, '124 g/km (comb.)');
+    assert.equal(advert.co2_g_km, 124);
+    assert.equal(advert.previous_owner, 1);
+    assert.equal(advert.full_service_history, true);
+    assert.equal(advert.non_smoker_vehicle, true);
+    assert.equal(advert.extras, 'Navigationssystem, Sitzheizung, Tempomat');
+    assert.equal(advert.description, 'Top Zustand, MFK frisch, Servicebuch gepflegt.');
+    assert.equal(advert.is_initial_run_listing, false);
+  });
+
+  it('stores NULL instead of placeholders for missing values', () => {
+    const advert = mapSwissListingToAdvert(loadFixture('search-listing-minimal.json'), { user });
+
+    assert.equal(advert.make, 'Tesla');
+    assert.equal(advert.model, 'Model 3');
+    assert.equal(advert.fuel_type, 'Electric');
+    assert.equal(advert.price, null);
+    assert.equal(advert.location, null);
+    assert.equal(advert.mileage, null);
+    assert.equal(advert.power, null);
+    assert.equal(advert.power_kw, null);
+    assert.equal(advert.body_type, null);
+    assert.equal(advert.engine_size, null);
+    assert.equal(advert.consumption_l_100km, null);
+    assert.equal(advert.first_registration, null);
+    assert.equal(advert.extras, null);
+  });
+});
+
+describe('mergeSwissListing', () => {
+  it('prefers detail values but keeps search values the detail response lacks', () => {
+    const search = loadFixture('search-listing.json');
+    const detail = { ...loadFixture('listing-detail.json'), teaser: null, vehicleCategory: undefined };
+    const merged = mergeSwissListing(search, detail);
+
+    assert.equal(merged.bodyType, 'saloon');
+    assert.equal(merged.teaser, 'Top Zustand, MFK frisch');
+    assert.equal(merged.vehicleCategory, 'car');
+    assert.equal(merged.firstRegistrationYear, 2021);
+    assert.equal(merged.images.length, 2);
+  });
+
+  it('returns the search listing when no detail response is available', () => {
+    const search = loadFixture('search-listing.json');
+    assert.equal(mergeSwissListing(search, null), search);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  KW_TO_HP,
+  normalizeFuelType,
+  parsePowerHP,
+  parsePowerKW,
+  normalizePowerHP,
+  parseMileageKm,
+  parseEngineCc,
+  parseWeightKg,
+  parseCo2GKm,
+  parseConsumptionL100km,
+  extractNumericSpecs
+} = require('../src/utils/vehicleNormalizer');
+
+describe('normalizeFuelType', () => {
+  it('maps the fuel names of every site language', () => {
+    assert.equal(normalizeFuelType('Diesel'), 'Diesel');
+    assert.equal(normalizeFuelType('Gasolio'), 'Diesel');
+    assert.equal(normalizeFuelType('Essence'), 'Gasoline');
+    assert.equal(normalizeFuelType('Benzine'), 'Gasoline');
+    assert.equal(normalizeFuelType('Super 95'), 'Gasoline');
+    assert.equal(normalizeFuelType('Elektro'), 'Electric');
+    assert.equal(normalizeFuelType('LPG'), 'LPG');
+    assert.equal(normalizeFuelType('Gaz naturel (CNG)'), 'CNG');
+    assert.equal(normalizeFuelType('Waterstof'), 'Hydrogen');
+    assert.equal(normalizeFuelType('E85'), 'Ethanol');
+  });
+
+  it('ignores accents and case', () => {
+    assert.equal(normalizeFuelType('Électrique'), 'Electric');
+    assert.equal(normalizeFuelType('  DIESEL '), 'Diesel');
+  });
+
+  it('treats hybrids and more than one fuel as Hybrid', () => {
+    assert.equal(normalizeFuelType('Plug-in Hybrid'), 'Hybrid');
+    assert.equal(normalizeFuelType('Hybride (Essence/Electrique)'), 'Hybrid');
+    assert.equal(normalizeFuelType('Elektro/Benzin'), 'Hybrid');
+  });
+
+  it('returns null for empty or unknown text', () => {
+    assert.equal(normalizeFuelType(null), null);
+    assert.equal(normalizeFuelType(''), null);
+    assert.equal(normalizeFuelType('   '), null);
+    assert.equal(normalizeFuelType('Other'), null);
+  });
+});
+
+describe('parsePowerHP', () => {
+  it('prefers the horsepower value quoted in the text', () => {
+    assert.equal(parsePowerHP('120 kW (163 PS)'), 163);
+    assert.equal(parsePowerHP('75 kW (102 CH)'), 102);
+  });
+
+  it('reads every horsepower unit', () => {
+    assert.equal(parsePowerHP('180 HP'), 180);
+    assert.equal(parsePowerHP('200 bhp'), 200);
+    assert.equal(parsePowerHP('110 CV'), 110);
+    assert.equal(parsePowerHP('90 pk'), 90);
+    assert.equal(parsePowerHP('100 ch'), 100);
+  });
+
+  it('converts kW with the factor the GPT prompt used', () => {
+    assert.equal(KW_TO_HP, 1.34);
+    assert.equal(parsePowerHP('150 kW'), 201);
+    assert.equal(parsePowerHP('147,1 kW'), 197);
+    assert.equal(normalizePowerHP('150 kW'), '201 hp');
+  });
+
+  it('returns null without a power unit', () => {
+    assert.equal(parsePowerHP(null), null);
+    assert.equal(parsePowerHP(''), null);
+    assert.equal(parsePowerHP('Unknown'), null);
+    assert.equal(parsePowerHP('163'), null);
+  });
+});
+
+describe('parsePowerKW', () => {
+  it('reads kW, or converts a horsepower-only value back', () => {
+    assert.equal(parsePowerKW('120 kW (163 PS)'), 120);
+    assert.equal(parsePowerKW('180 HP'), 134);
+    assert.equal(parsePowerKW(null), null);
+  });
+});
+
+describe('parseMileageKm', () => {
+  it('reads thousands separators and converts miles', () => {
+    assert.equal(parseMileageKm('55,000 km'), 55000);
+    assert.equal(parseMileageKm('55.000 km'), 55000);
+    assert.equal(parseMileageKm('1 234 567 km'), 1234567);
+    assert.equal(parseMileageKm('5,500 mi'), 8851);
+    assert.equal(parseMileageKm(55000), 55000);
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(parseMileageKm(null), null);
+    assert.equal(parseMileageKm(''), null);
+  });
+});
+
+describe('parseEngineCc', () => {
+  it('reads every displacement unit and thousands separator', () => {
+    assert.equal(parseEngineCc('1.598 cm³'), 1598);
+    assert.equal(parseEngineCc('1,598 cc'), 1598);
+    assert.equal(parseEngineCc('1 598 cm3'), 1598);
+    assert.equal(parseEngineCc('1598 ccm'), 1598);
+  });
+
+  it('takes the first value of a range', () => {
+    assert.equal(parseEngineCc('1.598 - 1.968 cm³'), 1598);
+  });
+
+  it('returns null without a displacement unit', () => {
+    assert.equal(parseEngineCc(null), null);
+    assert.equal(parseEngineCc(''), null);
+    assert.equal(parseEngineCc('2.0 l'), null);
+  });
+});
+
+describe('parseWeightKg', () => {
+  it('reads thousands separators', () => {
+    assert.equal(parseWeightKg('1.395 kg'), 1395);
+    assert.equal(parseWeightKg('1,395 kg'), 1395);
+    assert.equal(parseWeightKg('1 395 kg'), 1395);
+    assert.equal(parseWeightKg('1395kg'), 1395);
+  });
+
+  it('takes the first value of a range', () => {
+    assert.equal(parseWeightKg('1.395 - 1.490 kg'), 1395);
+  });
+
+  it('returns null without a weight', () => {
+    assert.equal(parseWeightKg(null), null);
+    assert.equal(parseWeightKg('heavy'), null);
+  });
+});
+
+describe('parseCo2GKm', () => {
+  it('reads g/km with or without spaces', () => {
+    assert.equal(parseCo2GKm('128 g/km (comb.)'), 128);
+    assert.equal(parseCo2GKm('128 g / km'), 128);
+    assert.equal(parseCo2GKm('0 g/km'), 0);
+  });
+
+  it('takes the first value of a range', () => {
+    assert.equal(parseCo2GKm('120 - 135 g/km'), 120);
+    assert.equal(parseCo2GKm('120–135 g/km'), 120);
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(parseCo2GKm(null), null);
+    assert.equal(parseCo2GKm(''), null);
+  });
+});
+
+describe('parseConsumptionL100km', () => {
+  it('reads decimal commas and prefers the combined figure', () => {
+    assert.equal(parseConsumptionL100km('5.5 l/100km'), 5.5);
+    assert.equal(parseConsumptionL100km('6,6 l/100 km (city) 5,5 l/100 km (comb.)'), 5.5);
+    assert.equal(parseConsumptionL100km('7,1 l/100 km (innerorts) 5,8 l/100 km (gemischt)'), 5.8);
+  });
+
+  it('takes the first value of a range', () => {
+    assert.equal(parseConsumptionL100km('4,8-5,3 l/100 km'), 4.8);
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(parseConsumptionL100km(null), null);
+    assert.equal(parseConsumptionL100km(''), null);
+  });
+});
+
+describe('extractNumericSpecs', () => {
+  it('builds every numeric column from the free-text fields', () => {
+    assert.deepEqual(extractNumericSpecs({
+      mileage: '45.000 km',
+      power: '110 kW (150 PS)',
+      engine_size: '1.498 cm³',
+      empty_weight: '1.320 kg',
+      co_2_emissions: '128 g/km (comb.)',
+      fuel_consumption: '5,6 l/100 km (comb.)'
+    }), {
+      mileage_km: 45000,
+      power_hp: 150,
+      power_kw: 110,
+      engine_cc: 1498,
+      weight_kg: 1320,
+      co2_g_km: 128,
+      consumption_l_100km: 5.6
+    });
+  });
+
+  it('leaves missing or unparseable fields null', () => {
+    const empty = {
+      mileage_km: null,
+      power_hp: null,
+      power_kw: null,
+      engine_cc: null,
+      weight_kg: null,
+      co2_g_km: null,
+      consumption_l_100km: null
+    };
+    assert.deepEqual(extractNumericSpecs(null), empty);
+    assert.deepEqual(extractNumericSpecs({ mileage: null, power: 'Unknown', engine_size: '' }), empty);
+  });
+});
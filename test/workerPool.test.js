@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readConcurrency, createWorkerPool, mapWithConcurrency } = require('../src/utils/workerPool');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('readConcurrency', () => {
+  const keys = ['TEST_CONCURRENCY_A', 'TEST_CONCURRENCY_B'];
+
+  beforeEach(() => {
+    keys.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    keys.forEach(key => delete process.env[key]);
+  });
+
+  it('uses the first variable that holds a positive integer', () => {
+    process.env.TEST_CONCURRENCY_A = '0';
+    process.env.TEST_CONCURRENCY_B = '3';
+    assert.equal(readConcurrency(keys), 3);
+
+    process.env.TEST_CONCURRENCY_A = '2';
+    assert.equal(readConcurrency(keys), 2);
+  });
+
+  it('falls back when nothing usable is set', () => {
+    assert.equal(readConcurrency('TEST_CONCURRENCY_A'), 1);
+    process.env.TEST_CONCURRENCY_A = 'many';
+    assert.equal(readConcurrency('TEST_CONCURRENCY_A', 4), 4);
+  });
+});
+
+describe('createWorkerPool', () => {
+  it('never runs more tasks than its concurrency', async () => {
+    const pool = createWorkerPool(2);
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(5);
+      running--;
+      return n * 10;
+    })));
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.equal(maxRunning, 2);
+    assert.equal(pool.activeCount, 0);
+    assert.equal(pool.pendingCount, 0);
+  });
+
+  it('rejects the failing task only', async () => {
+    const pool = createWorkerPool(1);
+    const failing = pool.run(async () => { throw new Error('dealer page gone'); });
+    const next = pool.run(async () => 'next');
+
+    await assert.rejects(failing, /dealer page gone/);
+    assert.equal(await next, 'next');
+  });
+
+  it('treats an invalid concurrency as 1', () => {
+    assert.equal(createWorkerPool(0).concurrency, 1);
+    assert.equal(createWorkerPool(NaN).concurrency, 1);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('returns results in item order whatever order they finish in', async () => {
+    const results = await mapWithConcurrency([30, 5, 15], 3, async (ms, index) => {
+      await wait(ms);
+      return `${index}:${ms}`;
+    });
+
+    assert.deepEqual(results, ['0:30', '1:5', '2:15']);
+  });
+
+  it('processes one item at a time with a concurrency of 1', async () => {
+    const order = [];
+    await mapWithConcurrency(['a', 'b', 'c'], 1, async (item) => {
+      order.push(`start ${item}`);
+      await wait(1);
+      order.push(`end ${item}`);
+    });
+
+    assert.deepEqual(order, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  });
+
+  it('starts no new item after an uncaught error and rejects with it', async () => {
+    const started = [];
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+        started.push(item);
+        if (item === 2) throw new Error('boom');
+      }),
+      /boom/
+    );
+
+    assert.deepEqual(started, [1, 2]);
+  });
+
+  it('handles an empty or missing list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+    assert.deepEqual(await mapWithConcurrency(null, 4, async () => 1), []);
+  });
+});